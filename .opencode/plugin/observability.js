@@ -6,28 +6,131 @@
  *
  * METRICS TRACKING:
  * - Token usage (REAL data: input, output, reasoning, cache)
- * - Cost (actual API cost)
+ * - Cost (actual API cost; estimates are priced from the server's model price catalogue)
  * - Message latency (created → completed timing)
  * - Tool effectiveness (duration, success/failure, state transitions)
  * - Errors (API errors, auth errors, abort, output length)
  * - Retries (attempts and reasons)
  * - Reasoning (thinking time and tokens)
- * - Agent tracking (which agents are used, subagent spawns)
- * - Security findings (from Bash/nuclei outputs)
+ * - Agent tracking (which agents are used, and which agent spawned which subagent)
+ * - Security findings (structured scanner parsers for any tool, heuristics for Bash)
  * - WSTG coverage
  * - Session management
+ * - Budget caps (block tool calls or abort the run once a cap is hit)
+ * - Human-in-the-loop approval of permission prompts and gated tools
+ * - Policy rules (allow / deny / ask) evaluated before every tool call
+ * - Engagement scope (flag or block tool calls that target out-of-scope hosts)
+ * - Redaction of credentials, private keys and emails before anything leaves the process
+ *
+ * DELIVERY:
+ * Events and metrics are appended to an on-disk spool and delivered in
+ * batches with exponential backoff. Spools left by earlier runs for the same
+ * server, API key and workspace are replayed on startup; the server
+ * deduplicates events by their client-side event_id.
+ * Servers that require authentication get OBSERVABILITY_API_KEY with every
+ * request; while the key is rejected (401) deliveries stay spooled until it is
+ * fixed, but items the key may not post (403) are dropped.
+ * OBSERVABILITY_WORKSPACE picks the workspace to report into.
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
 const SERVER_URL = process.env.OBSERVABILITY_SERVER_URL || 'http://localhost:4000/events';
+const BATCH_URL = process.env.OBSERVABILITY_BATCH_URL || `${SERVER_URL}/batch`;
 const METRICS_BASE_URL = process.env.OBSERVABILITY_METRICS_URL || 'http://localhost:4000';
 
-// Severity patterns for finding detection
+// Ingest API key for servers that require authentication (issued per source_app)
+const API_KEY = process.env.OBSERVABILITY_API_KEY || null;
+// Workspace (slug) to report into; API keys already belong to one, so this is for open servers
+const WORKSPACE = process.env.OBSERVABILITY_WORKSPACE || null;
+const SERVER_HEADERS = {
+  ...(API_KEY ? { 'X-API-Key': API_KEY } : {}),
+  ...(WORKSPACE ? { 'X-Workspace': WORKSPACE } : {})
+};
+
+// Secrets and PII are masked in everything sent (and spooled). REDACTION_FILE is
+// JSON like { "detectors": ["jwt", ...], "rules": [{ "name", "pattern", "flags" }] }
+const REDACTION_ENABLED = !['0', 'false', 'off'].includes(process.env.OBSERVABILITY_REDACTION || '');
+const REDACTION_DETECTORS = process.env.OBSERVABILITY_REDACTION_DETECTORS || null; // Comma-separated; default all
+const REDACTION_FILE = process.env.OBSERVABILITY_REDACTION_FILE || null;
+
+// Delivery settings - everything is spooled to disk first, so events survive
+// server restarts and are replayed (in order) once the server is reachable again
+const SPOOL_DIR = process.env.OBSERVABILITY_SPOOL_DIR || path.join(os.homedir(), '.cache', 'opencode-observability', 'spool');
+const BATCH_SIZE = parseInt(process.env.OBSERVABILITY_BATCH_SIZE || '50');
+const FLUSH_INTERVAL_MS = parseInt(process.env.OBSERVABILITY_FLUSH_INTERVAL_MS || '1000');
+const MAX_BACKOFF_MS = parseInt(process.env.OBSERVABILITY_MAX_BACKOFF_MS || '60000');
+const MAX_SPOOL_ITEMS = parseInt(process.env.OBSERVABILITY_MAX_SPOOL_ITEMS || '50000');
+const MAX_REQUESTS_PER_FLUSH = 20;
+// Spooled items are replayed with the current URLs, API key and workspace, so each
+// combination gets its own spool directory; another project's leftovers are never
+// delivered into this one's workspace, or under its key
+const SPOOL_TARGET_DIR = path.join(SPOOL_DIR, createHash('sha256')
+  .update(JSON.stringify([BATCH_URL, METRICS_BASE_URL, API_KEY, WORKSPACE]))
+  .digest('hex')
+  .slice(0, 16));
+const REQUEST_TIMEOUT_MS = 10000; // A server that stops answering must not hold up delivery for good
+
+// Hard budget caps for this run (0 = no cap). Budgets marked "enforce" on the
+// server apply too; their status is re-fetched at most every BUDGET_POLL_MS.
+const MAX_COST_USD = parseFloat(process.env.OBSERVABILITY_MAX_COST_USD || '0');
+const MAX_TOKENS = parseInt(process.env.OBSERVABILITY_MAX_TOKENS || '0');
+const BUDGET_ACTION = process.env.OBSERVABILITY_BUDGET_ACTION || 'block'; // 'block' or 'abort'
+const BUDGET_POLL_MS = parseInt(process.env.OBSERVABILITY_BUDGET_POLL_MS || '30000');
+
+// Human-in-the-loop: permission prompts (and calls to gated tools) are posted
+// as HITL events, and the dashboard's answer comes back over a local WebSocket
+const HITL_ENABLED = ['1', 'true'].includes(process.env.OBSERVABILITY_HITL || '');
+const HITL_TOOLS = (process.env.OBSERVABILITY_HITL_TOOLS || '').split(',').map(t => t.trim()).filter(Boolean);
+const HITL_TIMEOUT_SEC = parseInt(process.env.OBSERVABILITY_HITL_TIMEOUT_SEC || '300');
+const HITL_TIMEOUT_ACTION = process.env.OBSERVABILITY_HITL_TIMEOUT_ACTION || 'deny'; // 'deny', 'allow' or 'ask'
+const HITL_HOST = process.env.OBSERVABILITY_HITL_HOST || '127.0.0.1'; // Must be reachable from the server
+const HITL_BIND = process.env.OBSERVABILITY_HITL_BIND || HITL_HOST; // Interface the socket listens on
+const HITL_PORT = parseInt(process.env.OBSERVABILITY_HITL_PORT || '0'); // 0 = any free port
+
+// Policy rules come from a local JSON/YAML file or, without one, from the
+// server (GET /api/policies, re-fetched every POLICY_REFRESH_MS)
+const POLICY_FILE = process.env.OBSERVABILITY_POLICY_FILE || null;
+const POLICY_REFRESH_MS = parseInt(process.env.OBSERVABILITY_POLICY_REFRESH_MS || '60000');
+
+// Engagement (id or name) this run is linked to. Targets of each tool call are
+// checked against its scope; out-of-scope access raises a ScopeViolation and is
+// refused when the engagement's enforcement (or OBSERVABILITY_SCOPE_ACTION) is 'block'
+const ENGAGEMENT = process.env.OBSERVABILITY_ENGAGEMENT || null;
+const SCOPE_ACTION = ['flag', 'block'].includes(process.env.OBSERVABILITY_SCOPE_ACTION) ? process.env.OBSERVABILITY_SCOPE_ACTION : null;
+const ENGAGEMENT_REFRESH_MS = parseInt(process.env.OBSERVABILITY_ENGAGEMENT_REFRESH_MS || '60000');
+
+// Delivery queue state (shared by every plugin instance in this process)
+const deliveryQueue = [];
+let spoolFile = null;
+let flushTimer = null;
+let flushing = false;
+let backoffMs = 0;
+
+// HITL response socket state
+let hitlServer = null;
+const pendingHitl = new Map(); // request id -> callback for the dashboard's response
+
+// Loaded policy (shared by every plugin instance in this process)
+let activePolicy = null;
+let policyLoadedAt = 0;
+let policyFileMtimeMs = 0;
+
+// Loaded engagement (shared by every plugin instance in this process)
+let activeEngagement = null;
+let engagementLoadedAt = 0;
+
+// Severity patterns for finding detection (whole words only - "high" must not
+// match "highlight", nor "info" an [INFO] log prefix's neighbours)
 const SEVERITY_PATTERNS = {
-  critical: /critical|crit|severity:\s*critical/i,
-  high: /high|severity:\s*high/i,
-  medium: /medium|med|severity:\s*medium/i,
-  low: /low|severity:\s*low|informational/i,
-  info: /info|severity:\s*info/i,
+  critical: /\bseverity\W+critical\b|\[(critical|crit)\]/i,
+  high: /\bseverity\W+high\b|\[high\]/i,
+  medium: /\bseverity\W+(medium|med)\b|\[(medium|med)\]/i,
+  low: /\bseverity\W+low\b|\[low\]/i,
+  info: /\bseverity\W+(info|informational)\b|\[(info|informational)\]/i,
 };
 
 // Vulnerability type patterns - only match clear indicators from security tools
@@ -42,6 +145,9 @@ const VULN_PATTERNS = {
   'Open Redirect': /\[open.?redirect\]|open redirect confirmed/i,
 };
 
+// Tests in the WSTG v4.2 catalogue the server measures coverage against
+const WSTG_TEST_COUNT = 97;
+
 // WSTG ID patterns
 const WSTG_PATTERNS = {
   'WSTG-INPV-05': /sql.?injection|sqli/i,
@@ -54,8 +160,36 @@ const WSTG_PATTERNS = {
   'WSTG-CLNT-04': /open.?redirect/i,
 };
 
-// Tools that should be scanned for security findings
+// CWE for the vulnerability types above
+const VULN_CWES = {
+  'SQL Injection': 'CWE-89',
+  'XSS': 'CWE-79',
+  'Command Injection': 'CWE-78',
+  'Path Traversal': 'CWE-22',
+  'SSRF': 'CWE-918',
+  'XXE': 'CWE-611',
+  'IDOR': 'CWE-639',
+  'Open Redirect': 'CWE-601',
+};
+
+// WSTG test for a CWE reported by a structured parser
+const CWE_WSTG = {
+  'CWE-89': 'WSTG-INPV-05',
+  'CWE-79': 'WSTG-INPV-01',
+  'CWE-78': 'WSTG-INPV-12',
+  'CWE-22': 'WSTG-ATHZ-01',
+  'CWE-918': 'WSTG-INPV-19',
+  'CWE-611': 'WSTG-INPV-07',
+  'CWE-639': 'WSTG-ATHZ-04',
+  'CWE-601': 'WSTG-CLNT-04',
+};
+
+// Tools whose output is scanned with the regex heuristics. Structured parsers
+// run on every tool except the built-in file tools (so MCP scanners count too).
 const SECURITY_SCAN_TOOLS = ['Bash', 'bash'];
+const UNSCANNED_TOOLS = ['read', 'write', 'edit', 'patch', 'glob', 'grep', 'list', 'todowrite', 'todoread', 'task', 'webfetch', 'websearch'];
+const MAX_FINDINGS_PER_OUTPUT = 100;
+const MAX_EVIDENCE_CHARS = 1000;
 
 /**
  * Extract agent name from directory path
@@ -89,24 +223,93 @@ function getToolType(toolName) {
   return 'other';
 }
 
+function normalizeSeverity(value) {
+  const severity = String(value || '').toLowerCase();
+  if (['critical', 'high', 'medium', 'low', 'info'].includes(severity)) return severity;
+  if (severity === 'informational' || severity === 'information') return 'info';
+  if (severity === 'error') return 'high';
+  if (severity === 'warning') return 'medium';
+  if (severity === 'note') return 'low';
+  return 'medium';
+}
+
+function normalizeCwe(value) {
+  const match = String(Array.isArray(value) ? value[0] : value || '').match(/(?:cwe-?)?(\d+)/i);
+  return match ? `CWE-${parseInt(match[1], 10)}` : null;
+}
+
+function truncateEvidence(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_EVIDENCE_CHARS ? `${text.slice(0, MAX_EVIDENCE_CHARS)}...` : text;
+}
+
+// JSON documents are often printed after a banner or log lines
+function parseJsonLoose(text) {
+  const trimmed = text.trim();
+  for (const candidate of [trimmed, trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1)]) {
+    if (!candidate.startsWith('{') && !candidate.startsWith('[')) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+function parseJsonLines(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('{'))
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function decodeXml(text) {
+  return String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+    .trim();
+}
+
+function xmlTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function xmlAttr(tagText, attr) {
+  const match = tagText.match(new RegExp(`\\b${attr}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
 /**
- * Parse nuclei output for findings
+ * Parse nuclei's default text output
  */
 function parseNucleiOutput(output) {
   const findings = [];
   if (!output || typeof output !== 'string') return findings;
 
-  const nucleiPattern = /\[(\w+)\]\s*\[([^\]]+)\]\s*\[([^\]]+)\]\s*(.+)/g;
+  const nucleiPattern = /\[([\w-]+)\]\s*\[([^\]]+)\]\s*\[([^\]]+)\]\s*(\S+)(.*)/g;
   let match;
 
   while ((match = nucleiPattern.exec(output)) !== null) {
-    const [, severity, templateId, protocol, target] = match;
+    const [line, templateId, protocol, severity, target, extra] = match;
     const sevLower = severity.toLowerCase();
     if (['critical', 'high', 'medium', 'low', 'info'].includes(sevLower)) {
       findings.push({
         severity: sevLower,
         vulnerability_type: templateId,
+        title: templateId,
         target_url: target.trim(),
+        location: target.trim(),
+        evidence: truncateEvidence(extra.trim() || line),
         tool_used: 'nuclei',
         confidence: 'confirmed',
       });
@@ -117,114 +320,1037 @@ function parseNucleiOutput(output) {
 }
 
 /**
- * Detect findings from Bash tool output only
+ * Structured findings parsers. Each recognises one output format and returns
+ * findings with target_url, location, evidence and cwe where the format has
+ * them. The first parser whose detect() matches handles the output; extra
+ * parsers can be loaded with OBSERVABILITY_FINDING_PARSERS.
  */
-function detectFindings(toolName, output) {
-  const findings = [];
-  if (!output) return findings;
+const FINDING_PARSERS = [
+  {
+    name: 'sarif',
+    detect: (text) => /"\$schema"\s*:\s*"[^"]*sarif/i.test(text) || /"runs"\s*:\s*\[/.test(text) && /"results"/.test(text),
+    parse: (text) => {
+      const sarif = parseJsonLoose(text);
+      const findings = [];
+
+      for (const run of sarif?.runs || []) {
+        const toolName = run.tool?.driver?.name || 'sarif';
+        const rules = new Map((run.tool?.driver?.rules || []).map(rule => [rule.id, rule]));
+
+        for (const result of run.results || []) {
+          const rule = rules.get(result.ruleId) || {};
+          const physical = result.locations?.[0]?.physicalLocation;
+          const securitySeverity = parseFloat(rule.properties?.['security-severity'] || result.properties?.['security-severity']);
+          const severity = !Number.isNaN(securitySeverity)
+            ? (securitySeverity >= 9 ? 'critical' : securitySeverity >= 7 ? 'high' : securitySeverity >= 4 ? 'medium' : 'low')
+            : normalizeSeverity(result.level || rule.defaultConfiguration?.level || 'warning');
+          const cweTag = (rule.properties?.tags || []).find(tag => /cwe/i.test(tag));
+
+          findings.push({
+            severity,
+            vulnerability_type: rule.shortDescription?.text || result.ruleId || 'SARIF result',
+            title: result.message?.text?.split('\n')[0] || result.ruleId,
+            location: physical?.artifactLocation?.uri
+              ? `${physical.artifactLocation.uri}${physical.region?.startLine ? `:${physical.region.startLine}` : ''}`
+              : null,
+            evidence: truncateEvidence(physical?.region?.snippet?.text || result.message?.text),
+            cwe: normalizeCwe(cweTag),
+            tool_used: toolName,
+            confidence: 'likely',
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    name: 'semgrep',
+    detect: (text) => /"results"\s*:\s*\[/.test(text) && /"check_id"/.test(text),
+    parse: (text) => {
+      const report = parseJsonLoose(text);
+      return (report?.results || []).map(result => ({
+        severity: normalizeSeverity(result.extra?.severity),
+        vulnerability_type: result.check_id,
+        title: result.extra?.message?.split('\n')[0] || result.check_id,
+        location: `${result.path}:${result.start?.line || 0}`,
+        evidence: truncateEvidence(result.extra?.lines),
+        cwe: normalizeCwe(result.extra?.metadata?.cwe),
+        tool_used: 'semgrep',
+        confidence: String(result.extra?.metadata?.confidence || '').toUpperCase() === 'HIGH' ? 'likely' : 'possible',
+      }));
+    }
+  },
+  {
+    name: 'nuclei-jsonl',
+    detect: (text) => /"template-id"\s*:/.test(text),
+    parse: (text) => parseJsonLines(text)
+      .filter(result => result['template-id'])
+      .map(result => ({
+        severity: normalizeSeverity(result.info?.severity),
+        vulnerability_type: result.info?.name || result['template-id'],
+        title: result.info?.name || result['template-id'],
+        target_url: result.host || result['matched-at'],
+        location: result['matched-at'] || result.host,
+        evidence: truncateEvidence(
+          result['extracted-results']?.join(', ') || result['matcher-name'] || result['curl-command']
+        ),
+        cwe: normalizeCwe(result.info?.classification?.['cwe-id']),
+        tool_used: 'nuclei',
+        confidence: 'confirmed',
+      }))
+  },
+  {
+    name: 'nuclei',
+    detect: (text) => /\[[\w-]+\]\s*\[(?:http|dns|tcp|ssl|network|file|headless|code|javascript|whois)\]\s*\[(?:critical|high|medium|low|info)\]/i.test(text),
+    parse: (text) => parseNucleiOutput(text)
+  },
+  {
+    name: 'sqlmap',
+    detect: (text) => /sqlmap (identified the following injection point|resumed the following injection point)/i.test(text),
+    parse: (text, context) => {
+      const findings = [];
+      const target = context.command?.match(/(?:-u|--url)[=\s]+['"]?([^'"\s]+)/)?.[1] || null;
+      const blockPattern = /Parameter: ([^\n]+?) \(([^)]+)\)\n([\s\S]*?)(?=\n\s*\n|\n---|\nParameter:|$)/g;
+      let match;
+
+      while ((match = blockPattern.exec(text)) !== null) {
+        const [, parameter, place, details] = match;
+        const types = [...details.matchAll(/Type: ([^\n]+)/g)].map(m => m[1].trim());
+        const payloads = [...details.matchAll(/Payload: ([^\n]+)/g)].map(m => m[1].trim());
+
+        findings.push({
+          severity: 'high',
+          vulnerability_type: 'SQL Injection',
+          title: `SQL injection in ${place} parameter "${parameter}"`,
+          target_url: target,
+          location: `${place} parameter ${parameter}`,
+          evidence: truncateEvidence([...types.map(t => `Type: ${t}`), ...payloads.map(p => `Payload: ${p}`)].join('\n')),
+          cwe: 'CWE-89',
+          tool_used: 'sqlmap',
+          confidence: 'confirmed',
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    name: 'ffuf',
+    detect: (text) => /"commandline"\s*:\s*"ffuf/.test(text) || /"input"\s*:\s*\{[^}]*"FUZZ"/.test(text),
+    parse: (text) => {
+      const report = parseJsonLoose(text);
+      const results = Array.isArray(report?.results) ? report.results : parseJsonLines(text).filter(r => r.input && r.url);
+
+      return results.map(result => ({
+        severity: 'info',
+        vulnerability_type: 'Content Discovery',
+        title: `Discovered ${result.url}`,
+        target_url: result.url,
+        location: (() => {
+          try {
+            return new URL(result.url).pathname;
+          } catch {
+            return result.url;
+          }
+        })(),
+        evidence: truncateEvidence(`Status ${result.status}, ${result.length} bytes, ${result.words} words${result.redirectlocation ? `, redirects to ${result.redirectlocation}` : ''}`),
+        cwe: null,
+        wstg_id: 'WSTG-CONF-04',
+        tool_used: 'ffuf',
+        confidence: 'confirmed',
+      }));
+    }
+  },
+  {
+    name: 'nmap-xml',
+    detect: (text) => /<nmaprun[\s>]/.test(text),
+    parse: (text) => {
+      const findings = [];
+
+      for (const [hostBlock] of text.matchAll(/<host[\s>][\s\S]*?<\/host>/g)) {
+        const addressTag = hostBlock.match(/<address [^>]*addrtype="ipv[46]"[^>]*>/)?.[0] || '';
+        const hostnameTag = hostBlock.match(/<hostname [^>]*>/)?.[0] || '';
+        const host = xmlAttr(hostnameTag, 'name') || xmlAttr(addressTag, 'addr');
+
+        for (const [portBlock] of hostBlock.matchAll(/<port [\s\S]*?<\/port>/g)) {
+          if (!/<state state="open"/.test(portBlock)) continue;
+          const portTag = portBlock.match(/<port [^>]*>/)[0];
+          const serviceTag = portBlock.match(/<service [^>]*>/)?.[0] || '';
+          const location = `${xmlAttr(portTag, 'protocol')}/${xmlAttr(portTag, 'portid')}`;
+          const service = [xmlAttr(serviceTag, 'name'), xmlAttr(serviceTag, 'product'), xmlAttr(serviceTag, 'version')]
+            .filter(Boolean).join(' ');
+
+          findings.push({
+            severity: 'info',
+            vulnerability_type: 'Open Port',
+            title: `Open port ${location}${service ? ` (${service})` : ''}`,
+            target_url: host,
+            location,
+            evidence: truncateEvidence(service || null),
+            cwe: null,
+            wstg_id: 'WSTG-INFO-04',
+            tool_used: 'nmap',
+            confidence: 'confirmed',
+          });
+
+          // NSE scripts that report a vulnerability (vulners, vuln category, ...)
+          for (const [scriptTag] of portBlock.matchAll(/<script [^>]*>/g)) {
+            const scriptOutput = xmlAttr(scriptTag, 'output') || '';
+            if (!/VULNERABLE|CVE-\d{4}-\d+/.test(scriptOutput)) continue;
+            findings.push({
+              severity: /VULNERABLE/.test(scriptOutput) ? 'high' : 'medium',
+              vulnerability_type: xmlAttr(scriptTag, 'id'),
+              title: `${xmlAttr(scriptTag, 'id')} on ${location}`,
+              target_url: host,
+              location,
+              evidence: truncateEvidence(scriptOutput),
+              cwe: null,
+              tool_used: 'nmap',
+              confidence: /VULNERABLE/.test(scriptOutput) ? 'likely' : 'possible',
+            });
+          }
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    name: 'zap',
+    detect: (text) => /"site"\s*:\s*\[/.test(text) && /"alerts"\s*:/.test(text),
+    parse: (text) => {
+      const report = parseJsonLoose(text);
+      const risk = { 0: 'info', 1: 'low', 2: 'medium', 3: 'high' };
+      const findings = [];
+
+      for (const site of [].concat(report?.site || [])) {
+        for (const alert of site.alerts || []) {
+          const instance = alert.instances?.[0] || {};
+          findings.push({
+            severity: risk[parseInt(alert.riskcode)] || 'medium',
+            vulnerability_type: alert.name || alert.alert,
+            title: alert.name || alert.alert,
+            target_url: site['@name'] || null,
+            location: [instance.method, instance.uri, instance.param ? `(${instance.param})` : null].filter(Boolean).join(' ') || null,
+            evidence: truncateEvidence(instance.evidence || alert.otherinfo),
+            cwe: alert.cweid && alert.cweid !== '-1' ? `CWE-${alert.cweid}` : null,
+            tool_used: 'zap',
+            confidence: parseInt(alert.confidence) >= 4 ? 'confirmed' : parseInt(alert.confidence) >= 2 ? 'likely' : 'possible',
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    name: 'burp',
+    detect: (text) => /<issues [^>]*burpVersion/.test(text),
+    parse: (text) => {
+      const confidence = { certain: 'confirmed', firm: 'likely', tentative: 'possible' };
+
+      return [...text.matchAll(/<issue>([\s\S]*?)<\/issue>/g)].map(([, issue]) => ({
+        severity: normalizeSeverity(xmlTag(issue, 'severity')),
+        vulnerability_type: xmlTag(issue, 'name'),
+        title: xmlTag(issue, 'name'),
+        target_url: xmlTag(issue, 'host'),
+        location: xmlTag(issue, 'location') || xmlTag(issue, 'path'),
+        evidence: truncateEvidence(xmlTag(issue, 'issueDetail')?.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ')),
+        cwe: normalizeCwe(xmlTag(issue, 'vulnerabilityClassifications')?.match(/CWE-\d+/)?.[0]),
+        tool_used: 'burp',
+        confidence: confidence[String(xmlTag(issue, 'confidence')).toLowerCase()] || 'possible',
+      }));
+    }
+  },
+];
+
+let customParsersLoaded = false;
+
+/**
+ * Load extra parsers from OBSERVABILITY_FINDING_PARSERS (comma-separated module
+ * paths, each default-exporting a parser or a list of them). They run first.
+ */
+async function loadCustomFindingParsers() {
+  if (customParsersLoaded) return;
+  customParsersLoaded = true;
+
+  for (const modulePath of (process.env.OBSERVABILITY_FINDING_PARSERS || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    try {
+      const module = await import(path.resolve(modulePath));
+      const parsers = [].concat(module.default || []).filter(parser => parser?.name && parser.detect && parser.parse);
+      FINDING_PARSERS.unshift(...parsers);
+      console.log(`[Observability] Loaded finding parsers: ${parsers.map(parser => parser.name).join(', ')}`);
+    } catch (error) {
+      console.error(`[Observability] Failed to load finding parser ${modulePath}:`, error?.message || error);
+    }
+  }
+}
+
+function wstgIdFor(finding) {
+  if (finding.wstg_id) return finding.wstg_id;
+  if (finding.cwe && CWE_WSTG[finding.cwe]) return CWE_WSTG[finding.cwe];
+  for (const [id, wstgPattern] of Object.entries(WSTG_PATTERNS)) {
+    if (wstgPattern.test(`${finding.vulnerability_type} ${finding.title || ''}`)) return id;
+  }
+  return null;
+}
+
+/**
+ * Regex heuristics for plain Bash output no structured parser recognised
+ */
+function detectHeuristicFindings(toolName, outputStr) {
+  for (const [vulnType, pattern] of Object.entries(VULN_PATTERNS)) {
+    const match = outputStr.match(pattern);
+    if (!match) continue;
+
+    let severity = 'medium';
+    for (const [sev, sevPattern] of Object.entries(SEVERITY_PATTERNS)) {
+      if (sevPattern.test(outputStr)) {
+        severity = sev;
+        break;
+      }
+    }
+
+    // The line the indicator was found on
+    const lineStart = outputStr.lastIndexOf('\n', match.index) + 1;
+    const lineEnd = outputStr.indexOf('\n', match.index);
 
-  if (!SECURITY_SCAN_TOOLS.includes(toolName)) {
-    return findings;
+    return [{
+      severity,
+      vulnerability_type: vulnType,
+      evidence: truncateEvidence(outputStr.slice(lineStart, lineEnd === -1 ? undefined : lineEnd)),
+      cwe: VULN_CWES[vulnType] || null,
+      tool_used: toolName,
+      confidence: 'confirmed',
+    }];
   }
 
+  return [];
+}
+
+/**
+ * Detect findings in a tool's output. Structured parsers handle known report
+ * formats from any non-file tool (including MCP tools); Bash output that no
+ * parser recognises falls back to the regex heuristics.
+ */
+function detectFindings(toolName, output, args = {}) {
+  if (!output || UNSCANNED_TOOLS.includes(String(toolName).toLowerCase())) return [];
+
   const outputStr = typeof output === 'string' ? output : JSON.stringify(output);
+  const context = { toolName, command: typeof args.command === 'string' ? args.command : '' };
+
+  let findings = [];
+  for (const parser of FINDING_PARSERS) {
+    try {
+      if (!parser.detect(outputStr, context)) continue;
+      findings = parser.parse(outputStr, context) || [];
+    } catch (error) {
+      console.error(`[Observability] Finding parser ${parser.name} failed:`, error?.message || error);
+      continue;
+    }
+    if (findings.length > 0) break;
+  }
 
-  const nucleiFindings = parseNucleiOutput(outputStr);
-  if (nucleiFindings.length > 0) {
-    return nucleiFindings;
+  if (findings.length === 0 && SECURITY_SCAN_TOOLS.includes(toolName)) {
+    findings = detectHeuristicFindings(toolName, outputStr);
   }
 
-  for (const [vulnType, pattern] of Object.entries(VULN_PATTERNS)) {
-    if (pattern.test(outputStr)) {
-      let severity = 'medium';
-      for (const [sev, sevPattern] of Object.entries(SEVERITY_PATTERNS)) {
-        if (sevPattern.test(outputStr)) {
-          severity = sev;
-          break;
+  return findings.slice(0, MAX_FINDINGS_PER_OUTPUT).map(finding => ({
+    ...finding,
+    wstg_id: wstgIdFor(finding),
+  }));
+}
+
+/**
+ * Check whether another process still owns a spool file
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Rewrite the spool file so it mirrors the in-memory queue
+ */
+function persistSpool() {
+  if (!spoolFile) return;
+  try {
+    if (deliveryQueue.length === 0) {
+      fs.rmSync(spoolFile, { force: true });
+      return;
+    }
+    const tmpFile = `${spoolFile}.tmp`;
+    fs.writeFileSync(tmpFile, deliveryQueue.map(item => JSON.stringify(item)).join('\n') + '\n');
+    fs.renameSync(tmpFile, spoolFile);
+  } catch (error) {
+    if (process.env.OBSERVABILITY_DEBUG) {
+      console.error(`[Observability] Failed to persist spool: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Open this process's spool file and claim spools left behind by earlier runs
+ * that reported to the same server, with the same API key and workspace
+ */
+function initSpool() {
+  if (spoolFile) return;
+
+  try {
+    fs.mkdirSync(SPOOL_TARGET_DIR, { recursive: true });
+    spoolFile = path.join(SPOOL_TARGET_DIR, `spool-${process.pid}-${Date.now()}.jsonl`);
+
+    for (const name of fs.readdirSync(SPOOL_TARGET_DIR).sort()) {
+      // spool-<pid>-<ts>.jsonl, or spool-...jsonl.replay-<pid> if a replay was interrupted
+      const ownerMatch = name.match(/\.replay-(\d+)$/) || name.match(/^spool-(\d+)-\d+\.jsonl$/);
+      if (!ownerMatch) continue;
+      const ownerPid = parseInt(ownerMatch[1]);
+      if (ownerPid === process.pid || isProcessAlive(ownerPid)) continue;
+
+      const file = path.join(SPOOL_TARGET_DIR, name);
+      const claimedFile = `${file.replace(/\.replay-\d+$/, '')}.replay-${process.pid}`;
+      try {
+        fs.renameSync(file, claimedFile);
+      } catch {
+        continue; // Another process claimed it first
+      }
+
+      const lines = fs.readFileSync(claimedFile, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          deliveryQueue.push(JSON.parse(line));
+        } catch {
+          // Skip lines torn by a crash mid-write
         }
       }
+      persistSpool();
+      fs.rmSync(claimedFile, { force: true });
+    }
+  } catch (error) {
+    if (process.env.OBSERVABILITY_DEBUG) {
+      console.error(`[Observability] Spool unavailable, buffering in memory only: ${error.message}`);
+    }
+  }
 
-      let wstgId = null;
-      for (const [id, wstgPattern] of Object.entries(WSTG_PATTERNS)) {
-        if (wstgPattern.test(vulnType)) {
-          wstgId = id;
-          break;
+  if (process.env.OBSERVABILITY_DEBUG && deliveryQueue.length > 0) {
+    console.log(`[Observability] Replaying ${deliveryQueue.length} spooled items`);
+  }
+}
+
+/**
+ * Schedule the next delivery attempt (no-op if one is already pending)
+ */
+function scheduleFlush(delayMs) {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushQueue();
+  }, delayMs);
+  // Never keep OpenCode alive just to deliver telemetry; the spool survives exit
+  flushTimer.unref?.();
+}
+
+/**
+ * POST a JSON body. Throws on network errors, timeouts and retryable statuses,
+ * returns false for requests the server rejected outright.
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'OpenCode-Observability-Plugin/2.0',
+      ...SERVER_HEADERS
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (response.status >= 500 || response.status === 429) {
+    throw new Error(`Server responded ${response.status}`);
+  }
+  // A missing or wrong API key - keep the spool until it is fixed rather than drop it
+  if (response.status === 401) {
+    console.error(`[Observability] ${url} refused the API key (401); check OBSERVABILITY_API_KEY`);
+    throw new Error(`Server responded ${response.status}`);
+  }
+  // The key is fine but may not post this item (e.g. another source_app). Retrying
+  // would not change that and would hold up everything queued behind it.
+  if (response.status === 403) {
+    console.error(`[Observability] Dropping delivery to ${url} the API key may not post (403)`);
+    return false;
+  }
+  if (!response.ok && process.env.OBSERVABILITY_DEBUG) {
+    console.error(`[Observability] Dropping rejected delivery to ${url}: ${response.status}`);
+  }
+  return response.ok;
+}
+
+/**
+ * Deliver queued items in order: runs of events go through the batch
+ * endpoint, metrics are posted to their own endpoints one by one.
+ * On failure the queue stays spooled and delivery backs off exponentially.
+ */
+async function flushQueue() {
+  if (flushing || deliveryQueue.length === 0) return;
+  flushing = true;
+
+  try {
+    let requests = 0;
+    while (deliveryQueue.length > 0 && requests < MAX_REQUESTS_PER_FLUSH) {
+      const head = deliveryQueue[0];
+      let count = 1;
+
+      if (head.kind === 'event') {
+        while (count < deliveryQueue.length && count < BATCH_SIZE && deliveryQueue[count].kind === 'event') {
+          count++;
         }
+        await postJson(BATCH_URL, { events: deliveryQueue.slice(0, count).map(item => item.data) });
+      } else {
+        await postJson(`${METRICS_BASE_URL}${head.endpoint}`, head.data);
       }
 
-      findings.push({
-        severity,
-        vulnerability_type: vulnType,
-        wstg_id: wstgId,
-        tool_used: toolName,
-        confidence: 'confirmed',
+      deliveryQueue.splice(0, count);
+      requests++;
+    }
+    backoffMs = 0;
+  } catch (error) {
+    backoffMs = Math.min(MAX_BACKOFF_MS, Math.max(FLUSH_INTERVAL_MS, backoffMs * 2));
+    if (process.env.OBSERVABILITY_DEBUG) {
+      console.error(`[Observability] Delivery failed (${deliveryQueue.length} queued), retrying in ${backoffMs}ms: ${error.message}`);
+    }
+  } finally {
+    persistSpool();
+    flushing = false;
+  }
+
+  if (deliveryQueue.length > 0) {
+    const jitterMs = backoffMs ? Math.floor(Math.random() * backoffMs * 0.2) : 0;
+    scheduleFlush(backoffMs ? backoffMs + jitterMs : 0);
+  }
+}
+
+/**
+ * Append an item to the spool and schedule delivery
+ */
+function enqueue(item) {
+  initSpool();
+  deliveryQueue.push(item);
+
+  // Never trim while a flush is in flight - it addresses the queue head by position
+  if (deliveryQueue.length > MAX_SPOOL_ITEMS && !flushing) {
+    const dropped = deliveryQueue.splice(0, deliveryQueue.length - MAX_SPOOL_ITEMS);
+    if (process.env.OBSERVABILITY_DEBUG) {
+      console.error(`[Observability] Spool full, dropped ${dropped.length} oldest items`);
+    }
+    persistSpool();
+  } else if (spoolFile) {
+    try {
+      fs.appendFileSync(spoolFile, JSON.stringify(item) + '\n');
+    } catch (error) {
+      if (process.env.OBSERVABILITY_DEBUG) {
+        console.error(`[Observability] Failed to spool item: ${error.message}`);
+      }
+    }
+  }
+
+  // While backing off, the pending retry timer already covers this item
+  if (!backoffMs) {
+    scheduleFlush(deliveryQueue.length >= BATCH_SIZE ? 0 : FLUSH_INTERVAL_MS);
+  }
+}
+
+// Built-in detectors, kept in step with the server's (apps/server/src/redaction.ts).
+// Multi-line and structured secrets go before the generic ones.
+const BUILTIN_DETECTORS = [
+  { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'jwt', pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{5,}/g },
+  { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe_key', pattern: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { name: 'google_api_key', pattern: /\bAIza[A-Za-z0-9_-]{35}\b/g },
+  { name: 'api_key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'bearer_token', pattern: /(?<=\b(?:Bearer|Basic|Token)\s+)[A-Za-z0-9._~+\/-]{8,}=*/gi },
+  { name: 'url_credentials', pattern: /(?<=[a-z][a-z0-9+.-]*:\/\/[^\/\s:@]+:)[^\/\s@]+(?=@)/gi },
+  {
+    name: 'password',
+    pattern: /(?<=(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key)["']?\s*[:=]\s*["']?|--password[= ])[^\s"'&;,]{4,}/gi
+  },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+];
+
+/**
+ * Detectors to run: the built-ins (or those named in REDACTION_DETECTORS or
+ * the file), plus the custom rules from REDACTION_FILE
+ */
+function loadRedactionRules() {
+  if (!REDACTION_ENABLED) return [];
+
+  let file = {};
+  if (REDACTION_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(REDACTION_FILE, 'utf8'));
+    } catch (error) {
+      console.error(`[Observability] Failed to load redaction file ${REDACTION_FILE}:`, error?.message || error);
+    }
+  }
+
+  const names = REDACTION_DETECTORS
+    ? REDACTION_DETECTORS.split(',').map(name => name.trim()).filter(Boolean)
+    : Array.isArray(file.detectors) ? file.detectors : null;
+  const rules = BUILTIN_DETECTORS.filter(detector => !names || names.includes(detector.name));
+
+  for (const rule of Array.isArray(file.rules) ? file.rules : []) {
+    try {
+      const flags = String(rule.flags || '').replace('g', '');
+      rules.push({ name: String(rule.name || 'custom'), pattern: new RegExp(rule.pattern, `${flags}g`) });
+    } catch (error) {
+      console.error(`[Observability] Invalid redaction rule ${rule?.name}:`, error?.message || error);
+    }
+  }
+  return rules;
+}
+
+const redactionRules = loadRedactionRules();
+
+/**
+ * Mask secrets in the strings of a value (recursively). Each field that had
+ * something masked is recorded in `records` under its path.
+ */
+function redactValue(value, fieldPath, records, depth = 0) {
+  if (typeof value === 'string') {
+    const found = new Map();
+    let result = value;
+    for (const rule of redactionRules) {
+      rule.pattern.lastIndex = 0;
+      result = result.replace(rule.pattern, match => {
+        if (match.startsWith('[REDACTED')) return match;
+        found.set(rule.name, (found.get(rule.name) || 0) + 1);
+        return `[REDACTED:${rule.name}]`;
       });
-      break;
     }
+    if (found.size > 0) {
+      records.push({
+        field: fieldPath,
+        detectors: [...found.keys()],
+        count: [...found.values()].reduce((sum, count) => sum + count, 0),
+        by: 'plugin'
+      });
+    }
+    return result;
   }
+  if (!value || typeof value !== 'object' || depth >= 20) return value;
 
-  return findings;
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactValue(item, `${fieldPath}[${index}]`, records, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, redactValue(item, fieldPath ? `${fieldPath}.${key}` : key, records, depth + 1)])
+  );
+}
+
+/**
+ * Queue event for delivery to the observability server.
+ * Returns the client-side event ID the server deduplicates on.
+ */
+function sendEvent(eventType, payload, sessionId, sourceApp, modelName = '', humanInTheLoop = null) {
+  const redactions = [];
+  const eventData = {
+    event_id: randomUUID(),
+    source_app: sourceApp,
+    session_id: sessionId || 'unknown',
+    hook_event_type: eventType,
+    payload: redactValue(payload, 'payload', redactions),
+    timestamp: Date.now(),
+    model_name: modelName,
+    ...(humanInTheLoop ? {
+      humanInTheLoop: { ...humanInTheLoop, question: redactValue(humanInTheLoop.question, 'humanInTheLoop.question', redactions) }
+    } : {})
+  };
+  if (redactions.length > 0) eventData.redactions = redactions;
+
+  enqueue({ kind: 'event', data: eventData });
+  return eventData.event_id;
+}
+
+/**
+ * Queue metric for delivery to the observability server
+ */
+function sendMetric(endpoint, data) {
+  enqueue({ kind: 'metric', endpoint, data: redactValue(data, '', []) });
+  return true;
+}
+
+// File extensions that look like top-level domains in "name.ext" tokens
+const FILE_EXTENSIONS = new Set([
+  'txt', 'json', 'xml', 'html', 'htm', 'js', 'ts', 'py', 'rb', 'go', 'sh', 'md', 'yml', 'yaml',
+  'log', 'csv', 'conf', 'cfg', 'ini', 'out', 'lst', 'tmp', 'bak', 'jsonl', 'pcap', 'zip', 'gz', 'tar'
+]);
+
+/**
+ * Best-effort extraction of the hosts a tool call would touch: URLs, IPv4
+ * addresses/CIDRs, user@host and bare domain names in the arguments.
+ */
+function extractTargetHosts(toolName, args) {
+  const hosts = new Set();
+  const texts = [args?.url, args?.command, args?.target, args?.host].filter(v => typeof v === 'string');
+
+  for (const text of texts) {
+    for (const raw of text.split(/[\s'"`;|&<>()=,]+/)) {
+      const token = raw.trim();
+      if (!token) continue;
+
+      if (token.includes('://')) {
+        try {
+          hosts.add(new URL(token).hostname.toLowerCase());
+        } catch {
+          // Not a URL after all
+        }
+        continue;
+      }
+
+      const candidate = token.replace(/^[^@]*@/, '').replace(/:\d+(\/.*)?$/, '').replace(/\/.*$/, (rest) =>
+        /^\/\d{1,2}$/.test(rest) ? rest : ''
+      );
+      if (/^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/.test(candidate)) {
+        hosts.add(candidate);
+      } else if (/^([a-z0-9-]+\.)+[a-z]{2,}$/i.test(candidate) && !FILE_EXTENSIONS.has(candidate.split('.').pop().toLowerCase())) {
+        hosts.add(candidate.toLowerCase());
+      }
+    }
+  }
+
+  return Array.from(hosts);
+}
+
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((acc, octet) => (acc * 256) + parseInt(octet), 0);
+}
+
+function ipInCidr(ip, cidr) {
+  const [range, bits = '32'] = cidr.split('/');
+  const maskBits = parseInt(bits);
+  if (maskBits === 0) return true;
+  const divisor = 2 ** (32 - maskBits);
+  return Math.floor(ipv4ToNumber(ip) / divisor) === Math.floor(ipv4ToNumber(range) / divisor);
 }
 
 /**
- * Send event to observability server
+ * Whether a host is covered by a scope of host patterns ("example.com",
+ * "*.example.com") and IPv4 CIDRs. Hosts given as CIDRs must lie entirely inside one.
  */
-async function sendEvent(eventType, payload, sessionId, sourceApp, modelName = '') {
+function isHostInScope(host, scope) {
+  const ipMatch = host.match(/^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/);
+  if (ipMatch) {
+    return (scope?.cidrs || []).some(cidr =>
+      ipInCidr(ipMatch[1], cidr) && parseInt(ipMatch[2] || '32') >= parseInt(cidr.split('/')[1] || '32')
+    ) || (scope?.hosts || []).includes(ipMatch[1]);
+  }
+
+  return (scope?.hosts || []).some(pattern => {
+    const p = String(pattern).toLowerCase();
+    if (p.startsWith('*.')) return host === p.slice(2) || host.endsWith(p.slice(1));
+    return host === p;
+  });
+}
+
+/**
+ * Compile a policy document: invalid rules are skipped with a warning
+ */
+function compilePolicy(document) {
+  const rules = [];
+
+  for (const [index, rule] of (document?.rules || []).entries()) {
+    try {
+      if (!['allow', 'deny', 'ask'].includes(rule.action)) throw new Error(`unknown action "${rule.action}"`);
+      rules.push({
+        ...rule,
+        id: rule.id || `rule-${index + 1}`,
+        tools: rule.tool ? [].concat(rule.tool).map(t => String(t).toLowerCase()) : ['*'],
+        patterns: Object.entries(rule.match || {}).map(([field, pattern]) => [field, new RegExp(pattern, 'i')])
+      });
+    } catch (error) {
+      console.error(`[Observability] Skipping policy rule ${rule?.id || index + 1}: ${error.message}`);
+    }
+  }
+
+  return { default: document?.default || 'allow', scope: document?.scope || null, rules };
+}
+
+function loadPolicyFile() {
   try {
-    const eventData = {
-      source_app: sourceApp,
-      session_id: sessionId || 'unknown',
-      hook_event_type: eventType,
-      payload: payload,
-      timestamp: Date.now(),
-      model_name: modelName
-    };
-
-    const response = await fetch(SERVER_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'OpenCode-Observability-Plugin/2.0'
-      },
-      body: JSON.stringify(eventData)
-    });
+    const stat = fs.statSync(POLICY_FILE);
+    if (activePolicy && stat.mtimeMs === policyFileMtimeMs) return;
+
+    const text = fs.readFileSync(POLICY_FILE, 'utf8');
+    const document = /\.ya?ml$/i.test(POLICY_FILE) ? Bun.YAML.parse(text) : JSON.parse(text);
+    activePolicy = compilePolicy(document);
+    policyFileMtimeMs = stat.mtimeMs;
+  } catch (error) {
+    console.error(`[Observability] Failed to load policy file ${POLICY_FILE}:`, error?.message || error);
+  }
+}
 
-    if (!response.ok && process.env.OBSERVABILITY_DEBUG) {
-      console.error(`[Observability] Failed to send event: ${response.status}`);
+async function fetchServerPolicy() {
+  policyLoadedAt = Date.now();
+  try {
+    const response = await fetch(`${METRICS_BASE_URL}/api/policies`, {
+      headers: SERVER_HEADERS,
+      signal: AbortSignal.timeout(5000)
+    });
+    if (response.ok) {
+      activePolicy = compilePolicy(await response.json());
     }
   } catch (error) {
+    // Keep the last policy we had while the server is unreachable
     if (process.env.OBSERVABILITY_DEBUG) {
-      console.error(`[Observability] Error sending event: ${error.message}`);
+      console.log('[Observability] Policy fetch failed:', error?.message || error);
+    }
+  }
+}
+
+/**
+ * Current policy, refreshing it when the file changed or the server copy is stale
+ */
+async function getPolicy() {
+  if (POLICY_FILE) {
+    loadPolicyFile();
+  } else if (policyLoadedAt === 0) {
+    // The first tool call waits, so guardrails apply from the start
+    await fetchServerPolicy();
+  } else if (POLICY_REFRESH_MS > 0 && Date.now() - policyLoadedAt >= POLICY_REFRESH_MS) {
+    fetchServerPolicy();
+  }
+  return activePolicy;
+}
+
+/**
+ * Evaluate a tool call against the policy. The first matching rule decides;
+ * without one the policy default applies.
+ * Rule conditions (all optional, all must hold):
+ *   tool    - tool name or list of names
+ *   match   - { argument: regex }, e.g. { "command": "rm\\s+-rf\\s+/" }
+ *   hosts   - "outside_scope" / "inside_scope": any target host outside / all inside policy.scope
+ *   paths   - "outside_worktree" / "inside_worktree" for the file path argument
+ */
+function evaluatePolicy(policy, toolName, args, context) {
+  const tool = String(toolName).toLowerCase();
+  const values = {
+    command: args?.command,
+    file_path: args?.filePath || args?.file_path || args?.path,
+    url: args?.url,
+    pattern: args?.pattern,
+    query: args?.query,
+    content: args?.content
+  };
+  const hosts = extractTargetHosts(toolName, args);
+  const filePath = values.file_path ? path.resolve(context.worktree || '.', String(values.file_path)) : null;
+  const inWorktree = filePath && context.worktree
+    ? !path.relative(context.worktree, filePath).startsWith('..')
+    : null;
+
+  for (const rule of policy.rules) {
+    if (!rule.tools.includes('*') && !rule.tools.includes(tool)) continue;
+    if (!rule.patterns.every(([field, regex]) => regex.test(String(values[field] ?? args?.[field] ?? '')))) continue;
+
+    if (rule.hosts) {
+      const outside = hosts.filter(host => !isHostInScope(host, context.scope || policy.scope));
+      if (rule.hosts === 'outside_scope' && outside.length === 0) continue;
+      if (rule.hosts === 'inside_scope' && (hosts.length === 0 || outside.length > 0)) continue;
+    }
+    if (rule.paths) {
+      if (inWorktree === null) continue;
+      if (rule.paths === 'outside_worktree' && inWorktree) continue;
+      if (rule.paths === 'inside_worktree' && !inWorktree) continue;
+    }
+
+    return { action: rule.action, rule_id: rule.id, reason: rule.reason || null, hosts };
+  }
+
+  return { action: policy.default, rule_id: null, reason: null, hosts };
+}
+
+/**
+ * URLs in the arguments a tool call would fetch (e.g. WebFetch's url, curl targets)
+ */
+function extractTargetUrls(args) {
+  const urls = new Set();
+  const texts = [args?.url, args?.command, args?.target, args?.host].filter(v => typeof v === 'string');
+
+  for (const text of texts) {
+    for (const match of text.matchAll(/[a-z][a-z0-9+.-]*:\/\/[^\s'"`;|&<>()]+/gi)) {
+      try {
+        urls.add(new URL(match[0]).href);
+      } catch {
+        // Not a URL after all
+      }
     }
   }
+
+  return Array.from(urls);
+}
+
+function globToRegExp(glob) {
+  const source = String(glob).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Prepare an engagement from the server for scope checks
+ */
+function compileEngagement(engagement) {
+  const urlPatterns = engagement.url_patterns || [];
+  return {
+    id: engagement.id,
+    name: engagement.name,
+    client_name: engagement.client_name || null,
+    target_url: engagement.target_url || null,
+    hosts: engagement.hosts || [],
+    cidrs: engagement.cidrs || [],
+    starts_at: engagement.starts_at || null,
+    ends_at: engagement.ends_at || null,
+    enforcement: engagement.enforcement || 'flag',
+    urlPatterns: urlPatterns.map(globToRegExp),
+    // A url pattern also puts its host in scope for non-HTTP tools (nmap, ssh, ...)
+    patternHosts: urlPatterns
+      .map(pattern => String(pattern).match(/^[a-z][a-z0-9+.-]*:\/\/([^/:?#]+)/i)?.[1])
+      .filter(Boolean)
+      .map(globToRegExp)
+  };
 }
 
 /**
- * Send metric to observability server
+ * Targets of a tool call outside an engagement's scope, or null when there
+ * are none. URLs must match a url pattern or have an in-scope host; other
+ * hosts must be in the hosts / CIDRs or be a url pattern's host. Outside the
+ * testing window every target is out of scope.
  */
-async function sendMetric(endpoint, data) {
+function evaluateScope(engagement, toolName, args, now = Date.now()) {
+  const urls = extractTargetUrls(args);
+  const urlHosts = new Set(urls.map(url => new URL(url).hostname.toLowerCase()));
+  const hosts = extractTargetHosts(toolName, args).filter(host => !urlHosts.has(host));
+  if (urls.length === 0 && hosts.length === 0) return null;
+
+  if ((engagement.starts_at && now < engagement.starts_at) || (engagement.ends_at && now > engagement.ends_at)) {
+    return { targets: [...urls, ...hosts], reason: `outside the testing window of engagement "${engagement.name}"` };
+  }
+  // An engagement without a scope only restricts when testing may happen
+  if (engagement.hosts.length === 0 && engagement.cidrs.length === 0 && engagement.urlPatterns.length === 0) {
+    return null;
+  }
+
+  const outside = [
+    ...urls.filter(url =>
+      !engagement.urlPatterns.some(regex => regex.test(url) || regex.test(url.replace(/\/$/, ''))) &&
+      !isHostInScope(new URL(url).hostname.toLowerCase(), engagement)
+    ),
+    ...hosts.filter(host =>
+      !isHostInScope(host, engagement) && !engagement.patternHosts.some(regex => regex.test(host))
+    )
+  ];
+
+  return outside.length > 0
+    ? { targets: outside, reason: `not in the scope of engagement "${engagement.name}"` }
+    : null;
+}
+
+async function fetchEngagement() {
+  engagementLoadedAt = Date.now();
   try {
-    const response = await fetch(`${METRICS_BASE_URL}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'OpenCode-Observability-Plugin/2.0'
-      },
-      body: JSON.stringify(data)
+    const query = /^\d+$/.test(ENGAGEMENT) ? `/${ENGAGEMENT}` : `?name=${encodeURIComponent(ENGAGEMENT)}`;
+    const response = await fetch(`${METRICS_BASE_URL}/api/engagements${query}`, {
+      headers: SERVER_HEADERS,
+      signal: AbortSignal.timeout(5000)
     });
+    const body = response.ok ? await response.json() : null;
+    const engagement = Array.isArray(body) ? body[0] : body;
 
-    if (!response.ok && process.env.OBSERVABILITY_DEBUG) {
-      console.error(`[Observability] Failed to send metric to ${endpoint}: ${response.status}`);
+    if (engagement) {
+      activeEngagement = compileEngagement(engagement);
+    } else if (response.ok || response.status === 404) {
+      console.error(`[Observability] Engagement "${ENGAGEMENT}" not found; targets are not checked against a scope`);
     }
-    return response.ok;
   } catch (error) {
+    // Keep the last engagement we had while the server is unreachable
     if (process.env.OBSERVABILITY_DEBUG) {
-      console.error(`[Observability] Error sending metric: ${error.message}`);
+      console.log('[Observability] Engagement fetch failed:', error?.message || error);
     }
-    return false;
   }
 }
 
+/**
+ * Engagement this run is linked to, refreshing it when stale (null without one)
+ */
+async function getEngagement() {
+  if (!ENGAGEMENT) return null;
+  if (engagementLoadedAt === 0) {
+    await fetchEngagement();
+  } else if (ENGAGEMENT_REFRESH_MS > 0 && Date.now() - engagementLoadedAt >= ENGAGEMENT_REFRESH_MS) {
+    fetchEngagement();
+  }
+  return activeEngagement;
+}
+
+/**
+ * Start the local socket the server relays dashboard responses to (once per process).
+ * Each request gets its own path, so a response can only answer the request it was for.
+ */
+function startHitlServer() {
+  if (hitlServer) return hitlServer;
+
+  hitlServer = Bun.serve({
+    hostname: HITL_BIND,
+    port: HITL_PORT,
+    fetch(req, server) {
+      const requestId = new URL(req.url).pathname.split('/').pop();
+      if (pendingHitl.has(requestId) && server.upgrade(req, { data: { requestId } })) return;
+      return new Response('Unknown HITL request', { status: 404 });
+    },
+    websocket: {
+      message(ws, message) {
+        const respond = pendingHitl.get(ws.data.requestId);
+        try {
+          if (respond) respond(JSON.parse(String(message)));
+        } catch (error) {
+          console.error('[Observability] Invalid HITL response:', error?.message || error);
+        }
+        ws.close();
+      }
+    }
+  });
+  // Never keep the process alive just for this socket
+  hitlServer.unref();
+
+  console.log(`[Observability] HITL responses on ws://${HITL_HOST}:${hitlServer.port}`);
+  return hitlServer;
+}
+
+/**
+ * Register a HITL request. Returns its response URL and a promise for the
+ * dashboard's response, which resolves to null after HITL_TIMEOUT_SEC.
+ */
+function openHitlRequest() {
+  const server = startHitlServer();
+  const requestId = randomUUID();
+
+  const response = new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingHitl.delete(requestId);
+      resolve(null);
+    }, HITL_TIMEOUT_SEC * 1000);
+
+    pendingHitl.set(requestId, (hitlResponse) => {
+      clearTimeout(timer);
+      pendingHitl.delete(requestId);
+      resolve(hitlResponse);
+    });
+  });
+
+  return { requestId, url: `ws://${HITL_HOST}:${server.port}/hitl/${requestId}`, response };
+}
+
 /**
  * Main plugin export
  */
@@ -262,12 +1388,28 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
   const errorTypes = {};
   const modelsUsed = new Set();
 
+  // Budget enforcement
+  let budgetStop = null; // Why the run was stopped, once a cap is hit
+  let lastBudgetPoll = 0;
+  let opencodeSessionId = null; // Needed to abort through the OpenCode client
+
+  // Agent hierarchy - subagents run in child OpenCode sessions, so events are
+  // attributed to the agent whose OpenCode session they come from. This
+  // plugin's own agent is the root.
+  const ROOT_AGENT_ID = 'root';
+  const agentsBySession = new Map(); // OpenCode session id -> { agent_id, agent_name, parent_agent_id }
+  const pendingSpawns = []; // Task tool calls waiting for their child session to appear
+  const agentIdFor = (sessionID) => agentsBySession.get(sessionID)?.agent_id || ROOT_AGENT_ID;
+
   // Create session
   const createSession = async () => {
+    const engagement = await getEngagement();
     await sendMetric('/api/sessions', {
       session_id: currentSessionId,
-      client_name: project?.name || agentName,
-      target_url: process.env.TARGET_URL || null,
+      source_app: agentName,
+      client_name: engagement?.client_name || project?.name || agentName,
+      target_url: process.env.TARGET_URL || engagement?.target_url || null,
+      engagement_id: engagement?.id ?? null,
       status: 'running',
       started_at: Date.now(),
       total_tokens: 0,
@@ -283,22 +1425,24 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
   const updateSession = async (status = 'running') => {
     await sendMetric('/api/sessions', {
       session_id: currentSessionId,
+      source_app: agentName,
       status,
       total_findings: totalFindings,
       total_tool_calls: totalToolCalls,
       agents_used: Array.from(agentsUsed),
-      wstg_coverage_pct: (wstgCoverage.size / 91) * 100,
+      wstg_coverage_pct: (wstgCoverage.size / WSTG_TEST_COUNT) * 100,
       ...(status !== 'running' ? { ended_at: Date.now() } : {})
     });
   };
 
   // Record tool metric
-  const recordToolMetric = async (toolName, status, durationMs, foundVuln = false, vulnType = null, errorMsg = null) => {
+  const recordToolMetric = async (toolName, status, durationMs, foundVuln = false, vulnType = null, errorMsg = null, agentId = ROOT_AGENT_ID) => {
     totalToolCalls++;
 
     await sendMetric('/api/metrics/tools', {
       session_id: currentSessionId,
       source_app: agentName,
+      agent_id: agentId,
       tool_name: toolName,
       tool_type: getToolType(toolName),
       status,
@@ -311,13 +1455,14 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
   };
 
   // Record finding
-  const recordFinding = async (finding) => {
+  const recordFinding = async (finding, evidenceEventId = null, outputExcerpt = null, agentId = ROOT_AGENT_ID) => {
     findingCounter++;
     totalFindings++;
 
     await sendMetric('/api/metrics/findings', {
       session_id: currentSessionId,
       source_app: agentName,
+      agent_id: agentId,
       finding_id: `${agentName}-${currentSessionId.slice(-8)}-${findingCounter}`,
       vulnerability_type: finding.vulnerability_type,
       severity: finding.severity || 'medium',
@@ -328,6 +1473,10 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       location: finding.location || null,
       title: finding.title || finding.vulnerability_type,
       description: finding.description || null,
+      evidence: finding.evidence || null,
+      cwe: finding.cwe || null,
+      evidence_event_id: evidenceEventId,
+      output_excerpt: outputExcerpt || null,
       timestamp: Date.now()
     });
 
@@ -337,9 +1486,9 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
   };
 
   // Record WSTG coverage
-  const recordWSTGCoverage = async (wstgId, status = 'executed', findingsCount = 0) => {
+  const recordWSTGCoverage = async (wstgId, status = 'executed', findingsCount = 0, skipReason = null) => {
     if (wstgCoverage.has(wstgId)) return;
-    wstgCoverage.add(wstgId);
+    if (status === 'executed') wstgCoverage.add(wstgId);
 
     await sendMetric('/api/metrics/wstg', {
       session_id: currentSessionId,
@@ -347,21 +1496,24 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       wstg_id: wstgId,
       wstg_name: null,
       status,
+      skip_reason: skipReason,
       findings_count: findingsCount,
       timestamp: Date.now()
     });
   };
 
-  // Token estimation constants (approximate)
+  // Token estimation (approximate). Estimates are priced from the server's
+  // model price catalogue, which prices them again when they arrive.
   const CHARS_PER_TOKEN = 4;
-  const MODEL_PRICING = {
-    // Anthropic pricing per 1M tokens
-    'anthropic/claude-opus-4-5': { input: 15, output: 75 },
-    'anthropic/claude-sonnet-4': { input: 3, output: 15 },
-    'anthropic/claude-3-5-sonnet': { input: 3, output: 15 },
-    'anthropic/claude-3-opus': { input: 15, output: 75 },
-    'default': { input: 3, output: 15 }
-  };
+  const PRICING_REFRESH_MS = 10 * 60 * 1000;
+  const modelPrices = new Map(); // model -> { price, loadedAt }
+
+  // Estimates stand in for real usage until some arrives; from then on they
+  // no longer count towards the totals
+  let realUsageSeen = false;
+  let estimatedInputTokens = 0;
+  let estimatedOutputTokens = 0;
+  let estimatedCost = 0;
 
   // Estimate tokens from text
   const estimateTokens = (text) => {
@@ -370,16 +1522,38 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
     return Math.ceil(str.length / CHARS_PER_TOKEN);
   };
 
+  // Catalogue price in effect for a model (null when the server never answered)
+  const getModelPrice = async (modelName) => {
+    const cached = modelPrices.get(modelName);
+    if (cached && Date.now() - cached.loadedAt < PRICING_REFRESH_MS) return cached.price;
+
+    // Keep the last price we had while the server is unreachable
+    let price = cached?.price || null;
+    try {
+      const response = await fetch(`${METRICS_BASE_URL}/api/pricing/resolve?model=${encodeURIComponent(modelName)}`, {
+        headers: SERVER_HEADERS,
+        signal: AbortSignal.timeout(5000)
+      });
+      if (response.ok) {
+        price = (await response.json()).price || null;
+      }
+    } catch (error) {
+      if (process.env.OBSERVABILITY_DEBUG) {
+        console.log('[Observability] Pricing unavailable:', error?.message || error);
+      }
+    }
+    modelPrices.set(modelName, { price, loadedAt: Date.now() });
+    return price;
+  };
+
   // Estimate cost from tokens
-  const estimateCost = (inputTokens, outputTokens, modelName) => {
-    const pricing = MODEL_PRICING[modelName] || MODEL_PRICING['default'];
-    const inputCost = (inputTokens / 1000000) * pricing.input;
-    const outputCost = (outputTokens / 1000000) * pricing.output;
-    return inputCost + outputCost;
+  const estimateCost = (inputTokens, outputTokens, price) => {
+    if (!price) return 0;
+    return (inputTokens * price.input_per_mtok + outputTokens * price.output_per_mtok) / 1000000;
   };
 
   // Record REAL token usage (when available from message hooks)
-  const recordRealTokenUsage = async (tokens, cost, modelName) => {
+  const recordRealTokenUsage = async (tokens, cost, modelName, agentId = ROOT_AGENT_ID) => {
     if (!tokens) return;
 
     const inputTokens = tokens.input || 0;
@@ -389,6 +1563,13 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
     const cacheWriteTokens = tokens.cache?.write || 0;
     const actualCost = cost || 0;
 
+    if (!realUsageSeen) {
+      realUsageSeen = true;
+      totalInputTokens -= estimatedInputTokens;
+      totalOutputTokens -= estimatedOutputTokens;
+      totalCost -= estimatedCost;
+    }
+
     totalInputTokens += inputTokens;
     totalOutputTokens += outputTokens;
     totalReasoningTokens += reasoningTokens;
@@ -404,45 +1585,164 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       await sendMetric('/api/metrics/tokens', {
         session_id: currentSessionId,
         source_app: agentName,
+        agent_id: agentId,
         model_name: modelName || currentModel,
         input_tokens: inputTokens,
         output_tokens: outputTokens,
         total_tokens: totalTokensThisMessage,
         estimated_cost: actualCost,
+        cost_source: 'real',
         reasoning_tokens: reasoningTokens,
         cache_read_tokens: cacheReadTokens,
         cache_write_tokens: cacheWriteTokens,
         timestamp: Date.now()
       });
     }
+
+    await checkLocalBudget();
+  };
+
+  // Ask the dashboard to approve or deny; resolves to 'allow', 'deny' or,
+  // when nobody answered in time, HITL_TIMEOUT_ACTION
+  const askHuman = async (question, details) => {
+    const { requestId, url, response } = openHitlRequest();
+
+    const requestEventId = sendEvent('PermissionRequest', {
+      session_id: currentSessionId,
+      hitl_request_id: requestId,
+      ...details
+    }, currentSessionId, agentName, currentModel, {
+      question,
+      responseWebSocketUrl: url,
+      type: 'permission',
+      timeout: HITL_TIMEOUT_SEC,
+      requiresResponse: true
+    });
+
+    const hitlResponse = await response;
+    const decision = hitlResponse ? (hitlResponse.permission === true ? 'allow' : 'deny') : HITL_TIMEOUT_ACTION;
+
+    sendEvent('PermissionDecision', {
+      session_id: currentSessionId,
+      request_event_id: requestEventId,
+      decision,
+      decided_by: hitlResponse ? 'dashboard' : 'timeout',
+      responded_by: hitlResponse?.respondedBy || null,
+      ...details
+    }, currentSessionId, agentName, currentModel);
+
+    return decision;
+  };
+
+  // Stop the run: later tool calls are refused, and in 'abort' mode the
+  // OpenCode session is aborted as well
+  const stopForBudget = async (reason, details) => {
+    if (budgetStop) return;
+    budgetStop = reason;
+    console.log(`[Observability] Budget stop: ${reason}`);
+
+    await sendEvent('BudgetStop', {
+      session_id: currentSessionId,
+      reason,
+      action: BUDGET_ACTION,
+      total_cost: totalCost,
+      total_tokens: totalInputTokens + totalOutputTokens + totalReasoningTokens,
+      ...details
+    }, currentSessionId, agentName, currentModel);
+
+    if (BUDGET_ACTION === 'abort' && opencodeSessionId) {
+      try {
+        await client.session.abort({ path: { id: opencodeSessionId } });
+      } catch (error) {
+        console.error('[Observability] Failed to abort session:', error?.message || error);
+      }
+    }
+  };
+
+  // Compare the running totals with the caps from the environment
+  const checkLocalBudget = async () => {
+    const totalTokens = totalInputTokens + totalOutputTokens + totalReasoningTokens;
+
+    if (MAX_COST_USD > 0 && totalCost >= MAX_COST_USD) {
+      await stopForBudget(`cost $${totalCost.toFixed(2)} reached the $${MAX_COST_USD.toFixed(2)} cap`, {
+        limit_source: 'env', metric: 'cost', limit: MAX_COST_USD
+      });
+    } else if (MAX_TOKENS > 0 && totalTokens >= MAX_TOKENS) {
+      await stopForBudget(`${totalTokens} tokens reached the ${MAX_TOKENS} token cap`, {
+        limit_source: 'env', metric: 'tokens', limit: MAX_TOKENS
+      });
+    }
+  };
+
+  // Ask the server whether an enforced budget covering this run is used up.
+  // If the server is unreachable only the local caps apply.
+  const pollServerBudgets = async () => {
+    if (BUDGET_POLL_MS <= 0 || budgetStop || Date.now() - lastBudgetPoll < BUDGET_POLL_MS) return;
+    lastBudgetPoll = Date.now();
+
+    try {
+      const params = new URLSearchParams({ session_id: currentSessionId, source_app: agentName });
+      const response = await fetch(`${METRICS_BASE_URL}/api/budgets/status?${params}`, {
+        headers: SERVER_HEADERS,
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) return;
+
+      const usages = await response.json();
+      const exhausted = usages.find(usage =>
+        usage.budget?.enforce && ((usage.cost_pct ?? 0) >= 100 || (usage.tokens_pct ?? 0) >= 100)
+      );
+      if (exhausted) {
+        await stopForBudget(`budget "${exhausted.budget.name}" is used up`, {
+          limit_source: 'server',
+          budget_id: exhausted.budget.id,
+          budget_name: exhausted.budget.name
+        });
+      }
+    } catch (error) {
+      if (process.env.OBSERVABILITY_DEBUG) {
+        console.log('[Observability] Budget status unavailable:', error?.message || error);
+      }
+    }
   };
 
   // Record ESTIMATED token usage (fallback when message hooks don't fire)
-  const recordEstimatedTokenUsage = async (inputText, outputText) => {
+  const recordEstimatedTokenUsage = async (inputText, outputText, agentId = ROOT_AGENT_ID) => {
     const inputTokens = estimateTokens(inputText);
     const outputTokens = estimateTokens(outputText);
-    const estimatedCost = estimateCost(inputTokens, outputTokens, currentModel);
-
-    totalInputTokens += inputTokens;
-    totalOutputTokens += outputTokens;
-    totalCost += estimatedCost;
+    const cost = estimateCost(inputTokens, outputTokens, await getModelPrice(currentModel));
+
+    if (!realUsageSeen) {
+      estimatedInputTokens += inputTokens;
+      estimatedOutputTokens += outputTokens;
+      estimatedCost += cost;
+      totalInputTokens += inputTokens;
+      totalOutputTokens += outputTokens;
+      totalCost += cost;
+    }
 
     if (inputTokens > 0 || outputTokens > 0) {
       await sendMetric('/api/metrics/tokens', {
         session_id: currentSessionId,
         source_app: agentName,
+        agent_id: agentId,
         model_name: currentModel,
         input_tokens: inputTokens,
         output_tokens: outputTokens,
         total_tokens: inputTokens + outputTokens,
-        estimated_cost: estimatedCost,
-        is_estimate: true,
+        estimated_cost: cost,
+        cost_source: 'estimated',
         timestamp: Date.now()
       });
     }
+
+    await checkLocalBudget();
   };
 
-  // Initialize
+  // Initialize (replays anything spooled by earlier runs before this session's events)
+  await loadCustomFindingParsers();
+  initSpool();
+  scheduleFlush(0);
   await createSession();
   sendEvent('SessionStart', {
     session_id: currentSessionId,
@@ -457,10 +1757,14 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
     "tool.execute.before": async ({ tool, sessionID, callID }, { args }) => {
       const toolName = tool || 'unknown';
       const toolArgs = args || {};
+      const agentId = agentIdFor(sessionID);
 
-      if (callID) {
-        toolTimingCache.set(callID, Date.now());
-        argsCache.set(callID, toolArgs);
+      if (sessionID) opencodeSessionId = sessionID;
+
+      // Refreshed in the background; a stop applies from the next call on
+      pollServerBudgets();
+      if (budgetStop) {
+        throw new Error(`Budget exceeded: ${budgetStop}. Tool calls are blocked for the rest of this run.`);
       }
 
       const toolInput = {};
@@ -479,18 +1783,123 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
         Object.assign(toolInput, toolArgs);
       }
 
+      // Engagement scope - out-of-scope targets are flagged, or refused when enforced
+      const engagement = await getEngagement();
+      const violation = engagement ? evaluateScope(engagement, toolName, toolArgs) : null;
+      if (violation) {
+        const scopeAction = SCOPE_ACTION || engagement.enforcement;
+
+        sendEvent('ScopeViolation', {
+          session_id: currentSessionId,
+          tool_name: toolName,
+          tool_input: toolInput,
+          targets: violation.targets,
+          reason: violation.reason,
+          action: scopeAction,
+          engagement_id: engagement.id,
+          engagement_name: engagement.name
+        }, currentSessionId, agentName, currentModel);
+
+        if (scopeAction === 'block') {
+          throw new Error(`Out of scope: ${violation.targets.join(', ')} ${violation.targets.length === 1 ? 'is' : 'are'} ${violation.reason}.`);
+        }
+      }
+
+      // Policy rules - every decision is logged. "outside_scope" rules use the
+      // engagement's hosts / CIDRs when it has any
+      const policy = await getPolicy();
+      if (policy && (policy.rules.length > 0 || policy.default !== 'allow')) {
+        const scope = engagement && (engagement.hosts.length > 0 || engagement.cidrs.length > 0) ? engagement : null;
+        const verdict = evaluatePolicy(policy, toolName, toolArgs, { worktree: worktree || directory, scope });
+        let outcome = verdict.action;
+
+        if (verdict.action === 'ask') {
+          outcome = await askHuman(
+            `Policy ${verdict.rule_id} requires approval for ${toolName}${verdict.reason ? ` (${verdict.reason})` : ''}`,
+            { permission_type: 'policy', rule_id: verdict.rule_id, tool: toolName, tool_input: toolInput }
+          );
+        }
+
+        sendEvent('PolicyDecision', {
+          session_id: currentSessionId,
+          tool_name: toolName,
+          tool_input: toolInput,
+          rule_id: verdict.rule_id,
+          action: verdict.action,
+          outcome: outcome === 'allow' ? 'allow' : 'deny',
+          reason: verdict.reason,
+          target_hosts: verdict.hosts
+        }, currentSessionId, agentName, currentModel);
+
+        if (outcome !== 'allow') {
+          throw new Error(`Blocked by policy${verdict.rule_id ? ` rule "${verdict.rule_id}"` : ''}${verdict.reason ? `: ${verdict.reason}` : ''}`);
+        }
+      }
+
+      // Gated tools wait for an operator (there is no OpenCode prompt to fall back to)
+      if (HITL_TOOLS.includes(toolName) || HITL_TOOLS.includes('*')) {
+        const target = toolInput.command || toolInput.file_path || toolInput.query || toolInput.pattern || '';
+        const decision = await askHuman(
+          `Allow ${toolName}${target ? `: ${String(target).slice(0, 200)}` : ''}?`,
+          { permission_type: 'tool', tool: toolName, tool_input: toolInput }
+        );
+        if (decision !== 'allow') {
+          throw new Error(`${toolName} was not approved by the operator${decision === 'deny' ? '' : ' in time'}.`);
+        }
+      }
+
+      // Only calls that are going ahead are recorded; refused ones never get an after hook
+      if (callID) {
+        toolTimingCache.set(callID, Date.now());
+        argsCache.set(callID, toolArgs);
+      }
+
       if (toolName.includes('wstg')) {
         const wstgIdMatch = JSON.stringify(toolArgs).match(/WSTG-[A-Z]+-\d+/i);
         if (wstgIdMatch) {
-          await recordWSTGCoverage(wstgIdMatch[0].toUpperCase(), 'executed', 0);
+          // WSTG tools can also record a test as skipped / not applicable, with a reason
+          const skipReason = toolArgs.skip_reason || toolArgs.reason || null;
+          const wstgStatus = ['skipped', 'partial', 'not_applicable'].includes(toolArgs.status)
+            ? toolArgs.status
+            : (toolArgs.skip_reason ? 'skipped' : 'executed');
+          await recordWSTGCoverage(wstgIdMatch[0].toUpperCase(), wstgStatus, 0, wstgStatus === 'executed' ? null : skipReason);
         }
       }
 
       await sendEvent('PreToolUse', {
         tool_name: toolName,
         tool_input: toolInput,
-        session_id: currentSessionId
+        session_id: currentSessionId,
+        agent_id: agentId
       }, currentSessionId, agentName, currentModel);
+
+      // The task tool starts a subagent in a child session (see session.created).
+      // Only once the call is allowed - a refused one never gets a child session.
+      if (toolName === 'task') {
+        pendingSpawns.push({
+          parent_agent_id: agentId,
+          agent_name: toolArgs.subagent_type || null,
+          description: toolArgs.description || null,
+          call_id: callID || null
+        });
+      }
+    },
+
+    /**
+     * OpenCode permission prompt - answered from the dashboard when HITL is on
+     */
+    "permission.ask": async (permission, output) => {
+      if (!HITL_ENABLED) return;
+
+      if (permission?.sessionID) opencodeSessionId = permission.sessionID;
+
+      const decision = await askHuman(permission?.title || `Allow ${permission?.type || 'action'}?`, {
+        permission_type: permission?.type,
+        permission_id: permission?.id,
+        pattern: permission?.pattern,
+        metadata: permission?.metadata
+      });
+      output.status = decision;
     },
 
     /**
@@ -498,6 +1907,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
      */
     "tool.execute.after": async ({ tool, sessionID, callID }, { title, output, metadata }) => {
       const toolName = tool || 'unknown';
+      const agentId = agentIdFor(sessionID);
 
       const startTime = callID ? toolTimingCache.get(callID) : null;
       const durationMs = startTime ? Date.now() - startTime : null;
@@ -509,7 +1919,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       const hasError = metadata?.error || (typeof output === 'string' && output.startsWith('Error:'));
       const status = hasError ? 'failure' : 'success';
 
-      const findings = detectFindings(toolName, output);
+      const findings = detectFindings(toolName, output, cachedArgs || metadata?.input || {});
       const foundVuln = findings.length > 0;
 
       await recordToolMetric(
@@ -518,17 +1928,14 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
         durationMs,
         foundVuln,
         foundVuln ? findings[0]?.vulnerability_type : null,
-        hasError ? String(metadata?.error || '').slice(0, 500) : null
+        hasError ? String(metadata?.error || '').slice(0, 500) : null,
+        agentId
       );
 
-      for (const finding of findings) {
-        await recordFinding(finding);
-      }
-
       // Estimate tokens from tool I/O (fallback since message hooks don't fire in OpenCode 1.1.x)
       const inputStr = cachedArgs ? JSON.stringify(cachedArgs) : '';
       const outputStr = typeof output === 'string' ? output : (output ? JSON.stringify(output) : '');
-      await recordEstimatedTokenUsage(inputStr, outputStr);
+      await recordEstimatedTokenUsage(inputStr, outputStr, agentId);
 
       if (totalToolCalls % 10 === 0) {
         await updateSession();
@@ -553,14 +1960,20 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
         }
       }
 
-      await sendEvent('PostToolUse', {
+      const postToolEventId = await sendEvent('PostToolUse', {
         tool_name: toolName,
         tool_input: toolInput,
         tool_output: toolOutput,
         tool_error: metadata?.error ? String(metadata.error) : null,
         duration_ms: durationMs,
-        session_id: currentSessionId
+        session_id: currentSessionId,
+        agent_id: agentId
       }, currentSessionId, agentName, currentModel);
+
+      // Findings link back to the tool call that reported them
+      for (const finding of findings) {
+        await recordFinding(finding, postToolEventId, toolOutput, agentId);
+      }
     },
 
     /**
@@ -580,8 +1993,36 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       const eventType = event?.type;
       const props = event?.properties || {};
 
+      const eventSessionId = props.sessionID || props.info?.sessionID || props.part?.sessionID;
+      if (eventSessionId) opencodeSessionId = eventSessionId;
+      const agentId = agentIdFor(eventSessionId);
+
       // ===== SESSION EVENTS =====
-      if (eventType === 'session.created') {
+      // Child sessions are subagents; OpenCode titles them "... (@name subagent)"
+      const createdSession = props.info || props;
+      if (eventType === 'session.created' && createdSession?.parentID) {
+        const parentAgentId = agentIdFor(createdSession.parentID);
+        const spawnIndex = pendingSpawns.findIndex(spawn => spawn.parent_agent_id === parentAgentId);
+        const spawn = spawnIndex >= 0 ? pendingSpawns.splice(spawnIndex, 1)[0] : null;
+        const titleName = String(createdSession.title || '').match(/@([\w.-]+) subagent/)?.[1];
+
+        const agent = {
+          agent_id: createdSession.id,
+          agent_name: spawn?.agent_name || titleName || 'subagent',
+          parent_agent_id: parentAgentId
+        };
+        agentsBySession.set(createdSession.id, agent);
+        agentsUsed.add(agent.agent_name);
+
+        await sendEvent('AgentSpawn', {
+          session_id: currentSessionId,
+          ...agent,
+          source: 'task',
+          spawned_by_call_id: spawn?.call_id || null,
+          description: spawn?.description || createdSession.title || null,
+          agents_used: Array.from(agentsUsed)
+        }, currentSessionId, agentName, currentModel);
+      } else if (eventType === 'session.created') {
         await sendEvent('SessionStart', {
           session_id: currentSessionId,
           cwd: directory,
@@ -589,7 +2030,15 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
         }, currentSessionId, agentName, currentModel);
       }
 
-      if (eventType === 'session.idle') {
+      // A subagent finishing doesn't end the session
+      if (eventType === 'session.idle' && agentsBySession.has(eventSessionId)) {
+        const agent = agentsBySession.get(eventSessionId);
+        await sendEvent('AgentStop', {
+          session_id: currentSessionId,
+          ...agent,
+          stop_reason: 'idle'
+        }, currentSessionId, agentName, currentModel);
+      } else if (eventType === 'session.idle') {
         await updateSession('completed');
         await sendEvent('Stop', {
           session_id: currentSessionId,
@@ -646,6 +2095,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
 
           await sendEvent('UserPromptSubmit', {
             session_id: currentSessionId,
+            agent_id: agentId,
             prompt: promptText
           }, currentSessionId, agentName, currentModel);
         }
@@ -663,7 +2113,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
               if (process.env.OBSERVABILITY_DEBUG) {
                 console.log('[Observability] Recording REAL tokens:', message.tokens, 'cost:', message.cost);
               }
-              await recordRealTokenUsage(message.tokens, message.cost, message.modelID);
+              await recordRealTokenUsage(message.tokens, message.cost, message.modelID, agentId);
             }
 
             // Calculate latency
@@ -685,6 +2135,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
 
               await sendEvent('MessageError', {
                 session_id: currentSessionId,
+                agent_id: agentId,
                 message_id: messageId,
                 error_type: errType,
                 error_message: message.error.message || String(message.error),
@@ -698,6 +2149,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
             // Send message completion event
             await sendEvent('MessageComplete', {
               session_id: currentSessionId,
+              agent_id: agentId,
               message_id: messageId,
               model: message?.modelID,
               provider: message?.providerID,
@@ -729,10 +2181,11 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
           if (process.env.OBSERVABILITY_DEBUG) {
             console.log('[Observability] StepFinish tokens:', part.tokens, 'cost:', part.cost);
           }
-          await recordRealTokenUsage(part.tokens, part.cost, null);
+          await recordRealTokenUsage(part.tokens, part.cost, null, agentId);
 
           await sendEvent('StepFinish', {
             session_id: currentSessionId,
+            agent_id: agentId,
             part_id: partId,
             reason: part.reason,
             cost: part.cost,
@@ -751,6 +2204,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
 
           await sendEvent('Reasoning', {
             session_id: currentSessionId,
+            agent_id: agentId,
             part_id: partId,
             reasoning_time_ms: reasoningTimeMs,
             text_length: part?.text?.length || 0
@@ -763,6 +2217,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
 
           await sendEvent('ToolState', {
             session_id: currentSessionId,
+            agent_id: agentId,
             part_id: partId,
             tool: part.tool,
             call_id: part.callID,
@@ -781,6 +2236,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
 
           await sendEvent('Retry', {
             session_id: currentSessionId,
+            agent_id: agentId,
             part_id: partId,
             attempt: part.attempt,
             error_type: part.error?.type || 'unknown',
@@ -789,7 +2245,7 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
           }, currentSessionId, agentName, currentModel);
         }
 
-        // AgentPart - track agent spawns
+        // AgentPart - an @-mentioned agent (its run shows up as a child session)
         if (part?.type === 'agent') {
           recordedIds.add(partId);
           const spawnedAgent = part.name || 'unknown';
@@ -806,7 +2262,8 @@ export const ObservabilityPlugin = async ({ project, client, $, directory, workt
       }
 
       // ===== PERMISSION EVENTS =====
-      if (eventType === 'permission.updated') {
+      // With HITL on, permission.ask already records the request
+      if (eventType === 'permission.updated' && !HITL_ENABLED) {
         const permission = props;
         await sendEvent('PermissionRequest', {
           session_id: currentSessionId,
@@ -0,0 +1,116 @@
+import { ref, computed } from 'vue';
+import type { User, UserRole } from '../types';
+import { API_BASE_URL } from '../config';
+
+const TOKEN_KEY = 'authToken';
+const WORKSPACE_KEY = 'workspace';
+const ROLES: UserRole[] = ['viewer', 'analyst', 'admin'];
+
+// Shared by every component: there is one login per dashboard
+const token = ref<string | null>(localStorage.getItem(TOKEN_KEY));
+const user = ref<User | null>(null);
+const authEnabled = ref(false);
+const checked = ref(false); // Whether the server has been asked if login is required
+
+// Slug of the workspace every request is scoped to; null = all the user can see
+export const selectedWorkspace = ref<string | null>(localStorage.getItem(WORKSPACE_KEY));
+
+export const setSelectedWorkspace = (slug: string | null) => {
+  selectedWorkspace.value = slug;
+  if (slug) {
+    localStorage.setItem(WORKSPACE_KEY, slug);
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+};
+
+const setToken = (value: string | null) => {
+  token.value = value;
+  if (value) {
+    localStorage.setItem(TOKEN_KEY, value);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    user.value = null;
+  }
+};
+
+/**
+ * fetch() with the login token and selected workspace attached. A 401 means the
+ * token expired or was revoked, so it is dropped and the login form comes back.
+ */
+export async function apiFetch(input: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers);
+  if (token.value) headers.set('Authorization', `Bearer ${token.value}`);
+  if (selectedWorkspace.value && !headers.has('X-Workspace')) headers.set('X-Workspace', selectedWorkspace.value);
+
+  const response = await fetch(input, { ...init, headers });
+  if (response.status === 401 && authEnabled.value) setToken(null);
+  return response;
+}
+
+// The live stream can't send headers, so the token and workspace go in the query string
+export function streamUrl(url: string): string {
+  const params = new URLSearchParams();
+  if (token.value) params.set('token', token.value);
+  if (selectedWorkspace.value) params.set('workspace', selectedWorkspace.value);
+  if (!params.toString()) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${params}`;
+}
+
+export function useAuth() {
+  const loginRequired = computed(() => checked.value && authEnabled.value && !user.value);
+
+  const hasRole = (role: UserRole): boolean => {
+    if (!authEnabled.value) return true;
+    return Boolean(user.value) && ROLES.indexOf(user.value!.role) >= ROLES.indexOf(role);
+  };
+
+  // Ask the server whether login is required and who the stored token belongs to
+  const checkAuth = async () => {
+    try {
+      const response = await apiFetch(`${API_BASE_URL}/api/auth/me`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const me: { auth_enabled: boolean; user: User | null } = await response.json();
+      authEnabled.value = me.auth_enabled;
+      user.value = me.user;
+      if (me.auth_enabled && !me.user) setToken(null);
+      checked.value = true;
+    } catch (err) {
+      console.error('Error checking authentication:', err);
+    }
+  };
+
+  const login = async (username: string, password: string) => {
+    const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    setToken(body.token);
+    user.value = body.user;
+  };
+
+  const logout = async () => {
+    try {
+      await apiFetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST' });
+    } finally {
+      setToken(null);
+    }
+  };
+
+  return {
+    user,
+    authEnabled,
+    loginRequired,
+    hasRole,
+    checkAuth,
+    login,
+    logout
+  };
+}
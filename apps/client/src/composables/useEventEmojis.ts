@@ -8,6 +8,14 @@ const eventTypeToEmoji: Record<string, string> = {
   'UserPromptSubmit': '💬',
   'SessionStart': '🚀',
   'SessionEnd': '🏁',
+  'PermissionRequest': '🔐',
+  'PermissionDecision': '🔓',
+  'PolicyDecision': '🛡️',
+  'BudgetWarning': '💸',
+  'BudgetExceeded': '🚨',
+  'BudgetStop': '⛔',
+  'ScopeViolation': '🚫',
+  'AnomalyDetected': '🌀',
   // Default
   'default': '❓'
 };
@@ -0,0 +1,73 @@
+import { ref } from 'vue';
+import type { HookEvent, EventPage } from '../types';
+import { API_BASE_URL } from '../config';
+import { apiFetch } from './useAuth';
+
+export interface EventHistoryFilters {
+  sourceApp: string;
+  sessionId: string;
+  eventType: string;
+}
+
+// Loads pages of older events from GET /events as the timeline is scrolled back
+export function useEventHistory(pageSize: number = 100) {
+  const isLoadingOlder = ref(false);
+  const hasMoreOlder = ref(true);
+  const historyError = ref<string | null>(null);
+
+  const matchesFilters = (event: HookEvent, filters: EventHistoryFilters): boolean => {
+    if (filters.sourceApp && event.source_app !== filters.sourceApp) return false;
+    if (filters.sessionId && event.session_id !== filters.sessionId) return false;
+    if (filters.eventType && event.hook_event_type !== filters.eventType) return false;
+    return true;
+  };
+
+  // Fetch the page just before the oldest loaded event that matches the filters
+  const loadOlder = async (loadedEvents: HookEvent[], filters: EventHistoryFilters): Promise<HookEvent[]> => {
+    if (isLoadingOlder.value || !hasMoreOlder.value) return [];
+
+    isLoadingOlder.value = true;
+    historyError.value = null;
+
+    try {
+      const params = new URLSearchParams({ limit: String(pageSize), order: 'desc' });
+      if (filters.sourceApp) params.set('source_app', filters.sourceApp);
+      if (filters.sessionId) params.set('session_id', filters.sessionId);
+      if (filters.eventType) params.set('hook_event_type', filters.eventType);
+
+      const oldest = loadedEvents.find(event => event.id !== undefined && matchesFilters(event, filters));
+      if (oldest) {
+        params.set('cursor', `${oldest.timestamp}:${oldest.id}`);
+      }
+
+      const response = await apiFetch(`${API_BASE_URL}/events?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const page: EventPage = await response.json();
+      hasMoreOlder.value = page.next_cursor !== null;
+      return page.events.reverse();
+    } catch (err) {
+      historyError.value = `Failed to load older events: ${err}`;
+      console.error('Error loading older events:', err);
+      return [];
+    } finally {
+      isLoadingOlder.value = false;
+    }
+  };
+
+  // Start over, e.g. when filters change or events are cleared
+  const resetHistory = () => {
+    hasMoreOlder.value = true;
+    historyError.value = null;
+  };
+
+  return {
+    isLoadingOlder,
+    hasMoreOlder,
+    historyError,
+    loadOlder,
+    resetHistory
+  };
+}
@@ -1,10 +1,16 @@
 import { ref, computed } from 'vue';
-import type { HookEvent } from '../types';
+import type { HookEvent, EventSearchResult } from '../types';
+import { API_BASE_URL } from '../config';
+import { apiFetch } from './useAuth';
 
 export function useEventSearch() {
   const searchPattern = ref<string>('');
   const searchError = ref<string>('');
 
+  // Server-side full-text search across all stored history
+  const historyResults = ref<EventSearchResult[] | null>(null);
+  const isSearchingHistory = ref(false);
+
   // Validate regex pattern
   const validateRegex = (pattern: string): { valid: boolean; error?: string } => {
     if (!pattern || pattern.trim() === '') {
@@ -122,6 +128,37 @@ export function useEventSearch() {
   const clearSearch = () => {
     searchPattern.value = '';
     searchError.value = '';
+    historyResults.value = null;
+  };
+
+  // Search the server's full-text index (plain terms, all must match)
+  const searchHistory = async (query: string) => {
+    if (!query || query.trim() === '') {
+      historyResults.value = null;
+      return;
+    }
+
+    isSearchingHistory.value = true;
+    try {
+      const params = new URLSearchParams({ q: query, limit: '50' });
+      const response = await apiFetch(`${API_BASE_URL}/events/search?${params}`);
+      const body = await response.json();
+      if (!response.ok) {
+        searchError.value = body.error || `History search failed (HTTP ${response.status})`;
+        historyResults.value = null;
+        return;
+      }
+      historyResults.value = body;
+    } catch (error) {
+      searchError.value = 'History search failed: server unreachable';
+      historyResults.value = null;
+    } finally {
+      isSearchingHistory.value = false;
+    }
+  };
+
+  const clearHistoryResults = () => {
+    historyResults.value = null;
   };
 
   return {
@@ -133,6 +170,10 @@ export function useEventSearch() {
     searchEvents,
     updateSearchPattern,
     clearSearch,
-    getSearchableText
+    getSearchableText,
+    historyResults,
+    isSearchingHistory,
+    searchHistory,
+    clearHistoryResults
   };
 }
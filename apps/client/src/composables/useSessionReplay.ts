@@ -0,0 +1,253 @@
+import { ref } from 'vue';
+import type { EventPage, Finding, HookEvent, ReplayStep, SessionSummary } from '../types';
+import { API_BASE_URL } from '../config';
+import { apiFetch } from './useAuth';
+
+// Events a run is rebuilt from; streaming and bookkeeping events are left out
+const REPLAY_EVENT_TYPES = [
+  'UserPromptSubmit',
+  'Reasoning',
+  'MessageComplete',
+  'PreToolUse',
+  'PostToolUse',
+  'ToolState',
+  'AgentSpawn',
+  'AgentStop',
+  'ScopeViolation',
+  'AnomalyDetected',
+  'SessionError'
+];
+const PAGE_SIZE = 1000;
+const MAX_REPLAY_EVENTS = 20000;
+
+function describeToolInput(input: Record<string, any> | undefined): string | undefined {
+  if (!input) return undefined;
+  const target = input.command || input.file_path || input.url || input.pattern || input.query;
+  return target ? String(target) : undefined;
+}
+
+function formatSeconds(ms: number | undefined): string {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Rebuild a run from its events (oldest first). Each PreToolUse / PostToolUse
+ * pair becomes one tool step, and ToolState transitions are folded into it.
+ */
+export function buildReplaySteps(events: HookEvent[], findings: Finding[] = []): ReplayStep[] {
+  const steps: ReplayStep[] = [];
+  const openTools: ReplayStep[] = []; // Started but not finished yet
+  let tokens = 0;
+  let cost = 0;
+
+  const findingsByEvent = new Map<string, Finding[]>();
+  findings.forEach(finding => {
+    if (!finding.evidence_event_id) return;
+    findingsByEvent.set(finding.evidence_event_id, [...(findingsByEvent.get(finding.evidence_event_id) || []), finding]);
+  });
+
+  const addStep = (step: Omit<ReplayStep, 'index' | 'tokens' | 'cost' | 'findings'>): ReplayStep => {
+    const added: ReplayStep = { ...step, index: steps.length, tokens, cost, findings: [] };
+    steps.push(added);
+    return added;
+  };
+
+  for (const event of events) {
+    const payload = event.payload || {};
+    const timestamp = event.timestamp || 0;
+
+    switch (event.hook_event_type) {
+      case 'UserPromptSubmit':
+        addStep({ kind: 'prompt', timestamp, title: 'Prompt', detail: payload.prompt, events: [event] });
+        break;
+
+      case 'Reasoning':
+        addStep({
+          kind: 'reasoning',
+          timestamp,
+          title: `Reasoned for ${formatSeconds(payload.reasoning_time_ms)}`,
+          detail: payload.text_length ? `${payload.text_length} characters of reasoning` : undefined,
+          events: [event]
+        });
+        break;
+
+      case 'MessageComplete': {
+        const messageTokens = payload.tokens || {};
+        tokens += (messageTokens.input || 0) + (messageTokens.output || 0) + (messageTokens.reasoning || 0);
+        cost += payload.cost || 0;
+        addStep({
+          kind: 'message',
+          timestamp,
+          title: `Response from ${payload.model || event.model_name || 'the model'}`,
+          detail: [
+            payload.finish_reason && `finished: ${payload.finish_reason}`,
+            `${messageTokens.input || 0} in / ${messageTokens.output || 0} out tokens`,
+            payload.latency_ms ? `${formatSeconds(payload.latency_ms)} latency` : null
+          ].filter(Boolean).join(', '),
+          failed: Boolean(payload.has_error),
+          events: [event]
+        });
+        break;
+      }
+
+      case 'PreToolUse':
+        openTools.push(addStep({
+          kind: 'tool',
+          timestamp,
+          title: payload.tool_name || 'tool',
+          detail: describeToolInput(payload.tool_input),
+          tool_input: payload.tool_input,
+          tool_states: [],
+          events: [event]
+        }));
+        break;
+
+      case 'PostToolUse': {
+        const openIndex = openTools.findIndex(step => step.title === payload.tool_name);
+        const step = openIndex !== -1
+          ? openTools.splice(openIndex, 1)[0]!
+          : addStep({
+              kind: 'tool',
+              timestamp,
+              title: payload.tool_name || 'tool',
+              detail: describeToolInput(payload.tool_input),
+              tool_input: payload.tool_input,
+              tool_states: [],
+              events: []
+            });
+        step.events.push(event);
+        step.tool_output = payload.tool_output;
+        step.failed = step.failed || Boolean(payload.tool_error);
+        step.duration_ms = payload.duration_ms;
+        if (event.event_id) step.findings.push(...(findingsByEvent.get(event.event_id) || []));
+        break;
+      }
+
+      case 'ToolState': {
+        // Belongs to the latest call of the same tool
+        const tool = String(payload.tool || '').toLowerCase();
+        const step = [...steps].reverse().find(s => s.kind === 'tool' && s.title.toLowerCase() === tool);
+        if (!step) break;
+        step.events.push(event);
+        if (step.tool_states![step.tool_states!.length - 1] !== payload.status) step.tool_states!.push(payload.status);
+        if (payload.has_error) step.failed = true;
+        break;
+      }
+
+      case 'AgentSpawn':
+        addStep({ kind: 'agent', timestamp, title: `Spawned agent ${payload.agent_name || ''}`.trim(), detail: payload.description || payload.source, events: [event] });
+        break;
+
+      case 'AgentStop':
+        addStep({ kind: 'agent', timestamp, title: `${payload.agent_name || 'Subagent'} finished`, events: [event] });
+        break;
+
+      case 'AnomalyDetected':
+        addStep({
+          kind: 'anomaly',
+          timestamp,
+          title: `Anomaly: ${String(payload.anomaly_type || '').replace(/_/g, ' ')}`,
+          detail: payload.description,
+          failed: payload.severity === 'critical',
+          events: [event]
+        });
+        break;
+
+      case 'ScopeViolation':
+        addStep({
+          kind: 'scope',
+          timestamp,
+          title: `Out of scope: ${(payload.targets || []).join(', ')}`,
+          detail: `${payload.tool_name} ${payload.action === 'block' ? 'blocked' : 'flagged'} - ${payload.reason || ''}`,
+          failed: payload.action === 'block',
+          events: [event]
+        });
+        break;
+
+      case 'SessionError':
+        addStep({ kind: 'error', timestamp, title: 'Error', detail: payload.error_message || payload.error_type, failed: true, events: [event] });
+        break;
+    }
+  }
+
+  // Findings without a linked tool call go to the last step before they were reported
+  const placed = new Set(steps.flatMap(step => step.findings.map(finding => finding.id)));
+  const first = steps[0];
+  const last = steps[steps.length - 1];
+  findings.forEach(finding => {
+    const reportedAt = finding.last_seen || finding.timestamp;
+    if (placed.has(finding.id) || !first || !last || reportedAt < first.timestamp || reportedAt > last.timestamp) return;
+    const step = [...steps].reverse().find(s => s.timestamp <= reportedAt);
+    step?.findings.push(finding);
+  });
+
+  return steps;
+}
+
+// Loads a session's events and findings and rebuilds the run for replay
+export function useSessionReplay() {
+  const session = ref<SessionSummary | null>(null);
+  const steps = ref<ReplayStep[]>([]);
+  const findings = ref<Finding[]>([]);
+  const loading = ref(false);
+  const error = ref<string | null>(null);
+  const truncated = ref(false); // More than MAX_REPLAY_EVENTS events
+
+  const fetchEvents = async (sessionId: string): Promise<HookEvent[]> => {
+    const events: HookEvent[] = [];
+    let cursor: string | null = null;
+
+    do {
+      const params = new URLSearchParams({
+        session_id: sessionId,
+        hook_event_type: REPLAY_EVENT_TYPES.join(','),
+        order: 'asc',
+        limit: String(PAGE_SIZE)
+      });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await apiFetch(`${API_BASE_URL}/events?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const page: EventPage = await response.json();
+      events.push(...page.events);
+      cursor = page.next_cursor;
+    } while (cursor && events.length < MAX_REPLAY_EVENTS);
+
+    truncated.value = cursor !== null;
+    return events;
+  };
+
+  const load = async (sessionId: string) => {
+    loading.value = true;
+    error.value = null;
+
+    try {
+      const [sessionResponse, findingsResponse, events] = await Promise.all([
+        apiFetch(`${API_BASE_URL}/api/sessions/${encodeURIComponent(sessionId)}`),
+        apiFetch(`${API_BASE_URL}/api/findings?session_id=${encodeURIComponent(sessionId)}&limit=1000`),
+        fetchEvents(sessionId)
+      ]);
+
+      session.value = sessionResponse.ok ? await sessionResponse.json() : null;
+      findings.value = findingsResponse.ok ? await findingsResponse.json() : [];
+      steps.value = buildReplaySteps(events, findings.value);
+    } catch (err) {
+      error.value = `Failed to load session: ${err}`;
+      console.error('Error loading session replay:', err);
+    } finally {
+      loading.value = false;
+    }
+  };
+
+  return {
+    session,
+    steps,
+    findings,
+    loading,
+    error,
+    truncated,
+    load
+  };
+}
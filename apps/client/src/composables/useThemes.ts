@@ -1,5 +1,6 @@
 import { ref, computed, onMounted, readonly } from 'vue';
 import { API_BASE_URL } from '../config';
+import { apiFetch } from './useAuth';
 import type { 
   ThemeName, 
   CustomTheme, 
@@ -635,7 +636,7 @@ export function useThemes() {
 
   // Server API functions
   const saveThemeToServer = async (theme: CustomTheme): Promise<void> => {
-    const response = await fetch(`${API_BASE_URL}/api/themes`, {
+    const response = await apiFetch(`${API_BASE_URL}/api/themes`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(theme)
@@ -649,7 +650,7 @@ export function useThemes() {
 
   const loadThemesFromServer = async (): Promise<CustomTheme[]> => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/themes?isPublic=true`);
+      const response = await apiFetch(`${API_BASE_URL}/api/themes?isPublic=true`);
       if (!response.ok) return [];
       
       const result: ThemeApiResponse<CustomTheme[]> = await response.json();
@@ -1,5 +1,6 @@
 import { ref, onMounted, onUnmounted } from 'vue';
 import type { HookEvent, WebSocketMessage } from '../types';
+import { streamUrl } from './useAuth';
 
 export function useWebSocket(url: string) {
   const events = ref<HookEvent[]>([]);
@@ -12,9 +13,15 @@ export function useWebSocket(url: string) {
   // Get max events from environment variable or use default
   const maxEvents = parseInt(import.meta.env.VITE_MAX_EVENTS_TO_DISPLAY || '300');
 
+  // Older events loaded on demand are kept on top of the live window
+  let historyCapacity = 0;
+
+  // Callbacks for each live event as it arrives
+  const eventListeners = new Set<(event: HookEvent) => void>();
+
   const connect = () => {
     try {
-      ws = new WebSocket(url);
+      ws = new WebSocket(streamUrl(url));
 
       ws.onopen = () => {
         console.log('WebSocket connected');
@@ -32,12 +39,23 @@ export function useWebSocket(url: string) {
             events.value = initialEvents.slice(-maxEvents);
           } else if (message.type === 'event') {
             const newEvent = message.data as HookEvent;
+
+            // Updates to an event we already have (e.g. a HITL response) replace it in place
+            const existingIndex = newEvent.id !== undefined
+              ? events.value.findIndex(event => event.id === newEvent.id)
+              : -1;
+            if (existingIndex !== -1) {
+              events.value[existingIndex] = newEvent;
+              return;
+            }
+
             events.value.push(newEvent);
+            eventListeners.forEach(listener => listener(newEvent));
 
             // Limit events array to maxEvents, removing the oldest when exceeded
-            if (events.value.length > maxEvents) {
+            if (events.value.length > maxEvents + historyCapacity) {
               // Remove the oldest events (first 10) when limit is exceeded
-              events.value = events.value.slice(events.value.length - maxEvents + 10);
+              events.value = events.value.slice(events.value.length - maxEvents - historyCapacity + 10);
             }
           }
         } catch (err) {
@@ -88,12 +106,33 @@ export function useWebSocket(url: string) {
 
   const clearEvents = () => {
     events.value = [];
+    historyCapacity = 0;
+  };
+
+  // Merge older events fetched from the server, keeping chronological order
+  const prependEvents = (olderEvents: HookEvent[]) => {
+    const knownIds = new Set(events.value.map(event => event.id));
+    const newEvents = olderEvents.filter(event => !knownIds.has(event.id));
+    if (newEvents.length === 0) return;
+
+    historyCapacity += newEvents.length;
+    events.value = [...newEvents, ...events.value].sort((a, b) =>
+      (a.timestamp || 0) - (b.timestamp || 0) || (a.id || 0) - (b.id || 0)
+    );
+  };
+
+  // Subscribe to live events; returns an unsubscribe function
+  const onEvent = (listener: (event: HookEvent) => void) => {
+    eventListeners.add(listener);
+    return () => eventListeners.delete(listener);
   };
 
   return {
     events,
     isConnected,
     error,
-    clearEvents
+    clearEvents,
+    prependEvents,
+    onEvent
   };
 }
@@ -0,0 +1,42 @@
+import { ref, computed } from 'vue';
+import type { WorkspaceSummary } from '../types';
+import { API_BASE_URL } from '../config';
+import { apiFetch, selectedWorkspace, setSelectedWorkspace } from './useAuth';
+
+const workspaces = ref<WorkspaceSummary[]>([]);
+
+export function useWorkspaces() {
+  // Workspace-bound users only get their own, so there is nothing to pick
+  const canSwitch = computed(() => workspaces.value.length > 1);
+
+  // Everything on the page is scoped to the workspace, so start over in the new one
+  const selectWorkspace = (slug: string | null) => {
+    setSelectedWorkspace(slug);
+    window.location.reload();
+  };
+
+  const loadWorkspaces = async () => {
+    try {
+      // An empty X-Workspace lists them all, even if the stored one is gone
+      const response = await apiFetch(`${API_BASE_URL}/api/workspaces`, { headers: { 'X-Workspace': '' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      workspaces.value = await response.json();
+
+      if (selectedWorkspace.value && !workspaces.value.some(w => w.slug === selectedWorkspace.value)) {
+        selectWorkspace(null);
+      }
+    } catch (err) {
+      console.error('Error loading workspaces:', err);
+    }
+  };
+
+  return {
+    workspaces,
+    selectedWorkspace,
+    canSwitch,
+    loadWorkspaces,
+    selectWorkspace
+  };
+}
@@ -25,6 +25,14 @@ export interface HumanInTheLoopStatus {
   response?: HumanInTheLoopResponse;
 }
 
+// A field of an event that had secrets or PII masked, and by which detectors
+export interface RedactionRecord {
+  field: string;
+  detectors: string[];
+  count: number;
+  by?: 'plugin' | 'server';
+}
+
 export interface HookEvent {
   id?: number;
   source_app: string;
@@ -35,6 +43,11 @@ export interface HookEvent {
   summary?: string;
   timestamp?: number;
   model_name?: string;
+  event_id?: string; // Client-generated ID, used to deduplicate retried deliveries
+  redactions?: RedactionRecord[]; // Fields that had secrets or PII masked
+  workspace_id?: number;
+  framework?: string; // Agent framework the event was ingested from
+  schema_version?: number;
 
   // NEW: Optional HITL data
   humanInTheLoop?: HumanInTheLoop;
@@ -45,6 +58,26 @@ export interface FilterOptions {
   source_apps: string[];
   session_ids: string[];
   hook_event_types: string[];
+  frameworks: string[];
+}
+
+// Page of historical events returned by GET /events
+export interface EventPage {
+  events: HookEvent[];
+  next_cursor: string | null;
+}
+
+// Ranked full-text search hit returned by GET /events/search
+export interface EventSearchResult {
+  id: number;
+  source_app: string;
+  session_id: string;
+  hook_event_type: string;
+  timestamp: number;
+  model_name?: string;
+  tool_name?: string;
+  rank: number;
+  snippet: string; // HTML-escaped by the server, matches wrapped in <mark>
 }
 
 export interface WebSocketMessage {
@@ -86,17 +119,37 @@ export interface TokenMetric {
   model_name?: string;
   input_tokens: number;
   output_tokens: number;
+  reasoning_tokens?: number;
+  cache_read_tokens?: number;
+  cache_write_tokens?: number;
   total_tokens: number;
   estimated_cost: number;
+  cost_source?: CostSource;
+  catalogue_cost?: number;
   timestamp: number;
 }
 
+export type CostSource = 'real' | 'estimated';
+
+export interface CostReconciliation {
+  reconciled_cost: number;
+  real_cost: number;
+  estimated_cost: number;
+  estimated_only_sessions: number;
+  estimation_error_pct: number | null;
+  catalogue_error_pct: number | null;
+}
+
 export interface TokenSummary {
   session_id?: string;
   total_input_tokens: number;
   total_output_tokens: number;
+  total_reasoning_tokens: number;
+  total_cache_read_tokens: number;
+  total_cache_write_tokens: number;
   total_tokens: number;
   total_cost: number;
+  reconciliation: CostReconciliation;
   by_model: Record<string, { tokens: number; cost: number }>;
   by_agent: Record<string, { tokens: number; cost: number }>;
 }
@@ -128,6 +181,8 @@ export interface ToolEffectivenessReport {
 }
 
 // Security findings tracking
+export type FindingStatus = 'new' | 'confirmed' | 'false_positive' | 'fixed' | 'accepted_risk';
+
 export interface Finding {
   id?: number;
   session_id: string;
@@ -142,15 +197,42 @@ export interface Finding {
   location?: string;
   title?: string;
   description?: string;
+  evidence?: string;
+  cwe?: string;
+  timestamp: number; // First seen
+  fingerprint?: string;
+  status?: FindingStatus;
+  notes?: string;
+  evidence_event_id?: string;
+  output_excerpt?: string;
+  occurrences?: number;
+  last_seen?: number;
+  updated_at?: number;
+}
+
+export interface FindingOccurrence {
+  id?: number;
+  finding_id: number;
+  session_id: string;
+  source_app: string;
+  report_id: string;
+  evidence_event_id?: string;
   timestamp: number;
 }
 
+// GET /api/findings/:id
+export interface FindingDetail extends Finding {
+  occurrence_list: FindingOccurrence[];
+  evidence_event: HookEvent | null;
+}
+
 export interface FindingSummary {
   total_findings: number;
   by_severity: Record<string, number>;
   by_type: Record<string, number>;
   by_agent: Record<string, number>;
   by_confidence: Record<string, number>;
+  by_status: Record<string, number>;
 }
 
 // WSTG coverage tracking
@@ -168,14 +250,35 @@ export interface WSTGCoverage {
 
 export interface WSTGCoverageReport {
   total_tests: number;
-  executed: number;
+  executed: number; // Includes tests with findings
   skipped: number;
   partial: number;
   not_applicable: number;
+  not_touched: number;
+  with_findings: number;
   coverage_percentage: number;
   by_category: Record<string, { executed: number; total: number; percentage: number }>;
 }
 
+export type WSTGTestState = 'finding' | WSTGCoverage['status'] | 'not_touched';
+
+export interface WSTGMatrixTest {
+  id: string;
+  name: string;
+  category: string;
+  states: Record<string, WSTGTestState>; // By session ID
+  skip_reasons: Record<string, string>;
+  rollup: WSTGTestState;
+}
+
+// GET /api/wstg/matrix
+export interface WSTGMatrix {
+  version: string;
+  sessions: { session_id: string; client_name?: string; started_at?: number; coverage_percentage: number }[];
+  categories: { id: string; name: string; tests: WSTGMatrixTest[] }[];
+  rollup: WSTGCoverageReport;
+}
+
 // Session summary
 export interface SessionSummary {
   id?: number;
@@ -192,6 +295,71 @@ export interface SessionSummary {
   total_tool_calls: number;
   agents_used: string[];
   wstg_coverage_pct: number;
+  engagement_id?: number | null;
+}
+
+// A session's agent tree (GET /api/sessions/:id/agents). The session's own
+// agent is 'root'; subagents hang off whichever agent spawned them
+export interface AgentNode {
+  session_id: string;
+  agent_id: string;
+  parent_agent_id: string | null;
+  agent_name: string;
+  source?: string | null;
+  spawned_by_call_id?: string | null;
+  description?: string | null;
+  started_at: number;
+  ended_at?: number | null;
+  tool_calls: number;
+  tool_failures: number;
+  tools: Record<string, number>; // Calls per tool
+  total_tokens: number;
+  cost: number;
+  findings: number;
+  children: AgentNode[];
+}
+
+// Session comparison (GET /api/sessions/compare) - every session against the first one
+export interface SessionComparisonMetrics {
+  total_tokens: number;
+  total_cost: number;
+  duration_ms: number | null; // null while a session has no end
+  tool_calls: number;
+  tool_failures: number;
+  findings: number; // False positives excluded
+  wstg_coverage_pct: number;
+  errors: number; // SessionError events
+}
+
+export interface ComparedFinding {
+  fingerprint: string;
+  title: string;
+  severity: Finding['severity'];
+  vulnerability_type: string;
+  target_url?: string;
+  location?: string;
+}
+
+export interface SessionComparisonEntry {
+  session_id: string;
+  session: SessionSummary;
+  metrics: SessionComparisonMetrics;
+  delta: SessionComparisonMetrics | null; // This session minus the baseline; null for the baseline
+  errors_by_type: Record<string, number>;
+  findings_by_severity: Record<string, number>;
+  findings_gained: ComparedFinding[]; // Not reported in the baseline
+  findings_lost: ComparedFinding[]; // Reported in the baseline only
+  wstg_gained: string[]; // WSTG tests executed here but not in the baseline
+  wstg_lost: string[];
+}
+
+export interface SessionComparison {
+  baseline: string;
+  sessions: SessionComparisonEntry[];
+  tool_mix: {
+    tool_name: string;
+    by_session: Record<string, { calls: number; failures: number; avg_duration_ms: number; vulnerabilities_found: number }>;
+  }[];
 }
 
 // Metrics dashboard summary
@@ -206,4 +374,66 @@ export interface MetricsDashboard {
   findings: FindingSummary;
   tools: ToolEffectivenessReport[];
   wstg: WSTGCoverageReport;
-}
\ No newline at end of file
+}
+// Payload of an AnomalyDetected event - an agent that looks stuck or looping
+export type AnomalyType = 'repeated_tool_call' | 'error_rate' | 'retry_storm' | 'stalled' | 'token_spike';
+
+export interface AnomalyEvidence {
+  id: number; // Stored event id
+  event_id?: string;
+  hook_event_type: string;
+  timestamp: number;
+}
+
+export interface AnomalyPayload {
+  anomaly_type: AnomalyType;
+  severity: 'warning' | 'critical';
+  agent_id?: string;
+  description: string;
+  evidence: AnomalyEvidence[];
+}
+
+// One step of a session replay, rebuilt from the session's events
+export type ReplayStepKind = 'prompt' | 'reasoning' | 'message' | 'tool' | 'agent' | 'scope' | 'anomaly' | 'error';
+
+export interface ReplayStep {
+  index: number;
+  kind: ReplayStepKind;
+  timestamp: number;
+  title: string;
+  detail?: string;
+  tool_input?: Record<string, any>;
+  tool_output?: string;
+  tool_states?: string[]; // ToolState transitions, e.g. ['running', 'completed']
+  failed?: boolean;
+  duration_ms?: number | null;
+  events: HookEvent[]; // The events the step was built from
+  tokens: number; // Running totals up to and including this step
+  cost: number;
+  findings: Finding[]; // Findings whose evidence is this step's tool call
+}
+
+// Dashboard login (only when the server has AUTH_ENABLED)
+export type UserRole = 'viewer' | 'analyst' | 'admin';
+
+export interface User {
+  id: number;
+  username: string;
+  role: UserRole;
+  workspace_id: number | null; // null = every workspace
+  created_at: number;
+  last_login_at: number | null;
+}
+
+// Workspaces keep the data of different clients or teams apart
+export interface WorkspaceSummary {
+  id: number;
+  slug: string;
+  name: string;
+  created_at: number;
+  events: number;
+  sessions: number;
+  findings: number;
+  total_cost: number;
+  last_event_at: number | null;
+}
@@ -0,0 +1,101 @@
+import {
+  addAgentToSession,
+  endSessionAgent,
+  getAgentActivity,
+  getSession,
+  getSessionAgents,
+  queryEvents,
+  upsertSessionAgent
+} from './db';
+import { ROOT_AGENT_ID } from './types';
+import type { AgentNode, HookEvent, SessionAgent } from './types';
+
+// Who spawned whom within a session. The plugin reports subagents with
+// AgentSpawn / AgentStop events carrying an agent_id and parent_agent_id, and
+// tags tool calls, tokens and findings with the agent_id they belong to.
+// (AgentSpawn events without an agent_id, for @-mentioned agents, only add to
+// the session's flat agents_used list.)
+
+/**
+ * Keep the session's agent tree up to date with a newly stored event.
+ */
+export function recordAgentEvent(event: HookEvent): void {
+  const payload = event.payload || {};
+  const at = event.timestamp || Date.now();
+
+  if (event.hook_event_type === 'AgentSpawn' && payload.agent_id) {
+    upsertSessionAgent({
+      session_id: event.session_id,
+      agent_id: String(payload.agent_id),
+      parent_agent_id: payload.parent_agent_id ? String(payload.parent_agent_id) : ROOT_AGENT_ID,
+      agent_name: String(payload.agent_name || 'subagent'),
+      source: payload.source || null,
+      spawned_by_call_id: payload.spawned_by_call_id || null,
+      description: payload.description || null,
+      started_at: at,
+      workspace_id: event.workspace_id
+    });
+    addAgentToSession(event.session_id, String(payload.agent_name || 'subagent'));
+  }
+
+  if (event.hook_event_type === 'AgentStop' && payload.agent_id) {
+    endSessionAgent(event.session_id, String(payload.agent_id), at);
+  }
+}
+
+// The session's own agent, which is never spawned and so has no row
+function rootAgent(sessionId: string, workspaceId?: number): SessionAgent | null {
+  const session = getSession(sessionId, workspaceId);
+  const [first] = queryEvents({ session_id: sessionId, order: 'asc', limit: 1, workspace_id: workspaceId }).events;
+  if (!session && !first) return null;
+
+  const [last] = queryEvents({ session_id: sessionId, order: 'desc', limit: 1, workspace_id: workspaceId }).events;
+  return {
+    session_id: sessionId,
+    agent_id: ROOT_AGENT_ID,
+    parent_agent_id: null,
+    agent_name: first?.source_app || session?.client_name || 'agent',
+    started_at: session?.started_at ?? first!.timestamp!,
+    ended_at: session?.ended_at ?? (session?.status === 'running' ? null : last?.timestamp ?? null),
+    workspace_id: session?.workspace_id ?? first?.workspace_id
+  };
+}
+
+/**
+ * Build the agent tree of a session (in one workspace, or in any), each agent
+ * with its tool calls, tokens, cost and findings. Agents whose parent is
+ * unknown hang off the root. Returns null for unknown sessions.
+ */
+export function buildAgentTree(sessionId: string, workspaceId?: number): AgentNode | null {
+  const root = rootAgent(sessionId, workspaceId);
+  if (!root) return null;
+
+  const activity = getAgentActivity(sessionId, ROOT_AGENT_ID, workspaceId);
+  const toNode = (agent: SessionAgent): AgentNode => {
+    const tools = activity.tools.filter(row => row.agent_id === agent.agent_id);
+    const tokens = activity.tokens.find(row => row.agent_id === agent.agent_id);
+    return {
+      ...agent,
+      tool_calls: tools.reduce((sum, row) => sum + row.calls, 0),
+      tool_failures: tools.reduce((sum, row) => sum + row.failures, 0),
+      tools: Object.fromEntries(tools.map(row => [row.tool_name, row.calls])),
+      total_tokens: tokens?.total_tokens || 0,
+      cost: tokens?.cost || 0,
+      findings: activity.findings.find(row => row.agent_id === agent.agent_id)?.findings || 0,
+      children: []
+    };
+  };
+
+  const rootNode = toNode(root);
+  const nodes = new Map<string, AgentNode>([[ROOT_AGENT_ID, rootNode]]);
+  const agents = getSessionAgents(sessionId, workspaceId).filter(agent => agent.agent_id !== ROOT_AGENT_ID);
+  for (const agent of agents) {
+    nodes.set(agent.agent_id, toNode(agent));
+  }
+  for (const agent of agents) {
+    const parent = (agent.parent_agent_id !== agent.agent_id && nodes.get(agent.parent_agent_id || ROOT_AGENT_ID)) || rootNode;
+    parent.children.push(nodes.get(agent.agent_id)!);
+  }
+
+  return rootNode;
+}
@@ -0,0 +1,323 @@
+import { readFileSync } from 'fs';
+import { insertEvent } from './db';
+import type { AnomalyConfig, AnomalyEvidence, AnomalyPayload, HookEvent } from './types';
+
+// Watches the event stream of each running session for agents that are stuck
+// or looping, and reports them as AnomalyDetected events. Each anomaly is
+// reported once, and again only after the condition has cleared.
+
+const DEFAULT_CONFIG: AnomalyConfig = {
+  enabled: true,
+  repeat_threshold: 5,
+  repeat_window: 20,
+  error_rate_threshold: 0.6,
+  error_window: 10,
+  error_min_results: 5,
+  retry_threshold: 5,
+  retry_window_minutes: 5,
+  stall_minutes: 10,
+  token_spike_factor: 3,
+  token_spike_min_tokens: 20000
+};
+
+// Sessions silent for this long are forgotten (and no longer checked for stalls)
+const IDLE_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_EVIDENCE = 10;
+
+interface SessionState {
+  source_app: string;
+  workspace_id?: number;
+  calls: { signature: string; tool_name: string; target?: string; agent_id?: string; evidence: AnomalyEvidence }[];
+  results: { failed: boolean; evidence: AnomalyEvidence }[];
+  retries: AnomalyEvidence[];
+  token_steps: number;
+  token_total: number;
+  last_progress: AnomalyEvidence | null;
+  last_progress_received_at: number; // Server time, so replayed events don't look stalled
+  last_received_at: number;
+  active: Set<string>; // Anomalies currently raised
+}
+
+const config: AnomalyConfig = loadAnomalyConfig();
+const sessions = new Map<string, SessionState>();
+let stallTimer: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * Build the detector thresholds from ANOMALY_CONFIG (a JSON file shaped like
+ * AnomalyConfig) and per-setting overrides such as ANOMALY_STALL_MINUTES=20.
+ */
+export function loadAnomalyConfig(): AnomalyConfig {
+  const loaded: AnomalyConfig = { ...DEFAULT_CONFIG };
+
+  const configFile = process.env.ANOMALY_CONFIG;
+  if (configFile) {
+    try {
+      const file = JSON.parse(readFileSync(configFile, 'utf8'));
+      for (const key of Object.keys(DEFAULT_CONFIG) as (keyof AnomalyConfig)[]) {
+        if (file[key] !== undefined) (loaded as any)[key] = file[key];
+      }
+    } catch (error) {
+      console.error(`[Anomaly] Failed to read ${configFile}:`, error);
+    }
+  }
+
+  for (const key of Object.keys(DEFAULT_CONFIG) as (keyof AnomalyConfig)[]) {
+    const value = process.env[`ANOMALY_${key.toUpperCase()}`];
+    if (value === undefined || value === '') continue;
+    if (key === 'enabled') {
+      loaded.enabled = !['0', 'false', 'off'].includes(value);
+    } else {
+      (loaded as any)[key] = parseFloat(value);
+    }
+  }
+
+  return loaded;
+}
+
+export function getAnomalyConfig(): AnomalyConfig {
+  return config;
+}
+
+function evidenceOf(event: HookEvent): AnomalyEvidence {
+  return {
+    id: event.id!,
+    event_id: event.event_id,
+    hook_event_type: event.hook_event_type,
+    timestamp: event.timestamp || Date.now()
+  };
+}
+
+function describeToolInput(input: Record<string, any> | undefined): string | undefined {
+  if (!input) return undefined;
+  const target = input.command || input.file_path || input.filePath || input.url || input.pattern || input.query;
+  return target ? String(target).slice(0, 200) : undefined;
+}
+
+function sessionState(event: HookEvent): SessionState {
+  let state = sessions.get(event.session_id);
+  if (!state) {
+    state = {
+      source_app: event.source_app,
+      calls: [],
+      results: [],
+      retries: [],
+      token_steps: 0,
+      token_total: 0,
+      last_progress: null,
+      last_progress_received_at: Date.now(),
+      last_received_at: Date.now(),
+      active: new Set()
+    };
+    sessions.set(event.session_id, state);
+  }
+  state.workspace_id = event.workspace_id ?? state.workspace_id;
+  state.last_received_at = Date.now();
+  return state;
+}
+
+// Raise an anomaly when its condition starts to hold; clear it when it stops
+function shouldRaise(state: SessionState, key: string, condition: boolean): boolean {
+  if (!condition) {
+    state.active.delete(key);
+    return false;
+  }
+  if (state.active.has(key)) return false;
+  state.active.add(key);
+  return true;
+}
+
+function storeAnomaly(sessionId: string, state: SessionState, payload: AnomalyPayload, timestamp: number): HookEvent {
+  return insertEvent({
+    source_app: state.source_app,
+    session_id: sessionId,
+    hook_event_type: 'AnomalyDetected',
+    payload: { ...payload, evidence: payload.evidence.slice(-MAX_EVIDENCE) },
+    summary: payload.description,
+    timestamp,
+    workspace_id: state.workspace_id
+  });
+}
+
+function recordToolCall(event: HookEvent, state: SessionState): AnomalyPayload[] {
+  const payload = event.payload || {};
+  const signature = JSON.stringify([payload.agent_id || null, payload.tool_name, payload.tool_input ?? null]);
+  state.calls.push({
+    signature,
+    tool_name: payload.tool_name || 'unknown',
+    target: describeToolInput(payload.tool_input),
+    agent_id: payload.agent_id,
+    evidence: evidenceOf(event)
+  });
+  state.calls = state.calls.slice(-config.repeat_window);
+
+  const repeats = state.calls.filter(call => call.signature === signature);
+  if (!shouldRaise(state, `repeat:${signature}`, repeats.length >= config.repeat_threshold)) return [];
+
+  const call = repeats[repeats.length - 1]!;
+  return [{
+    anomaly_type: 'repeated_tool_call',
+    severity: repeats.length >= config.repeat_window / 2 ? 'critical' : 'warning',
+    agent_id: call.agent_id,
+    description: `Same ${call.tool_name} call repeated ${repeats.length} times in the last ${state.calls.length} calls${call.target ? `: ${call.target}` : ''}`,
+    evidence: repeats.map(repeat => repeat.evidence),
+    tool_name: call.tool_name,
+    target: call.target,
+    repeats: repeats.length
+  }];
+}
+
+function recordResult(event: HookEvent, state: SessionState, failed: boolean): AnomalyPayload[] {
+  state.results.push({ failed, evidence: evidenceOf(event) });
+  state.results = state.results.slice(-config.error_window);
+
+  const failures = state.results.filter(result => result.failed);
+  const rate = failures.length / state.results.length;
+  const spiking = state.results.length >= config.error_min_results && rate >= config.error_rate_threshold;
+  if (!shouldRaise(state, 'error_rate', spiking)) return [];
+
+  return [{
+    anomaly_type: 'error_rate',
+    severity: rate >= 1 ? 'critical' : 'warning',
+    agent_id: event.payload?.agent_id,
+    description: `${failures.length} of the last ${state.results.length} tool calls and requests failed`,
+    evidence: failures.map(failure => failure.evidence),
+    error_rate: Math.round(rate * 100) / 100,
+    failures: failures.length,
+    results: state.results.length
+  }];
+}
+
+function recordRetry(event: HookEvent, state: SessionState): AnomalyPayload[] {
+  const at = event.timestamp || Date.now();
+  state.retries.push(evidenceOf(event));
+  state.retries = state.retries.filter(retry => retry.timestamp > at - config.retry_window_minutes * 60 * 1000);
+
+  if (!shouldRaise(state, 'retry_storm', state.retries.length >= config.retry_threshold)) return [];
+
+  return [{
+    anomaly_type: 'retry_storm',
+    severity: 'warning',
+    agent_id: event.payload?.agent_id,
+    description: `${state.retries.length} model request retries in ${config.retry_window_minutes} minutes (${event.payload?.error_type || 'unknown error'})`,
+    evidence: [...state.retries],
+    retries: state.retries.length,
+    error_type: event.payload?.error_type
+  }];
+}
+
+function recordStep(event: HookEvent, state: SessionState): AnomalyPayload[] {
+  const tokens = event.payload?.tokens || {};
+  const stepTokens = (tokens.input || 0) + (tokens.output || 0) + (tokens.reasoning || 0);
+  if (stepTokens <= 0) return [];
+
+  const average = state.token_steps > 0 ? state.token_total / state.token_steps : 0;
+  const spike = state.token_steps >= 3
+    && stepTokens >= config.token_spike_min_tokens
+    && stepTokens >= average * config.token_spike_factor;
+  state.token_steps++;
+  state.token_total += stepTokens;
+
+  // Every spike is its own step, so there is nothing to clear
+  if (!spike) return [];
+  return [{
+    anomaly_type: 'token_spike',
+    severity: stepTokens >= average * config.token_spike_factor * 2 ? 'critical' : 'warning',
+    agent_id: event.payload?.agent_id,
+    description: `A step used ${stepTokens.toLocaleString('en-US')} tokens, ${(stepTokens / average).toFixed(1)}x the session's average of ${Math.round(average).toLocaleString('en-US')}`,
+    evidence: [evidenceOf(event)],
+    step_tokens: stepTokens,
+    average_tokens: Math.round(average)
+  }];
+}
+
+function markProgress(event: HookEvent, state: SessionState): void {
+  state.last_progress = evidenceOf(event);
+  state.last_progress_received_at = Date.now();
+  state.active.delete('stalled');
+}
+
+/**
+ * Feed a newly stored event to the detectors. Returns the stored
+ * AnomalyDetected events for the caller to broadcast.
+ */
+export function detectAnomalies(event: HookEvent): HookEvent[] {
+  if (!config.enabled || !event.session_id) return [];
+  const type = event.hook_event_type;
+
+  // A stopped session can't be stuck; it starts over if it resumes
+  if (type === 'Stop') {
+    sessions.delete(event.session_id);
+    return [];
+  }
+
+  let found: AnomalyPayload[] = [];
+  if (type === 'PreToolUse') {
+    found = recordToolCall(event, sessionState(event));
+  } else if (type === 'PostToolUse') {
+    const state = sessionState(event);
+    markProgress(event, state);
+    found = recordResult(event, state, !!event.payload?.tool_error);
+  } else if (type === 'SessionError') {
+    found = recordResult(event, sessionState(event), true);
+  } else if (type === 'Retry') {
+    found = recordRetry(event, sessionState(event));
+  } else if (type === 'MessageComplete') {
+    const state = sessionState(event);
+    markProgress(event, state);
+    found = recordStep(event, state);
+  } else if (type === 'UserPromptSubmit' || type === 'SessionStart') {
+    markProgress(event, sessionState(event));
+  } else {
+    return [];
+  }
+
+  const state = sessions.get(event.session_id)!;
+  return found.map(payload => storeAnomaly(event.session_id, state, payload, event.timestamp || Date.now()));
+}
+
+/**
+ * Report sessions that have gone without tool results or model responses
+ * for stall_minutes, and forget sessions that have gone quiet altogether.
+ */
+export function checkStalledSessions(now: number = Date.now()): HookEvent[] {
+  if (!config.enabled || !config.stall_minutes) return [];
+  const stallMs = config.stall_minutes * 60 * 1000;
+  const anomalies: HookEvent[] = [];
+
+  for (const [sessionId, state] of sessions) {
+    if (now - state.last_received_at > Math.max(IDLE_SESSION_TTL_MS, stallMs * 2)) {
+      sessions.delete(sessionId);
+      continue;
+    }
+
+    const silentMs = now - state.last_progress_received_at;
+    if (!shouldRaise(state, 'stalled', silentMs >= stallMs)) continue;
+
+    const minutes = Math.round(silentMs / 6000) / 10;
+    anomalies.push(storeAnomaly(sessionId, state, {
+      anomaly_type: 'stalled',
+      severity: 'critical',
+      description: `No tool results or model responses for ${minutes >= 1 ? `${Math.round(minutes)} minutes` : `${Math.round(silentMs / 1000)} seconds`}`,
+      evidence: state.last_progress ? [state.last_progress] : [],
+      stalled_minutes: minutes
+    }, now));
+  }
+
+  return anomalies;
+}
+
+/**
+ * Start checking for stalled sessions (no-op when detection or the stall check is off)
+ */
+export function startAnomalyJob(onAnomaly: (event: HookEvent) => void): void {
+  if (!config.enabled || !config.stall_minutes || stallTimer) return;
+
+  const intervalMs = Math.min(60 * 1000, (config.stall_minutes * 60 * 1000) / 2);
+  stallTimer = setInterval(() => {
+    try {
+      checkStalledSessions().forEach(onAnomaly);
+    } catch (error) {
+      console.error('[Anomaly] Stall check failed:', error);
+    }
+  }, intervalMs);
+}
@@ -0,0 +1,304 @@
+import { createHash, randomBytes } from 'crypto';
+import {
+  DEFAULT_WORKSPACE_ID,
+  countUsers,
+  deleteAuthToken,
+  deleteExpiredAuthTokens,
+  getApiKeyByHash,
+  getUserByTokenHash,
+  getUserCredentials,
+  getWorkspaceBySlug,
+  insertAuthToken,
+  insertUser,
+  insertWorkspace,
+  recordUserLogin,
+  touchApiKey
+} from './db';
+import type { ApiKey, Principal, User, UserRole } from './types';
+
+// Authentication is off unless AUTH_ENABLED is set, so existing setups keep
+// working. Once on, dashboard users log in for a bearer token (viewer, analyst
+// or admin) and agents post telemetry with an ingest API key per source_app.
+
+export const AUTH_ENABLED = ['1', 'true'].includes(process.env.AUTH_ENABLED || '');
+export const USER_ROLES: UserRole[] = ['viewer', 'analyst', 'admin'];
+
+const TOKEN_TTL_MS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS || '12') * 60 * 60 * 1000;
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000; // last_used_at is only written this often per key
+const MIN_PASSWORD_LENGTH = 8;
+
+// Origins the dashboard may be served from; '*' allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Keys from INGEST_API_KEYS ("[workspace/]source_app:key,..."), on top of those
+// created through the API. Loaded by initAuth, once the database is open.
+const ENV_API_KEYS = new Map<string, ApiKey>();
+
+function loadEnvApiKeys(): void {
+  const entries = (process.env.INGEST_API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) {
+      console.error(`[Auth] Ignoring INGEST_API_KEYS entry without a source_app: ${entry.slice(0, 4)}...`);
+      continue;
+    }
+    const target = entry.slice(0, separator);
+    const key = entry.slice(separator + 1);
+    const slash = target.indexOf('/');
+    const sourceApp = slash >= 0 ? target.slice(slash + 1) : target;
+
+    // Workspaces named here are created on first start
+    let workspaceId = DEFAULT_WORKSPACE_ID;
+    if (slash >= 0) {
+      const slug = target.slice(0, slash);
+      const workspace = getWorkspaceBySlug(slug) || insertWorkspace({ slug, name: slug });
+      workspaceId = workspace.id!;
+    }
+
+    ENV_API_KEYS.set(hashSecret(key), {
+      name: `env:${target}`,
+      source_app: sourceApp,
+      workspace_id: workspaceId,
+      key_prefix: key.slice(0, 8)
+    });
+  }
+}
+
+const keyTouchedAt = new Map<number, number>();
+
+// Who may call a route: the lowest user role (null = anyone), and whether an
+// ingest key is accepted too. Routes not listed need a viewer for GET, an admin otherwise.
+interface AccessRule {
+  method: string;
+  path: RegExp;
+  role: UserRole | null;
+  ingest?: boolean;
+}
+
+const ACCESS_RULES: AccessRule[] = [
+  { method: 'GET', path: /^\/$/, role: null },
+  { method: 'GET', path: /^\/stream$/, role: null }, // Checked on upgrade, see authenticateStream
+  { method: 'POST', path: /^\/api\/auth\/login$/, role: null },
+  { method: 'GET', path: /^\/api\/auth\/me$/, role: null },
+  { method: 'POST', path: /^\/api\/auth\/logout$/, role: 'viewer' },
+  { method: '*', path: /^\/api\/auth\/(users|keys)(\/.*)?$/, role: 'admin' },
+
+  // Telemetry from agents
+  { method: 'POST', path: /^\/events(\/batch)?$/, role: 'admin', ingest: true },
+  { method: 'POST', path: /^\/api\/metrics\/(tokens|tools|findings|wstg)$/, role: 'admin', ingest: true },
+  { method: 'POST', path: /^\/api\/sessions$/, role: 'admin', ingest: true },
+  { method: 'POST', path: /^\/api\/sessions\/[^\/]+\/agents$/, role: 'admin', ingest: true },
+  { method: 'POST', path: /^\/api\/ingest\/[^\/]+(\/v1\/logs)?$/, role: 'admin', ingest: true },
+
+  // Read by the plugin before tool calls
+  { method: 'GET', path: /^\/api\/policies$/, role: 'viewer', ingest: true },
+  { method: 'GET', path: /^\/api\/engagements(\/\d+)?$/, role: 'viewer', ingest: true },
+  { method: 'GET', path: /^\/api\/budgets\/status$/, role: 'viewer', ingest: true },
+  { method: 'GET', path: /^\/api\/pricing\/resolve$/, role: 'viewer', ingest: true },
+
+  // Scraped by Prometheus, which can't log in - it sends an API key instead
+  { method: 'GET', path: /^\/metrics$/, role: 'viewer', ingest: true },
+
+  // Triage
+  { method: 'POST', path: /^\/events\/\d+\/respond$/, role: 'analyst' },
+  { method: 'PATCH', path: /^\/api\/findings(\/\d+)?$/, role: 'analyst' },
+  { method: 'POST', path: /^\/api\/sessions\/[^\/]+\/trace\/export$/, role: 'analyst' },
+  { method: 'POST', path: /^\/api\/themes(\/import)?$/, role: 'analyst' },
+  { method: 'PUT', path: /^\/api\/themes\/[^\/]+$/, role: 'analyst' },
+
+  // Webhooks have secrets, so even listing them is for admins
+  { method: '*', path: /^\/api\/webhooks(\/.*)?$/, role: 'admin' },
+
+  { method: '*', path: /^\/api\/admin\//, role: 'admin' }
+];
+
+function hashSecret(secret: string): string {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function hasRole(user: User, role: UserRole): boolean {
+  return USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+export function requiredAccess(method: string, pathname: string): { role: UserRole | null; ingest: boolean } {
+  const rule = ACCESS_RULES.find(r => (r.method === '*' || r.method === method) && r.path.test(pathname));
+  if (rule) return { role: rule.role, ingest: Boolean(rule.ingest) };
+  return { role: method === 'GET' ? 'viewer' : 'admin', ingest: false };
+}
+
+// =====================================================
+// CORS
+// =====================================================
+
+export function corsHeaders(origin: string | null): Record<string, string> {
+  const headers: Record<string, string> = {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Workspace'
+  };
+  if (CORS_ORIGINS.includes('*')) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    // Browsers on any other origin get no grant and refuse the response
+    headers['Vary'] = 'Origin';
+    if (origin && CORS_ORIGINS.includes(origin)) headers['Access-Control-Allow-Origin'] = origin;
+  }
+  return headers;
+}
+
+// Requests without an Origin don't come from a browser page
+export function isOriginAllowed(origin: string | null): boolean {
+  return !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+}
+
+// =====================================================
+// Credentials
+// =====================================================
+
+export function authenticateToken(token: string | null | undefined): User | null {
+  if (!token) return null;
+  return getUserByTokenHash(hashSecret(token), Date.now());
+}
+
+export function authenticateApiKey(key: string | null | undefined): ApiKey | null {
+  if (!key) return null;
+  const keyHash = hashSecret(key);
+  const apiKey = ENV_API_KEYS.get(keyHash) || getApiKeyByHash(keyHash);
+
+  if (apiKey?.id !== undefined) {
+    const now = Date.now();
+    if (now - (keyTouchedAt.get(apiKey.id) || 0) > KEY_TOUCH_INTERVAL_MS) {
+      keyTouchedAt.set(apiKey.id, now);
+      touchApiKey(apiKey.id, now);
+    }
+  }
+  return apiKey;
+}
+
+function bearerToken(req: Request): string | null {
+  const match = (req.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1]!.trim() : null;
+}
+
+/**
+ * Work out who made a request and whether they may call the route.
+ * Returns the principal, or the status and message to refuse the request with.
+ */
+export function authorize(req: Request, url: URL): { principal?: Principal; status?: number; error?: string } {
+  if (!AUTH_ENABLED) return { principal: { kind: 'anonymous' } };
+
+  const access = requiredAccess(req.method, url.pathname);
+  const token = bearerToken(req);
+  const user = authenticateToken(token);
+  // API keys also work as bearer tokens, for clients that can only send those
+  const key = user ? null : authenticateApiKey(req.headers.get('X-API-Key') || token);
+  const principal: Principal = user ? { kind: 'user', user } : key ? { kind: 'ingest', key } : { kind: 'anonymous' };
+
+  if (access.role === null) return { principal };
+  if (principal.kind === 'user' && hasRole(principal.user, access.role)) return { principal };
+  if (principal.kind === 'ingest' && access.ingest) return { principal };
+
+  if (principal.kind === 'anonymous') {
+    return { status: 401, error: 'Authentication required' };
+  }
+  return { status: 403, error: access.ingest ? 'Not allowed for this API key or role' : `Requires the ${access.role} role` };
+}
+
+// Whether the principal may post telemetry on behalf of a source_app
+export function canIngest(principal: Principal, sourceApp: string): boolean {
+  if (!AUTH_ENABLED || principal.kind === 'user') return true;
+  return principal.kind === 'ingest' && (principal.key.source_app === '*' || principal.key.source_app === sourceApp);
+}
+
+// Browsers can't set headers on WebSocket upgrades, so the token comes in the query string
+export function authenticateStream(req: Request, url: URL): { user?: User; status?: number; error?: string } {
+  if (!isOriginAllowed(req.headers.get('Origin'))) {
+    return { status: 403, error: 'Origin not allowed' };
+  }
+  if (!AUTH_ENABLED) return {};
+
+  const user = authenticateToken(url.searchParams.get('token'));
+  return user ? { user } : { status: 401, error: 'Authentication required' };
+}
+
+// =====================================================
+// Users, logins and keys
+// =====================================================
+
+/**
+ * Validate a user from the API. Passwords are only required for new users.
+ * Returns the fields to store, or the list of problems with them.
+ */
+export function parseUser(input: any, isNew: boolean): { username?: string; password?: string; role?: UserRole; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['User must be an object'] };
+  }
+  if (isNew && (typeof input.username !== 'string' || !/^[\w.@-]{1,64}$/.test(input.username))) {
+    errors.push('username is required and may only contain letters, digits and . _ @ -');
+  }
+  if ((isNew || input.password !== undefined) && (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if ((isNew || input.role !== undefined) && !USER_ROLES.includes(input.role)) {
+    errors.push(`role must be one of ${USER_ROLES.join(', ')}`);
+  }
+
+  return {
+    username: isNew ? input.username : undefined,
+    password: input.password,
+    role: input.role,
+    errors
+  };
+}
+
+export function hashPassword(password: string): Promise<string> {
+  return Bun.password.hash(password);
+}
+
+// Issue a login token; only its hash is stored
+export async function login(username: string, password: string): Promise<{ token: string; expires_at: number; user: User } | null> {
+  const credentials = getUserCredentials(username);
+  if (!credentials || !(await Bun.password.verify(password, credentials.password_hash))) {
+    return null;
+  }
+
+  const now = Date.now();
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = now + TOKEN_TTL_MS;
+  deleteExpiredAuthTokens(now);
+  insertAuthToken(hashSecret(token), credentials.user.id!, expiresAt);
+  recordUserLogin(credentials.user.id!, now);
+
+  return { token, expires_at: expiresAt, user: { ...credentials.user, last_login_at: now } };
+}
+
+export function logout(req: Request): void {
+  const token = bearerToken(req);
+  if (token) deleteAuthToken(hashSecret(token));
+}
+
+// A new random key for a source_app; the key itself is only ever returned here
+export function generateApiKey(): { key: string; key_hash: string; key_prefix: string } {
+  const key = `obs_${randomBytes(24).toString('base64url')}`;
+  return { key, key_hash: hashSecret(key), key_prefix: key.slice(0, 8) };
+}
+
+/**
+ * Load the INGEST_API_KEYS, and create the first admin from AUTH_ADMIN_USERNAME /
+ * AUTH_ADMIN_PASSWORD when authentication is on and nobody can log in yet.
+ */
+export async function initAuth(): Promise<void> {
+  if (!AUTH_ENABLED) return;
+  loadEnvApiKeys();
+  if (countUsers() > 0) return;
+
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!password) {
+    console.error('[Auth] Authentication is enabled but there are no users; set AUTH_ADMIN_PASSWORD to create an admin');
+    return;
+  }
+  const username = process.env.AUTH_ADMIN_USERNAME || 'admin';
+  insertUser(username, await hashPassword(password), 'admin');
+  console.log(`[Auth] Created admin user "${username}"`);
+}
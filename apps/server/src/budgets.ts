@@ -0,0 +1,213 @@
+import {
+  DEFAULT_WORKSPACE_ID,
+  getBudgets,
+  getTokenUsage,
+  insertEvent,
+  recordBudgetAlert
+} from './db';
+import type { Budget, BudgetUsage, HookEvent, TokenMetric } from './types';
+
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+const BUDGET_SCOPES = ['session', 'source_app', 'global'];
+const BUDGET_PERIODS = ['total', 'daily'];
+
+/**
+ * Validate a budget from the API and fill in defaults.
+ * Returns the budget, or the list of problems with it.
+ */
+export function parseBudget(input: any): { budget?: Budget; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Budget must be an object'] };
+  }
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (!BUDGET_SCOPES.includes(input.scope)) {
+    errors.push(`scope must be one of ${BUDGET_SCOPES.join(', ')}`);
+  }
+  if (input.period !== undefined && !BUDGET_PERIODS.includes(input.period)) {
+    errors.push(`period must be one of ${BUDGET_PERIODS.join(', ')}`);
+  }
+
+  const maxCost = input.max_cost_usd ?? null;
+  const maxTokens = input.max_tokens ?? null;
+  if (maxCost === null && maxTokens === null) {
+    errors.push('max_cost_usd or max_tokens is required');
+  }
+  if (maxCost !== null && !(typeof maxCost === 'number' && maxCost > 0)) {
+    errors.push('max_cost_usd must be a positive number');
+  }
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    errors.push('max_tokens must be a positive integer');
+  }
+
+  const thresholds = input.thresholds ?? DEFAULT_THRESHOLDS;
+  if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.some((t: any) => typeof t !== 'number' || t <= 0)) {
+    errors.push('thresholds must be a list of positive percentages');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    budget: {
+      name: input.name,
+      scope: input.scope,
+      scope_value: input.scope === 'global' ? null : (input.scope_value || null),
+      period: input.period || 'total',
+      max_cost_usd: maxCost,
+      max_tokens: maxTokens,
+      thresholds: [...new Set<number>(thresholds)].sort((a, b) => a - b),
+      webhook_url: input.webhook_url || null,
+      enabled: input.enabled !== false,
+      enforce: input.enforce === true
+    }
+  };
+}
+
+function startOfUtcDay(timestamp: number): number {
+  const date = new Date(timestamp);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// The scope a budget measures for a given session, or null if it does not apply
+function budgetScopeKey(budget: Budget, sessionId: string, sourceApp: string): string | null {
+  if (budget.scope === 'global') return '*';
+  const key = budget.scope === 'session' ? sessionId : sourceApp;
+  if (budget.scope_value && budget.scope_value !== key) return null;
+  return key;
+}
+
+function measureBudget(budget: Budget, scopeKey: string, at: number): BudgetUsage {
+  const since = budget.period === 'daily' ? startOfUtcDay(at) : undefined;
+  const usage = getTokenUsage({
+    workspace_id: budget.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    session_id: budget.scope === 'session' ? scopeKey : undefined,
+    source_app: budget.scope === 'source_app' ? scopeKey : undefined,
+    since
+  });
+
+  return {
+    budget,
+    scope_key: scopeKey,
+    period_key: since !== undefined ? new Date(since).toISOString().slice(0, 10) : 'total',
+    cost_usd: usage.cost,
+    tokens: usage.tokens,
+    cost_pct: budget.max_cost_usd ? (usage.cost / budget.max_cost_usd) * 100 : null,
+    tokens_pct: budget.max_tokens ? (usage.tokens / budget.max_tokens) * 100 : null
+  };
+}
+
+/**
+ * Current usage of every enabled budget that applies to a session / source app,
+ * in one workspace or all of them
+ */
+export function getBudgetUsage(sessionId: string, sourceApp: string, workspaceId?: number): BudgetUsage[] {
+  const now = Date.now();
+  return getBudgets(true, workspaceId)
+    .map(budget => {
+      const scopeKey = budgetScopeKey(budget, sessionId, sourceApp);
+      return scopeKey ? measureBudget(budget, scopeKey, now) : null;
+    })
+    .filter((usage): usage is BudgetUsage => usage !== null);
+}
+
+function formatAmount(metric: 'cost' | 'tokens', value: number): string {
+  return metric === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value).toLocaleString('en-US')} tokens`;
+}
+
+async function sendBudgetWebhook(url: string, event: HookEvent): Promise<void> {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: event.summary, // Slack/Mattermost-compatible
+        event: event.hook_event_type,
+        session_id: event.session_id,
+        source_app: event.source_app,
+        ...event.payload
+      })
+    });
+    if (!response.ok) {
+      console.error(`[Budget] Webhook ${url} responded ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`[Budget] Webhook ${url} failed:`, error);
+  }
+}
+
+/**
+ * Check the budgets a new token metric counts towards. Each threshold alerts
+ * once per scope and period; when one metric jumps past several thresholds
+ * only the highest is reported. Returns the stored BudgetWarning /
+ * BudgetExceeded events for the caller to broadcast.
+ */
+export function checkBudgets(metric: TokenMetric): HookEvent[] {
+  const events: HookEvent[] = [];
+  const at = metric.timestamp || Date.now();
+
+  for (const budget of getBudgets(true, metric.workspace_id ?? DEFAULT_WORKSPACE_ID)) {
+    const scopeKey = budgetScopeKey(budget, metric.session_id, metric.source_app);
+    if (!scopeKey) continue;
+
+    const usage = measureBudget(budget, scopeKey, at);
+    const measured: ['cost' | 'tokens', number, number | null | undefined][] = [
+      ['cost', usage.cost_usd, budget.max_cost_usd],
+      ['tokens', usage.tokens, budget.max_tokens]
+    ];
+
+    for (const [kind, value, limit] of measured) {
+      if (!limit) continue;
+      const percent = (value / limit) * 100;
+
+      const crossed = budget.thresholds.filter(threshold =>
+        threshold <= percent && recordBudgetAlert({
+          budget_id: budget.id!,
+          scope_key: scopeKey,
+          period_key: usage.period_key,
+          metric: kind,
+          threshold,
+          usage: value,
+          limit,
+          triggered_at: at
+        })
+      );
+      const threshold = crossed[crossed.length - 1];
+      if (threshold === undefined) continue;
+
+      const exceeded = threshold >= 100;
+      const event = insertEvent({
+        source_app: metric.source_app,
+        session_id: metric.session_id,
+        hook_event_type: exceeded ? 'BudgetExceeded' : 'BudgetWarning',
+        payload: {
+          budget_id: budget.id,
+          budget_name: budget.name,
+          scope: budget.scope,
+          scope_key: scopeKey,
+          period: budget.period,
+          period_key: usage.period_key,
+          metric: kind,
+          threshold_pct: threshold,
+          percent: Math.round(percent * 10) / 10,
+          usage: value,
+          limit
+        },
+        summary: `Budget "${budget.name}" ${exceeded ? 'exceeded' : 'at ' + threshold + '%'}: ${formatAmount(kind, value)} of ${formatAmount(kind, limit)}`,
+        timestamp: at,
+        workspace_id: metric.workspace_id
+      });
+      events.push(event);
+
+      const webhookUrl = budget.webhook_url || process.env.BUDGET_WEBHOOK_URL;
+      if (webhookUrl) {
+        sendBudgetWebhook(webhookUrl, event);
+      }
+    }
+  }
+
+  return events;
+}
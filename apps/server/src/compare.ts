@@ -0,0 +1,159 @@
+import {
+  getSession,
+  getSessionErrorCounts,
+  getFindings,
+  getTokenSummary,
+  getToolEffectivenessReport,
+  getWSTGMatrix
+} from './db';
+import type {
+  ComparedFinding,
+  Finding,
+  SessionComparison,
+  SessionComparisonEntry,
+  SessionComparisonMetrics,
+  SessionSummary
+} from './types';
+
+// Side-by-side comparison of runs for GET /api/sessions/compare. The first
+// session is the baseline every other one is diffed against.
+
+export const MAX_COMPARED_SESSIONS = 10;
+const MAX_FINDINGS = 1000;
+
+function findingKey(finding: Finding): string {
+  return finding.fingerprint || `id:${finding.id}`;
+}
+
+function toComparedFinding(finding: Finding): ComparedFinding {
+  return {
+    fingerprint: findingKey(finding),
+    title: finding.title || finding.vulnerability_type,
+    severity: finding.severity,
+    vulnerability_type: finding.vulnerability_type,
+    target_url: finding.target_url,
+    location: finding.location
+  };
+}
+
+function sessionDuration(session: SessionSummary): number | null {
+  if (session.duration_ms) return session.duration_ms;
+  return session.ended_at ? session.ended_at - session.started_at : null;
+}
+
+function metricsDelta(metrics: SessionComparisonMetrics, baseline: SessionComparisonMetrics): SessionComparisonMetrics {
+  return {
+    total_tokens: metrics.total_tokens - baseline.total_tokens,
+    total_cost: metrics.total_cost - baseline.total_cost,
+    duration_ms: metrics.duration_ms !== null && baseline.duration_ms !== null ? metrics.duration_ms - baseline.duration_ms : null,
+    tool_calls: metrics.tool_calls - baseline.tool_calls,
+    tool_failures: metrics.tool_failures - baseline.tool_failures,
+    findings: metrics.findings - baseline.findings,
+    wstg_coverage_pct: metrics.wstg_coverage_pct - baseline.wstg_coverage_pct,
+    errors: metrics.errors - baseline.errors
+  };
+}
+
+/**
+ * Compare sessions (in one workspace, or in any) against the first one.
+ * Returns the IDs that have no session record instead when any are unknown.
+ */
+export function compareSessions(sessionIds: string[], workspaceId?: number): { comparison?: SessionComparison; missing: string[] } {
+  const ids = [...new Set(sessionIds)];
+  const sessions = ids.map(id => getSession(id, workspaceId));
+  const missing = ids.filter((_, index) => !sessions[index]);
+  if (missing.length > 0) return { missing };
+
+  const matrix = getWSTGMatrix(ids, ids.length, workspaceId);
+  const matrixTests = matrix.categories.flatMap(category => category.tests);
+  const coverageBySession = new Map(matrix.sessions.map(session => [session.session_id, session.coverage_percentage]));
+  const executedTests = (sessionId: string) => new Set(
+    matrixTests.filter(test => ['executed', 'finding'].includes(test.states[sessionId] || '')).map(test => test.id)
+  );
+
+  const tools = new Map(ids.map(id => [id, getToolEffectivenessReport(id, workspaceId)]));
+  const findings = new Map(ids.map(id => [
+    id,
+    getFindings(id, MAX_FINDINGS, { workspace_id: workspaceId }).filter(finding => finding.status !== 'false_positive')
+  ]));
+
+  const entries = ids.map((id, index) => {
+    const session = sessions[index]!;
+    const tokens = getTokenSummary(id, workspaceId);
+    const toolReport = tools.get(id)!;
+    const errorsByType = getSessionErrorCounts(id, workspaceId);
+    const sessionFindings = findings.get(id)!;
+
+    const metrics: SessionComparisonMetrics = {
+      total_tokens: tokens.total_tokens,
+      total_cost: tokens.total_cost,
+      duration_ms: sessionDuration(session),
+      tool_calls: toolReport.reduce((sum, tool) => sum + tool.total_calls, 0),
+      tool_failures: toolReport.reduce((sum, tool) => sum + tool.failure_count + tool.timeout_count, 0),
+      findings: sessionFindings.length,
+      wstg_coverage_pct: coverageBySession.get(id) || 0,
+      errors: Object.values(errorsByType).reduce((sum, count) => sum + count, 0)
+    };
+
+    const findingsBySeverity: Record<string, number> = {};
+    sessionFindings.forEach(finding => {
+      findingsBySeverity[finding.severity] = (findingsBySeverity[finding.severity] || 0) + 1;
+    });
+
+    return { id, session, metrics, errorsByType, findingsBySeverity };
+  });
+
+  const baseline = entries[0]!;
+  const baselineFindings = new Set(findings.get(baseline.id)!.map(findingKey));
+  const baselineTests = executedTests(baseline.id);
+
+  const comparedSessions: SessionComparisonEntry[] = entries.map((entry, index) => {
+    const keys = new Set(findings.get(entry.id)!.map(findingKey));
+    const tests = executedTests(entry.id);
+    const isBaseline = index === 0;
+
+    return {
+      session_id: entry.id,
+      session: entry.session,
+      metrics: entry.metrics,
+      delta: isBaseline ? null : metricsDelta(entry.metrics, baseline.metrics),
+      errors_by_type: entry.errorsByType,
+      findings_by_severity: entry.findingsBySeverity,
+      findings_gained: isBaseline ? [] : findings.get(entry.id)!
+        .filter(finding => !baselineFindings.has(findingKey(finding)))
+        .map(toComparedFinding),
+      findings_lost: isBaseline ? [] : findings.get(baseline.id)!
+        .filter(finding => !keys.has(findingKey(finding)))
+        .map(toComparedFinding),
+      wstg_gained: isBaseline ? [] : [...tests].filter(test => !baselineTests.has(test)),
+      wstg_lost: isBaseline ? [] : [...baselineTests].filter(test => !tests.has(test))
+    };
+  });
+
+  // Every tool any of the sessions used, most used first
+  const toolNames = [...new Set([...tools.values()].flatMap(report => report.map(tool => tool.tool_name)))];
+  const toolMix = toolNames.map(toolName => {
+    const by_session: SessionComparison['tool_mix'][number]['by_session'] = {};
+    for (const id of ids) {
+      const tool = tools.get(id)!.find(t => t.tool_name === toolName);
+      by_session[id] = {
+        calls: tool?.total_calls || 0,
+        failures: (tool?.failure_count || 0) + (tool?.timeout_count || 0),
+        avg_duration_ms: tool?.avg_duration_ms || 0,
+        vulnerabilities_found: tool?.vulnerabilities_found || 0
+      };
+    }
+    return { tool_name: toolName, by_session };
+  }).sort((a, b) =>
+    Object.values(b.by_session).reduce((sum, s) => sum + s.calls, 0) - Object.values(a.by_session).reduce((sum, s) => sum + s.calls, 0)
+  );
+
+  return {
+    missing,
+    comparison: {
+      baseline: baseline.id,
+      sessions: comparedSessions,
+      tool_mix: toolMix
+    }
+  };
+}
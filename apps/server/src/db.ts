@@ -2,24 +2,57 @@ import { Database } from 'bun:sqlite';
 import type {
   HookEvent,
   FilterOptions,
+  EventQuery,
+  EventPage,
+  EventSearchQuery,
+  EventSearchResult,
   Theme,
   ThemeSearchQuery,
   TokenMetric,
   TokenSummary,
+  CostReconciliation,
+  ModelPrice,
   ToolMetric,
   ToolEffectivenessReport,
   Finding,
+  FindingOccurrence,
+  FindingUpdate,
   FindingSummary,
   WSTGCoverage,
   WSTGCoverageReport,
+  WSTGMatrix,
+  WSTGTestState,
   SessionSummary,
-  MetricsDashboard
+  SessionAgent,
+  MetricsDashboard,
+  MetricTotals,
+  Budget,
+  BudgetAlert,
+  Webhook,
+  WebhookDelivery,
+  Engagement,
+  PolicyDocument,
+  User,
+  UserRole,
+  ApiKey,
+  Workspace,
+  WorkspaceSummary,
+  RetentionTable
 } from './types';
+import { WSTG_CATALOGUE, WSTG_CATEGORIES, WSTG_VERSION, resolveTestStates, summarizeCoverage } from './wstg';
+
+export const DB_FILE = 'events.db';
+
+// Created on first start; everything stored before workspaces existed belongs to it
+export const DEFAULT_WORKSPACE_ID = 1;
+
+// Tables whose rows belong to a workspace
+const WORKSPACE_TABLES = ['events', 'token_metrics', 'tool_metrics', 'findings', 'wstg_coverage', 'sessions', 'themes', 'budgets'];
 
 let db: Database;
 
 export function initDatabase(): void {
-  db = new Database('events.db');
+  db = new Database(DB_FILE);
   
   // Enable WAL mode for better concurrent performance
   db.exec('PRAGMA journal_mode = WAL');
@@ -70,6 +103,18 @@ export function initDatabase(): void {
     if (!hasModelNameColumn) {
       db.exec('ALTER TABLE events ADD COLUMN model_name TEXT');
     }
+
+    // Check if event_id column exists, add it if not (for migration)
+    const hasEventIdColumn = columns.some((col: any) => col.name === 'event_id');
+    if (!hasEventIdColumn) {
+      db.exec('ALTER TABLE events ADD COLUMN event_id TEXT');
+    }
+
+    // Check if redactions column exists, add it if not (for migration)
+    const hasRedactionsColumn = columns.some((col: any) => col.name === 'redactions');
+    if (!hasRedactionsColumn) {
+      db.exec('ALTER TABLE events ADD COLUMN redactions TEXT');
+    }
   } catch (error) {
     // If the table doesn't exist yet, the CREATE TABLE above will handle it
   }
@@ -80,6 +125,33 @@ export function initDatabase(): void {
   db.exec('CREATE INDEX IF NOT EXISTS idx_hook_event_type ON events(hook_event_type)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_timestamp ON events(timestamp)');
   
+  // Full-text index over the searchable parts of event payloads
+  const hasEventsFts = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'events_fts'").get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+      tool_name,
+      tool_command,
+      tool_output,
+      prompt,
+      error_message
+    )
+  `);
+
+  // Index events stored before the full-text index existed
+  if (!hasEventsFts) {
+    db.exec(`
+      INSERT INTO events_fts (rowid, tool_name, tool_command, tool_output, prompt, error_message)
+      SELECT
+        id,
+        json_extract(payload, '$.tool_name'),
+        json_extract(payload, '$.tool_input.command'),
+        COALESCE(json_extract(payload, '$.tool_output'), json_extract(payload, '$.tool_response')),
+        json_extract(payload, '$.prompt'),
+        COALESCE(json_extract(payload, '$.error_message'), json_extract(payload, '$.tool_error'))
+      FROM events
+    `);
+  }
+
   // Create themes table
   db.exec(`
     CREATE TABLE IF NOT EXISTS themes (
@@ -201,6 +273,49 @@ export function initDatabase(): void {
   db.exec('CREATE INDEX IF NOT EXISTS idx_findings_type ON findings(vulnerability_type)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_findings_severity ON findings(severity)');
 
+  // Evidence and CWE extracted by the plugin's structured parsers
+  const findingColumns = db.prepare("PRAGMA table_info(findings)").all() as any[];
+  if (!findingColumns.some((col: any) => col.name === 'evidence')) {
+    db.exec('ALTER TABLE findings ADD COLUMN evidence TEXT');
+  }
+  if (!findingColumns.some((col: any) => col.name === 'cwe')) {
+    db.exec('ALTER TABLE findings ADD COLUMN cwe TEXT');
+  }
+
+  // Triage lifecycle: findings are deduplicated by fingerprint, and every
+  // report of one is kept as an occurrence
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS finding_occurrences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      finding_id INTEGER NOT NULL,
+      session_id TEXT NOT NULL,
+      source_app TEXT NOT NULL,
+      report_id TEXT UNIQUE,
+      evidence_event_id TEXT,
+      timestamp INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_finding_occurrences_finding ON finding_occurrences(finding_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_finding_occurrences_session ON finding_occurrences(session_id)');
+
+  if (!findingColumns.some((col: any) => col.name === 'fingerprint')) {
+    db.exec('ALTER TABLE findings ADD COLUMN fingerprint TEXT');
+    db.exec("ALTER TABLE findings ADD COLUMN status TEXT DEFAULT 'new'");
+    db.exec('ALTER TABLE findings ADD COLUMN notes TEXT');
+    db.exec('ALTER TABLE findings ADD COLUMN evidence_event_id TEXT');
+    db.exec('ALTER TABLE findings ADD COLUMN output_excerpt TEXT');
+    db.exec('ALTER TABLE findings ADD COLUMN occurrences INTEGER DEFAULT 1');
+    db.exec('ALTER TABLE findings ADD COLUMN last_seen INTEGER');
+    db.exec('ALTER TABLE findings ADD COLUMN updated_at INTEGER');
+    // Findings recorded before deduplication each count as one occurrence
+    db.exec(`
+      INSERT OR IGNORE INTO finding_occurrences (finding_id, session_id, source_app, report_id, timestamp)
+      SELECT id, session_id, source_app, finding_id, timestamp FROM findings
+    `);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_findings_fingerprint ON findings(fingerprint)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_findings_status ON findings(status)');
+
   // WSTG coverage table
   db.exec(`
     CREATE TABLE IF NOT EXISTS wstg_coverage (
@@ -240,12 +355,277 @@ export function initDatabase(): void {
   `);
   db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_client ON sessions(client_name)');
+
+  // Engagements: the authorised scope sessions are linked to. They belong to a
+  // workspace, and names only need to be unique within it.
+  const engagementsTable = `
+    CREATE TABLE IF NOT EXISTS engagements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      client_name TEXT,
+      target_url TEXT,
+      hosts TEXT NOT NULL,
+      cidrs TEXT NOT NULL,
+      url_patterns TEXT NOT NULL,
+      starts_at INTEGER,
+      ends_at INTEGER,
+      enforcement TEXT NOT NULL DEFAULT 'flag',
+      workspace_id INTEGER NOT NULL DEFAULT ${DEFAULT_WORKSPACE_ID},
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (workspace_id, name)
+    )
+  `;
+  // Older tables had globally unique names, which takes a rebuild to change
+  const engagementColumns = db.prepare("PRAGMA table_info(engagements)").all() as any[];
+  if (engagementColumns.length > 0 && !engagementColumns.some((col: any) => col.name === 'workspace_id')) {
+    const columns = 'id, name, client_name, target_url, hosts, cidrs, url_patterns, starts_at, ends_at, enforcement, created_at, updated_at';
+    db.transaction(() => {
+      db.exec('ALTER TABLE engagements RENAME TO engagements_unscoped');
+      db.exec(engagementsTable);
+      db.exec(`INSERT INTO engagements (${columns}) SELECT ${columns} FROM engagements_unscoped`);
+      db.exec('DROP TABLE engagements_unscoped');
+    })();
+  }
+  db.exec(engagementsTable);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_engagements_workspace ON engagements(workspace_id)');
+
+  const sessionColumns = db.prepare("PRAGMA table_info(sessions)").all() as any[];
+  if (!sessionColumns.some((col: any) => col.name === 'engagement_id')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN engagement_id INTEGER');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_engagement ON sessions(engagement_id)');
+
+  // Budgets table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      scope_value TEXT,
+      period TEXT NOT NULL DEFAULT 'total',
+      max_cost_usd REAL,
+      max_tokens INTEGER,
+      thresholds TEXT NOT NULL,
+      webhook_url TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // Hard caps enforced by the plugin (budgets created before they existed only alert)
+  const budgetColumns = db.prepare("PRAGMA table_info(budgets)").all() as any[];
+  if (!budgetColumns.some((col: any) => col.name === 'enforce')) {
+    db.exec('ALTER TABLE budgets ADD COLUMN enforce INTEGER DEFAULT 0');
+  }
+
+  // Thresholds already alerted on, so each one fires once per scope and period
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budget_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      budget_id INTEGER NOT NULL,
+      scope_key TEXT NOT NULL,
+      period_key TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      threshold REAL NOT NULL,
+      usage REAL NOT NULL,
+      limit_value REAL NOT NULL,
+      triggered_at INTEGER NOT NULL,
+      UNIQUE(budget_id, scope_key, period_key, metric, threshold)
+    )
+  `);
+
+  // Policy served to plugins (a single document, id 'default')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS policies (
+      id TEXT PRIMARY KEY,
+      document TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // Dashboard users, their login tokens and ingest API keys. Only hashes of
+  // tokens and keys are stored.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_login_at INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      source_app TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER
+    )
+  `);
+
+  // Workspaces keep the data of different clients or teams apart
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workspaces (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+  db.prepare('INSERT OR IGNORE INTO workspaces (id, slug, name, created_at) VALUES (?, ?, ?, ?)')
+    .run(DEFAULT_WORKSPACE_ID, 'default', 'Default', Date.now());
+
+  for (const table of WORKSPACE_TABLES) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all() as any[];
+    if (!columns.some((col: any) => col.name === 'workspace_id')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT ${DEFAULT_WORKSPACE_ID}`);
+    }
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_workspace ON ${table}(workspace_id)`);
+  }
+
+  // Client event IDs only need to be unique within a workspace
+  db.exec('DROP INDEX IF EXISTS idx_event_id');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_workspace_event_id ON events(workspace_id, event_id)');
+
+  // Users without a workspace see all of them; API keys always post into one
+  const userColumns = db.prepare("PRAGMA table_info(users)").all() as any[];
+  if (!userColumns.some((col: any) => col.name === 'workspace_id')) {
+    db.exec('ALTER TABLE users ADD COLUMN workspace_id INTEGER');
+  }
+  const apiKeyColumns = db.prepare("PRAGMA table_info(api_keys)").all() as any[];
+  if (!apiKeyColumns.some((col: any) => col.name === 'workspace_id')) {
+    db.exec(`ALTER TABLE api_keys ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT ${DEFAULT_WORKSPACE_ID}`);
+  }
+
+  // Agents and subagents of each session, and who spawned whom
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_agents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      agent_id TEXT NOT NULL,
+      parent_agent_id TEXT,
+      agent_name TEXT NOT NULL,
+      source TEXT,
+      spawned_by_call_id TEXT,
+      description TEXT,
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      workspace_id INTEGER NOT NULL DEFAULT ${DEFAULT_WORKSPACE_ID},
+      UNIQUE (session_id, agent_id)
+    )
+  `);
+
+  // Tool calls, tokens and findings record the (sub)agent they belong to
+  for (const table of ['token_metrics', 'tool_metrics', 'finding_occurrences']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all() as any[];
+    if (!columns.some((col: any) => col.name === 'agent_id')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN agent_id TEXT`);
+    }
+  }
+
+  // Outbound webhooks and every delivery made to them
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      format TEXT NOT NULL DEFAULT 'json',
+      triggers TEXT NOT NULL,
+      min_severity TEXT NOT NULL DEFAULT 'high',
+      source_app TEXT,
+      secret TEXT,
+      enabled INTEGER DEFAULT 1,
+      workspace_id INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      trigger TEXT NOT NULL,
+      session_id TEXT,
+      source_id INTEGER,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER,
+      response_status INTEGER,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      delivered_at INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)');
+
+  // Every token class, whether the usage is real or estimated, and its cost
+  // at catalogue prices
+  const tokenColumns = db.prepare("PRAGMA table_info(token_metrics)").all() as any[];
+  for (const column of ['reasoning_tokens', 'cache_read_tokens', 'cache_write_tokens']) {
+    if (!tokenColumns.some((col: any) => col.name === column)) {
+      db.exec(`ALTER TABLE token_metrics ADD COLUMN ${column} INTEGER DEFAULT 0`);
+    }
+  }
+  if (!tokenColumns.some((col: any) => col.name === 'cost_source')) {
+    db.exec("ALTER TABLE token_metrics ADD COLUMN cost_source TEXT NOT NULL DEFAULT 'real'");
+  }
+  if (!tokenColumns.some((col: any) => col.name === 'catalogue_cost')) {
+    db.exec('ALTER TABLE token_metrics ADD COLUMN catalogue_cost REAL DEFAULT 0');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_token_metrics_model ON token_metrics(model_name, timestamp)');
+
+  // Events record the agent framework they came from and the version of the
+  // canonical schema they were normalized to (none for events stored before)
+  const eventColumns = db.prepare("PRAGMA table_info(events)").all() as any[];
+  if (!eventColumns.some((col: any) => col.name === 'framework')) {
+    db.exec('ALTER TABLE events ADD COLUMN framework TEXT');
+  }
+  if (!eventColumns.some((col: any) => col.name === 'schema_version')) {
+    db.exec('ALTER TABLE events ADD COLUMN schema_version INTEGER');
+  }
+
+  // Model price catalogue; each entry holds until the model's next one
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS model_prices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      model TEXT NOT NULL,
+      input_per_mtok REAL NOT NULL,
+      output_per_mtok REAL NOT NULL,
+      reasoning_per_mtok REAL,
+      cache_read_per_mtok REAL,
+      cache_write_per_mtok REAL,
+      effective_from INTEGER NOT NULL DEFAULT 0,
+      note TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (model, effective_from)
+    )
+  `);
 }
 
 export function insertEvent(event: HookEvent): HookEvent {
   const stmt = db.prepare(`
-    INSERT INTO events (source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO events (source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, event_id, framework, schema_version, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const timestamp = event.timestamp || Date.now();
@@ -266,38 +646,210 @@ export function insertEvent(event: HookEvent): HookEvent {
     timestamp,
     event.humanInTheLoop ? JSON.stringify(event.humanInTheLoop) : null,
     humanInTheLoopStatus ? JSON.stringify(humanInTheLoopStatus) : null,
-    event.model_name || null
+    event.model_name || null,
+    event.redactions?.length ? JSON.stringify(event.redactions) : null,
+    event.event_id || null,
+    event.framework || null,
+    event.schema_version ?? null,
+    event.workspace_id ?? DEFAULT_WORKSPACE_ID
   );
 
+  indexEventText(result.lastInsertRowid as number, event.payload);
+
   return {
     ...event,
     id: result.lastInsertRowid as number,
     timestamp,
-    humanInTheLoopStatus
+    humanInTheLoopStatus,
+    workspace_id: event.workspace_id ?? DEFAULT_WORKSPACE_ID
+  };
+}
+
+// Keep events_fts in sync with a newly stored event
+function indexEventText(id: number, payload: Record<string, any>): void {
+  const text = (value: any): string | null => {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  };
+
+  const fields = [
+    text(payload?.tool_name),
+    text(payload?.tool_input?.command),
+    text(payload?.tool_output ?? payload?.tool_response),
+    text(payload?.prompt),
+    text(payload?.error_message ?? payload?.tool_error)
+  ];
+  if (fields.every(field => field === null)) return;
+
+  db.prepare(`
+    INSERT INTO events_fts (rowid, tool_name, tool_command, tool_output, prompt, error_message)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, ...fields);
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Ranked full-text search over event payloads. Throws on invalid FTS5 syntax.
+export function searchEventText(query: EventSearchQuery): EventSearchResult[] {
+  // Plain queries match every term (in any column); quoting keeps characters
+  // like "/" or "-" from being parsed as FTS5 operators
+  const match = query.syntax === 'fts'
+    ? query.q
+    : query.q.split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+  if (!match) return [];
+
+  const conditions: string[] = ['events_fts MATCH ?'];
+  const params: any[] = [match];
+
+  if (query.source_app) {
+    conditions.push('e.source_app = ?');
+    params.push(query.source_app);
+  }
+  if (query.session_id) {
+    conditions.push('e.session_id = ?');
+    params.push(query.session_id);
+  }
+  if (query.hook_event_type) {
+    conditions.push('e.hook_event_type = ?');
+    params.push(query.hook_event_type);
+  }
+  if (query.workspace_id !== undefined) {
+    conditions.push('e.workspace_id = ?');
+    params.push(query.workspace_id);
+  }
+  if (query.since !== undefined) {
+    conditions.push('e.timestamp >= ?');
+    params.push(query.since);
+  }
+  if (query.until !== undefined) {
+    conditions.push('e.timestamp <= ?');
+    params.push(query.until);
+  }
+
+  const limit = Math.min(Math.max(query.limit || 50, 1), 500);
+  const offset = Math.max(query.offset || 0, 0);
+
+  // Commands and prompts weigh more than bulky tool output
+  const stmt = db.prepare(`
+    SELECT
+      e.id, e.source_app, e.session_id, e.hook_event_type, e.timestamp, e.model_name, e.workspace_id,
+      events_fts.tool_name AS tool_name,
+      bm25(events_fts, 2.0, 4.0, 1.0, 3.0, 2.0) AS rank,
+      snippet(events_fts, -1, char(2), char(3), '…', 24) AS snippet
+    FROM events_fts
+    JOIN events e ON e.id = events_fts.rowid
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY rank
+    LIMIT ? OFFSET ?
+  `);
+  const rows = stmt.all(...params, limit, offset) as any[];
+
+  return rows.map(row => ({
+    id: row.id,
+    source_app: row.source_app,
+    session_id: row.session_id,
+    hook_event_type: row.hook_event_type,
+    timestamp: row.timestamp,
+    model_name: row.model_name || undefined,
+    workspace_id: row.workspace_id,
+    tool_name: row.tool_name || undefined,
+    rank: row.rank,
+    snippet: escapeHtml(row.snippet || '')
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>')
+  }));
+}
+
+// Look up an event by its client-side ID (used to deduplicate retried deliveries)
+// Event IDs are per workspace, so the lookup never crosses into another one
+export function getEventByEventId(eventId: string, workspaceId: number): HookEvent | null {
+  const stmt = db.prepare(`
+    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, framework, schema_version, workspace_id, event_id
+    FROM events
+    WHERE event_id = ? AND workspace_id = ?
+  `);
+  const row = stmt.get(eventId, workspaceId) as any;
+
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    source_app: row.source_app,
+    session_id: row.session_id,
+    hook_event_type: row.hook_event_type,
+    payload: JSON.parse(row.payload),
+    chat: row.chat ? JSON.parse(row.chat) : undefined,
+    summary: row.summary || undefined,
+    timestamp: row.timestamp,
+    humanInTheLoop: row.humanInTheLoop ? JSON.parse(row.humanInTheLoop) : undefined,
+    humanInTheLoopStatus: row.humanInTheLoopStatus ? JSON.parse(row.humanInTheLoopStatus) : undefined,
+    redactions: row.redactions ? JSON.parse(row.redactions) : undefined,
+    framework: row.framework || undefined,
+    schema_version: row.schema_version ?? undefined,
+    workspace_id: row.workspace_id,
+    model_name: row.model_name || undefined,
+    event_id: row.event_id || undefined
   };
 }
 
-export function getFilterOptions(): FilterOptions {
-  const sourceApps = db.prepare('SELECT DISTINCT source_app FROM events ORDER BY source_app').all() as { source_app: string }[];
-  const sessionIds = db.prepare('SELECT DISTINCT session_id FROM events ORDER BY session_id DESC LIMIT 300').all() as { session_id: string }[];
-  const hookEventTypes = db.prepare('SELECT DISTINCT hook_event_type FROM events ORDER BY hook_event_type').all() as { hook_event_type: string }[];
+// Insert a batch of events in one transaction, skipping events whose
+// client-side event_id has already been stored
+export function insertEventBatch(events: HookEvent[]): { inserted: HookEvent[]; duplicates: string[] } {
+  const inserted: HookEvent[] = [];
+  const duplicates: string[] = [];
+
+  const insertAll = db.transaction((batch: HookEvent[]) => {
+    const seen = new Set<string>();
+    for (const event of batch) {
+      const workspaceId = event.workspace_id ?? DEFAULT_WORKSPACE_ID;
+      const key = `${workspaceId}:${event.event_id}`;
+      if (event.event_id && (seen.has(key) || getEventByEventId(event.event_id, workspaceId))) {
+        duplicates.push(event.event_id);
+        continue;
+      }
+      if (event.event_id) seen.add(key);
+      inserted.push(insertEvent(event));
+    }
+  });
+  insertAll(events);
+
+  return { inserted, duplicates };
+}
+
+// Filter values seen in a workspace (or all of them)
+export function getFilterOptions(workspaceId?: number): FilterOptions {
+  const where = workspaceId !== undefined ? 'WHERE workspace_id = ?' : '';
+  const params = workspaceId !== undefined ? [workspaceId] : [];
+  const sourceApps = db.prepare(`SELECT DISTINCT source_app FROM events ${where} ORDER BY source_app`).all(...params) as { source_app: string }[];
+  const sessionIds = db.prepare(`SELECT DISTINCT session_id FROM events ${where} ORDER BY session_id DESC LIMIT 300`).all(...params) as { session_id: string }[];
+  const hookEventTypes = db.prepare(`SELECT DISTINCT hook_event_type FROM events ${where} ORDER BY hook_event_type`).all(...params) as { hook_event_type: string }[];
+  const frameworks = db.prepare(`SELECT DISTINCT framework FROM events ${where ? `${where} AND` : 'WHERE'} framework IS NOT NULL ORDER BY framework`).all(...params) as { framework: string }[];
   
   return {
     source_apps: sourceApps.map(row => row.source_app),
     session_ids: sessionIds.map(row => row.session_id),
-    hook_event_types: hookEventTypes.map(row => row.hook_event_type)
+    hook_event_types: hookEventTypes.map(row => row.hook_event_type),
+    frameworks: frameworks.map(row => row.framework)
   };
 }
 
-export function getRecentEvents(limit: number = 300): HookEvent[] {
+export function getRecentEvents(limit: number = 300, workspaceId?: number): HookEvent[] {
   const stmt = db.prepare(`
-    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name
+    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, framework, schema_version, workspace_id
     FROM events
+    ${workspaceId !== undefined ? 'WHERE workspace_id = ?' : ''}
     ORDER BY timestamp DESC
     LIMIT ?
   `);
 
-  const rows = stmt.all(limit) as any[];
+  const rows = stmt.all(...(workspaceId !== undefined ? [workspaceId] : []), limit) as any[];
 
   return rows.map(row => ({
     id: row.id,
@@ -310,15 +862,154 @@ export function getRecentEvents(limit: number = 300): HookEvent[] {
     timestamp: row.timestamp,
     humanInTheLoop: row.humanInTheLoop ? JSON.parse(row.humanInTheLoop) : undefined,
     humanInTheLoopStatus: row.humanInTheLoopStatus ? JSON.parse(row.humanInTheLoopStatus) : undefined,
+    redactions: row.redactions ? JSON.parse(row.redactions) : undefined,
+    framework: row.framework || undefined,
+    schema_version: row.schema_version ?? undefined,
+    workspace_id: row.workspace_id,
     model_name: row.model_name || undefined
   })).reverse();
 }
 
+// Search stored events with filters and keyset (cursor) pagination
+export function queryEvents(query: EventQuery = {}): EventPage {
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  // Comma-separated filter values match any of them
+  const inFilter = (column: string, value?: string) => {
+    const values = (value || '').split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length === 0) return;
+    conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  };
+
+  inFilter('source_app', query.source_app);
+  inFilter('session_id', query.session_id);
+  inFilter('hook_event_type', query.hook_event_type);
+  inFilter('model_name', query.model_name);
+  inFilter('framework', query.framework);
+
+  if (query.workspace_id !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(query.workspace_id);
+  }
+
+  if (query.since !== undefined) {
+    conditions.push('timestamp >= ?');
+    params.push(query.since);
+  }
+
+  if (query.until !== undefined) {
+    conditions.push('timestamp <= ?');
+    params.push(query.until);
+  }
+
+  if (query.q) {
+    conditions.push("payload LIKE ? ESCAPE '\\'");
+    params.push(`%${query.q.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+  }
+
+  const order = query.order === 'asc' ? 'ASC' : 'DESC';
+
+  if (query.cursor) {
+    const [cursorTimestamp, cursorId] = query.cursor.split(':').map(Number);
+    if (Number.isFinite(cursorTimestamp) && Number.isFinite(cursorId)) {
+      const op = order === 'ASC' ? '>' : '<';
+      conditions.push(`(timestamp ${op} ? OR (timestamp = ? AND id ${op} ?))`);
+      params.push(cursorTimestamp, cursorTimestamp, cursorId);
+    }
+  }
+
+  const limit = Math.min(Math.max(query.limit || 100, 1), 1000);
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether another page exists
+  const stmt = db.prepare(`
+    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, framework, schema_version, workspace_id, event_id
+    FROM events
+    ${whereClause}
+    ORDER BY timestamp ${order}, id ${order}
+    LIMIT ?
+  `);
+  const rows = stmt.all(...params, limit + 1) as any[];
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+  const events: HookEvent[] = pageRows.map(row => ({
+    id: row.id,
+    source_app: row.source_app,
+    session_id: row.session_id,
+    hook_event_type: row.hook_event_type,
+    payload: JSON.parse(row.payload),
+    chat: row.chat ? JSON.parse(row.chat) : undefined,
+    summary: row.summary || undefined,
+    timestamp: row.timestamp,
+    humanInTheLoop: row.humanInTheLoop ? JSON.parse(row.humanInTheLoop) : undefined,
+    humanInTheLoopStatus: row.humanInTheLoopStatus ? JSON.parse(row.humanInTheLoopStatus) : undefined,
+    redactions: row.redactions ? JSON.parse(row.redactions) : undefined,
+    framework: row.framework || undefined,
+    schema_version: row.schema_version ?? undefined,
+    workspace_id: row.workspace_id,
+    model_name: row.model_name || undefined,
+    event_id: row.event_id || undefined
+  }));
+
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    events,
+    next_cursor: hasMore && last ? `${last.timestamp}:${last.id}` : null
+  };
+}
+
+// SessionError events of a session (in one workspace, or all of them), by error type
+export function getSessionErrorCounts(sessionId: string, workspaceId?: number): Record<string, number> {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+  const rows = db.prepare(`
+    SELECT COALESCE(json_extract(payload, '$.error_type'), 'unknown') as error_type, COUNT(*) as count
+    FROM events
+    ${whereClause} AND hook_event_type = 'SessionError'
+    GROUP BY error_type
+  `).all(...params) as any[];
+  return Object.fromEntries(rows.map(row => [row.error_type, row.count]));
+}
+
+// All events of one session (in one workspace, or all of them), oldest first
+export function getSessionEvents(sessionId: string, workspaceId?: number): HookEvent[] {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+  const stmt = db.prepare(`
+    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, framework, schema_version, workspace_id, event_id
+    FROM events
+    ${whereClause}
+    ORDER BY timestamp ASC, id ASC
+  `);
+  const rows = stmt.all(...params) as any[];
+
+  return rows.map(row => ({
+    id: row.id,
+    source_app: row.source_app,
+    session_id: row.session_id,
+    hook_event_type: row.hook_event_type,
+    payload: JSON.parse(row.payload),
+    chat: row.chat ? JSON.parse(row.chat) : undefined,
+    summary: row.summary || undefined,
+    timestamp: row.timestamp,
+    humanInTheLoop: row.humanInTheLoop ? JSON.parse(row.humanInTheLoop) : undefined,
+    humanInTheLoopStatus: row.humanInTheLoopStatus ? JSON.parse(row.humanInTheLoopStatus) : undefined,
+    redactions: row.redactions ? JSON.parse(row.redactions) : undefined,
+    framework: row.framework || undefined,
+    schema_version: row.schema_version ?? undefined,
+    workspace_id: row.workspace_id,
+    model_name: row.model_name || undefined,
+    event_id: row.event_id || undefined
+  }));
+}
+
 // Theme database functions
 export function insertTheme(theme: Theme): Theme {
   const stmt = db.prepare(`
-    INSERT INTO themes (id, name, displayName, description, colors, isPublic, authorId, authorName, createdAt, updatedAt, tags, downloadCount, rating, ratingCount)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO themes (id, name, displayName, description, colors, isPublic, authorId, authorName, createdAt, updatedAt, tags, downloadCount, rating, ratingCount, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
   stmt.run(
@@ -335,10 +1026,11 @@ export function insertTheme(theme: Theme): Theme {
     JSON.stringify(theme.tags),
     theme.downloadCount || 0,
     theme.rating || 0,
-    theme.ratingCount || 0
+    theme.ratingCount || 0,
+    theme.workspace_id ?? DEFAULT_WORKSPACE_ID
   );
   
-  return theme;
+  return { ...theme, workspace_id: theme.workspace_id ?? DEFAULT_WORKSPACE_ID };
 }
 
 export function updateTheme(id: string, updates: Partial<Theme>): boolean {
@@ -388,7 +1080,8 @@ export function getTheme(id: string): Theme | null {
     tags: JSON.parse(row.tags || '[]'),
     downloadCount: row.downloadCount,
     rating: row.rating,
-    ratingCount: row.ratingCount
+    ratingCount: row.ratingCount,
+    workspace_id: row.workspace_id
   };
 }
 
@@ -405,6 +1098,11 @@ export function getThemes(query: ThemeSearchQuery = {}): Theme[] {
     sql += ' AND authorId = ?';
     params.push(query.authorId);
   }
+
+  if (query.workspace_id !== undefined) {
+    sql += ' AND (workspace_id = ? OR isPublic = 1)';
+    params.push(query.workspace_id);
+  }
   
   if (query.query) {
     sql += ' AND (name LIKE ? OR displayName LIKE ? OR description LIKE ?)';
@@ -453,7 +1151,8 @@ export function getThemes(query: ThemeSearchQuery = {}): Theme[] {
     tags: JSON.parse(row.tags || '[]'),
     downloadCount: row.downloadCount,
     rating: row.rating,
-    ratingCount: row.ratingCount
+    ratingCount: row.ratingCount,
+    workspace_id: row.workspace_id
   }));
 }
 
@@ -470,22 +1169,37 @@ export function incrementThemeDownloadCount(id: string): boolean {
 }
 
 // HITL helper functions
-export function updateEventHITLResponse(id: number, response: any): HookEvent | null {
+// The agent stopped waiting for a HITL response (identified by the request's client event ID)
+export function markEventHITLTimeout(eventId: string, timedOutAt: number, workspaceId: number): HookEvent | null {
+  const event = getEventByEventId(eventId, workspaceId);
+  if (!event?.id || event.humanInTheLoopStatus?.status !== 'pending') return null;
+
+  db.prepare('UPDATE events SET humanInTheLoopStatus = ? WHERE id = ?')
+    .run(JSON.stringify({ status: 'timeout', respondedAt: timedOutAt }), event.id);
+
+  return getEventByEventId(eventId, workspaceId);
+}
+
+// Only events of the given workspace (when one is given) can be answered
+export function updateEventHITLResponse(id: number, response: any, workspaceId?: number): HookEvent | null {
   const status = {
     status: 'responded',
     respondedAt: response.respondedAt,
     response
   };
 
-  const stmt = db.prepare('UPDATE events SET humanInTheLoopStatus = ? WHERE id = ?');
-  stmt.run(JSON.stringify(status), id);
+  const workspaceClause = workspaceId !== undefined ? 'AND workspace_id = ?' : '';
+  const workspaceParams = workspaceId !== undefined ? [workspaceId] : [];
+
+  const stmt = db.prepare(`UPDATE events SET humanInTheLoopStatus = ? WHERE id = ? ${workspaceClause}`);
+  stmt.run(JSON.stringify(status), id, ...workspaceParams);
 
   const selectStmt = db.prepare(`
-    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name
+    SELECT id, source_app, session_id, hook_event_type, payload, chat, summary, timestamp, humanInTheLoop, humanInTheLoopStatus, model_name, redactions, framework, schema_version, workspace_id
     FROM events
-    WHERE id = ?
+    WHERE id = ? ${workspaceClause}
   `);
-  const row = selectStmt.get(id) as any;
+  const row = selectStmt.get(id, ...workspaceParams) as any;
 
   if (!row) return null;
 
@@ -500,6 +1214,10 @@ export function updateEventHITLResponse(id: number, response: any): HookEvent |
     timestamp: row.timestamp,
     humanInTheLoop: row.humanInTheLoop ? JSON.parse(row.humanInTheLoop) : undefined,
     humanInTheLoopStatus: row.humanInTheLoopStatus ? JSON.parse(row.humanInTheLoopStatus) : undefined,
+    redactions: row.redactions ? JSON.parse(row.redactions) : undefined,
+    framework: row.framework || undefined,
+    schema_version: row.schema_version ?? undefined,
+    workspace_id: row.workspace_id,
     model_name: row.model_name || undefined
   };
 }
@@ -511,8 +1229,9 @@ export function updateEventHITLResponse(id: number, response: any): HookEvent |
 // Token Metrics
 export function insertTokenMetric(metric: TokenMetric): TokenMetric {
   const stmt = db.prepare(`
-    INSERT INTO token_metrics (session_id, source_app, model_name, input_tokens, output_tokens, total_tokens, estimated_cost, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO token_metrics (session_id, source_app, model_name, input_tokens, output_tokens, reasoning_tokens, cache_read_tokens, cache_write_tokens,
+      total_tokens, estimated_cost, cost_source, catalogue_cost, timestamp, workspace_id, agent_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const timestamp = metric.timestamp || Date.now();
@@ -522,13 +1241,20 @@ export function insertTokenMetric(metric: TokenMetric): TokenMetric {
     metric.model_name || null,
     metric.input_tokens,
     metric.output_tokens,
+    metric.reasoning_tokens || 0,
+    metric.cache_read_tokens || 0,
+    metric.cache_write_tokens || 0,
     metric.total_tokens,
     metric.estimated_cost,
-    timestamp
+    metric.cost_source || 'real',
+    metric.catalogue_cost || 0,
+    timestamp,
+    metric.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    metric.agent_id || null
   );
 
   // Update session totals
-  updateSessionTokens(metric.session_id, metric.total_tokens, metric.estimated_cost);
+  updateSessionTokens(metric.session_id);
 
   return {
     ...metric,
@@ -537,33 +1263,54 @@ export function insertTokenMetric(metric: TokenMetric): TokenMetric {
   };
 }
 
-export function getTokenSummary(sessionId?: string): TokenSummary {
-  let whereClause = '';
+// WHERE clause of the metrics summaries: one session and/or one workspace
+function metricsWhereClause(sessionId?: string, workspaceId?: number): { whereClause: string; params: any[] } {
+  const conditions: string[] = [];
   const params: any[] = [];
-
   if (sessionId) {
-    whereClause = 'WHERE session_id = ?';
+    conditions.push('session_id = ?');
     params.push(sessionId);
   }
+  if (workspaceId !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(workspaceId);
+  }
+  return { whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// One session's rows, in one workspace or all of them
+function sessionWhereClause(sessionId: string, workspaceId?: number): { whereClause: string; params: any[] } {
+  return workspaceId !== undefined
+    ? { whereClause: 'WHERE session_id = ? AND workspace_id = ?', params: [sessionId, workspaceId] }
+    : { whereClause: 'WHERE session_id = ?', params: [sessionId] };
+}
+
+export function getTokenSummary(sessionId?: string, workspaceId?: number): TokenSummary {
+  const { whereClause, params } = metricsWhereClause(sessionId, workspaceId);
 
-  // Get totals
+  // Get totals, of reconciled usage so estimates don't add to real figures
   const totalsStmt = db.prepare(`
+    WITH ${reconciledUsage(whereClause)}
     SELECT
       COALESCE(SUM(input_tokens), 0) as total_input,
       COALESCE(SUM(output_tokens), 0) as total_output,
+      COALESCE(SUM(reasoning_tokens), 0) as total_reasoning,
+      COALESCE(SUM(cache_read_tokens), 0) as total_cache_read,
+      COALESCE(SUM(cache_write_tokens), 0) as total_cache_write,
       COALESCE(SUM(total_tokens), 0) as total,
-      COALESCE(SUM(estimated_cost), 0) as cost
-    FROM token_metrics ${whereClause}
+      COALESCE(SUM(cost), 0) as cost
+    FROM reconciled
   `);
   const totals = totalsStmt.get(...params) as any;
 
   // Get by model
   const byModelStmt = db.prepare(`
+    WITH ${reconciledUsage(whereClause)}
     SELECT
       model_name,
       SUM(total_tokens) as tokens,
-      SUM(estimated_cost) as cost
-    FROM token_metrics ${whereClause}
+      SUM(cost) as cost
+    FROM reconciled
     GROUP BY model_name
   `);
   const byModelRows = byModelStmt.all(...params) as any[];
@@ -576,11 +1323,12 @@ export function getTokenSummary(sessionId?: string): TokenSummary {
 
   // Get by agent
   const byAgentStmt = db.prepare(`
+    WITH ${reconciledUsage(whereClause)}
     SELECT
       source_app,
       SUM(total_tokens) as tokens,
-      SUM(estimated_cost) as cost
-    FROM token_metrics ${whereClause}
+      SUM(cost) as cost
+    FROM reconciled
     GROUP BY source_app
   `);
   const byAgentRows = byAgentStmt.all(...params) as any[];
@@ -593,18 +1341,77 @@ export function getTokenSummary(sessionId?: string): TokenSummary {
     session_id: sessionId,
     total_input_tokens: totals.total_input,
     total_output_tokens: totals.total_output,
+    total_reasoning_tokens: totals.total_reasoning,
+    total_cache_read_tokens: totals.total_cache_read,
+    total_cache_write_tokens: totals.total_cache_write,
     total_tokens: totals.total,
     total_cost: totals.cost,
+    reconciliation: getCostReconciliation(whereClause, params),
     by_model,
     by_agent
   };
 }
 
+// Cost of a token_metrics row: what the provider reported, else its price in
+// the catalogue (estimates are always at catalogue prices)
+const ROW_COST = "CASE WHEN cost_source = 'real' AND estimated_cost <= 0 THEN catalogue_cost ELSE estimated_cost END";
+
+// Token usage as it counts towards totals and budgets. The plugin estimates
+// every step alongside the real figures, so a session's estimates only count
+// when it reported no real usage. Use as WITH ${reconciledUsage(where)} SELECT ... FROM reconciled
+function reconciledUsage(whereClause: string): string {
+  return `
+    scoped_usage AS (
+      SELECT *, ${ROW_COST} as cost
+      FROM token_metrics ${whereClause}
+    ),
+    measured_sessions AS (SELECT DISTINCT session_id FROM scoped_usage WHERE cost_source = 'real'),
+    reconciled AS (
+      SELECT * FROM scoped_usage
+      WHERE cost_source = 'real' OR session_id NOT IN (SELECT session_id FROM measured_sessions)
+    )`;
+}
+
+// Real cost (falling back to catalogue prices when the provider reported none)
+// alongside the estimates, split by whether their session also has real usage
+function getCostReconciliation(whereClause: string, params: any[]): CostReconciliation {
+  const row = db.prepare(`
+    WITH scoped AS (
+      SELECT session_id, cost_source, catalogue_cost,
+        CASE WHEN cost_source = 'real' AND estimated_cost > 0 THEN estimated_cost END as reported,
+        ${ROW_COST} as cost
+      FROM token_metrics ${whereClause}
+    ),
+    measured AS (SELECT DISTINCT session_id FROM scoped WHERE cost_source = 'real'),
+    estimated AS (SELECT DISTINCT session_id FROM scoped WHERE cost_source = 'estimated')
+    SELECT
+      COALESCE(SUM(CASE WHEN cost_source = 'real' THEN cost END), 0) as real_cost,
+      COALESCE(SUM(CASE WHEN cost_source = 'estimated' THEN cost END), 0) as estimated_cost,
+      COALESCE(SUM(CASE WHEN cost_source = 'estimated' AND session_id NOT IN (SELECT session_id FROM measured) THEN cost END), 0) as unmeasured_cost,
+      COUNT(DISTINCT CASE WHEN cost_source = 'estimated' AND session_id NOT IN (SELECT session_id FROM measured) THEN session_id END) as estimated_only_sessions,
+      COALESCE(SUM(CASE WHEN cost_source = 'real' AND session_id IN (SELECT session_id FROM estimated) THEN cost END), 0) as overlap_real,
+      COALESCE(SUM(CASE WHEN cost_source = 'estimated' AND session_id IN (SELECT session_id FROM measured) THEN cost END), 0) as overlap_estimated,
+      COALESCE(SUM(reported), 0) as reported_cost,
+      COALESCE(SUM(CASE WHEN reported IS NOT NULL THEN catalogue_cost END), 0) as reported_at_catalogue
+    FROM scoped
+  `).get(...params) as any;
+
+  const errorPct = (value: number, actual: number) => actual > 0 ? Math.round(((value - actual) / actual) * 1000) / 10 : null;
+  return {
+    reconciled_cost: row.real_cost + row.unmeasured_cost,
+    real_cost: row.real_cost,
+    estimated_cost: row.estimated_cost,
+    estimated_only_sessions: row.estimated_only_sessions,
+    estimation_error_pct: errorPct(row.overlap_estimated, row.overlap_real),
+    catalogue_error_pct: errorPct(row.reported_at_catalogue, row.reported_cost)
+  };
+}
+
 // Tool Metrics
 export function insertToolMetric(metric: ToolMetric): ToolMetric {
   const stmt = db.prepare(`
-    INSERT INTO tool_metrics (session_id, source_app, tool_name, tool_type, status, duration_ms, found_vulnerability, vulnerability_type, error_message, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO tool_metrics (session_id, source_app, tool_name, tool_type, status, duration_ms, found_vulnerability, vulnerability_type, error_message, timestamp, workspace_id, agent_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const timestamp = metric.timestamp || Date.now();
@@ -618,7 +1425,9 @@ export function insertToolMetric(metric: ToolMetric): ToolMetric {
     metric.found_vulnerability ? 1 : 0,
     metric.vulnerability_type || null,
     metric.error_message || null,
-    timestamp
+    timestamp,
+    metric.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    metric.agent_id || null
   );
 
   // Update session tool count
@@ -631,14 +1440,8 @@ export function insertToolMetric(metric: ToolMetric): ToolMetric {
   };
 }
 
-export function getToolEffectivenessReport(sessionId?: string): ToolEffectivenessReport[] {
-  let whereClause = '';
-  const params: any[] = [];
-
-  if (sessionId) {
-    whereClause = 'WHERE session_id = ?';
-    params.push(sessionId);
-  }
+export function getToolEffectivenessReport(sessionId?: string, workspaceId?: number): ToolEffectivenessReport[] {
+  const { whereClause, params } = metricsWhereClause(sessionId, workspaceId);
 
   const stmt = db.prepare(`
     SELECT
@@ -668,47 +1471,140 @@ export function getToolEffectivenessReport(sessionId?: string): ToolEffectivenes
 }
 
 // Findings
+// A finding whose fingerprint is already known adds an occurrence to the
+// existing row (whatever session it came from) instead of a new finding.
+// Findings marked fixed that are reported again go back to new.
 export function insertFinding(finding: Finding): Finding {
-  const stmt = db.prepare(`
-    INSERT OR REPLACE INTO findings (session_id, source_app, finding_id, vulnerability_type, severity, confidence, wstg_id, tool_used, target_url, location, title, description, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
   const timestamp = finding.timestamp || Date.now();
-  const result = stmt.run(
-    finding.session_id,
-    finding.source_app,
-    finding.finding_id,
-    finding.vulnerability_type,
-    finding.severity || 'medium',
-    finding.confidence || 'possible',
-    finding.wstg_id || null,
-    finding.tool_used || null,
-    finding.target_url || null,
-    finding.location || null,
-    finding.title || null,
-    finding.description || null,
-    timestamp
-  );
 
-  // Update session finding count
+  const saveFinding = db.transaction((): number => {
+    // Only findings of the same workspace are merged
+    const workspaceId = finding.workspace_id ?? DEFAULT_WORKSPACE_ID;
+    const existing = finding.fingerprint
+      ? db.prepare('SELECT id FROM findings WHERE fingerprint = ? AND workspace_id = ? ORDER BY id LIMIT 1').get(finding.fingerprint, workspaceId) as any
+      : db.prepare('SELECT id FROM findings WHERE finding_id = ? AND workspace_id = ?').get(finding.finding_id, workspaceId) as any;
+
+    let id: number;
+    if (existing) {
+      id = existing.id;
+    } else {
+      const result = db.prepare(`
+        INSERT INTO findings (session_id, source_app, finding_id, vulnerability_type, severity, confidence, wstg_id, tool_used, target_url, location, title, description, evidence, cwe, timestamp,
+          fingerprint, status, evidence_event_id, output_excerpt, occurrences, last_seen, updated_at, workspace_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'new', ?, ?, 0, ?, ?, ?)
+      `).run(
+        finding.session_id,
+        finding.source_app,
+        finding.finding_id,
+        finding.vulnerability_type,
+        finding.severity || 'medium',
+        finding.confidence || 'possible',
+        finding.wstg_id || null,
+        finding.tool_used || null,
+        finding.target_url || null,
+        finding.location || null,
+        finding.title || null,
+        finding.description || null,
+        finding.evidence || null,
+        finding.cwe || null,
+        timestamp,
+        finding.fingerprint || null,
+        finding.evidence_event_id || null,
+        finding.output_excerpt || null,
+        timestamp,
+        timestamp,
+        workspaceId
+      );
+      id = result.lastInsertRowid as number;
+    }
+
+    // Replayed reports (same plugin finding_id) are only counted once
+    const occurrence = db.prepare(`
+      INSERT OR IGNORE INTO finding_occurrences (finding_id, session_id, source_app, report_id, agent_id, evidence_event_id, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, finding.session_id, finding.source_app, finding.finding_id, finding.agent_id || null, finding.evidence_event_id || null, timestamp);
+
+    if (occurrence.changes > 0) {
+      db.prepare(`
+        UPDATE findings
+        SET occurrences = occurrences + 1,
+            last_seen = MAX(COALESCE(last_seen, timestamp), ?),
+            status = CASE WHEN status = 'fixed' THEN 'new' ELSE status END,
+            evidence = COALESCE(evidence, ?),
+            cwe = COALESCE(cwe, ?),
+            evidence_event_id = COALESCE(evidence_event_id, ?),
+            output_excerpt = COALESCE(output_excerpt, ?)
+        WHERE id = ?
+      `).run(timestamp, finding.evidence || null, finding.cwe || null, finding.evidence_event_id || null, finding.output_excerpt || null, id);
+    }
+
+    return id;
+  });
+
+  const id = saveFinding();
+
+  // Update session finding count (and coverage - a test with a finding was executed)
   updateSessionFindingCount(finding.session_id);
+  if (finding.wstg_id) updateSessionWSTGCoverage(finding.session_id);
 
-  return {
-    ...finding,
-    id: result.lastInsertRowid as number,
-    timestamp
-  };
+  return getFindingById(id)!;
 }
 
-export function getFindingSummary(sessionId?: string): FindingSummary {
-  let whereClause = '';
+export function getFindingById(id: number): Finding | null {
+  return (db.prepare('SELECT * FROM findings WHERE id = ?').get(id) as Finding | null) || null;
+}
+
+export function getFindingOccurrences(findingId: number): FindingOccurrence[] {
+  return db.prepare(`
+    SELECT * FROM finding_occurrences WHERE finding_id = ? ORDER BY timestamp ASC
+  `).all(findingId) as FindingOccurrence[];
+}
+
+// Apply a triage update to one or more findings; returns the updated findings
+export function updateFindings(ids: number[], update: FindingUpdate): Finding[] {
+  const assignments: string[] = [];
   const params: any[] = [];
 
+  if (update.status !== undefined) {
+    assignments.push('status = ?');
+    params.push(update.status);
+  }
+  if (update.notes !== undefined) {
+    assignments.push('notes = ?');
+    params.push(update.notes || null);
+  }
+  if (update.severity !== undefined) {
+    assignments.push('severity = ?');
+    params.push(update.severity);
+  }
+  if (ids.length === 0) return [];
+
+  const stmt = db.prepare(`
+    UPDATE findings SET ${[...assignments, 'updated_at = ?'].join(', ')}
+    WHERE id IN (${ids.map(() => '?').join(', ')})
+  `);
+  stmt.run(...params, Date.now(), ...ids);
+
+  return ids.map(id => getFindingById(id)).filter((finding): finding is Finding => finding !== null);
+}
+
+// Findings reported in a session (a finding can be reported in several) and/or of a workspace
+function findingsWhereClause(sessionId?: string, workspaceId?: number): { clause: string; params: any[] } {
+  const conditions: string[] = [];
+  const params: any[] = [];
   if (sessionId) {
-    whereClause = 'WHERE session_id = ?';
+    conditions.push('id IN (SELECT finding_id FROM finding_occurrences WHERE session_id = ?)');
     params.push(sessionId);
   }
+  if (workspaceId !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(workspaceId);
+  }
+  return { clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+export function getFindingSummary(sessionId?: string, workspaceId?: number): FindingSummary {
+  const { clause: whereClause, params } = findingsWhereClause(sessionId, workspaceId);
 
   // Total count
   const totalStmt = db.prepare(`SELECT COUNT(*) as count FROM findings ${whereClause}`);
@@ -754,27 +1650,51 @@ export function getFindingSummary(sessionId?: string): FindingSummary {
     by_confidence[row.confidence || 'unknown'] = row.count;
   });
 
+  // By triage status
+  const byStatusStmt = db.prepare(`
+    SELECT status, COUNT(*) as count FROM findings ${whereClause} GROUP BY status
+  `);
+  const byStatusRows = byStatusStmt.all(...params) as any[];
+  const by_status: Record<string, number> = {};
+  byStatusRows.forEach(row => {
+    by_status[row.status || 'new'] = row.count;
+  });
+
   return {
     total_findings: total,
     by_severity,
     by_type,
     by_agent,
-    by_confidence
+    by_confidence,
+    by_status
   };
 }
 
-export function getFindings(sessionId?: string, limit: number = 100): Finding[] {
-  let whereClause = '';
-  const params: any[] = [];
-
-  if (sessionId) {
-    whereClause = 'WHERE session_id = ?';
-    params.push(sessionId);
+export function getFindings(
+  sessionId?: string,
+  limit: number = 100,
+  filters: { status?: string; severity?: string; source_app?: string; workspace_id?: number } = {}
+): Finding[] {
+  const { clause, params } = findingsWhereClause(sessionId, filters.workspace_id);
+  const conditions = clause ? [clause.replace(/^WHERE /, '')] : [];
+
+  if (filters.status) {
+    conditions.push("COALESCE(status, 'new') = ?");
+    params.push(filters.status);
+  }
+  if (filters.severity) {
+    conditions.push('severity = ?');
+    params.push(filters.severity);
+  }
+  if (filters.source_app) {
+    conditions.push('source_app = ?');
+    params.push(filters.source_app);
   }
 
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
   const stmt = db.prepare(`
     SELECT * FROM findings ${whereClause}
-    ORDER BY timestamp DESC
+    ORDER BY COALESCE(last_seen, timestamp) DESC
     LIMIT ?
   `);
   params.push(limit);
@@ -785,8 +1705,8 @@ export function getFindings(sessionId?: string, limit: number = 100): Finding[]
 // WSTG Coverage
 export function insertWSTGCoverage(coverage: WSTGCoverage): WSTGCoverage {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO wstg_coverage (session_id, source_app, wstg_id, wstg_name, status, skip_reason, findings_count, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT OR REPLACE INTO wstg_coverage (session_id, source_app, wstg_id, wstg_name, status, skip_reason, findings_count, timestamp, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const timestamp = coverage.timestamp || Date.now();
@@ -798,7 +1718,8 @@ export function insertWSTGCoverage(coverage: WSTGCoverage): WSTGCoverage {
     coverage.status,
     coverage.skip_reason || null,
     coverage.findings_count,
-    timestamp
+    timestamp,
+    coverage.workspace_id ?? DEFAULT_WORKSPACE_ID
   );
 
   // Update session WSTG coverage percentage
@@ -811,62 +1732,99 @@ export function insertWSTGCoverage(coverage: WSTGCoverage): WSTGCoverage {
   };
 }
 
-export function getWSTGCoverageReport(sessionId?: string): WSTGCoverageReport {
-  let whereClause = '';
-  const params: any[] = [];
-
-  if (sessionId) {
-    whereClause = 'WHERE session_id = ?';
-    params.push(sessionId);
-  }
-
-  // Get counts by status
-  const statusStmt = db.prepare(`
-    SELECT
-      COUNT(*) as total,
-      SUM(CASE WHEN status = 'executed' THEN 1 ELSE 0 END) as executed,
-      SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) as skipped,
-      SUM(CASE WHEN status = 'partial' THEN 1 ELSE 0 END) as partial,
-      SUM(CASE WHEN status = 'not_applicable' THEN 1 ELSE 0 END) as not_applicable
-    FROM wstg_coverage ${whereClause}
+// Tests that findings (other than false positives) were reported against
+function getFindingWSTGTests(sessionId?: string, workspaceId?: number): { session_id: string; wstg_id: string }[] {
+  const sessionFilter = sessionId ? 'AND o.session_id = ?' : '';
+  const workspaceFilter = workspaceId !== undefined ? 'AND f.workspace_id = ?' : '';
+  const stmt = db.prepare(`
+    SELECT DISTINCT o.session_id, f.wstg_id
+    FROM findings f JOIN finding_occurrences o ON o.finding_id = f.id
+    WHERE f.wstg_id IS NOT NULL AND COALESCE(f.status, 'new') != 'false_positive' ${sessionFilter} ${workspaceFilter}
   `);
-  const status = statusStmt.get(...params) as any;
+  const params = [...(sessionId ? [sessionId] : []), ...(workspaceId !== undefined ? [workspaceId] : [])];
+  return stmt.all(...params) as { session_id: string; wstg_id: string }[];
+}
 
-  // Get by category (extract category from WSTG ID like "WSTG-INPV-05" -> "INPV")
-  const byCategoryStmt = db.prepare(`
-    SELECT
-      SUBSTR(wstg_id, 6, 4) as category,
-      COUNT(*) as total,
-      SUM(CASE WHEN status = 'executed' THEN 1 ELSE 0 END) as executed
-    FROM wstg_coverage ${whereClause}
-    GROUP BY category
-  `);
-  const byCategoryRows = byCategoryStmt.all(...params) as any[];
-  const by_category: Record<string, { executed: number; total: number; percentage: number }> = {};
-  byCategoryRows.forEach(row => {
-    by_category[row.category] = {
-      executed: row.executed,
-      total: row.total,
-      percentage: row.total > 0 ? (row.executed / row.total) * 100 : 0
-    };
-  });
+export function getWSTGCoverageReport(sessionId?: string, workspaceId?: number): WSTGCoverageReport {
+  const { whereClause, params } = metricsWhereClause(sessionId, workspaceId);
+  const rows = db.prepare(`SELECT wstg_id, status FROM wstg_coverage ${whereClause}`)
+    .all(...params) as Pick<WSTGCoverage, 'wstg_id' | 'status'>[];
 
-  const applicableTests = status.total - status.not_applicable;
-  const coveragePercentage = applicableTests > 0 ? (status.executed / applicableTests) * 100 : 0;
+  return summarizeCoverage(resolveTestStates(rows, getFindingWSTGTests(sessionId, workspaceId).map(row => row.wstg_id)));
+}
+
+/**
+ * Category-by-test matrix of the given sessions (the most recent ones when
+ * none are given), with each test's furthest state across them.
+ */
+export function getWSTGMatrix(sessionIds: string[] = [], limit: number = 10, workspaceId?: number): WSTGMatrix {
+  const sessions = sessionIds.length > 0
+    ? sessionIds.map(id => getSession(id, workspaceId) || { session_id: id })
+    : getSessions(undefined, limit, undefined, workspaceId);
+  const ids = sessions.map(session => session.session_id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const workspaceFilter = workspaceId !== undefined ? 'AND workspace_id = ?' : '';
+
+  const coverage = ids.length > 0
+    ? db.prepare(`SELECT session_id, wstg_id, status, skip_reason FROM wstg_coverage WHERE session_id IN (${placeholders}) ${workspaceFilter}`)
+      .all(...ids, ...(workspaceId !== undefined ? [workspaceId] : [])) as WSTGCoverage[]
+    : [];
+  const findingTests = getFindingWSTGTests(undefined, workspaceId).filter(row => ids.includes(row.session_id));
+
+  const statesBySession = new Map(ids.map(id => [id, resolveTestStates(
+    coverage.filter(row => row.session_id === id),
+    findingTests.filter(row => row.session_id === id).map(row => row.wstg_id)
+  )]));
+  const rollupStates = resolveTestStates(coverage, findingTests.map(row => row.wstg_id));
 
   return {
-    total_tests: status.total,
-    executed: status.executed,
-    skipped: status.skipped,
-    partial: status.partial,
-    not_applicable: status.not_applicable,
-    coverage_percentage: coveragePercentage,
-    by_category
+    version: WSTG_VERSION,
+    sessions: sessions.map(session => ({
+      session_id: session.session_id,
+      client_name: 'client_name' in session ? session.client_name : undefined,
+      started_at: 'started_at' in session ? session.started_at : undefined,
+      coverage_percentage: summarizeCoverage(statesBySession.get(session.session_id)!).coverage_percentage
+    })),
+    categories: Object.entries(WSTG_CATEGORIES).map(([category, name]) => ({
+      id: category,
+      name,
+      tests: WSTG_CATALOGUE.filter(test => test.category === category).map(test => {
+        const states: Record<string, WSTGTestState> = {};
+        const skip_reasons: Record<string, string> = {};
+        for (const id of ids) {
+          states[id] = statesBySession.get(id)!.get(test.id)!;
+        }
+        for (const row of coverage) {
+          if (row.wstg_id === test.id && row.skip_reason) skip_reasons[row.session_id] = row.skip_reason;
+        }
+        return { ...test, states, skip_reasons, rollup: rollupStates.get(test.id)! };
+      })
+    })),
+    rollup: summarizeCoverage(rollupStates)
   };
 }
 
+// Per-test coverage rows for a session, in WSTG order
+export function getWSTGCoverage(sessionId: string, workspaceId?: number): WSTGCoverage[] {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+  const stmt = db.prepare(`
+    SELECT * FROM wstg_coverage ${whereClause} ORDER BY wstg_id ASC
+  `);
+  return stmt.all(...params) as WSTGCoverage[];
+}
+
 // Session Management
 export function upsertSession(session: Partial<SessionSummary> & { session_id: string }): SessionSummary {
+  // Sessions linked to an engagement default to its client and target
+  const engagement = session.engagement_id ? getEngagement(session.engagement_id, session.workspace_id ?? DEFAULT_WORKSPACE_ID) : null;
+  if (engagement) {
+    session = {
+      ...session,
+      client_name: session.client_name || engagement.client_name || undefined,
+      target_url: session.target_url || engagement.target_url || undefined
+    };
+  }
+
   // Check if session exists
   const existingStmt = db.prepare('SELECT * FROM sessions WHERE session_id = ?');
   const existing = existingStmt.get(session.session_id) as any;
@@ -879,7 +1837,8 @@ export function upsertSession(session: Partial<SessionSummary> & { session_id: s
         target_url = COALESCE(?, target_url),
         status = COALESCE(?, status),
         ended_at = COALESCE(?, ended_at),
-        duration_ms = COALESCE(?, duration_ms)
+        duration_ms = COALESCE(?, duration_ms),
+        engagement_id = COALESCE(?, engagement_id)
       WHERE session_id = ?
     `);
     updateStmt.run(
@@ -888,13 +1847,14 @@ export function upsertSession(session: Partial<SessionSummary> & { session_id: s
       session.status || null,
       session.ended_at || null,
       session.duration_ms || null,
+      engagement ? engagement.id! : null,
       session.session_id
     );
   } else {
     // Insert new session
     const insertStmt = db.prepare(`
-      INSERT INTO sessions (session_id, client_name, target_url, status, started_at, agents_used)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO sessions (session_id, client_name, target_url, status, started_at, agents_used, engagement_id, workspace_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
     insertStmt.run(
       session.session_id,
@@ -902,16 +1862,32 @@ export function upsertSession(session: Partial<SessionSummary> & { session_id: s
       session.target_url || null,
       session.status || 'running',
       session.started_at || Date.now(),
-      JSON.stringify(session.agents_used || [])
+      JSON.stringify(session.agents_used || []),
+      engagement ? engagement.id! : null,
+      session.workspace_id ?? DEFAULT_WORKSPACE_ID
     );
   }
 
   return getSession(session.session_id)!;
 }
 
-export function getSession(sessionId: string): SessionSummary | null {
-  const stmt = db.prepare('SELECT * FROM sessions WHERE session_id = ?');
-  const row = stmt.get(sessionId) as any;
+// The workspace a session belongs to, from its sessions row or else its events
+export function getSessionWorkspaceId(sessionId: string): number | null {
+  const row = (db.prepare('SELECT workspace_id FROM sessions WHERE session_id = ?').get(sessionId)
+    || db.prepare('SELECT workspace_id FROM events WHERE session_id = ? LIMIT 1').get(sessionId)) as any;
+  return row ? row.workspace_id : null;
+}
+
+// Source apps that have posted events for a session
+export function getSessionSourceApps(sessionId: string): string[] {
+  const rows = db.prepare('SELECT DISTINCT source_app FROM events WHERE session_id = ?').all(sessionId) as { source_app: string }[];
+  return rows.map(row => row.source_app);
+}
+
+export function getSession(sessionId: string, workspaceId?: number): SessionSummary | null {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+  const stmt = db.prepare(`SELECT * FROM sessions ${whereClause}`);
+  const row = stmt.get(...params) as any;
 
   if (!row) return null;
 
@@ -929,18 +1905,29 @@ export function getSession(sessionId: string): SessionSummary | null {
     total_findings: row.total_findings,
     total_tool_calls: row.total_tool_calls,
     agents_used: row.agents_used ? JSON.parse(row.agents_used) : [],
-    wstg_coverage_pct: row.wstg_coverage_pct
+    wstg_coverage_pct: row.wstg_coverage_pct,
+    engagement_id: row.engagement_id ?? null,
+    workspace_id: row.workspace_id
   };
 }
 
-export function getSessions(status?: string, limit: number = 50): SessionSummary[] {
-  let whereClause = '';
+export function getSessions(status?: string, limit: number = 50, engagementId?: number, workspaceId?: number): SessionSummary[] {
+  const conditions: string[] = [];
   const params: any[] = [];
 
   if (status) {
-    whereClause = 'WHERE status = ?';
+    conditions.push('status = ?');
     params.push(status);
   }
+  if (engagementId !== undefined) {
+    conditions.push('engagement_id = ?');
+    params.push(engagementId);
+  }
+  if (workspaceId !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(workspaceId);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
   const stmt = db.prepare(`
     SELECT * FROM sessions ${whereClause}
@@ -964,18 +1951,23 @@ export function getSessions(status?: string, limit: number = 50): SessionSummary
     total_findings: row.total_findings,
     total_tool_calls: row.total_tool_calls,
     agents_used: row.agents_used ? JSON.parse(row.agents_used) : [],
-    wstg_coverage_pct: row.wstg_coverage_pct
+    wstg_coverage_pct: row.wstg_coverage_pct,
+    engagement_id: row.engagement_id ?? null,
+    workspace_id: row.workspace_id
   }));
 }
 
 // Helper functions to update session aggregates
-function updateSessionTokens(sessionId: string, tokens: number, cost: number): void {
-  const stmt = db.prepare(`
-    UPDATE sessions
-    SET total_tokens = total_tokens + ?, total_cost = total_cost + ?
-    WHERE session_id = ?
-  `);
-  stmt.run(tokens, cost, sessionId);
+// Session totals are its reconciled usage, so they are recounted rather than added to
+function updateSessionTokens(sessionId: string): void {
+  const usage = db.prepare(`
+    WITH ${reconciledUsage('WHERE session_id = ?')}
+    SELECT COALESCE(SUM(total_tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost
+    FROM reconciled
+  `).get(sessionId) as any;
+
+  db.prepare('UPDATE sessions SET total_tokens = ?, total_cost = ? WHERE session_id = ?')
+    .run(usage.tokens, usage.cost, sessionId);
 }
 
 function updateSessionToolCount(sessionId: string): void {
@@ -990,27 +1982,15 @@ function updateSessionToolCount(sessionId: string): void {
 function updateSessionFindingCount(sessionId: string): void {
   const stmt = db.prepare(`
     UPDATE sessions
-    SET total_findings = (SELECT COUNT(*) FROM findings WHERE session_id = ?)
+    SET total_findings = (SELECT COUNT(DISTINCT finding_id) FROM finding_occurrences WHERE session_id = ?)
     WHERE session_id = ?
   `);
   stmt.run(sessionId, sessionId);
 }
 
 function updateSessionWSTGCoverage(sessionId: string): void {
-  const stmt = db.prepare(`
-    UPDATE sessions
-    SET wstg_coverage_pct = (
-      SELECT CASE
-        WHEN COUNT(*) - SUM(CASE WHEN status = 'not_applicable' THEN 1 ELSE 0 END) > 0
-        THEN (SUM(CASE WHEN status = 'executed' THEN 1 ELSE 0 END) * 100.0) /
-             (COUNT(*) - SUM(CASE WHEN status = 'not_applicable' THEN 1 ELSE 0 END))
-        ELSE 0
-      END
-      FROM wstg_coverage WHERE session_id = ?
-    )
-    WHERE session_id = ?
-  `);
-  stmt.run(sessionId, sessionId);
+  const stmt = db.prepare('UPDATE sessions SET wstg_coverage_pct = ? WHERE session_id = ?');
+  stmt.run(getWSTGCoverageReport(sessionId).coverage_percentage, sessionId);
 }
 
 // Add agent to session
@@ -1026,8 +2006,87 @@ export function addAgentToSession(sessionId: string, agentName: string): void {
   }
 }
 
-// Get full metrics dashboard
-export function getMetricsDashboard(sessionId?: string): MetricsDashboard {
+// =====================================================
+// AGENT HIERARCHY FUNCTIONS
+// =====================================================
+
+// Record a (sub)agent; a repeated spawn (e.g. a replayed event) updates it
+export function upsertSessionAgent(agent: SessionAgent): void {
+  db.prepare(`
+    INSERT INTO session_agents (session_id, agent_id, parent_agent_id, agent_name, source, spawned_by_call_id, description, started_at, ended_at, workspace_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (session_id, agent_id) DO UPDATE SET
+      parent_agent_id = excluded.parent_agent_id,
+      agent_name = excluded.agent_name,
+      source = COALESCE(excluded.source, source),
+      spawned_by_call_id = COALESCE(excluded.spawned_by_call_id, spawned_by_call_id),
+      description = COALESCE(excluded.description, description),
+      started_at = MIN(started_at, excluded.started_at)
+  `).run(
+    agent.session_id,
+    agent.agent_id,
+    agent.parent_agent_id,
+    agent.agent_name,
+    agent.source || null,
+    agent.spawned_by_call_id || null,
+    agent.description || null,
+    agent.started_at,
+    agent.ended_at ?? null,
+    agent.workspace_id ?? DEFAULT_WORKSPACE_ID
+  );
+}
+
+export function endSessionAgent(sessionId: string, agentId: string, endedAt: number): void {
+  db.prepare('UPDATE session_agents SET ended_at = ? WHERE session_id = ? AND agent_id = ?').run(endedAt, sessionId, agentId);
+}
+
+export function getSessionAgents(sessionId: string, workspaceId?: number): SessionAgent[] {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+  return db.prepare(`
+    SELECT session_id, agent_id, parent_agent_id, agent_name, source, spawned_by_call_id, description, started_at, ended_at, workspace_id
+    FROM session_agents
+    ${whereClause}
+    ORDER BY started_at ASC
+  `).all(...params) as SessionAgent[];
+}
+
+// Tool calls, tokens and findings of a session per agent (unattributed rows
+// belong to the session's own agent), in one workspace or all of them
+export function getAgentActivity(sessionId: string, rootAgentId: string, workspaceId?: number): {
+  tools: { agent_id: string; tool_name: string; calls: number; failures: number }[];
+  tokens: { agent_id: string; total_tokens: number; cost: number }[];
+  findings: { agent_id: string; findings: number }[];
+} {
+  const { whereClause, params } = sessionWhereClause(sessionId, workspaceId);
+
+  const tools = db.prepare(`
+    SELECT COALESCE(agent_id, ?) as agent_id, tool_name, COUNT(*) as calls,
+      SUM(CASE WHEN status != 'success' THEN 1 ELSE 0 END) as failures
+    FROM tool_metrics
+    ${whereClause}
+    GROUP BY 1, tool_name
+  `).all(rootAgentId, ...params) as any[];
+
+  const tokens = db.prepare(`
+    WITH ${reconciledUsage(whereClause)}
+    SELECT COALESCE(agent_id, ?) as agent_id, COALESCE(SUM(total_tokens), 0) as total_tokens, COALESCE(SUM(cost), 0) as cost
+    FROM reconciled
+    GROUP BY 1
+  `).all(...params, rootAgentId) as any[];
+
+  // Occurrences belong to the workspace of their finding
+  const findings = db.prepare(`
+    SELECT COALESCE(o.agent_id, ?) as agent_id, COUNT(DISTINCT o.finding_id) as findings
+    FROM finding_occurrences o JOIN findings f ON f.id = o.finding_id
+    WHERE o.session_id = ? ${workspaceId !== undefined ? 'AND f.workspace_id = ?' : ''}
+    GROUP BY 1
+  `).all(rootAgentId, sessionId, ...(workspaceId !== undefined ? [workspaceId] : [])) as any[];
+
+  return { tools, tokens, findings };
+}
+
+// Get full metrics dashboard (of one workspace, or across all of them)
+export function getMetricsDashboard(sessionId?: string, workspaceId?: number): MetricsDashboard {
   // Session stats
   const sessionsStmt = db.prepare(`
     SELECT
@@ -1036,8 +2095,9 @@ export function getMetricsDashboard(sessionId?: string): MetricsDashboard {
       SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
       SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
     FROM sessions
+    ${workspaceId !== undefined ? 'WHERE workspace_id = ?' : ''}
   `);
-  const sessionStats = sessionsStmt.get() as any;
+  const sessionStats = sessionsStmt.get(...(workspaceId !== undefined ? [workspaceId] : [])) as any;
 
   return {
     sessions: {
@@ -1046,11 +2106,935 @@ export function getMetricsDashboard(sessionId?: string): MetricsDashboard {
       completed: sessionStats.completed,
       failed: sessionStats.failed
     },
-    tokens: getTokenSummary(sessionId),
-    findings: getFindingSummary(sessionId),
-    tools: getToolEffectivenessReport(sessionId),
-    wstg: getWSTGCoverageReport(sessionId)
+    tokens: getTokenSummary(sessionId, workspaceId),
+    findings: getFindingSummary(sessionId, workspaceId),
+    tools: getToolEffectivenessReport(sessionId, workspaceId),
+    wstg: getWSTGCoverageReport(sessionId, workspaceId)
+  };
+}
+
+// Running totals for Prometheus, grouped by the labels it exposes.
+// Tool durations are bucketed against the (ascending) upper bounds given.
+export function getMetricTotals(durationBoundsMs: number[], workspaceId?: number): MetricTotals {
+  const where = workspaceId !== undefined ? `WHERE workspace_id = ${Number(workspaceId)}` : '';
+
+  const tokens = db.prepare(`
+    SELECT source_app, COALESCE(model_name, 'unknown') as model, cost_source,
+      SUM(input_tokens) as input_tokens, SUM(output_tokens) as output_tokens, SUM(reasoning_tokens) as reasoning_tokens,
+      SUM(cache_read_tokens) as cache_read_tokens, SUM(cache_write_tokens) as cache_write_tokens, SUM(${ROW_COST}) as cost
+    FROM token_metrics ${where}
+    GROUP BY source_app, model, cost_source
+  `).all() as MetricTotals['tokens'];
+
+  const tools = db.prepare(`
+    SELECT source_app, tool_name, status, COUNT(*) as count, COALESCE(SUM(duration_ms), 0) as duration_sum_ms
+    FROM tool_metrics ${where}
+    GROUP BY source_app, tool_name, status
+  `).all() as MetricTotals['tools'];
+
+  const bucketCase = durationBoundsMs
+    .map((bound, index) => `WHEN COALESCE(duration_ms, 0) <= ${Number(bound)} THEN ${index}`)
+    .join(' ');
+  const tool_buckets = db.prepare(`
+    SELECT source_app, tool_name, status,
+      CASE ${bucketCase} ELSE ${durationBoundsMs.length} END as bucket,
+      COUNT(*) as count
+    FROM tool_metrics ${where}
+    GROUP BY source_app, tool_name, status, bucket
+  `).all() as MetricTotals['tool_buckets'];
+
+  const findings = db.prepare(`
+    SELECT source_app, COALESCE(severity, 'unknown') as severity, COUNT(*) as count
+    FROM findings ${where}
+    GROUP BY source_app, severity
+  `).all() as MetricTotals['findings'];
+
+  const sessions = db.prepare(`
+    SELECT COALESCE(status, 'unknown') as status, COUNT(*) as count
+    FROM sessions ${where}
+    GROUP BY status
+  `).all() as MetricTotals['sessions'];
+
+  const events = db.prepare(`
+    SELECT source_app, hook_event_type, COUNT(*) as count
+    FROM events ${where}
+    GROUP BY source_app, hook_event_type
+  `).all() as MetricTotals['events'];
+
+  return { tokens, tools, tool_buckets, findings, sessions, events };
+}
+
+// =====================================================
+// PRICING FUNCTIONS
+// =====================================================
+
+function rowToModelPrice(row: any): ModelPrice {
+  return {
+    id: row.id,
+    model: row.model,
+    input_per_mtok: row.input_per_mtok,
+    output_per_mtok: row.output_per_mtok,
+    reasoning_per_mtok: row.reasoning_per_mtok,
+    cache_read_per_mtok: row.cache_read_per_mtok,
+    cache_write_per_mtok: row.cache_write_per_mtok,
+    effective_from: row.effective_from,
+    note: row.note,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+export function insertModelPrice(price: ModelPrice): ModelPrice {
+  const stmt = db.prepare(`
+    INSERT INTO model_prices (model, input_per_mtok, output_per_mtok, reasoning_per_mtok, cache_read_per_mtok, cache_write_per_mtok, effective_from, note, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const now = Date.now();
+  const result = stmt.run(
+    price.model,
+    price.input_per_mtok,
+    price.output_per_mtok,
+    price.reasoning_per_mtok ?? null,
+    price.cache_read_per_mtok ?? null,
+    price.cache_write_per_mtok ?? null,
+    price.effective_from,
+    price.note || null,
+    now,
+    now
+  );
+
+  return { ...price, id: result.lastInsertRowid as number, created_at: now, updated_at: now };
+}
+
+export function updateModelPrice(id: number, price: ModelPrice): ModelPrice | null {
+  const stmt = db.prepare(`
+    UPDATE model_prices
+    SET model = ?, input_per_mtok = ?, output_per_mtok = ?, reasoning_per_mtok = ?, cache_read_per_mtok = ?, cache_write_per_mtok = ?, effective_from = ?, note = ?, updated_at = ?
+    WHERE id = ?
+  `);
+
+  const result = stmt.run(
+    price.model,
+    price.input_per_mtok,
+    price.output_per_mtok,
+    price.reasoning_per_mtok ?? null,
+    price.cache_read_per_mtok ?? null,
+    price.cache_write_per_mtok ?? null,
+    price.effective_from,
+    price.note || null,
+    Date.now(),
+    id
+  );
+
+  return result.changes > 0 ? getModelPrice(id) : null;
+}
+
+export function getModelPrice(id: number): ModelPrice | null {
+  const row = db.prepare('SELECT * FROM model_prices WHERE id = ?').get(id) as any;
+  return row ? rowToModelPrice(row) : null;
+}
+
+// The whole catalogue, each model's entries oldest first
+export function getModelPrices(model?: string): ModelPrice[] {
+  const rows = db.prepare(`
+    SELECT * FROM model_prices ${model ? 'WHERE model = ?' : ''} ORDER BY model ASC, effective_from ASC
+  `).all(...(model ? [model] : [])) as any[];
+  return rows.map(rowToModelPrice);
+}
+
+export function deleteModelPrice(id: number): boolean {
+  const result = db.prepare('DELETE FROM model_prices WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+// Model names token usage has been recorded for
+export function getTokenMetricModels(): (string | null)[] {
+  const rows = db.prepare('SELECT DISTINCT model_name FROM token_metrics').all() as any[];
+  return rows.map(row => row.model_name);
+}
+
+// Set the catalogue cost of each model's tokens over a time range, at the given
+// per-1M-token rates. Estimates take the catalogue cost as their cost.
+export function repriceTokenMetrics(periods: {
+  model_name: string | null;
+  from: number;
+  to: number | null;
+  rates: { input: number; output: number; reasoning: number; cache_read: number; cache_write: number };
+}[]): number {
+  const stmt = db.prepare(`
+    UPDATE token_metrics
+    SET catalogue_cost = (input_tokens * ? + output_tokens * ? + COALESCE(reasoning_tokens, 0) * ?
+        + COALESCE(cache_read_tokens, 0) * ? + COALESCE(cache_write_tokens, 0) * ?) / 1000000.0,
+      estimated_cost = CASE WHEN cost_source = 'estimated'
+        THEN (input_tokens * ? + output_tokens * ? + COALESCE(reasoning_tokens, 0) * ?
+          + COALESCE(cache_read_tokens, 0) * ? + COALESCE(cache_write_tokens, 0) * ?) / 1000000.0
+        ELSE estimated_cost END
+    WHERE model_name IS ? AND timestamp >= ? AND timestamp < ?
+  `);
+
+  let changed = 0;
+  db.transaction(() => {
+    for (const period of periods) {
+      const { input, output, reasoning, cache_read, cache_write } = period.rates;
+      const rates = [input, output, reasoning, cache_read, cache_write];
+      changed += stmt.run(...rates, ...rates, period.model_name, period.from, period.to ?? Number.MAX_SAFE_INTEGER).changes;
+    }
+
+    const sessions = db.prepare('SELECT DISTINCT session_id FROM token_metrics').all() as { session_id: string }[];
+    sessions.forEach(row => updateSessionTokens(row.session_id));
+  })();
+  return changed;
+}
+
+// =====================================================
+// BUDGET FUNCTIONS
+// =====================================================
+
+function rowToBudget(row: any): Budget {
+  return {
+    id: row.id,
+    name: row.name,
+    scope: row.scope,
+    scope_value: row.scope_value,
+    period: row.period,
+    max_cost_usd: row.max_cost_usd,
+    max_tokens: row.max_tokens,
+    thresholds: JSON.parse(row.thresholds),
+    webhook_url: row.webhook_url,
+    enabled: Boolean(row.enabled),
+    enforce: Boolean(row.enforce),
+    workspace_id: row.workspace_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+export function insertBudget(budget: Budget): Budget {
+  const stmt = db.prepare(`
+    INSERT INTO budgets (name, scope, scope_value, period, max_cost_usd, max_tokens, thresholds, webhook_url, enabled, enforce, workspace_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const now = Date.now();
+  const result = stmt.run(
+    budget.name,
+    budget.scope,
+    budget.scope_value || null,
+    budget.period,
+    budget.max_cost_usd ?? null,
+    budget.max_tokens ?? null,
+    JSON.stringify(budget.thresholds),
+    budget.webhook_url || null,
+    budget.enabled ? 1 : 0,
+    budget.enforce ? 1 : 0,
+    budget.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    now,
+    now
+  );
+
+  return { ...budget, id: result.lastInsertRowid as number, workspace_id: budget.workspace_id ?? DEFAULT_WORKSPACE_ID, created_at: now, updated_at: now };
+}
+
+export function updateBudget(id: number, budget: Budget): Budget | null {
+  const stmt = db.prepare(`
+    UPDATE budgets
+    SET name = ?, scope = ?, scope_value = ?, period = ?, max_cost_usd = ?, max_tokens = ?, thresholds = ?, webhook_url = ?, enabled = ?, enforce = ?, updated_at = ?
+    WHERE id = ?
+  `);
+
+  const result = stmt.run(
+    budget.name,
+    budget.scope,
+    budget.scope_value || null,
+    budget.period,
+    budget.max_cost_usd ?? null,
+    budget.max_tokens ?? null,
+    JSON.stringify(budget.thresholds),
+    budget.webhook_url || null,
+    budget.enabled ? 1 : 0,
+    budget.enforce ? 1 : 0,
+    Date.now(),
+    id
+  );
+
+  return result.changes > 0 ? getBudget(id) : null;
+}
+
+export function getBudget(id: number): Budget | null {
+  const row = db.prepare('SELECT * FROM budgets WHERE id = ?').get(id) as any;
+  return row ? rowToBudget(row) : null;
+}
+
+// Budgets of one workspace, or of all of them when none is given
+export function getBudgets(enabledOnly: boolean = false, workspaceId?: number): Budget[] {
+  const conditions: string[] = [];
+  const params: any[] = [];
+  if (enabledOnly) conditions.push('enabled = 1');
+  if (workspaceId !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(workspaceId);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = db.prepare(`
+    SELECT * FROM budgets ${whereClause} ORDER BY id ASC
+  `).all(...params) as any[];
+  return rows.map(rowToBudget);
+}
+
+export function deleteBudget(id: number): boolean {
+  db.prepare('DELETE FROM budget_alerts WHERE budget_id = ?').run(id);
+  const result = db.prepare('DELETE FROM budgets WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+// Reconciled tokens and cost recorded in a workspace for a session and/or source app, optionally since a time
+export function getTokenUsage(filter: { workspace_id: number; session_id?: string; source_app?: string; since?: number }): { tokens: number; cost: number } {
+  const conditions: string[] = ['workspace_id = ?'];
+  const params: any[] = [filter.workspace_id];
+
+  if (filter.session_id) {
+    conditions.push('session_id = ?');
+    params.push(filter.session_id);
+  }
+  if (filter.source_app) {
+    conditions.push('source_app = ?');
+    params.push(filter.source_app);
+  }
+  if (filter.since !== undefined) {
+    conditions.push('timestamp >= ?');
+    params.push(filter.since);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const row = db.prepare(`
+    WITH ${reconciledUsage(whereClause)}
+    SELECT COALESCE(SUM(total_tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost
+    FROM reconciled
+  `).get(...params) as any;
+
+  return { tokens: row.tokens, cost: row.cost };
+}
+
+// Record that a threshold was crossed; false if it had already been alerted on
+export function recordBudgetAlert(alert: BudgetAlert): boolean {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO budget_alerts (budget_id, scope_key, period_key, metric, threshold, usage, limit_value, triggered_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    alert.budget_id,
+    alert.scope_key,
+    alert.period_key,
+    alert.metric,
+    alert.threshold,
+    alert.usage,
+    alert.limit,
+    alert.triggered_at
+  );
+  return result.changes > 0;
+}
+
+// =====================================================
+// WEBHOOK FUNCTIONS
+// =====================================================
+
+function rowToWebhook(row: any): Webhook {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    format: row.format,
+    triggers: JSON.parse(row.triggers),
+    min_severity: row.min_severity,
+    source_app: row.source_app,
+    secret: row.secret,
+    has_secret: Boolean(row.secret),
+    enabled: Boolean(row.enabled),
+    workspace_id: row.workspace_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+export function insertWebhook(webhook: Webhook): Webhook {
+  const now = Date.now();
+  const result = db.prepare(`
+    INSERT INTO webhooks (name, url, format, triggers, min_severity, source_app, secret, enabled, workspace_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    webhook.name,
+    webhook.url,
+    webhook.format,
+    JSON.stringify(webhook.triggers),
+    webhook.min_severity,
+    webhook.source_app || null,
+    webhook.secret || null,
+    webhook.enabled ? 1 : 0,
+    webhook.workspace_id ?? null,
+    now,
+    now
+  );
+
+  return getWebhook(result.lastInsertRowid as number)!;
+}
+
+export function updateWebhook(id: number, webhook: Webhook): Webhook | null {
+  const result = db.prepare(`
+    UPDATE webhooks
+    SET name = ?, url = ?, format = ?, triggers = ?, min_severity = ?, source_app = ?, secret = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `).run(
+    webhook.name,
+    webhook.url,
+    webhook.format,
+    JSON.stringify(webhook.triggers),
+    webhook.min_severity,
+    webhook.source_app || null,
+    webhook.secret || null,
+    webhook.enabled ? 1 : 0,
+    Date.now(),
+    id
+  );
+
+  return result.changes > 0 ? getWebhook(id) : null;
+}
+
+export function getWebhook(id: number): Webhook | null {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id) as any;
+  return row ? rowToWebhook(row) : null;
+}
+
+// Webhooks of one workspace (workspaceId undefined = all of them)
+export function getWebhooks(workspaceId?: number, enabledOnly: boolean = false): Webhook[] {
+  const conditions: string[] = [];
+  const params: any[] = [];
+  if (workspaceId !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(workspaceId);
+  }
+  if (enabledOnly) conditions.push('enabled = 1');
+
+  const rows = db.prepare(`
+    SELECT * FROM webhooks ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id ASC
+  `).all(...params) as any[];
+  return rows.map(rowToWebhook);
+}
+
+// Enabled webhooks that hear about a workspace's events, including those for every workspace
+export function getWebhooksForWorkspace(workspaceId: number): Webhook[] {
+  const rows = db.prepare(`
+    SELECT * FROM webhooks WHERE enabled = 1 AND (workspace_id IS NULL OR workspace_id = ?) ORDER BY id ASC
+  `).all(workspaceId) as any[];
+  return rows.map(rowToWebhook);
+}
+
+export function deleteWebhook(id: number): boolean {
+  db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+  const result = db.prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+export function insertWebhookDelivery(delivery: WebhookDelivery): WebhookDelivery {
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, trigger, session_id, source_id, body, status, attempts, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    delivery.webhook_id,
+    delivery.trigger,
+    delivery.session_id || null,
+    delivery.source_id ?? null,
+    delivery.body,
+    delivery.status,
+    delivery.attempts,
+    delivery.next_attempt_at ?? null,
+    delivery.created_at
+  );
+
+  return { ...delivery, id: result.lastInsertRowid as number };
+}
+
+export function updateWebhookDelivery(
+  id: number,
+  update: Pick<WebhookDelivery, 'status' | 'attempts' | 'next_attempt_at' | 'response_status' | 'error' | 'delivered_at'>
+): void {
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, error = ?, delivered_at = ?
+    WHERE id = ?
+  `).run(
+    update.status,
+    update.attempts,
+    update.next_attempt_at ?? null,
+    update.response_status ?? null,
+    update.error ?? null,
+    update.delivered_at ?? null,
+    id
+  );
+}
+
+export function getWebhookDelivery(id: number): WebhookDelivery | null {
+  return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id) as WebhookDelivery | null;
+}
+
+// Pending deliveries whose next attempt is due, oldest first
+export function getDueWebhookDeliveries(now: number, limit: number): WebhookDelivery[] {
+  return db.prepare(`
+    SELECT * FROM webhook_deliveries
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at ASC, id ASC
+    LIMIT ?
+  `).all(now, limit) as WebhookDelivery[];
+}
+
+// Delivery log, newest first. Deliveries of webhooks outside the workspace are left out
+export function getWebhookDeliveries(filters: {
+  webhook_id?: number;
+  status?: string;
+  workspace_id?: number;
+  limit?: number;
+} = {}): WebhookDelivery[] {
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  if (filters.webhook_id !== undefined) {
+    conditions.push('d.webhook_id = ?');
+    params.push(filters.webhook_id);
+  }
+  if (filters.status) {
+    conditions.push('d.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.workspace_id !== undefined) {
+    conditions.push('w.workspace_id = ?');
+    params.push(filters.workspace_id);
+  }
+
+  return db.prepare(`
+    SELECT d.* FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY d.created_at DESC, d.id DESC
+    LIMIT ?
+  `).all(...params, filters.limit || 100) as WebhookDelivery[];
+}
+
+// Drop finished deliveries older than a cutoff from the log
+export function pruneWebhookDeliveries(before: number): number {
+  const result = db.prepare(`
+    DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?
+  `).run(before);
+  return result.changes;
+}
+
+// =====================================================
+// ENGAGEMENT FUNCTIONS
+// =====================================================
+
+function rowToEngagement(row: any): Engagement {
+  return {
+    id: row.id,
+    name: row.name,
+    client_name: row.client_name,
+    target_url: row.target_url,
+    hosts: JSON.parse(row.hosts),
+    cidrs: JSON.parse(row.cidrs),
+    url_patterns: JSON.parse(row.url_patterns),
+    starts_at: row.starts_at,
+    ends_at: row.ends_at,
+    enforcement: row.enforcement,
+    workspace_id: row.workspace_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+export function insertEngagement(engagement: Engagement): Engagement {
+  const stmt = db.prepare(`
+    INSERT INTO engagements (name, client_name, target_url, hosts, cidrs, url_patterns, starts_at, ends_at, enforcement, workspace_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const now = Date.now();
+  const result = stmt.run(
+    engagement.name,
+    engagement.client_name || null,
+    engagement.target_url || null,
+    JSON.stringify(engagement.hosts),
+    JSON.stringify(engagement.cidrs),
+    JSON.stringify(engagement.url_patterns),
+    engagement.starts_at ?? null,
+    engagement.ends_at ?? null,
+    engagement.enforcement,
+    engagement.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    now,
+    now
+  );
+
+  return { ...engagement, id: result.lastInsertRowid as number, workspace_id: engagement.workspace_id ?? DEFAULT_WORKSPACE_ID, created_at: now, updated_at: now };
+}
+
+export function updateEngagement(id: number, engagement: Engagement): Engagement | null {
+  const result = db.prepare(`
+    UPDATE engagements SET
+      name = ?, client_name = ?, target_url = ?, hosts = ?, cidrs = ?, url_patterns = ?,
+      starts_at = ?, ends_at = ?, enforcement = ?, updated_at = ?
+    WHERE id = ?
+  `).run(
+    engagement.name,
+    engagement.client_name || null,
+    engagement.target_url || null,
+    JSON.stringify(engagement.hosts),
+    JSON.stringify(engagement.cidrs),
+    JSON.stringify(engagement.url_patterns),
+    engagement.starts_at ?? null,
+    engagement.ends_at ?? null,
+    engagement.enforcement,
+    Date.now(),
+    id
+  );
+
+  return result.changes > 0 ? getEngagement(id) : null;
+}
+
+// An engagement, if it exists (in the given workspace, when there is one)
+export function getEngagement(id: number, workspaceId?: number): Engagement | null {
+  const row = db.prepare('SELECT * FROM engagements WHERE id = ?').get(id) as any;
+  return row && (workspaceId === undefined || row.workspace_id === workspaceId) ? rowToEngagement(row) : null;
+}
+
+// Engagements by workspace, name and/or those whose testing window includes a time
+export function getEngagements(filter: { workspace_id?: number; name?: string; active_at?: number } = {}): Engagement[] {
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  if (filter.workspace_id !== undefined) {
+    conditions.push('workspace_id = ?');
+    params.push(filter.workspace_id);
+  }
+
+  if (filter.name) {
+    conditions.push('name = ?');
+    params.push(filter.name);
+  }
+  if (filter.active_at !== undefined) {
+    conditions.push('(starts_at IS NULL OR starts_at <= ?) AND (ends_at IS NULL OR ends_at >= ?)');
+    params.push(filter.active_at, filter.active_at);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const rows = db.prepare(`SELECT * FROM engagements ${whereClause} ORDER BY id ASC`).all(...params) as any[];
+  return rows.map(rowToEngagement);
+}
+
+// Linked sessions are kept, just no longer linked
+export function deleteEngagement(id: number): boolean {
+  db.prepare('UPDATE sessions SET engagement_id = NULL WHERE engagement_id = ?').run(id);
+  const result = db.prepare('DELETE FROM engagements WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+// =====================================================
+// POLICY FUNCTIONS
+// =====================================================
+
+export function getPolicyDocument(id: string = 'default'): PolicyDocument | null {
+  const row = db.prepare('SELECT document, updated_at FROM policies WHERE id = ?').get(id) as any;
+  return row ? { ...JSON.parse(row.document), updated_at: row.updated_at } : null;
+}
+
+export function savePolicyDocument(document: PolicyDocument, id: string = 'default'): PolicyDocument {
+  const updatedAt = Date.now();
+  const { updated_at, ...stored } = document;
+  db.prepare(`
+    INSERT INTO policies (id, document, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET document = excluded.document, updated_at = excluded.updated_at
+  `).run(id, JSON.stringify(stored), updatedAt);
+  return { ...stored, updated_at: updatedAt };
+}
+
+// =====================================================
+// WORKSPACE FUNCTIONS
+// =====================================================
+
+export function insertWorkspace(workspace: Workspace): Workspace {
+  const createdAt = Date.now();
+  const result = db.prepare('INSERT INTO workspaces (slug, name, created_at) VALUES (?, ?, ?)')
+    .run(workspace.slug, workspace.name, createdAt);
+  return { id: result.lastInsertRowid as number, slug: workspace.slug, name: workspace.name, created_at: createdAt };
+}
+
+export function updateWorkspace(id: number, name: string): Workspace | null {
+  db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').run(name, id);
+  return getWorkspace(id);
+}
+
+export function getWorkspace(id: number): Workspace | null {
+  return (db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id) as Workspace | null) || null;
+}
+
+export function getWorkspaceBySlug(slug: string): Workspace | null {
+  return (db.prepare('SELECT * FROM workspaces WHERE slug = ?').get(slug) as Workspace | null) || null;
+}
+
+export function getWorkspaces(): Workspace[] {
+  return db.prepare('SELECT * FROM workspaces ORDER BY id ASC').all() as Workspace[];
+}
+
+// Workspaces with their totals (all of them, or just the one given)
+export function getWorkspaceSummaries(workspaceId?: number): WorkspaceSummary[] {
+  const rows = db.prepare(`
+    SELECT w.*,
+      (SELECT COUNT(*) FROM events WHERE workspace_id = w.id) AS events,
+      (SELECT MAX(timestamp) FROM events WHERE workspace_id = w.id) AS last_event_at,
+      (SELECT COUNT(*) FROM sessions WHERE workspace_id = w.id) AS sessions,
+      (SELECT COALESCE(SUM(total_cost), 0) FROM sessions WHERE workspace_id = w.id) AS total_cost,
+      (SELECT COUNT(*) FROM findings WHERE workspace_id = w.id) AS findings
+    FROM workspaces w
+    ${workspaceId !== undefined ? 'WHERE w.id = ?' : ''}
+    ORDER BY w.id ASC
+  `).all(...(workspaceId !== undefined ? [workspaceId] : [])) as any[];
+
+  return rows.map(row => ({ ...row, last_event_at: row.last_event_at ?? null }));
+}
+
+// Only empty workspaces (other than the default one) can be deleted; returns
+// false when the workspace doesn't exist or still holds data
+export function deleteWorkspace(id: number): boolean {
+  if (id === DEFAULT_WORKSPACE_ID) return false;
+  const inUse = WORKSPACE_TABLES.some(table =>
+    db.prepare(`SELECT 1 FROM ${table} WHERE workspace_id = ? LIMIT 1`).get(id)
+  ) || db.prepare('SELECT 1 FROM api_keys WHERE workspace_id = ? LIMIT 1').get(id)
+    || db.prepare('SELECT 1 FROM users WHERE workspace_id = ? LIMIT 1').get(id)
+    || db.prepare('SELECT 1 FROM webhooks WHERE workspace_id = ? LIMIT 1').get(id);
+  if (inUse) return false;
+
+  return db.prepare('DELETE FROM workspaces WHERE id = ?').run(id).changes > 0;
+}
+
+// =====================================================
+// AUTH FUNCTIONS
+// =====================================================
+
+function rowToUser(row: any): User {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    workspace_id: row.workspace_id ?? null,
+    created_at: row.created_at,
+    last_login_at: row.last_login_at
   };
 }
 
+function rowToApiKey(row: any): ApiKey {
+  return {
+    id: row.id,
+    name: row.name,
+    source_app: row.source_app,
+    workspace_id: row.workspace_id,
+    key_prefix: row.key_prefix,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at
+  };
+}
+
+export function insertUser(username: string, passwordHash: string, role: UserRole, workspaceId: number | null = null): User {
+  const createdAt = Date.now();
+  const result = db.prepare(`
+    INSERT INTO users (username, password_hash, role, workspace_id, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(username, passwordHash, role, workspaceId, createdAt);
+  return { id: result.lastInsertRowid as number, username, role, workspace_id: workspaceId, created_at: createdAt, last_login_at: null };
+}
+
+export function updateUser(id: number, changes: { role?: UserRole; password_hash?: string; workspace_id?: number | null }): User | null {
+  const sets: string[] = [];
+  const params: any[] = [];
+  if (changes.role) {
+    sets.push('role = ?');
+    params.push(changes.role);
+  }
+  if (changes.password_hash) {
+    sets.push('password_hash = ?');
+    params.push(changes.password_hash);
+  }
+  if (changes.workspace_id !== undefined) {
+    sets.push('workspace_id = ?');
+    params.push(changes.workspace_id);
+  }
+  if (sets.length > 0) {
+    db.prepare(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`).run(...params, id);
+  }
+  return getUser(id);
+}
+
+export function getUser(id: number): User | null {
+  const row = db.prepare('SELECT * FROM users WHERE id = ?').get(id) as any;
+  return row ? rowToUser(row) : null;
+}
+
+export function getUsers(): User[] {
+  const rows = db.prepare('SELECT * FROM users ORDER BY id ASC').all() as any[];
+  return rows.map(rowToUser);
+}
+
+export function countUsers(role?: UserRole): number {
+  const row = role
+    ? db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?').get(role) as any
+    : db.prepare('SELECT COUNT(*) AS count FROM users').get() as any;
+  return row.count;
+}
+
+// The user along with their password hash, for checking a login
+export function getUserCredentials(username: string): { user: User; password_hash: string } | null {
+  const row = db.prepare('SELECT * FROM users WHERE username = ?').get(username) as any;
+  return row ? { user: rowToUser(row), password_hash: row.password_hash } : null;
+}
+
+export function recordUserLogin(id: number, timestamp: number): void {
+  db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(timestamp, id);
+}
+
+// Their login tokens go with them
+export function deleteUser(id: number): boolean {
+  db.prepare('DELETE FROM auth_tokens WHERE user_id = ?').run(id);
+  const result = db.prepare('DELETE FROM users WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+export function insertAuthToken(tokenHash: string, userId: number, expiresAt: number): void {
+  db.prepare(`
+    INSERT INTO auth_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+  `).run(tokenHash, userId, Date.now(), expiresAt);
+}
+
+// The user a login token belongs to, unless the token has expired
+export function getUserByTokenHash(tokenHash: string, now: number): User | null {
+  const row = db.prepare(`
+    SELECT users.* FROM auth_tokens
+    JOIN users ON users.id = auth_tokens.user_id
+    WHERE auth_tokens.token_hash = ? AND auth_tokens.expires_at > ?
+  `).get(tokenHash, now) as any;
+  return row ? rowToUser(row) : null;
+}
+
+export function deleteAuthToken(tokenHash: string): void {
+  db.prepare('DELETE FROM auth_tokens WHERE token_hash = ?').run(tokenHash);
+}
+
+export function deleteExpiredAuthTokens(now: number): number {
+  return db.prepare('DELETE FROM auth_tokens WHERE expires_at <= ?').run(now).changes;
+}
+
+export function insertApiKey(key: ApiKey, keyHash: string): ApiKey {
+  const createdAt = Date.now();
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, source_app, workspace_id, key_hash, key_prefix, created_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(key.name, key.source_app, key.workspace_id ?? DEFAULT_WORKSPACE_ID, keyHash, key.key_prefix, createdAt);
+  return {
+    ...key,
+    id: result.lastInsertRowid as number,
+    workspace_id: key.workspace_id ?? DEFAULT_WORKSPACE_ID,
+    created_at: createdAt,
+    last_used_at: null
+  };
+}
+
+export function getApiKeys(): ApiKey[] {
+  const rows = db.prepare('SELECT * FROM api_keys ORDER BY id ASC').all() as any[];
+  return rows.map(rowToApiKey);
+}
+
+export function getApiKeyByHash(keyHash: string): ApiKey | null {
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash) as any;
+  return row ? rowToApiKey(row) : null;
+}
+
+export function touchApiKey(id: number, timestamp: number): void {
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(timestamp, id);
+}
+
+export function deleteApiKey(id: number): boolean {
+  const result = db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+  return result.changes > 0;
+}
+
+// =====================================================
+// RETENTION FUNCTIONS
+// =====================================================
+
+// Column that dates each row for retention purposes. Sessions expire from when
+// they ended (or started, if they never reported an end).
+const RETENTION_TIME_COLUMNS: Record<RetentionTable, string> = {
+  events: 'timestamp',
+  token_metrics: 'timestamp',
+  tool_metrics: 'timestamp',
+  findings: 'COALESCE(last_seen, timestamp)',
+  wstg_coverage: 'timestamp',
+  sessions: 'COALESCE(ended_at, started_at)'
+};
+
+function expiredRowsClause(table: RetentionTable, sessionId?: string): string {
+  // Running sessions are never expired, however old they are
+  const running = table === 'sessions' ? " AND status != 'running'" : '';
+  const session = sessionId !== undefined ? ' AND session_id = ?' : '';
+  return `WHERE ${RETENTION_TIME_COLUMNS[table]} < ?${running}${session}`;
+}
+
+function expiredRowsParams(cutoff: number, sessionId?: string): any[] {
+  return sessionId !== undefined ? [cutoff, sessionId] : [cutoff];
+}
+
+export function getTableRowCounts(): Record<string, number> {
+  const tables = ['events', 'token_metrics', 'tool_metrics', 'findings', 'wstg_coverage', 'sessions', 'themes'];
+  const counts: Record<string, number> = {};
+  for (const table of tables) {
+    counts[table] = (db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get() as any).count;
+  }
+  return counts;
+}
+
+export function countExpiredRows(table: RetentionTable, cutoff: number): number {
+  const stmt = db.prepare(`SELECT COUNT(*) as count FROM ${table} ${expiredRowsClause(table)}`);
+  return (stmt.get(cutoff) as any).count;
+}
+
+// Sessions that own at least one expired row in the table
+export function getSessionsWithExpiredRows(table: RetentionTable, cutoff: number): string[] {
+  const stmt = db.prepare(`SELECT DISTINCT session_id FROM ${table} ${expiredRowsClause(table)}`);
+  return (stmt.all(cutoff) as any[]).map(row => row.session_id);
+}
+
+export function getExpiredRows(table: RetentionTable, cutoff: number, sessionId: string): any[] {
+  const stmt = db.prepare(`SELECT * FROM ${table} ${expiredRowsClause(table, sessionId)}`);
+  return stmt.all(...expiredRowsParams(cutoff, sessionId)) as any[];
+}
+
+// Delete expired rows (optionally for one session), keeping the full-text index in sync
+export function deleteExpiredRows(table: RetentionTable, cutoff: number, sessionId?: string): number {
+  const clause = expiredRowsClause(table, sessionId);
+  const params = expiredRowsParams(cutoff, sessionId);
+
+  const deleteRows = db.transaction(() => {
+    if (table === 'events') {
+      db.prepare(`DELETE FROM events_fts WHERE rowid IN (SELECT id FROM events ${clause})`).run(...params);
+    }
+    if (table === 'findings') {
+      db.prepare(`DELETE FROM finding_occurrences WHERE finding_id IN (SELECT id FROM findings ${clause})`).run(...params);
+    }
+    if (table === 'sessions') {
+      db.prepare(`DELETE FROM session_agents WHERE session_id IN (SELECT session_id FROM sessions ${clause})`).run(...params);
+    }
+    return db.prepare(`DELETE FROM ${table} ${clause}`).run(...params).changes;
+  });
+
+  return deleteRows();
+}
+
+// Reclaim space after large prunes (checkpoints the WAL first so it can shrink too)
+export function vacuumDatabase(): void {
+  db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+  db.exec('VACUUM');
+}
+
 export { db };
\ No newline at end of file
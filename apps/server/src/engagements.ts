@@ -0,0 +1,74 @@
+import type { Engagement } from './types';
+
+// Engagements define what an assessment is authorised to touch. The plugin
+// fetches the one its session is linked to and checks every tool call's
+// targets against it; the server only stores and validates them.
+
+const SCOPE_ENFORCEMENTS = ['flag', 'block'];
+
+function isStringList(value: any): boolean {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Timestamps may be given as epoch milliseconds or ISO date strings
+function parseTime(value: any): number | null | undefined {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+  return undefined;
+}
+
+/**
+ * Validate an engagement from the API and fill in defaults.
+ * Returns the engagement, or the list of problems with it.
+ */
+export function parseEngagement(input: any): { engagement?: Engagement; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Engagement must be an object'] };
+  }
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+
+  for (const key of ['hosts', 'cidrs', 'url_patterns']) {
+    if (input[key] !== undefined && !isStringList(input[key])) {
+      errors.push(`${key} must be a list of strings`);
+    }
+  }
+  for (const cidr of Array.isArray(input.cidrs) ? input.cidrs : []) {
+    if (!/^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/.test(String(cidr))) {
+      errors.push(`cidrs: "${cidr}" is not an IPv4 CIDR`);
+    }
+  }
+
+  const startsAt = parseTime(input.starts_at);
+  const endsAt = parseTime(input.ends_at);
+  if (startsAt === undefined) errors.push('starts_at must be a timestamp or ISO date');
+  if (endsAt === undefined) errors.push('ends_at must be a timestamp or ISO date');
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push('ends_at must be after starts_at');
+  }
+
+  if (input.enforcement !== undefined && !SCOPE_ENFORCEMENTS.includes(input.enforcement)) {
+    errors.push(`enforcement must be one of ${SCOPE_ENFORCEMENTS.join(', ')}`);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    engagement: {
+      name: input.name,
+      client_name: input.client_name || null,
+      target_url: input.target_url || null,
+      hosts: (input.hosts || []).map((host: string) => host.trim().toLowerCase()),
+      cidrs: (input.cidrs || []).map((cidr: string) => cidr.trim()),
+      url_patterns: (input.url_patterns || []).map((pattern: string) => pattern.trim()),
+      starts_at: startsAt,
+      ends_at: endsAt,
+      enforcement: input.enforcement || 'flag'
+    }
+  };
+}
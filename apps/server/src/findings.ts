@@ -0,0 +1,65 @@
+import { createHash } from 'crypto';
+import type { Finding, FindingUpdate } from './types';
+
+const FINDING_STATUSES = ['new', 'confirmed', 'false_positive', 'fixed', 'accepted_risk'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// URLs compare by host, path and parameter names - not scheme, port or values
+function normalizeTarget(value?: string): string {
+  const text = (value || '').trim();
+  try {
+    const parsed = new URL(text);
+    const params = [...new Set(parsed.searchParams.keys())].sort().join(',');
+    return `${parsed.hostname.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${params ? `?${params}` : ''}`;
+  } catch {
+    return text.toLowerCase();
+  }
+}
+
+/**
+ * Identity of a finding across reports and sessions: the same vulnerability
+ * type (or CWE) at the same target and location.
+ */
+export function findingFingerprint(finding: Finding): string {
+  const parts = [
+    (finding.cwe || finding.vulnerability_type).trim().toLowerCase(),
+    normalizeTarget(finding.target_url),
+    normalizeTarget(finding.location)
+  ];
+  return createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Validate a triage update from the API.
+ * Returns the update, or the list of problems with it.
+ */
+export function parseFindingUpdate(input: any): { update?: FindingUpdate; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Update must be an object'] };
+  }
+  if (input.status !== undefined && !FINDING_STATUSES.includes(input.status)) {
+    errors.push(`status must be one of ${FINDING_STATUSES.join(', ')}`);
+  }
+  if (input.severity !== undefined && !SEVERITIES.includes(input.severity)) {
+    errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (input.notes !== undefined && input.notes !== null && typeof input.notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+  if (input.status === undefined && input.severity === undefined && input.notes === undefined) {
+    errors.push('status, severity or notes is required');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    update: {
+      status: input.status,
+      severity: input.severity,
+      notes: input.notes === undefined ? undefined : (input.notes || '')
+    }
+  };
+}
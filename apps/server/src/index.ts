@@ -1,9 +1,15 @@
 import {
   initDatabase,
   insertEvent,
+  insertEventBatch,
+  getEventByEventId,
+  DEFAULT_WORKSPACE_ID,
   getFilterOptions,
   getRecentEvents,
+  queryEvents,
+  searchEventText,
   updateEventHITLResponse,
+  markEventHITLTimeout,
   // Metrics imports
   insertTokenMetric,
   getTokenSummary,
@@ -12,13 +18,56 @@ import {
   insertFinding,
   getFindingSummary,
   getFindings,
+  getFindingById,
+  getFindingOccurrences,
+  updateFindings,
   insertWSTGCoverage,
   getWSTGCoverageReport,
+  getWSTGMatrix,
   upsertSession,
   getSession,
   getSessions,
   addAgentToSession,
-  getMetricsDashboard
+  getMetricsDashboard,
+  insertBudget,
+  updateBudget,
+  getBudget,
+  getBudgets,
+  deleteBudget,
+  insertModelPrice,
+  updateModelPrice,
+  getModelPrices,
+  deleteModelPrice,
+  insertWebhook,
+  updateWebhook,
+  getWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  updateWebhookDelivery,
+  insertEngagement,
+  updateEngagement,
+  getEngagement,
+  getEngagements,
+  deleteEngagement,
+  insertUser,
+  updateUser,
+  getUser,
+  getUsers,
+  countUsers,
+  deleteUser,
+  insertApiKey,
+  getApiKeys,
+  deleteApiKey,
+  getSessionWorkspaceId,
+  getSessionSourceApps,
+  getTheme,
+  insertWorkspace,
+  updateWorkspace,
+  getWorkspaceBySlug,
+  getWorkspaceSummaries,
+  deleteWorkspace
 } from './db';
 import type {
   HookEvent,
@@ -27,8 +76,54 @@ import type {
   ToolMetric,
   Finding,
   WSTGCoverage,
-  SessionSummary
+  SessionSummary,
+  ReportFormat,
+  WorkspaceScope,
+  Principal,
+  IngestFormat,
+  IngestResult,
+  NormalizedBatch
 } from './types';
+import {
+  getDatabaseStats,
+  runRetention,
+  vacuum,
+  startRetentionJob
+} from './retention';
+import {
+  buildSessionTrace,
+  exportSessionTrace,
+  isTraceExportEnabled,
+  scheduleSessionTraceExport
+} from './otel';
+import { getPolicy, updatePolicy } from './policy';
+import { parseBudget, getBudgetUsage, checkBudgets } from './budgets';
+import { initPricing, listModelPrices, parseModelPrice, priceTokenMetric, repriceAllTokenMetrics, resolveModelPrice } from './pricing';
+import { detectAnomalies, getAnomalyConfig, startAnomalyJob } from './anomalies';
+import { notifyFinding, notifyWebhooks, parseWebhook, processDueDeliveries, publicWebhook, sendTestWebhook, startWebhookJob } from './webhooks';
+import { parseEngagement } from './engagements';
+import { isRedactionEnabled, redactEvent, redactMetric } from './redaction';
+import {
+  AUTH_ENABLED,
+  authorize,
+  authenticateStream,
+  canIngest,
+  corsHeaders,
+  generateApiKey,
+  hashPassword,
+  initAuth,
+  login,
+  logout,
+  parseUser
+} from './auth';
+import { boundWorkspaceId, inScope, parseWorkspace, resolveWorkspace, resolveWorkspaceScope } from './workspaces';
+import { findingFingerprint, parseFindingUpdate } from './findings';
+import { buildAgentTree, recordAgentEvent } from './agents';
+import { CANONICAL_EVENT_TYPES, EVENT_SCHEMA_VERSION, INGEST_FORMATS, isIngestFormat, normalizeEvent, normalizeIngest } from './ingest';
+import { REPORT_FORMATS, buildSessionReport, renderReport } from './report';
+import { MAX_COMPARED_SESSIONS, compareSessions } from './compare';
+import { WSTG_CATALOGUE, WSTG_CATEGORIES, WSTG_VERSION, getWSTGTest } from './wstg';
+import { renderPrometheusMetrics, PROMETHEUS_CONTENT_TYPE } from './prometheus';
 import { 
   createTheme, 
   updateThemeById, 
@@ -40,12 +135,134 @@ import {
   getThemeStats 
 } from './theme';
 
+// Parse a time query parameter given as epoch ms or an ISO-8601 date
+function parseTimeParam(value: string | null): number | undefined {
+  if (!value) return undefined;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
 // Initialize database
 initDatabase();
+initPricing();
+await initAuth();
+startRetentionJob();
+startAnomalyJob(handleStoredEvent);
+startWebhookJob();
 
 // Store WebSocket clients
 const wsClients = new Set<any>();
 
+// Broadcast a message to the WebSocket clients watching the data's workspace
+function broadcast(type: string, data: any): void {
+  const message = JSON.stringify({ type, data });
+  wsClients.forEach(client => {
+    const workspaceId = client.data?.workspaceId;
+    if (workspaceId !== undefined && data?.workspace_id !== workspaceId) return;
+    try {
+      client.send(message);
+    } catch (err) {
+      // Client disconnected, remove from set
+      wsClients.delete(client);
+    }
+  });
+}
+
+// Fan out a newly stored event to live clients and exporters
+function handleStoredEvent(event: HookEvent): void {
+  broadcast('event', event);
+  recordAgentEvent(event);
+  detectAnomalies(event).forEach(handleStoredEvent);
+  notifyWebhooks(event);
+
+  if (event.hook_event_type === 'Stop') {
+    scheduleSessionTraceExport(event.session_id, event.workspace_id ?? DEFAULT_WORKSPACE_ID);
+  }
+
+  // The agent gave up waiting - close the request on the dashboard
+  if (event.hook_event_type === 'PermissionDecision' && event.payload.decided_by === 'timeout' && event.payload.request_event_id) {
+    const request = markEventHITLTimeout(event.payload.request_event_id, event.timestamp || Date.now(), event.workspace_id ?? DEFAULT_WORKSPACE_ID);
+    if (request) broadcast('event', request);
+  }
+}
+
+// Ingest keys may only write to sessions of their own source app: the one
+// they name, and the ones the session's events were posted for
+function canIngestSession(principal: Principal, sessionId: string, sourceApp: string | undefined): boolean {
+  return canIngest(principal, sourceApp || '') && getSessionSourceApps(sessionId).every(app => canIngest(principal, app));
+}
+
+// Store a token metric and fan it out (metrics API and ingest adapters)
+function storeTokenMetric(metric: TokenMetric, workspaceId: number): TokenMetric {
+  const saved = insertTokenMetric(priceTokenMetric({ ...metric, workspace_id: workspaceId }));
+  broadcast('token_update', saved);
+  checkBudgets(saved).forEach(handleStoredEvent);
+  return saved;
+}
+
+function storeToolMetric(metric: ToolMetric, workspaceId: number): ToolMetric {
+  // Error messages are tool output (stderr and the like), and may hold secrets too
+  const saved = insertToolMetric({ ...redactMetric(metric), workspace_id: workspaceId });
+  broadcast('tool_update', saved);
+  return saved;
+}
+
+function storeFinding(finding: Finding, workspaceId: number): Finding {
+  // Evidence is tool output, and may hold secrets too
+  const redacted = redactMetric(finding);
+  const saved = insertFinding({
+    ...redacted,
+    fingerprint: redacted.fingerprint || findingFingerprint(redacted),
+    workspace_id: workspaceId
+  });
+  broadcast('finding_update', saved);
+
+  // Only the first report of a finding is worth a notification
+  if (saved.occurrences === 1) notifyFinding(saved);
+  return saved;
+}
+
+// Store what an ingest adapter made of a request. Anything for a source app
+// the API key may not post for is rejected, and sessions of other workspaces
+// are left alone.
+function storeNormalizedBatch(format: IngestFormat, batch: NormalizedBatch, principal: Principal, workspaceId: number): IngestResult {
+  const allowed = <T extends { source_app: string }>(items: T[]) => items.filter(item => canIngest(principal, item.source_app));
+
+  const sessions = batch.sessions.filter(session =>
+    canIngestSession(principal, session.session_id, session.source_app)
+    && (getSessionWorkspaceId(session.session_id) ?? workspaceId) === workspaceId
+  );
+  for (const { source_app, ...session } of sessions) {
+    broadcast('session_update', upsertSession({ ...session, workspace_id: workspaceId }));
+  }
+
+  const events = allowed(batch.events);
+  const { inserted, duplicates } = insertEventBatch(
+    events.map(event => redactEvent({ ...event, workspace_id: workspaceId }))
+  );
+  inserted.forEach(handleStoredEvent);
+
+  const tools = allowed(batch.tools).filter(tool => !tool.event_id || !duplicates.includes(tool.event_id));
+  tools.forEach(({ event_id, ...tool }) => storeToolMetric(tool, workspaceId));
+  const tokens = allowed(batch.tokens);
+  tokens.forEach(metric => storeTokenMetric(metric, workspaceId));
+  const findings = allowed(batch.findings);
+  findings.forEach(finding => storeFinding(finding, workspaceId));
+
+  return {
+    format,
+    schema_version: EVENT_SCHEMA_VERSION,
+    accepted: inserted.length,
+    duplicates: duplicates.length,
+    rejected: batch.events.length - events.length + batch.errors.length,
+    sessions: sessions.length,
+    tokens: tokens.length,
+    tools: tools.length,
+    findings: findings.length,
+    errors: batch.errors
+  };
+}
+
 // Helper function to send response to agent via WebSocket
 async function sendResponseToAgent(
   wsUrl: string,
@@ -138,16 +355,32 @@ const server = Bun.serve({
     const url = new URL(req.url);
     
     // Handle CORS
-    const headers = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    };
+    const headers = corsHeaders(req.headers.get('Origin'));
     
     // Handle preflight
     if (req.method === 'OPTIONS') {
       return new Response(null, { headers });
     }
+
+    // Authenticate and check the caller's role (a no-op unless AUTH_ENABLED)
+    const auth = authorize(req, url);
+    if (!auth.principal) {
+      return new Response(JSON.stringify({ error: auth.error }), {
+        status: auth.status,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+    const principal = auth.principal;
+
+    // Which workspace the request reads from and writes to
+    const workspaceAuth = resolveWorkspaceScope(principal, req, url);
+    if (!workspaceAuth.scope) {
+      return new Response(JSON.stringify({ error: workspaceAuth.error }), {
+        status: workspaceAuth.status,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+    const scope: WorkspaceScope = workspaceAuth.scope;
     
     // POST /events - Receive new events
     if (url.pathname === '/events' && req.method === 'POST') {
@@ -161,20 +394,29 @@ const server = Bun.serve({
             headers: { ...headers, 'Content-Type': 'application/json' }
           });
         }
+
+        if (!canIngest(principal, event.source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for source_app ${event.source_app}` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
         
-        // Insert event into database
-        const savedEvent = insertEvent(event);
+        // In the canonical schema first: adapters may assign the event_id
+        const normalized = normalizeEvent({ ...event, workspace_id: scope.writeWorkspaceId });
+
+        // Retried delivery of an event we already stored
+        const existing = normalized.event_id ? getEventByEventId(normalized.event_id, scope.writeWorkspaceId) : null;
+        if (existing) {
+          return new Response(JSON.stringify(existing), {
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // Insert event into database, with secrets and PII masked
+        const savedEvent = insertEvent(redactEvent(normalized));
         
-        // Broadcast to all WebSocket clients
-        const message = JSON.stringify({ type: 'event', data: savedEvent });
-        wsClients.forEach(client => {
-          try {
-            client.send(message);
-          } catch (err) {
-            // Client disconnected, remove from set
-            wsClients.delete(client);
-          }
-        });
+        handleStoredEvent(savedEvent);
         
         return new Response(JSON.stringify(savedEvent), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -188,18 +430,166 @@ const server = Bun.serve({
       }
     }
     
+    // POST /events/batch - Receive a batch of (possibly replayed) events
+    if (url.pathname === '/events/batch' && req.method === 'POST') {
+      try {
+        const body = await req.json() as { events?: HookEvent[] };
+
+        if (!Array.isArray(body?.events)) {
+          return new Response(JSON.stringify({ error: 'Expected an events array' }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // Invalid events (and those of other source apps than the API key's) are
+        // counted but not retried - the rest of the batch still lands
+        const valid = body.events.filter(event =>
+          event && event.source_app && event.session_id && event.hook_event_type && event.payload &&
+          canIngest(principal, event.source_app)
+        );
+        const { inserted, duplicates } = insertEventBatch(
+          valid.map(event => redactEvent(normalizeEvent({ ...event, workspace_id: scope.writeWorkspaceId })))
+        );
+
+        inserted.forEach(handleStoredEvent);
+
+        return new Response(JSON.stringify({
+          accepted: inserted.length,
+          duplicates: duplicates.length,
+          rejected: body.events.length - valid.length
+        }), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('Error processing event batch:', error);
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/ingest/schema - The canonical event schema adapters normalize to
+    if (url.pathname === '/api/ingest/schema' && req.method === 'GET') {
+      return new Response(JSON.stringify({
+        version: EVENT_SCHEMA_VERSION,
+        formats: INGEST_FORMATS,
+        event_types: CANONICAL_EVENT_TYPES
+      }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/ingest/:format - Events in an agent framework's native format
+    // (opencode, claude-code or otlp, also at .../otlp/v1/logs); ?source_app= names the sender
+    if (url.pathname.match(/^\/api\/ingest\/[^\/]+(\/v1\/logs)?$/) && req.method === 'POST') {
+      const format = url.pathname.split('/')[3] || '';
+      if (!isIngestFormat(format) || (url.pathname.endsWith('/v1/logs') && format !== 'otlp')) {
+        return new Response(JSON.stringify({ error: `Unknown format "${format}"`, formats: INGEST_FORMATS }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      if ((req.headers.get('Content-Type') || '').includes('protobuf')) {
+        return new Response(JSON.stringify({ error: 'Only OTLP/HTTP JSON is supported (OTEL_EXPORTER_OTLP_PROTOCOL=http/json)' }), {
+          status: 415,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      try {
+        const batch = normalizeIngest(format, await req.json(), {
+          source_app: url.searchParams.get('source_app') || undefined
+        });
+        const result = storeNormalizedBatch(format, batch, principal, scope.writeWorkspaceId);
+
+        // OTLP exporters read rejections from partialSuccess
+        const body = format === 'otlp' && result.rejected > 0
+          ? { ...result, partialSuccess: { rejectedLogRecords: result.rejected, errorMessage: result.errors.join('; ') } }
+          : result;
+
+        return new Response(JSON.stringify(body), {
+          status: result.accepted === 0 && result.duplicates === 0 && result.rejected > 0 ? 400 : 200,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('Error ingesting events:', error);
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // GET /events/filter-options - Get available filter options
     if (url.pathname === '/events/filter-options' && req.method === 'GET') {
-      const options = getFilterOptions();
+      const options = getFilterOptions(scope.workspaceId);
       return new Response(JSON.stringify(options), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
     
+    // GET /events - Search historical events with filters and cursor pagination
+    if (url.pathname === '/events' && req.method === 'GET') {
+      const page = queryEvents({
+        source_app: url.searchParams.get('source_app') || undefined,
+        session_id: url.searchParams.get('session_id') || undefined,
+        hook_event_type: url.searchParams.get('hook_event_type') || undefined,
+        model_name: url.searchParams.get('model_name') || undefined,
+        framework: url.searchParams.get('framework') || undefined,
+        since: parseTimeParam(url.searchParams.get('since')),
+        until: parseTimeParam(url.searchParams.get('until')),
+        q: url.searchParams.get('q') || undefined,
+        cursor: url.searchParams.get('cursor') || undefined,
+        limit: url.searchParams.get('limit') ? parseInt(url.searchParams.get('limit')!) : undefined,
+        order: url.searchParams.get('order') === 'asc' ? 'asc' : 'desc',
+        workspace_id: scope.workspaceId
+      });
+      return new Response(JSON.stringify(page), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /events/search - Ranked full-text search over event payloads
+    if (url.pathname === '/events/search' && req.method === 'GET') {
+      const q = url.searchParams.get('q') || '';
+      if (!q.trim()) {
+        return new Response(JSON.stringify({ error: 'Missing q' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      try {
+        const results = searchEventText({
+          q,
+          syntax: url.searchParams.get('syntax') === 'fts' ? 'fts' : 'plain',
+          source_app: url.searchParams.get('source_app') || undefined,
+          session_id: url.searchParams.get('session_id') || undefined,
+          hook_event_type: url.searchParams.get('hook_event_type') || undefined,
+          since: parseTimeParam(url.searchParams.get('since')),
+          until: parseTimeParam(url.searchParams.get('until')),
+          limit: url.searchParams.get('limit') ? parseInt(url.searchParams.get('limit')!) : undefined,
+          offset: url.searchParams.get('offset') ? parseInt(url.searchParams.get('offset')!) : undefined,
+          workspace_id: scope.workspaceId
+        });
+        return new Response(JSON.stringify(results), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        // Malformed FTS5 query syntax
+        return new Response(JSON.stringify({ error: `Invalid search query: ${(error as Error).message}` }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // GET /events/recent - Get recent events
     if (url.pathname === '/events/recent' && req.method === 'GET') {
       const limit = parseInt(url.searchParams.get('limit') || '300');
-      const events = getRecentEvents(limit);
+      const events = getRecentEvents(limit, scope.workspaceId);
       return new Response(JSON.stringify(events), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
@@ -214,7 +604,7 @@ const server = Bun.serve({
         response.respondedAt = Date.now();
 
         // Update event in database
-        const updatedEvent = updateEventHITLResponse(id, response);
+        const updatedEvent = updateEventHITLResponse(id, response, scope.workspaceId);
 
         if (!updatedEvent) {
           return new Response(JSON.stringify({ error: 'Event not found' }), {
@@ -237,14 +627,7 @@ const server = Bun.serve({
         }
 
         // Broadcast updated event to all connected clients
-        const message = JSON.stringify({ type: 'event', data: updatedEvent });
-        wsClients.forEach(client => {
-          try {
-            client.send(message);
-          } catch (err) {
-            wsClients.delete(client);
-          }
-        });
+        broadcast('event', updatedEvent);
 
         return new Response(JSON.stringify(updatedEvent), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -264,7 +647,7 @@ const server = Bun.serve({
     if (url.pathname === '/api/themes' && req.method === 'POST') {
       try {
         const themeData = await req.json();
-        const result = await createTheme(themeData);
+        const result = await createTheme(themeData, scope.writeWorkspaceId);
         
         const status = result.success ? 201 : 400;
         return new Response(JSON.stringify(result), {
@@ -293,6 +676,7 @@ const server = Bun.serve({
         sortOrder: url.searchParams.get('sortOrder') as any || undefined,
         limit: url.searchParams.get('limit') ? parseInt(url.searchParams.get('limit')!) : undefined,
         offset: url.searchParams.get('offset') ? parseInt(url.searchParams.get('offset')!) : undefined,
+        workspace_id: scope.workspaceId
       };
       
       const result = await searchThemes(query);
@@ -301,6 +685,17 @@ const server = Bun.serve({
       });
     }
     
+    // Private themes of other workspaces don't exist as far as the caller is concerned
+    if (url.pathname.startsWith('/api/themes/') && url.pathname !== '/api/themes/import' && url.pathname !== '/api/themes/stats') {
+      const theme = getTheme(url.pathname.split('/')[3] || '');
+      if (theme && !theme.isPublic && !inScope(scope, theme.workspace_id)) {
+        return new Response(JSON.stringify({ success: false, error: 'Theme not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // GET /api/themes/:id - Get a specific theme
     if (url.pathname.startsWith('/api/themes/') && req.method === 'GET') {
       const id = url.pathname.split('/')[3];
@@ -407,7 +802,7 @@ const server = Bun.serve({
         const importData = await req.json();
         const authorId = url.searchParams.get('authorId');
         
-        const result = await importTheme(importData, authorId || undefined);
+        const result = await importTheme(importData, authorId || undefined, scope.writeWorkspaceId);
         
         const status = result.success ? 201 : 400;
         return new Response(JSON.stringify(result), {
@@ -450,13 +845,14 @@ const server = Bun.serve({
           });
         }
 
-        const saved = insertTokenMetric(metric);
+        if (!canIngest(principal, metric.source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for source_app ${metric.source_app}` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
 
-        // Broadcast to dashboard
-        const message = JSON.stringify({ type: 'token_update', data: saved });
-        wsClients.forEach(client => {
-          try { client.send(message); } catch (err) { wsClients.delete(client); }
-        });
+        const saved = storeTokenMetric(metric, scope.writeWorkspaceId);
 
         return new Response(JSON.stringify(saved), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -473,7 +869,7 @@ const server = Bun.serve({
     // GET /api/metrics/tokens - Get token summary
     if (url.pathname === '/api/metrics/tokens' && req.method === 'GET') {
       const sessionId = url.searchParams.get('session_id') || undefined;
-      const summary = getTokenSummary(sessionId);
+      const summary = getTokenSummary(sessionId, scope.workspaceId);
       return new Response(JSON.stringify(summary), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
@@ -491,13 +887,14 @@ const server = Bun.serve({
           });
         }
 
-        const saved = insertToolMetric(metric);
+        if (!canIngest(principal, metric.source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for source_app ${metric.source_app}` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
 
-        // Broadcast to dashboard
-        const message = JSON.stringify({ type: 'tool_update', data: saved });
-        wsClients.forEach(client => {
-          try { client.send(message); } catch (err) { wsClients.delete(client); }
-        });
+        const saved = storeToolMetric(metric, scope.writeWorkspaceId);
 
         return new Response(JSON.stringify(saved), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -514,7 +911,7 @@ const server = Bun.serve({
     // GET /api/metrics/tools - Get tool effectiveness report
     if (url.pathname === '/api/metrics/tools' && req.method === 'GET') {
       const sessionId = url.searchParams.get('session_id') || undefined;
-      const report = getToolEffectivenessReport(sessionId);
+      const report = getToolEffectivenessReport(sessionId, scope.workspaceId);
       return new Response(JSON.stringify(report), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
@@ -532,13 +929,14 @@ const server = Bun.serve({
           });
         }
 
-        const saved = insertFinding(finding);
+        if (!canIngest(principal, finding.source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for source_app ${finding.source_app}` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
 
-        // Broadcast to dashboard
-        const message = JSON.stringify({ type: 'finding_update', data: saved });
-        wsClients.forEach(client => {
-          try { client.send(message); } catch (err) { wsClients.delete(client); }
-        });
+        const saved = storeFinding(finding, scope.writeWorkspaceId);
 
         return new Response(JSON.stringify(saved), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -559,18 +957,122 @@ const server = Bun.serve({
 
       if (listMode) {
         const limit = parseInt(url.searchParams.get('limit') || '100');
-        const findings = getFindings(sessionId, limit);
+        const findings = getFindings(sessionId, limit, { workspace_id: scope.workspaceId });
         return new Response(JSON.stringify(findings), {
           headers: { ...headers, 'Content-Type': 'application/json' }
         });
       }
 
-      const summary = getFindingSummary(sessionId);
+      const summary = getFindingSummary(sessionId, scope.workspaceId);
       return new Response(JSON.stringify(summary), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
 
+    // GET /api/findings - Deduplicated findings for triage
+    if (url.pathname === '/api/findings' && req.method === 'GET') {
+      const findings = getFindings(
+        url.searchParams.get('session_id') || undefined,
+        parseInt(url.searchParams.get('limit') || '200'),
+        {
+          status: url.searchParams.get('status') || undefined,
+          severity: url.searchParams.get('severity') || undefined,
+          source_app: url.searchParams.get('source_app') || undefined,
+          workspace_id: scope.workspaceId
+        }
+      );
+      return new Response(JSON.stringify(findings), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PATCH /api/findings - Triage several findings at once ({ ids, status?, notes?, severity? })
+    if (url.pathname === '/api/findings' && req.method === 'PATCH') {
+      try {
+        const body: any = await req.json();
+        const { update, errors } = parseFindingUpdate(body);
+        const ids = Array.isArray(body?.ids) ? body.ids.filter((id: any) => Number.isInteger(id)) : [];
+        if (ids.length === 0) errors.push('ids must be a non-empty list of finding ids');
+
+        if (!update || errors.length > 0) {
+          return new Response(JSON.stringify({ error: 'Invalid update', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const visibleIds = ids.filter((id: number) => {
+          const finding = getFindingById(id);
+          return finding && inScope(scope, finding.workspace_id);
+        });
+        const updated = updateFindings(visibleIds, update);
+        updated.forEach(finding => broadcast('finding_update', finding));
+
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/findings/:id - A finding with its occurrences and originating tool call
+    if (url.pathname.match(/^\/api\/findings\/\d+$/) && req.method === 'GET') {
+      const finding = getFindingById(parseInt(url.pathname.split('/')[3] || ''));
+
+      if (!finding || !inScope(scope, finding.workspace_id)) {
+        return new Response(JSON.stringify({ error: 'Finding not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({
+        ...finding,
+        occurrence_list: getFindingOccurrences(finding.id!),
+        evidence_event: finding.evidence_event_id ? getEventByEventId(finding.evidence_event_id, finding.workspace_id ?? DEFAULT_WORKSPACE_ID) : null
+      }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PATCH /api/findings/:id - Set a finding's status, notes or severity
+    if (url.pathname.match(/^\/api\/findings\/\d+$/) && req.method === 'PATCH') {
+      try {
+        const id = parseInt(url.pathname.split('/')[3] || '');
+        const { update, errors } = parseFindingUpdate(await req.json());
+
+        if (!update) {
+          return new Response(JSON.stringify({ error: 'Invalid update', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const existing = getFindingById(id);
+        const [updated] = existing && inScope(scope, existing.workspace_id) ? updateFindings([id], update) : [];
+        if (!updated) {
+          return new Response(JSON.stringify({ error: 'Finding not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        broadcast('finding_update', updated);
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // POST /api/metrics/wstg - Record WSTG coverage
     if (url.pathname === '/api/metrics/wstg' && req.method === 'POST') {
       try {
@@ -583,14 +1085,38 @@ const server = Bun.serve({
           });
         }
 
-        const saved = insertWSTGCoverage(coverage);
+        if (!canIngest(principal, coverage.source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for source_app ${coverage.source_app}` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
 
-        // Broadcast to dashboard
-        const message = JSON.stringify({ type: 'wstg_update', data: saved });
-        wsClients.forEach(client => {
-          try { client.send(message); } catch (err) { wsClients.delete(client); }
+        const test = getWSTGTest(coverage.wstg_id);
+        if (!test) {
+          return new Response(JSON.stringify({ error: `Unknown WSTG ${WSTG_VERSION} test: ${coverage.wstg_id}` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (!['executed', 'skipped', 'partial', 'not_applicable'].includes(coverage.status)) {
+          return new Response(JSON.stringify({ error: 'status must be one of executed, skipped, partial, not_applicable' }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const saved = insertWSTGCoverage({
+          ...coverage,
+          wstg_id: test.id,
+          wstg_name: coverage.wstg_name || test.name,
+          findings_count: coverage.findings_count || 0,
+          workspace_id: scope.writeWorkspaceId
         });
 
+        // Broadcast to dashboard
+        broadcast('wstg_update', saved);
+
         return new Response(JSON.stringify(saved), {
           headers: { ...headers, 'Content-Type': 'application/json' }
         });
@@ -606,16 +1132,33 @@ const server = Bun.serve({
     // GET /api/metrics/wstg - Get WSTG coverage report
     if (url.pathname === '/api/metrics/wstg' && req.method === 'GET') {
       const sessionId = url.searchParams.get('session_id') || undefined;
-      const report = getWSTGCoverageReport(sessionId);
+      const report = getWSTGCoverageReport(sessionId, scope.workspaceId);
       return new Response(JSON.stringify(report), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
 
+    // GET /api/wstg/catalogue - The WSTG tests coverage is measured against
+    if (url.pathname === '/api/wstg/catalogue' && req.method === 'GET') {
+      return new Response(JSON.stringify({ version: WSTG_VERSION, categories: WSTG_CATEGORIES, tests: WSTG_CATALOGUE }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/wstg/matrix?session_id=a,b - Category-by-test coverage per session, with a rollup
+    if (url.pathname === '/api/wstg/matrix' && req.method === 'GET') {
+      const sessionIds = (url.searchParams.get('session_id') || '').split(',').map(id => id.trim()).filter(Boolean);
+      const limit = parseInt(url.searchParams.get('limit') || '10');
+      const visibleIds = sessionIds.filter(id => inScope(scope, getSessionWorkspaceId(id) ?? undefined));
+      return new Response(JSON.stringify(getWSTGMatrix(visibleIds, limit, scope.workspaceId)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
     // POST /api/sessions - Create or update a session
     if (url.pathname === '/api/sessions' && req.method === 'POST') {
       try {
-        const session: Partial<SessionSummary> & { session_id: string } = await req.json();
+        const { source_app: sourceApp, ...session }: Partial<SessionSummary> & { session_id: string; source_app?: string } = await req.json();
 
         if (!session.session_id) {
           return new Response(JSON.stringify({ error: 'Missing session_id' }), {
@@ -624,13 +1167,26 @@ const server = Bun.serve({
           });
         }
 
-        const saved = upsertSession(session);
+        if (!canIngestSession(principal, session.session_id, sourceApp)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for this session's source_app` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // A session stays in the workspace it was created in
+        const sessionWorkspaceId = getSessionWorkspaceId(session.session_id);
+        if (sessionWorkspaceId !== null && sessionWorkspaceId !== scope.writeWorkspaceId) {
+          return new Response(JSON.stringify({ error: 'Session belongs to another workspace' }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const saved = upsertSession({ ...session, workspace_id: scope.writeWorkspaceId });
 
         // Broadcast to dashboard
-        const message = JSON.stringify({ type: 'session_update', data: saved });
-        wsClients.forEach(client => {
-          try { client.send(message); } catch (err) { wsClients.delete(client); }
-        });
+        broadcast('session_update', saved);
 
         return new Response(JSON.stringify(saved), {
           headers: { ...headers, 'Content-Type': 'application/json' }
@@ -648,16 +1204,52 @@ const server = Bun.serve({
     if (url.pathname === '/api/sessions' && req.method === 'GET') {
       const status = url.searchParams.get('status') || undefined;
       const limit = parseInt(url.searchParams.get('limit') || '50');
-      const sessions = getSessions(status, limit);
+      const engagementId = url.searchParams.get('engagement_id');
+      const sessions = getSessions(status, limit, engagementId ? parseInt(engagementId) : undefined, scope.workspaceId);
       return new Response(JSON.stringify(sessions), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
 
+    // GET /api/sessions/compare?ids=a,b,c - Diff sessions against the first one
+    if (url.pathname === '/api/sessions/compare' && req.method === 'GET') {
+      const ids = (url.searchParams.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+
+      if (new Set(ids).size < 2 || ids.length > MAX_COMPARED_SESSIONS) {
+        return new Response(JSON.stringify({ error: `ids must list 2 to ${MAX_COMPARED_SESSIONS} different sessions` }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { comparison, missing } = compareSessions(ids, scope.workspaceId);
+      if (!comparison) {
+        return new Response(JSON.stringify({ error: 'Session not found', details: missing }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(comparison), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Sessions of other workspaces don't exist as far as the caller is concerned
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+(\/.*)?$/)) {
+      const sessionWorkspaceId = getSessionWorkspaceId(decodeURIComponent(url.pathname.split('/')[3] || ''));
+      if (sessionWorkspaceId !== null && !inScope(scope, sessionWorkspaceId)) {
+        return new Response(JSON.stringify({ error: 'Session not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // GET /api/sessions/:id - Get a specific session
     if (url.pathname.match(/^\/api\/sessions\/[^\/]+$/) && req.method === 'GET') {
       const sessionId = url.pathname.split('/')[3];
-      const session = getSession(sessionId);
+      const session = getSession(sessionId, scope.workspaceId);
 
       if (!session) {
         return new Response(JSON.stringify({ error: 'Session not found' }), {
@@ -671,23 +1263,587 @@ const server = Bun.serve({
       });
     }
 
-    // POST /api/sessions/:id/agents - Add agent to session
-    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/agents$/) && req.method === 'POST') {
-      try {
-        const sessionId = url.pathname.split('/')[3];
-        const { agent_name } = await req.json();
+    // GET /api/sessions/:id/trace - Session as an OTLP/JSON trace
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/trace$/) && req.method === 'GET') {
+      const sessionId = decodeURIComponent(url.pathname.split('/')[3] || '');
+      const trace = buildSessionTrace(sessionId, scope.workspaceId);
 
-        if (!agent_name) {
-          return new Response(JSON.stringify({ error: 'Missing agent_name' }), {
+      if (!trace) {
+        return new Response(JSON.stringify({ error: 'No events for session' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(trace), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/sessions/:id/trace/export - Export the session trace to the OTLP endpoint now
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/trace\/export$/) && req.method === 'POST') {
+      const sessionId = decodeURIComponent(url.pathname.split('/')[3] || '');
+
+      if (!isTraceExportEnabled()) {
+        return new Response(JSON.stringify({ error: 'OTLP export is not configured' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      try {
+        const result = await exportSessionTrace(sessionId, scope.workspaceId);
+        return new Response(JSON.stringify(result), {
+          status: result.exported ? 200 : 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('[OTLP] Export failed:', error);
+        return new Response(JSON.stringify({ error: error instanceof Error ? error.message : 'Export failed' }), {
+          status: 502,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/sessions/:id/report?format=md|html|sarif|json - Assessment report
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/report$/) && req.method === 'GET') {
+      const sessionId = decodeURIComponent(url.pathname.split('/')[3] || '');
+      const format = (url.searchParams.get('format') || 'md') as ReportFormat;
+
+      if (!Object.keys(REPORT_FORMATS).includes(format)) {
+        return new Response(JSON.stringify({ error: `format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}` }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      const report = buildSessionReport(sessionId, scope.workspaceId);
+      if (!report) {
+        return new Response(JSON.stringify({ error: 'Session not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      const filename = `report-${sessionId.replace(/[^\w.-]/g, '_')}.${REPORT_FORMATS[format].extension}`;
+      return new Response(renderReport(report, format), {
+        headers: {
+          ...headers,
+          'Content-Type': REPORT_FORMATS[format].contentType,
+          'Content-Disposition': `${url.searchParams.get('download') === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`
+        }
+      });
+    }
+
+    // GET /api/sessions/:id/agents - The session's agent tree, with each agent's tool calls, cost and findings
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/agents$/) && req.method === 'GET') {
+      const sessionId = decodeURIComponent(url.pathname.split('/')[3] || '');
+      const tree = buildAgentTree(sessionId, scope.workspaceId);
+
+      if (!tree) {
+        return new Response(JSON.stringify({ error: 'Session not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(tree), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/sessions/:id/agents - Add agent to session
+    if (url.pathname.match(/^\/api\/sessions\/[^\/]+\/agents$/) && req.method === 'POST') {
+      try {
+        const sessionId = decodeURIComponent(url.pathname.split('/')[3] || '');
+        const { agent_name, source_app } = await req.json();
+
+        if (!agent_name) {
+          return new Response(JSON.stringify({ error: 'Missing agent_name' }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (!canIngestSession(principal, sessionId, source_app)) {
+          return new Response(JSON.stringify({ error: `API key is not valid for this session's source_app` }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if ((getSessionWorkspaceId(sessionId) ?? scope.writeWorkspaceId) !== scope.writeWorkspaceId) {
+          return new Response(JSON.stringify({ error: 'Session belongs to another workspace' }), {
+            status: 403,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        addAgentToSession(sessionId, agent_name);
+        const session = getSession(sessionId);
+
+        return new Response(JSON.stringify(session), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/engagements - List engagements (?name= for one by name, ?active=true for those in their testing window)
+    if (url.pathname === '/api/engagements' && req.method === 'GET') {
+      const engagements = getEngagements({
+        workspace_id: scope.workspaceId,
+        name: url.searchParams.get('name') || undefined,
+        active_at: url.searchParams.get('active') === 'true' ? Date.now() : undefined
+      });
+      return new Response(JSON.stringify(engagements), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/engagements - Create an engagement
+    if (url.pathname === '/api/engagements' && req.method === 'POST') {
+      try {
+        const { engagement, errors } = parseEngagement(await req.json());
+
+        if (!engagement) {
+          return new Response(JSON.stringify({ error: 'Invalid engagement', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (getEngagements({ workspace_id: scope.writeWorkspaceId, name: engagement.name }).length > 0) {
+          return new Response(JSON.stringify({ error: `Engagement "${engagement.name}" already exists` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(insertEngagement({ ...engagement, workspace_id: scope.writeWorkspaceId })), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/engagements/:id - An engagement and the sessions linked to it
+    if (url.pathname.match(/^\/api\/engagements\/\d+$/) && req.method === 'GET') {
+      const id = parseInt(url.pathname.split('/')[3] || '');
+      const engagement = getEngagement(id, scope.workspaceId);
+
+      if (!engagement) {
+        return new Response(JSON.stringify({ error: 'Engagement not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ ...engagement, sessions: getSessions(undefined, 500, id, scope.workspaceId) }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PUT /api/engagements/:id - Replace an engagement
+    if (url.pathname.match(/^\/api\/engagements\/\d+$/) && req.method === 'PUT') {
+      try {
+        const id = parseInt(url.pathname.split('/')[3] || '');
+        const { engagement, errors } = parseEngagement(await req.json());
+
+        if (!engagement) {
+          return new Response(JSON.stringify({ error: 'Invalid engagement', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        const existing = getEngagement(id, scope.workspaceId);
+        if (existing && getEngagements({ workspace_id: existing.workspace_id, name: engagement.name }).some(other => other.id !== id)) {
+          return new Response(JSON.stringify({ error: `Engagement "${engagement.name}" already exists` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const updated = existing ? updateEngagement(id, engagement) : null;
+        if (!updated) {
+          return new Response(JSON.stringify({ error: 'Engagement not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/engagements/:id - Delete an engagement (its sessions are unlinked, not deleted)
+    if (url.pathname.match(/^\/api\/engagements\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[3] || '');
+
+      if (!getEngagement(id, scope.workspaceId) || !deleteEngagement(id)) {
+        return new Response(JSON.stringify({ error: 'Engagement not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/budgets - List budgets
+    if (url.pathname === '/api/budgets' && req.method === 'GET') {
+      return new Response(JSON.stringify(getBudgets(false, scope.workspaceId)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/budgets - Create a budget
+    if (url.pathname === '/api/budgets' && req.method === 'POST') {
+      try {
+        const { budget, errors } = parseBudget(await req.json());
+
+        if (!budget) {
+          return new Response(JSON.stringify({ error: 'Invalid budget', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(insertBudget({ ...budget, workspace_id: scope.writeWorkspaceId })), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/budgets/status - Usage of the budgets that apply to a session / source app
+    if (url.pathname === '/api/budgets/status' && req.method === 'GET') {
+      const sessionId = url.searchParams.get('session_id') || '';
+      const sourceApp = url.searchParams.get('source_app') || '';
+
+      return new Response(JSON.stringify(getBudgetUsage(sessionId, sourceApp, scope.workspaceId)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PUT /api/budgets/:id - Replace a budget
+    if (url.pathname.match(/^\/api\/budgets\/\d+$/) && req.method === 'PUT') {
+      try {
+        const id = parseInt(url.pathname.split('/')[3] || '');
+        const { budget, errors } = parseBudget(await req.json());
+
+        if (!budget) {
+          return new Response(JSON.stringify({ error: 'Invalid budget', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const existing = getBudget(id);
+        const updated = existing && inScope(scope, existing.workspace_id) ? updateBudget(id, budget) : null;
+        if (!updated) {
+          return new Response(JSON.stringify({ error: 'Budget not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/budgets/:id - Delete a budget and its alert history
+    if (url.pathname.match(/^\/api\/budgets\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[3] || '');
+      const budget = getBudget(id);
+
+      if (!budget || !inScope(scope, budget.workspace_id) || !deleteBudget(id)) {
+        return new Response(JSON.stringify({ error: 'Budget not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/pricing - Model price catalogue, every version of each model (?model=)
+    if (url.pathname === '/api/pricing' && req.method === 'GET') {
+      return new Response(JSON.stringify(listModelPrices(url.searchParams.get('model') || undefined)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/pricing/resolve - Price in effect for a model (?model=&at=)
+    if (url.pathname === '/api/pricing/resolve' && req.method === 'GET') {
+      const model = url.searchParams.get('model');
+      const at = parseTimeParam(url.searchParams.get('at')) ?? Date.now();
+
+      return new Response(JSON.stringify({ model, at, price: resolveModelPrice(model, at) }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/pricing - Add a price (a new version when the model already has one)
+    if (url.pathname === '/api/pricing' && req.method === 'POST') {
+      try {
+        const { price, errors } = parseModelPrice(await req.json());
+
+        if (!price) {
+          return new Response(JSON.stringify({ error: 'Invalid price', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (getModelPrices(price.model).some(existing => existing.effective_from === price.effective_from)) {
+          return new Response(JSON.stringify({ error: `"${price.model}" already has a price from that time` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const saved = insertModelPrice(price);
+        repriceAllTokenMetrics();
+
+        return new Response(JSON.stringify(saved), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // PUT /api/pricing/:id - Correct a price (usage it covers is repriced)
+    if (url.pathname.match(/^\/api\/pricing\/\d+$/) && req.method === 'PUT') {
+      try {
+        const id = parseInt(url.pathname.split('/')[3] || '');
+        const { price, errors } = parseModelPrice(await req.json());
+
+        if (!price) {
+          return new Response(JSON.stringify({ error: 'Invalid price', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (getModelPrices(price.model).some(existing => existing.id !== id && existing.effective_from === price.effective_from)) {
+          return new Response(JSON.stringify({ error: `"${price.model}" already has a price from that time` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const updated = updateModelPrice(id, price);
+        if (!updated) {
+          return new Response(JSON.stringify({ error: 'Price not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        repriceAllTokenMetrics();
+
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/pricing/:id - Delete a price (the model's previous one applies again)
+    if (url.pathname.match(/^\/api\/pricing\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[3] || '');
+
+      if (!deleteModelPrice(id)) {
+        return new Response(JSON.stringify({ error: 'Price not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      repriceAllTokenMetrics();
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/webhooks - List webhooks (without their secrets)
+    if (url.pathname === '/api/webhooks' && req.method === 'GET') {
+      return new Response(JSON.stringify(getWebhooks(scope.workspaceId).map(publicWebhook)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/webhooks - Create a webhook (for the selected workspace, or every one)
+    if (url.pathname === '/api/webhooks' && req.method === 'POST') {
+      try {
+        const { webhook, errors } = parseWebhook(await req.json());
+
+        if (!webhook) {
+          return new Response(JSON.stringify({ error: 'Invalid webhook', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const created = insertWebhook({ ...webhook, workspace_id: scope.workspaceId ?? null });
+        return new Response(JSON.stringify(publicWebhook(created)), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // GET /api/webhooks/deliveries - Delivery log (?webhook_id=&status=pending|delivered|failed&limit=)
+    if (url.pathname === '/api/webhooks/deliveries' && req.method === 'GET') {
+      const webhookId = url.searchParams.get('webhook_id');
+      const deliveries = getWebhookDeliveries({
+        webhook_id: webhookId ? parseInt(webhookId) : undefined,
+        status: url.searchParams.get('status') || undefined,
+        workspace_id: scope.workspaceId,
+        limit: parseInt(url.searchParams.get('limit') || '100')
+      });
+      return new Response(JSON.stringify(deliveries), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/webhooks/deliveries/:id/retry - Send a delivery again
+    if (url.pathname.match(/^\/api\/webhooks\/deliveries\/\d+\/retry$/) && req.method === 'POST') {
+      const id = parseInt(url.pathname.split('/')[4] || '');
+      const delivery = getWebhookDelivery(id);
+      const webhook = delivery ? getWebhook(delivery.webhook_id) : null;
+
+      if (!delivery || !webhook || (scope.workspaceId !== undefined && webhook.workspace_id !== scope.workspaceId)) {
+        return new Response(JSON.stringify({ error: 'Delivery not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      updateWebhookDelivery(id, { status: 'pending', attempts: 0, next_attempt_at: Date.now() });
+      processDueDeliveries();
+      return new Response(JSON.stringify(getWebhookDelivery(id)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PUT, DELETE /api/webhooks/:id and POST /api/webhooks/:id/test
+    const webhookMatch = url.pathname.match(/^\/api\/webhooks\/(\d+)(\/test)?$/);
+    if (webhookMatch) {
+      const id = parseInt(webhookMatch[1]!);
+      const existing = getWebhook(id);
+
+      if (!existing || (scope.workspaceId !== undefined && existing.workspace_id !== scope.workspaceId)) {
+        return new Response(JSON.stringify({ error: 'Webhook not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      // POST /api/webhooks/:id/test - Queue a test message
+      if (webhookMatch[2] && req.method === 'POST') {
+        return new Response(JSON.stringify(sendTestWebhook(existing)), {
+          status: 202,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      // PUT /api/webhooks/:id - Replace a webhook (leave out secret to keep it)
+      if (!webhookMatch[2] && req.method === 'PUT') {
+        try {
+          const { webhook, errors } = parseWebhook(await req.json());
+
+          if (!webhook) {
+            return new Response(JSON.stringify({ error: 'Invalid webhook', details: errors }), {
+              status: 400,
+              headers: { ...headers, 'Content-Type': 'application/json' }
+            });
+          }
+
+          const updated = updateWebhook(id, { ...webhook, secret: webhook.secret === undefined ? existing.secret : webhook.secret });
+          return new Response(JSON.stringify(publicWebhook(updated!)), {
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        } catch (error) {
+          return new Response(JSON.stringify({ error: 'Invalid request' }), {
             status: 400,
             headers: { ...headers, 'Content-Type': 'application/json' }
           });
         }
+      }
 
-        addAgentToSession(sessionId, agent_name);
-        const session = getSession(sessionId);
+      // DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+      if (!webhookMatch[2] && req.method === 'DELETE') {
+        deleteWebhook(id);
+        return new Response(JSON.stringify({ success: true }), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
 
-        return new Response(JSON.stringify(session), {
+    // GET /api/policies - Tool-call policy for plugins
+    if (url.pathname === '/api/policies' && req.method === 'GET') {
+      return new Response(JSON.stringify(getPolicy()), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // PUT /api/policies - Replace the policy
+    if (url.pathname === '/api/policies' && req.method === 'PUT') {
+      try {
+        const { policy, errors } = updatePolicy(await req.json());
+
+        if (!policy) {
+          return new Response(JSON.stringify({ error: 'Invalid policy', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(policy), {
           headers: { ...headers, 'Content-Type': 'application/json' }
         });
       } catch (error) {
@@ -698,18 +1854,405 @@ const server = Bun.serve({
       }
     }
 
+    // GET /metrics - Prometheus scrape endpoint
+    if (url.pathname === '/metrics' && req.method === 'GET') {
+      return new Response(renderPrometheusMetrics(scope.workspaceId), {
+        headers: { ...headers, 'Content-Type': PROMETHEUS_CONTENT_TYPE }
+      });
+    }
+
     // GET /api/metrics/dashboard - Get full metrics dashboard
     if (url.pathname === '/api/metrics/dashboard' && req.method === 'GET') {
       const sessionId = url.searchParams.get('session_id') || undefined;
-      const dashboard = getMetricsDashboard(sessionId);
+      const dashboard = getMetricsDashboard(sessionId, scope.workspaceId);
       return new Response(JSON.stringify(dashboard), {
         headers: { ...headers, 'Content-Type': 'application/json' }
       });
     }
 
-    // WebSocket upgrade
+    // =====================================================
+    // ADMIN API ENDPOINTS
+    // =====================================================
+
+    // GET /api/admin/db - Database size, row counts and retention policy
+    if (url.pathname === '/api/admin/db' && req.method === 'GET') {
+      return new Response(JSON.stringify(getDatabaseStats()), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/admin/prune - Enforce the retention policy now (?dry_run=true to preview)
+    if (url.pathname === '/api/admin/prune' && req.method === 'POST') {
+      try {
+        const result = await runRetention(url.searchParams.get('dry_run') === 'true');
+        return new Response(JSON.stringify(result), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('Error pruning database:', error);
+        return new Response(JSON.stringify({ error: (error as Error).message }), {
+          status: 409,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // POST /api/admin/vacuum - Reclaim disk space
+    if (url.pathname === '/api/admin/vacuum' && req.method === 'POST') {
+      try {
+        const result = vacuum();
+        return new Response(JSON.stringify(result), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        console.error('Error vacuuming database:', error);
+        return new Response(JSON.stringify({ error: (error as Error).message }), {
+          status: 500,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // POST /api/auth/login - Exchange a username and password for a bearer token
+    if (url.pathname === '/api/auth/login' && req.method === 'POST') {
+      try {
+        const body = await req.json() as { username?: string; password?: string };
+
+        if (!AUTH_ENABLED) {
+          return new Response(JSON.stringify({ error: 'Authentication is not enabled' }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const session = typeof body?.username === 'string' && typeof body.password === 'string'
+          ? await login(body.username, body.password)
+          : null;
+        if (!session) {
+          return new Response(JSON.stringify({ error: 'Invalid username or password' }), {
+            status: 401,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(session), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // POST /api/auth/logout - Revoke the caller's token
+    if (url.pathname === '/api/auth/logout' && req.method === 'POST') {
+      logout(req);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/auth/me - Whether login is required, and who the caller is
+    if (url.pathname === '/api/auth/me' && req.method === 'GET') {
+      return new Response(JSON.stringify({
+        auth_enabled: AUTH_ENABLED,
+        user: principal.kind === 'user' ? principal.user : null
+      }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/auth/users - List dashboard users
+    if (url.pathname === '/api/auth/users' && req.method === 'GET') {
+      return new Response(JSON.stringify(getUsers()), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/auth/users - Create a user
+    if (url.pathname === '/api/auth/users' && req.method === 'POST') {
+      try {
+        const body: any = await req.json();
+        const { username, password, role, errors } = parseUser(body, true);
+
+        // Users bound to a workspace only see that one; without, they see all of them
+        const workspace = resolveWorkspace(body?.workspace);
+        if (body?.workspace !== undefined && body.workspace !== null && !workspace) {
+          errors.push(`workspace not found: ${body.workspace}`);
+        }
+
+        if (errors.length > 0) {
+          return new Response(JSON.stringify({ error: 'Invalid user', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (getUsers().some(user => user.username === username)) {
+          return new Response(JSON.stringify({ error: `A user named "${username}" already exists` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const user = insertUser(username!, await hashPassword(password!), role!, workspace?.id ?? null);
+        return new Response(JSON.stringify(user), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // PUT /api/auth/users/:id - Change a user's role, password or workspace
+    if (url.pathname.match(/^\/api\/auth\/users\/\d+$/) && req.method === 'PUT') {
+      try {
+        const id = parseInt(url.pathname.split('/')[4] || '');
+        const body: any = await req.json();
+        const { password, role, errors } = parseUser(body, false);
+
+        const workspace = resolveWorkspace(body?.workspace);
+        if (body?.workspace !== undefined && body.workspace !== null && !workspace) {
+          errors.push(`workspace not found: ${body.workspace}`);
+        }
+
+        if (errors.length > 0) {
+          return new Response(JSON.stringify({ error: 'Invalid user', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const existing = getUser(id);
+        if (!existing) {
+          return new Response(JSON.stringify({ error: 'User not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (existing.role === 'admin' && role && role !== 'admin' && countUsers('admin') === 1) {
+          return new Response(JSON.stringify({ error: 'Cannot demote the last admin' }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const user = updateUser(id, {
+          role,
+          password_hash: password ? await hashPassword(password) : undefined,
+          workspace_id: body?.workspace === undefined ? undefined : workspace?.id ?? null
+        });
+        return new Response(JSON.stringify(user), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/auth/users/:id - Delete a user and revoke their tokens
+    if (url.pathname.match(/^\/api\/auth\/users\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[4] || '');
+      const existing = getUser(id);
+
+      if (existing?.role === 'admin' && countUsers('admin') === 1) {
+        return new Response(JSON.stringify({ error: 'Cannot delete the last admin' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      if (!existing || !deleteUser(id)) {
+        return new Response(JSON.stringify({ error: 'User not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/auth/keys - List ingest API keys (without the keys themselves)
+    if (url.pathname === '/api/auth/keys' && req.method === 'GET') {
+      return new Response(JSON.stringify(getApiKeys()), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/auth/keys - Create an ingest API key for a source_app (in the given or selected workspace)
+    if (url.pathname === '/api/auth/keys' && req.method === 'POST') {
+      try {
+        const body = await req.json() as { name?: string; source_app?: string; workspace?: string | number };
+        const errors: string[] = [];
+        if (!body?.source_app || typeof body.source_app !== 'string') errors.push('source_app is required');
+        if (body?.name !== undefined && typeof body.name !== 'string') errors.push('name must be a string');
+        const workspace = body?.workspace !== undefined ? resolveWorkspace(body.workspace) : null;
+        if (body?.workspace !== undefined && !workspace) errors.push(`workspace not found: ${body.workspace}`);
+
+        if (errors.length > 0) {
+          return new Response(JSON.stringify({ error: 'Invalid API key', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // The key is shown once; only its hash is kept
+        const { key, key_hash, key_prefix } = generateApiKey();
+        const apiKey = insertApiKey({
+          name: body.name || body.source_app!,
+          source_app: body.source_app!,
+          workspace_id: workspace?.id ?? scope.writeWorkspaceId,
+          key_prefix
+        }, key_hash);
+        return new Response(JSON.stringify({ ...apiKey, key }), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/auth/keys/:id - Revoke an ingest API key
+    if (url.pathname.match(/^\/api\/auth\/keys\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[4] || '');
+
+      if (!deleteApiKey(id)) {
+        return new Response(JSON.stringify({ error: 'API key not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET /api/workspaces - Workspaces with their totals (only their own for workspace-bound callers)
+    if (url.pathname === '/api/workspaces' && req.method === 'GET') {
+      const bound = boundWorkspaceId(principal);
+      return new Response(JSON.stringify(getWorkspaceSummaries(bound ?? undefined)), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST /api/workspaces - Create a workspace
+    if (url.pathname === '/api/workspaces' && req.method === 'POST') {
+      try {
+        const { workspace, errors } = parseWorkspace(await req.json(), true);
+
+        if (!workspace) {
+          return new Response(JSON.stringify({ error: 'Invalid workspace', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+        if (getWorkspaceBySlug(workspace.slug)) {
+          return new Response(JSON.stringify({ error: `Workspace "${workspace.slug}" already exists` }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(insertWorkspace(workspace)), {
+          status: 201,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // PUT /api/workspaces/:id - Rename a workspace
+    if (url.pathname.match(/^\/api\/workspaces\/\d+$/) && req.method === 'PUT') {
+      try {
+        const id = parseInt(url.pathname.split('/')[3] || '');
+        const { workspace, errors } = parseWorkspace(await req.json(), false);
+
+        if (!workspace) {
+          return new Response(JSON.stringify({ error: 'Invalid workspace', details: errors }), {
+            status: 400,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const updated = updateWorkspace(id, workspace.name);
+        if (!updated) {
+          return new Response(JSON.stringify({ error: 'Workspace not found' }), {
+            status: 404,
+            headers: { ...headers, 'Content-Type': 'application/json' }
+          });
+        }
+
+        return new Response(JSON.stringify(updated), {
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid request' }), {
+          status: 400,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // DELETE /api/workspaces/:id - Delete an empty workspace
+    if (url.pathname.match(/^\/api\/workspaces\/\d+$/) && req.method === 'DELETE') {
+      const id = parseInt(url.pathname.split('/')[3] || '');
+
+      if (!resolveWorkspace(id)) {
+        return new Response(JSON.stringify({ error: 'Workspace not found' }), {
+          status: 404,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      if (!deleteWorkspace(id)) {
+        return new Response(JSON.stringify({ error: 'Only empty workspaces other than the default one can be deleted' }), {
+          status: 409,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // WebSocket upgrade (?workspace= to watch one workspace, otherwise every one the caller can see)
     if (url.pathname === '/stream') {
-      const success = server.upgrade(req);
+      const streamAuth = authenticateStream(req, url);
+      if (streamAuth.error) {
+        return new Response(JSON.stringify({ error: streamAuth.error }), {
+          status: streamAuth.status,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      // The stream's token can't be checked by authorize, so the scope is resolved for its user here
+      const streamScope = streamAuth.user
+        ? resolveWorkspaceScope({ kind: 'user', user: streamAuth.user }, req, url)
+        : { scope };
+      if (!streamScope.scope) {
+        return new Response(JSON.stringify({ error: streamScope.error }), {
+          status: streamScope.status,
+          headers: { ...headers, 'Content-Type': 'application/json' }
+        });
+      }
+      const success = server.upgrade(req, { data: { workspaceId: streamScope.scope.workspaceId } });
       if (success) {
         return undefined;
       }
@@ -727,7 +2270,7 @@ const server = Bun.serve({
       wsClients.add(ws);
       
       // Send recent events on connection
-      const events = getRecentEvents(300);
+      const events = getRecentEvents(300, (ws.data as any)?.workspaceId);
       ws.send(JSON.stringify({ type: 'initial', data: events }));
     },
     
@@ -750,4 +2293,18 @@ const server = Bun.serve({
 
 console.log(`🚀 Server running on http://localhost:${server.port}`);
 console.log(`📊 WebSocket endpoint: ws://localhost:${server.port}/stream`);
-console.log(`📮 POST events to: http://localhost:${server.port}/events`);
\ No newline at end of file
+console.log(`📮 POST events to: http://localhost:${server.port}/events`);
+console.log(`📦 POST event batches to: http://localhost:${server.port}/events/batch`);
+console.log(`📈 Prometheus metrics: http://localhost:${server.port}/metrics`);
+if (isTraceExportEnabled()) {
+  console.log(`🔭 Exporting session traces via OTLP/HTTP`);
+}
+if (isRedactionEnabled()) {
+  console.log(`🙈 Redacting secrets and PII from incoming events`);
+}
+if (getAnomalyConfig().enabled) {
+  console.log(`🚨 Detecting stuck and looping agents`);
+}
+if (AUTH_ENABLED) {
+  console.log(`🔒 Authentication required (dashboard login and ingest API keys)`);
+}
@@ -0,0 +1,522 @@
+import { randomUUID } from 'crypto';
+import type {
+  CanonicalEventType,
+  EventKind,
+  Finding,
+  HookEvent,
+  IngestFormat,
+  NormalizedBatch,
+  ToolMetric
+} from './types';
+
+// Adapters from the native event formats of agent frameworks to one canonical
+// event schema. The OpenCode plugin already sends canonical events; Claude
+// Code hook JSON and OTLP logs are reshaped into them, and the tool results
+// and model requests they describe also become tool and token metrics.
+
+export const EVENT_SCHEMA_VERSION = 1;
+export const INGEST_FORMATS: IngestFormat[] = ['opencode', 'claude-code', 'otlp'];
+
+// Version 1. Other event types are stored as they come, as kind 'other'.
+export const CANONICAL_EVENT_TYPES: Record<string, CanonicalEventType> = {
+  SessionStart: { kind: 'session', description: 'A session started or resumed', payload: ['cwd?', 'source?', 'project_name?'] },
+  SessionEnd: { kind: 'session', description: 'A session ended', payload: ['reason?'] },
+  Stop: { kind: 'session', description: 'The agent finished its work and went idle', payload: ['stop_reason?', 'total_cost?', 'total_tokens?'] },
+  SessionError: { kind: 'session', description: 'The session hit an error', payload: ['error_type?', 'error_message'] },
+  UserPromptSubmit: { kind: 'message', description: 'The user sent a prompt', payload: ['prompt'] },
+  MessageComplete: {
+    kind: 'message',
+    description: 'The model finished a response',
+    payload: ['model?', 'text?', 'tokens?', 'cost?', 'latency_ms?', 'finish_reason?']
+  },
+  PreToolUse: { kind: 'tool_call', description: 'A tool is about to run', payload: ['tool_name', 'tool_input?', 'tool_call_id?'] },
+  PostToolUse: {
+    kind: 'tool_call',
+    description: 'A tool finished',
+    payload: ['tool_name', 'tool_input?', 'tool_output?', 'tool_error?', 'duration_ms?', 'tool_call_id?']
+  },
+  PermissionDecision: { kind: 'tool_call', description: 'A tool call was allowed or denied', payload: ['tool_name?', 'decision', 'decided_by?'] },
+  Finding: { kind: 'finding', description: 'A security finding was reported (also stored in the findings table)', payload: ['finding_id', 'vulnerability_type', 'severity', 'title?'] },
+  AgentSpawn: { kind: 'agent', description: 'A subagent was started', payload: ['agent_id?', 'agent_name', 'parent_agent_id?'] },
+  AgentStop: { kind: 'agent', description: 'A subagent finished', payload: ['agent_id', 'agent_name?'] },
+  SubagentStop: { kind: 'agent', description: 'A subagent finished (without an agent_id)', payload: [] },
+  Notification: { kind: 'other', description: 'The agent is waiting for the user', payload: ['message'] }
+};
+
+export function eventKind(hookEventType: string): EventKind {
+  return CANONICAL_EVENT_TYPES[hookEventType]?.kind || 'other';
+}
+
+export interface IngestOptions {
+  source_app?: string; // Overrides what the format says (or doesn't say) about the sending app
+}
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// When each Claude Code tool call started, to time it on PostToolUse
+const CLAUDE_TOOL_CALL_TTL_MS = 60 * 60 * 1000;
+const claudeToolCalls = new Map<string, number>();
+
+function emptyBatch(): NormalizedBatch {
+  return { events: [], sessions: [], tokens: [], tools: [], findings: [], errors: [] };
+}
+
+function canonicalEvent(event: HookEvent, framework: string): HookEvent {
+  return { ...event, framework, schema_version: EVENT_SCHEMA_VERSION };
+}
+
+function toolType(toolName: string | undefined): ToolMetric['tool_type'] {
+  if (typeof toolName !== 'string') return 'builtin';
+  if (toolName.startsWith('mcp__') || toolName.includes('_mcp_')) return 'mcp';
+  if (['bash', 'shell', 'exec'].includes(toolName.toLowerCase())) return 'bash';
+  return 'builtin';
+}
+
+// First session row of each session the batch touched, with the last status seen
+function noteSession(batch: NormalizedBatch, event: HookEvent, status?: 'running' | 'completed'): void {
+  const at = event.timestamp || Date.now();
+  let session = batch.sessions.find(s => s.session_id === event.session_id);
+  if (!session) {
+    session = { session_id: event.session_id, source_app: event.source_app, started_at: at, agents_used: [event.source_app] };
+    batch.sessions.push(session);
+  }
+  if (status === 'running') {
+    session.status = 'running';
+    session.started_at = Math.min(session.started_at ?? at, at);
+  } else if (status === 'completed') {
+    session.status = 'completed';
+    session.ended_at = at;
+  }
+}
+
+function toolMetricOf(event: HookEvent): ToolMetric {
+  const payload = event.payload;
+  return {
+    session_id: event.session_id,
+    source_app: event.source_app,
+    agent_id: payload.agent_id,
+    tool_name: payload.tool_name,
+    tool_type: toolType(payload.tool_name),
+    status: payload.tool_error ? 'failure' : 'success',
+    duration_ms: payload.duration_ms ?? undefined,
+    error_message: payload.tool_error ? String(payload.tool_error).slice(0, 500) : undefined,
+    timestamp: event.timestamp || Date.now()
+  };
+}
+
+// =====================================================
+// OPENCODE - this repo's plugin (already canonical)
+// =====================================================
+
+/**
+ * Stamp an event in the plugin's format with its framework and schema
+ * version. Claude Code hook JSON wrapped in a plugin-style event (as older
+ * hook scripts post it to /events) is normalized as Claude Code.
+ */
+export function normalizeEvent(event: HookEvent): HookEvent {
+  if (event.payload?.hook_event_name && !event.framework) {
+    const normalized = normalizeClaudeCodeHook(event.payload, event.source_app, emptyBatch());
+    return { ...event, ...normalized, event_id: event.event_id ?? normalized.event_id, timestamp: event.timestamp ?? normalized.timestamp };
+  }
+  return canonicalEvent(event, event.framework || 'opencode');
+}
+
+function normalizeOpenCode(body: any, options: IngestOptions): NormalizedBatch {
+  const batch = emptyBatch();
+  const events: any[] = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+
+  events.forEach((event, index) => {
+    if (!event || !event.session_id || !event.hook_event_type || !event.payload || !(event.source_app || options.source_app)) {
+      batch.errors.push(`events[${index}]: missing source_app, session_id, hook_event_type or payload`);
+      return;
+    }
+    batch.events.push(normalizeEvent({ ...event, source_app: options.source_app || event.source_app }));
+  });
+
+  return batch;
+}
+
+// =====================================================
+// CLAUDE CODE - hook JSON as a hook command reads it on stdin
+// =====================================================
+
+function claudeToolError(response: any): string | null {
+  if (!response || typeof response !== 'object') return null;
+  if (response.is_error || response.success === false || response.interrupted) {
+    return String(response.error || response.stderr || response.message || 'Tool call failed');
+  }
+  return null;
+}
+
+// The canonical event of a hook (what else it implies is added to the batch)
+function normalizeClaudeCodeHook(hook: any, sourceApp: string, batch: NormalizedBatch): HookEvent {
+  const { hook_event_name: hookEventName, session_id: sessionId, tool_use_id: toolUseId, tool_response: toolResponse, ...rest } = hook;
+  const now = Date.now();
+  const base = { source_app: sourceApp, session_id: sessionId, timestamp: now };
+  const callKey = `${sessionId}:${toolUseId}`;
+
+  let event: HookEvent;
+  switch (hookEventName) {
+    case 'PreToolUse':
+      if (toolUseId) claudeToolCalls.set(callKey, now);
+      event = {
+        ...base,
+        hook_event_type: 'PreToolUse',
+        event_id: toolUseId ? `claude-code:${callKey}:pre` : undefined,
+        payload: { ...rest, tool_call_id: toolUseId }
+      };
+      break;
+
+    case 'PostToolUse':
+    case 'PostToolUseFailure': {
+      const startedAt = toolUseId ? claudeToolCalls.get(callKey) : undefined;
+      claudeToolCalls.delete(callKey);
+      const toolError = hookEventName === 'PostToolUseFailure'
+        ? String(hook.error || 'Tool call failed')
+        : claudeToolError(toolResponse);
+      event = {
+        ...base,
+        hook_event_type: 'PostToolUse',
+        event_id: toolUseId ? `claude-code:${callKey}:post` : undefined,
+        payload: {
+          ...rest,
+          tool_call_id: toolUseId,
+          tool_output: toolResponse,
+          tool_error: toolError,
+          duration_ms: startedAt !== undefined ? now - startedAt : null
+        }
+      };
+      batch.tools.push({ ...toolMetricOf(event), event_id: event.event_id });
+      break;
+    }
+
+    case 'SessionStart':
+      event = { ...base, hook_event_type: 'SessionStart', payload: rest };
+      noteSession(batch, event, 'running');
+      break;
+
+    case 'SessionEnd':
+      event = { ...base, hook_event_type: 'SessionEnd', payload: rest };
+      noteSession(batch, event, 'completed');
+      break;
+
+    default:
+      // UserPromptSubmit, Stop, SubagentStop, Notification and PreCompact
+      // already use the canonical names and fields
+      event = { ...base, hook_event_type: hookEventName, payload: rest };
+  }
+
+  noteSession(batch, event);
+  return canonicalEvent({ ...event, payload: { ...event.payload, session_id: sessionId } }, 'claude-code');
+}
+
+const CLAUDE_TOOL_HOOKS = ['PreToolUse', 'PostToolUse', 'PostToolUseFailure'];
+
+function normalizeClaudeCode(body: any, options: IngestOptions): NormalizedBatch {
+  const batch = emptyBatch();
+  const hooks: any[] = Array.isArray(body) ? body : [body];
+
+  // Calls whose PostToolUse never came
+  const cutoff = Date.now() - CLAUDE_TOOL_CALL_TTL_MS;
+  for (const [key, startedAt] of claudeToolCalls) {
+    if (startedAt < cutoff) claudeToolCalls.delete(key);
+  }
+
+  hooks.forEach((hook, index) => {
+    if (!hook || typeof hook !== 'object' || !hook.hook_event_name || !hook.session_id) {
+      batch.errors.push(`[${index}]: expected Claude Code hook JSON with hook_event_name and session_id`);
+      return;
+    }
+    if (CLAUDE_TOOL_HOOKS.includes(hook.hook_event_name) && typeof hook.tool_name !== 'string') {
+      batch.errors.push(`[${index}]: ${hook.hook_event_name} hook without tool_name`);
+      return;
+    }
+    batch.events.push(normalizeClaudeCodeHook(hook, options.source_app || 'claude-code', batch));
+  });
+
+  return batch;
+}
+
+// =====================================================
+// OTLP - OpenTelemetry logs (OTLP/HTTP JSON), using the GenAI semantic
+// conventions or Claude Code's own event names
+// =====================================================
+
+// OTLP event names (without their framework namespace) -> canonical types
+const OTLP_EVENT_TYPES: Record<string, string> = {
+  'gen_ai.user.message': 'UserPromptSubmit',
+  'user_prompt': 'UserPromptSubmit',
+  'gen_ai.assistant.message': 'MessageComplete',
+  'gen_ai.choice': 'MessageComplete',
+  'gen_ai.client.inference.operation.details': 'MessageComplete',
+  'api_request': 'MessageComplete',
+  'api_error': 'SessionError',
+  'gen_ai.tool.call': 'PreToolUse',
+  'tool_call': 'PreToolUse',
+  'gen_ai.tool.message': 'PostToolUse',
+  'tool_result': 'PostToolUse',
+  'tool_decision': 'PermissionDecision',
+  'session.start': 'SessionStart',
+  'session.end': 'SessionEnd',
+  'security.finding': 'Finding',
+  'finding': 'Finding'
+};
+
+function otlpValue(value: any): any {
+  if (!value || typeof value !== 'object') return value;
+  if ('stringValue' in value) return value.stringValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return value.doubleValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('arrayValue' in value) return (Array.isArray(value.arrayValue?.values) ? value.arrayValue.values : []).map(otlpValue);
+  if ('kvlistValue' in value) return otlpAttributes(value.kvlistValue?.values);
+  if ('bytesValue' in value) return value.bytesValue;
+  return undefined;
+}
+
+function otlpAttributes(attributes: any[] | undefined): Record<string, any> {
+  const result: Record<string, any> = {};
+  for (const attribute of Array.isArray(attributes) ? attributes : []) {
+    if (attribute?.key) result[attribute.key] = otlpValue(attribute.value);
+  }
+  return result;
+}
+
+function nanosToMillis(nanos: any): number | undefined {
+  if (nanos === undefined || nanos === null || nanos === '' || nanos === '0' || nanos === 0) return undefined;
+  const millis = Math.floor(Number(nanos) / 1e6);
+  return Number.isFinite(millis) && millis > 0 ? millis : undefined;
+}
+
+function pick(attributes: Record<string, any>, ...keys: string[]): any {
+  for (const key of keys) {
+    if (attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '') return attributes[key];
+  }
+  return undefined;
+}
+
+function numberOf(value: any): number {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function parseMaybeJson(value: any): any {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function falsy(value: any): boolean {
+  return value === false || value === 'false' || value === 0;
+}
+
+function normalizeOtlpRecord(
+  record: any,
+  resource: Record<string, any>,
+  options: IngestOptions,
+  batch: NormalizedBatch
+): HookEvent | null {
+  const attributes = { ...otlpAttributes(record.attributes) };
+  const body = otlpValue(record.body);
+  const name = String(record.eventName || pick(attributes, 'event.name', 'name') || 'log');
+
+  // 'claude_code.tool_result' is Claude Code's 'tool_result'; unknown names are kept whole
+  const dot = name.startsWith('gen_ai.') ? -1 : name.indexOf('.');
+  const namespace = dot > 0 && OTLP_EVENT_TYPES[name.slice(dot + 1)] ? name.slice(0, dot) : null;
+  const framework = String(pick(attributes, 'agent.framework') || pick(resource, 'agent.framework') || (namespace ? namespace.replace(/_/g, '-') : 'otlp'));
+  const type = OTLP_EVENT_TYPES[name] || (namespace ? OTLP_EVENT_TYPES[name.slice(dot + 1)] : undefined) || name;
+
+  const sessionId = String(
+    pick(attributes, 'session.id', 'gen_ai.conversation.id') || pick(resource, 'session.id', 'gen_ai.conversation.id') || record.traceId || 'unknown'
+  );
+  const sourceApp = options.source_app || String(pick(resource, 'service.name') || framework);
+  const timestamp = nanosToMillis(record.timeUnixNano) || nanosToMillis(record.observedTimeUnixNano) || Date.now();
+  const model = pick(attributes, 'gen_ai.response.model', 'gen_ai.request.model', 'model');
+  const agentId = pick(attributes, 'gen_ai.agent.id', 'agent_id');
+  const base = { source_app: sourceApp, session_id: sessionId, timestamp, model_name: model };
+
+  const toolName = String(pick(attributes, 'gen_ai.tool.name', 'tool_name', 'tool') || 'unknown');
+  let payload: Record<string, any>;
+
+  switch (type) {
+    case 'UserPromptSubmit':
+      payload = { prompt: pick(attributes, 'prompt', 'gen_ai.prompt', 'content') ?? body ?? '' };
+      break;
+
+    case 'MessageComplete': {
+      const tokens = {
+        input: numberOf(pick(attributes, 'gen_ai.usage.input_tokens', 'input_tokens')),
+        output: numberOf(pick(attributes, 'gen_ai.usage.output_tokens', 'output_tokens')),
+        reasoning: numberOf(pick(attributes, 'gen_ai.usage.reasoning_tokens', 'reasoning_tokens')),
+        cache: {
+          read: numberOf(pick(attributes, 'gen_ai.usage.cache_read_input_tokens', 'gen_ai.usage.cache_read.input_tokens', 'cache_read_tokens')),
+          write: numberOf(pick(attributes, 'gen_ai.usage.cache_creation_input_tokens', 'gen_ai.usage.cache_creation.input_tokens', 'cache_creation_tokens', 'cache_write_tokens'))
+        }
+      };
+      const cost = numberOf(pick(attributes, 'cost_usd', 'gen_ai.usage.cost'));
+      payload = {
+        model,
+        text: pick(attributes, 'gen_ai.output.messages', 'content') ?? (typeof body === 'string' ? body : undefined),
+        tokens,
+        cost,
+        latency_ms: pick(attributes, 'duration_ms', 'gen_ai.client.operation.duration') ?? null,
+        finish_reason: pick(attributes, 'gen_ai.response.finish_reasons', 'finish_reason')
+      };
+
+      const totalTokens = tokens.input + tokens.output + tokens.reasoning;
+      if (totalTokens > 0 || cost > 0) {
+        batch.tokens.push({
+          session_id: sessionId,
+          source_app: sourceApp,
+          agent_id: agentId,
+          model_name: model,
+          input_tokens: tokens.input,
+          output_tokens: tokens.output,
+          reasoning_tokens: tokens.reasoning,
+          cache_read_tokens: tokens.cache.read,
+          cache_write_tokens: tokens.cache.write,
+          total_tokens: totalTokens,
+          estimated_cost: cost,
+          cost_source: 'real',
+          timestamp
+        });
+      }
+      break;
+    }
+
+    case 'SessionError':
+      payload = {
+        error_type: String(pick(attributes, 'error.type', 'status_code') || 'error'),
+        error_message: String(pick(attributes, 'error', 'error.message', 'exception.message') ?? body ?? 'Unknown error')
+      };
+      break;
+
+    case 'PreToolUse':
+      payload = {
+        tool_name: toolName,
+        tool_input: parseMaybeJson(pick(attributes, 'gen_ai.tool.call.arguments', 'tool_input', 'tool_parameters')),
+        tool_call_id: pick(attributes, 'gen_ai.tool.call.id', 'tool_call_id', 'tool_use_id')
+      };
+      break;
+
+    case 'PostToolUse': {
+      const failed = falsy(pick(attributes, 'success')) || pick(attributes, 'error', 'error.type') !== undefined;
+      payload = {
+        tool_name: toolName,
+        tool_input: parseMaybeJson(pick(attributes, 'gen_ai.tool.call.arguments', 'tool_input', 'tool_parameters')),
+        tool_output: parseMaybeJson(pick(attributes, 'gen_ai.tool.call.result', 'tool_output')) ?? body,
+        tool_error: failed ? String(pick(attributes, 'error', 'error.type') || 'Tool call failed') : null,
+        duration_ms: pick(attributes, 'duration_ms') !== undefined ? numberOf(pick(attributes, 'duration_ms')) : null,
+        tool_call_id: pick(attributes, 'gen_ai.tool.call.id', 'tool_call_id', 'tool_use_id')
+      };
+      break;
+    }
+
+    case 'PermissionDecision': {
+      const decision = String(pick(attributes, 'decision') || '');
+      payload = {
+        tool_name: toolName,
+        decision: ['accept', 'allow', 'approve'].includes(decision) ? 'allow' : ['reject', 'deny'].includes(decision) ? 'deny' : decision,
+        decided_by: pick(attributes, 'source', 'decided_by')
+      };
+      break;
+    }
+
+    case 'Finding': {
+      const severity = String(pick(attributes, 'finding.severity', 'severity') || '').toLowerCase();
+      const vulnerabilityType = pick(attributes, 'finding.type', 'vulnerability_type');
+      if (!vulnerabilityType || !SEVERITIES.includes(severity)) {
+        batch.errors.push(`${name}: a finding needs finding.type and a finding.severity of ${SEVERITIES.join(', ')}`);
+        return null;
+      }
+      const finding: Finding = {
+        session_id: sessionId,
+        source_app: sourceApp,
+        agent_id: agentId,
+        finding_id: String(pick(attributes, 'finding.id', 'finding_id') || randomUUID()),
+        vulnerability_type: String(vulnerabilityType),
+        severity: severity as Finding['severity'],
+        confidence: (['confirmed', 'likely', 'possible'].includes(pick(attributes, 'finding.confidence')) ? pick(attributes, 'finding.confidence') : 'possible'),
+        tool_used: pick(attributes, 'gen_ai.tool.name', 'tool_name'),
+        target_url: pick(attributes, 'finding.target', 'url.full'),
+        location: pick(attributes, 'finding.location'),
+        title: pick(attributes, 'finding.title') ?? (typeof body === 'string' ? body : undefined),
+        description: pick(attributes, 'finding.description'),
+        evidence: pick(attributes, 'finding.evidence'),
+        cwe: pick(attributes, 'finding.cwe'),
+        wstg_id: pick(attributes, 'finding.wstg_id'),
+        timestamp
+      };
+      batch.findings.push(finding);
+      payload = {
+        finding_id: finding.finding_id,
+        vulnerability_type: finding.vulnerability_type,
+        severity: finding.severity,
+        title: finding.title
+      };
+      break;
+    }
+
+    default:
+      // Not one we know: keep the record's attributes as they are
+      payload = { ...attributes, ...(body !== undefined ? { body } : {}) };
+  }
+
+  const event: HookEvent = {
+    ...base,
+    hook_event_type: type,
+    payload: { ...payload, session_id: sessionId, ...(agentId ? { agent_id: agentId } : {}) }
+  };
+  if (type === 'PostToolUse') batch.tools.push(toolMetricOf(event));
+  noteSession(batch, event, type === 'SessionStart' ? 'running' : type === 'SessionEnd' ? 'completed' : undefined);
+
+  return canonicalEvent(event, framework);
+}
+
+function normalizeOtlp(body: any, options: IngestOptions): NormalizedBatch {
+  const batch = emptyBatch();
+  if (!Array.isArray(body?.resourceLogs)) {
+    batch.errors.push('Expected an OTLP logs export request with resourceLogs');
+    return batch;
+  }
+
+  // A malformed record is rejected on its own - the exporter's other records still land
+  body.resourceLogs.forEach((resourceLog: any, r: number) => {
+    const resource = otlpAttributes(resourceLog?.resource?.attributes);
+    const scopeLogs = Array.isArray(resourceLog?.scopeLogs) ? resourceLog.scopeLogs : [];
+    scopeLogs.forEach((scopeLog: any, s: number) => {
+      const records = Array.isArray(scopeLog?.logRecords) ? scopeLog.logRecords : [];
+      records.forEach((record: any, l: number) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          batch.errors.push(`resourceLogs[${r}].scopeLogs[${s}].logRecords[${l}]: expected a log record object`);
+          return;
+        }
+        const event = normalizeOtlpRecord(record, resource, options, batch);
+        if (event) batch.events.push(event);
+      });
+    });
+  });
+
+  return batch;
+}
+
+const ADAPTERS: Record<IngestFormat, (body: any, options: IngestOptions) => NormalizedBatch> = {
+  'opencode': normalizeOpenCode,
+  'claude-code': normalizeClaudeCode,
+  'otlp': normalizeOtlp
+};
+
+export function isIngestFormat(format: string): format is IngestFormat {
+  return (INGEST_FORMATS as string[]).includes(format);
+}
+
+/**
+ * Turn a request body in a framework's native format into canonical events,
+ * and the sessions, tool and token metrics and findings they describe
+ */
+export function normalizeIngest(format: IngestFormat, body: any, options: IngestOptions = {}): NormalizedBatch {
+  return ADAPTERS[format](body, options);
+}
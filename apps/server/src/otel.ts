@@ -0,0 +1,295 @@
+import { createHash } from 'crypto';
+import { getSessionEvents, getSession } from './db';
+import type { HookEvent } from './types';
+
+// OTLP/HTTP (JSON encoding) trace export. Each session becomes one trace:
+//   session (root) -> assistant messages, tool calls, subagents
+// Span IDs are derived from the session and event IDs, so re-exporting a
+// session produces the same spans rather than new ones.
+
+const TRACES_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+  || (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces` : null);
+const EXPORT_DELAY_MS = parseInt(process.env.OTEL_EXPORT_DELAY_MS || '5000');
+
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_UNSET = 0;
+const STATUS_ERROR = 2;
+
+interface OtlpAttribute {
+  key: string;
+  value: { stringValue?: string; intValue?: string; doubleValue?: number; boolValue?: boolean };
+}
+
+interface OtlpSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId?: string;
+  name: string;
+  kind: number;
+  startTimeUnixNano: string;
+  endTimeUnixNano: string;
+  attributes: OtlpAttribute[];
+  status: { code: number; message?: string };
+}
+
+export interface OtlpTraceRequest {
+  resourceSpans: {
+    resource: { attributes: OtlpAttribute[] };
+    scopeSpans: { scope: { name: string; version: string }; spans: OtlpSpan[] }[];
+  }[];
+}
+
+const pendingExports = new Map<string, ReturnType<typeof setTimeout>>();
+
+export function isTraceExportEnabled(): boolean {
+  return TRACES_ENDPOINT !== null;
+}
+
+function hashHex(input: string, length: number): string {
+  return createHash('sha256').update(input).digest('hex').slice(0, length);
+}
+
+function nanos(ms: number): string {
+  return `${Math.round(ms)}000000`;
+}
+
+function attributes(values: Record<string, any>): OtlpAttribute[] {
+  const result: OtlpAttribute[] = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value === 'boolean') {
+      result.push({ key, value: { boolValue: value } });
+    } else if (typeof value === 'number') {
+      result.push({ key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } });
+    } else {
+      result.push({ key, value: { stringValue: typeof value === 'string' ? value : JSON.stringify(value) } });
+    }
+  }
+  return result;
+}
+
+function tokenAttributes(tokens: any, cost: any): Record<string, any> {
+  return {
+    'gen_ai.usage.input_tokens': tokens?.input,
+    'gen_ai.usage.output_tokens': tokens?.output,
+    'gen_ai.usage.reasoning_tokens': tokens?.reasoning,
+    'gen_ai.usage.cache_read_tokens': tokens?.cache?.read,
+    'gen_ai.usage.cache_write_tokens': tokens?.cache?.write,
+    'gen_ai.usage.cost_usd': typeof cost === 'number' ? cost : undefined
+  };
+}
+
+/**
+ * Build the OTLP trace for a session from its stored events (those in one
+ * workspace, or in any)
+ */
+export function buildSessionTrace(sessionId: string, workspaceId?: number): OtlpTraceRequest | null {
+  const events = getSessionEvents(sessionId, workspaceId);
+  const first = events[0];
+  const last = events[events.length - 1];
+  if (!first || !last) return null;
+
+  const session = getSession(sessionId, workspaceId);
+  const traceId = hashHex(`trace:${sessionId}`, 32);
+  const rootSpanId = hashHex(`span:${sessionId}:session`, 16);
+  const spanIdFor = (event: HookEvent) => hashHex(`span:${sessionId}:${event.event_id || event.id}`, 16);
+  const spans: OtlpSpan[] = [];
+
+  const sessionStart = first.timestamp || Date.now();
+  const stopEvent = [...events].reverse().find(event => event.hook_event_type === 'Stop');
+  const sessionEnd = (stopEvent || last).timestamp || sessionStart;
+  const sessionError = events.find(event => event.hook_event_type === 'SessionError');
+
+  // Subagents' spans, so what they did nests under them, and when they stopped
+  const agentSpanIds = new Map<string, string>();
+  const agentStops = new Map<string, number>();
+  for (const event of events) {
+    const agentId = event.payload?.agent_id;
+    if (!agentId) continue;
+    if (event.hook_event_type === 'AgentSpawn') agentSpanIds.set(agentId, spanIdFor(event));
+    if (event.hook_event_type === 'AgentStop') agentStops.set(agentId, event.timestamp || sessionEnd);
+  }
+  const parentSpanFor = (agentId?: string | null) => (agentId && agentSpanIds.get(agentId)) || rootSpanId;
+
+  // Errors reported separately from the message they belong to
+  const messageErrors = new Map<string, HookEvent>();
+  events
+    .filter(event => event.hook_event_type === 'MessageError' && event.payload.message_id)
+    .forEach(event => messageErrors.set(event.payload.message_id, event));
+
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let cost = 0;
+
+  for (const event of events) {
+    const payload = event.payload || {};
+    const end = event.timestamp || sessionStart;
+
+    if (event.hook_event_type === 'MessageComplete') {
+      const latency = typeof payload.latency_ms === 'number' ? payload.latency_ms : 0;
+      const error = messageErrors.get(payload.message_id);
+      inputTokens += payload.tokens?.input || 0;
+      outputTokens += payload.tokens?.output || 0;
+      cost += payload.cost || 0;
+
+      spans.push({
+        traceId,
+        spanId: spanIdFor(event),
+        parentSpanId: rootSpanId,
+        name: `chat ${payload.model || event.model_name || 'assistant'}`,
+        kind: SPAN_KIND_CLIENT,
+        startTimeUnixNano: nanos(end - latency),
+        endTimeUnixNano: nanos(end),
+        attributes: attributes({
+          'gen_ai.operation.name': 'chat',
+          'gen_ai.system': payload.provider,
+          'gen_ai.request.model': payload.model || event.model_name,
+          'gen_ai.response.finish_reasons': payload.finish_reason,
+          'message.id': payload.message_id,
+          ...tokenAttributes(payload.tokens, payload.cost)
+        }),
+        status: error || payload.has_error
+          ? { code: STATUS_ERROR, message: error?.payload.error_message || 'Message failed' }
+          : { code: STATUS_UNSET }
+      });
+    }
+
+    if (event.hook_event_type === 'PostToolUse') {
+      const duration = typeof payload.duration_ms === 'number' ? payload.duration_ms : 0;
+      spans.push({
+        traceId,
+        spanId: spanIdFor(event),
+        parentSpanId: parentSpanFor(payload.agent_id),
+        name: `tool ${payload.tool_name || 'unknown'}`,
+        kind: SPAN_KIND_INTERNAL,
+        startTimeUnixNano: nanos(end - duration),
+        endTimeUnixNano: nanos(end),
+        attributes: attributes({
+          'gen_ai.operation.name': 'execute_tool',
+          'gen_ai.tool.name': payload.tool_name,
+          'tool.command': payload.tool_input?.command,
+          'tool.file_path': payload.tool_input?.file_path,
+          'tool.duration_ms': payload.duration_ms
+        }),
+        status: payload.tool_error
+          ? { code: STATUS_ERROR, message: String(payload.tool_error).slice(0, 500) }
+          : { code: STATUS_UNSET }
+      });
+    }
+
+    // Subagents live from their spawn until they stop (or the session ends)
+    if (event.hook_event_type === 'AgentSpawn') {
+      spans.push({
+        traceId,
+        spanId: spanIdFor(event),
+        parentSpanId: payload.parent_agent_id !== payload.agent_id ? parentSpanFor(payload.parent_agent_id) : rootSpanId,
+        name: `agent ${payload.agent_name || 'unknown'}`,
+        kind: SPAN_KIND_INTERNAL,
+        startTimeUnixNano: nanos(end),
+        endTimeUnixNano: nanos(Math.max(end, agentStops.get(payload.agent_id) ?? sessionEnd)),
+        attributes: attributes({
+          'gen_ai.operation.name': 'invoke_agent',
+          'gen_ai.agent.name': payload.agent_name,
+          'gen_ai.agent.id': payload.agent_id,
+          'agent.source': payload.source
+        }),
+        status: { code: STATUS_UNSET }
+      });
+    }
+  }
+
+  spans.unshift({
+    traceId,
+    spanId: rootSpanId,
+    name: `session ${first.source_app}`,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: nanos(sessionStart),
+    endTimeUnixNano: nanos(sessionEnd),
+    attributes: attributes({
+      'session.id': sessionId,
+      'session.status': session?.status,
+      'session.tool_calls': session?.total_tool_calls,
+      'session.findings': session?.total_findings,
+      'gen_ai.usage.input_tokens': inputTokens,
+      'gen_ai.usage.output_tokens': outputTokens,
+      'gen_ai.usage.total_tokens': session?.total_tokens,
+      'gen_ai.usage.cost_usd': session?.total_cost ?? cost,
+      'client.name': session?.client_name,
+      'target.url': session?.target_url
+    }),
+    status: sessionError
+      ? { code: STATUS_ERROR, message: sessionError.payload.error_message || 'Session error' }
+      : { code: STATUS_UNSET }
+  });
+
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: attributes({
+          'service.name': process.env.OTEL_SERVICE_NAME || first.source_app,
+          'service.namespace': 'opencode-observability',
+          'source_app': first.source_app
+        })
+      },
+      scopeSpans: [{
+        scope: { name: 'opencode-observability', version: '1.0.0' },
+        spans
+      }]
+    }]
+  };
+}
+
+// OTEL_EXPORTER_OTLP_HEADERS uses the standard "key=value,key2=value2" format
+function exportHeaders(): Record<string, string> {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  for (const pair of (process.env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Export a session's trace to the configured OTLP/HTTP endpoint now
+ */
+export async function exportSessionTrace(sessionId: string, workspaceId?: number): Promise<{ exported: boolean; spans: number }> {
+  if (!TRACES_ENDPOINT) {
+    throw new Error('No OTLP endpoint configured (set OTEL_EXPORTER_OTLP_ENDPOINT)');
+  }
+
+  const trace = buildSessionTrace(sessionId, workspaceId);
+  if (!trace) return { exported: false, spans: 0 };
+
+  const response = await fetch(TRACES_ENDPOINT, {
+    method: 'POST',
+    headers: exportHeaders(),
+    body: JSON.stringify(trace)
+  });
+  if (!response.ok) {
+    throw new Error(`OTLP endpoint responded ${response.status}`);
+  }
+
+  return { exported: true, spans: trace.resourceSpans[0]?.scopeSpans[0]?.spans.length || 0 };
+}
+
+/**
+ * Export a session's trace shortly after it stops. Repeated stops (an agent
+ * going idle several times) collapse into one export of the complete trace.
+ */
+export function scheduleSessionTraceExport(sessionId: string, workspaceId: number): void {
+  if (!TRACES_ENDPOINT) return;
+
+  const key = `${workspaceId}:${sessionId}`;
+  const pending = pendingExports.get(key);
+  if (pending) clearTimeout(pending);
+
+  pendingExports.set(key, setTimeout(() => {
+    pendingExports.delete(key);
+    exportSessionTrace(sessionId, workspaceId)
+      .then(result => console.log(`[OTLP] Exported ${result.spans} spans for session ${sessionId}`))
+      .catch(error => console.error(`[OTLP] Failed to export session ${sessionId}:`, error));
+  }, EXPORT_DELAY_MS));
+}
@@ -0,0 +1,84 @@
+import { getPolicyDocument, savePolicyDocument } from './db';
+import type { PolicyDocument } from './types';
+
+// Tool-call policy served to plugins at GET /api/policies. The plugin does
+// the evaluation; the server only stores and validates the document.
+
+const POLICY_ACTIONS = ['allow', 'deny', 'ask'];
+const HOST_CONDITIONS = ['outside_scope', 'inside_scope'];
+const PATH_CONDITIONS = ['outside_worktree', 'inside_worktree'];
+
+const EMPTY_POLICY: PolicyDocument = { default: 'allow', scope: null, rules: [] };
+
+/**
+ * Check a policy document; returns the problems found (empty when valid)
+ */
+export function validatePolicy(document: any): string[] {
+  const errors: string[] = [];
+
+  if (!document || typeof document !== 'object') {
+    return ['Policy must be an object'];
+  }
+  if (document.default !== undefined && !POLICY_ACTIONS.includes(document.default)) {
+    errors.push(`default must be one of ${POLICY_ACTIONS.join(', ')}`);
+  }
+  if (document.scope) {
+    for (const key of ['hosts', 'cidrs']) {
+      if (document.scope[key] !== undefined && !Array.isArray(document.scope[key])) {
+        errors.push(`scope.${key} must be a list`);
+      }
+    }
+    for (const cidr of document.scope.cidrs || []) {
+      if (!/^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/.test(String(cidr))) {
+        errors.push(`scope.cidrs: "${cidr}" is not an IPv4 CIDR`);
+      }
+    }
+  }
+  if (!Array.isArray(document.rules)) {
+    errors.push('rules must be a list');
+    return errors;
+  }
+
+  document.rules.forEach((rule: any, index: number) => {
+    const label = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    if (!POLICY_ACTIONS.includes(rule?.action)) {
+      errors.push(`${label}: action must be one of ${POLICY_ACTIONS.join(', ')}`);
+    }
+    for (const [field, pattern] of Object.entries(rule?.match || {})) {
+      try {
+        new RegExp(String(pattern), 'i');
+      } catch {
+        errors.push(`${label}: match.${field} is not a valid regex`);
+      }
+    }
+    if (rule?.hosts !== undefined && !HOST_CONDITIONS.includes(rule.hosts)) {
+      errors.push(`${label}: hosts must be one of ${HOST_CONDITIONS.join(', ')}`);
+    }
+    if (rule?.paths !== undefined && !PATH_CONDITIONS.includes(rule.paths)) {
+      errors.push(`${label}: paths must be one of ${PATH_CONDITIONS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+export function getPolicy(): PolicyDocument {
+  return getPolicyDocument() || EMPTY_POLICY;
+}
+
+/**
+ * Validate and store a policy document
+ */
+export function updatePolicy(document: any): { policy?: PolicyDocument; errors: string[] } {
+  const errors = validatePolicy(document);
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    policy: savePolicyDocument({
+      default: document.default || 'allow',
+      scope: document.scope || null,
+      rules: document.rules
+    })
+  };
+}
@@ -0,0 +1,217 @@
+import {
+  getModelPrices,
+  getTokenMetricModels,
+  insertModelPrice,
+  repriceTokenMetrics
+} from './db';
+import type { CostSource, ModelPrice, ModelPriceVersion, TokenCounts, TokenMetric } from './types';
+
+// Prices every class of token from a catalogue kept on the server. Each model
+// can have several entries, each in effect from its effective_from until the
+// next one, so usage is always priced at the rates of its own time.
+
+export const DEFAULT_MODEL = 'default';
+
+// Seeded into an empty catalogue, per 1M tokens
+const DEFAULT_PRICES: Omit<ModelPrice, 'effective_from'>[] = [
+  { model: 'claude-opus-4', input_per_mtok: 15, output_per_mtok: 75, reasoning_per_mtok: null, cache_read_per_mtok: 1.5, cache_write_per_mtok: 18.75 },
+  { model: 'claude-opus-4-5', input_per_mtok: 5, output_per_mtok: 25, reasoning_per_mtok: null, cache_read_per_mtok: 0.5, cache_write_per_mtok: 6.25 },
+  { model: 'claude-sonnet-4', input_per_mtok: 3, output_per_mtok: 15, reasoning_per_mtok: null, cache_read_per_mtok: 0.3, cache_write_per_mtok: 3.75 },
+  { model: 'claude-3-opus', input_per_mtok: 15, output_per_mtok: 75, reasoning_per_mtok: null, cache_read_per_mtok: 1.5, cache_write_per_mtok: 18.75 },
+  { model: 'claude-3-5-sonnet', input_per_mtok: 3, output_per_mtok: 15, reasoning_per_mtok: null, cache_read_per_mtok: 0.3, cache_write_per_mtok: 3.75 },
+  { model: 'claude-3-5-haiku', input_per_mtok: 0.8, output_per_mtok: 4, reasoning_per_mtok: null, cache_read_per_mtok: 0.08, cache_write_per_mtok: 1 },
+  { model: 'gpt-4o', input_per_mtok: 2.5, output_per_mtok: 10, reasoning_per_mtok: null, cache_read_per_mtok: 1.25, cache_write_per_mtok: null },
+  { model: 'gpt-4o-mini', input_per_mtok: 0.15, output_per_mtok: 0.6, reasoning_per_mtok: null, cache_read_per_mtok: 0.075, cache_write_per_mtok: null },
+  { model: DEFAULT_MODEL, input_per_mtok: 3, output_per_mtok: 15, reasoning_per_mtok: null, cache_read_per_mtok: null, cache_write_per_mtok: null }
+];
+
+const RATE_FIELDS = ['input_per_mtok', 'output_per_mtok', 'reasoning_per_mtok', 'cache_read_per_mtok', 'cache_write_per_mtok'] as const;
+
+/**
+ * Validate a catalogue entry from the API. effective_from is a timestamp or
+ * ISO date and defaults to now, so a new entry reprices usage from now on.
+ * Returns the entry, or the list of problems with it.
+ */
+export function parseModelPrice(input: any): { price?: ModelPrice; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Price must be an object'] };
+  }
+  if (!input.model || typeof input.model !== 'string' || !input.model.trim()) {
+    errors.push('model is required');
+  }
+  for (const field of RATE_FIELDS) {
+    const value = input[field];
+    const required = field === 'input_per_mtok' || field === 'output_per_mtok';
+    if (value === undefined || value === null) {
+      if (required) errors.push(`${field} is required`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`${field} must be a number of dollars, 0 or more`);
+    }
+  }
+
+  const effectiveFrom = input.effective_from === undefined || input.effective_from === null
+    ? Date.now()
+    : typeof input.effective_from === 'number' ? input.effective_from : Date.parse(input.effective_from);
+  if (!Number.isFinite(effectiveFrom) || effectiveFrom < 0) {
+    errors.push('effective_from must be a timestamp or an ISO date');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    price: {
+      model: input.model.trim(),
+      input_per_mtok: input.input_per_mtok,
+      output_per_mtok: input.output_per_mtok,
+      reasoning_per_mtok: input.reasoning_per_mtok ?? null,
+      cache_read_per_mtok: input.cache_read_per_mtok ?? null,
+      cache_write_per_mtok: input.cache_write_per_mtok ?? null,
+      effective_from: Math.floor(effectiveFrom),
+      note: input.note ? String(input.note) : null
+    }
+  };
+}
+
+/**
+ * The catalogue with each entry's version number and the time it was
+ * superseded (null while it is the model's current price)
+ */
+export function listModelPrices(model?: string): ModelPriceVersion[] {
+  const prices = getModelPrices(model);
+  return prices.map((price, index) => {
+    const earlier = prices.slice(0, index).filter(other => other.model === price.model).length;
+    const next = prices[index + 1];
+    return {
+      ...price,
+      version: earlier + 1,
+      effective_to: next && next.model === price.model ? next.effective_from : null
+    };
+  });
+}
+
+// How specifically a catalogue model names a model: the length of the match,
+// or 0. 'claude-sonnet-4' matches 'anthropic/claude-sonnet-4-20250514', and
+// 'gpt-4*' anything starting with 'gpt-4'.
+function matchLength(catalogueModel: string, modelName: string): number {
+  const pattern = catalogueModel.toLowerCase();
+  const name = modelName.toLowerCase();
+  const names = [name, name.slice(name.lastIndexOf('/') + 1)];
+
+  if (pattern.endsWith('*')) {
+    const prefix = pattern.slice(0, -1);
+    return names.some(candidate => candidate.startsWith(prefix)) ? prefix.length : 0;
+  }
+  return names.some(candidate => candidate === pattern || candidate.startsWith(`${pattern}-`)) ? pattern.length : 0;
+}
+
+/**
+ * The catalogue entry that priced a model at a given time: the most specific
+ * matching model's latest entry by then, else the default one
+ */
+export function resolveModelPrice(modelName: string | null | undefined, at: number = Date.now(), prices: ModelPrice[] = getModelPrices()): ModelPrice | null {
+  const effective = prices.filter(price => price.effective_from <= at);
+  let best: ModelPrice | null = null;
+  let bestLength = 0;
+
+  for (const price of effective) {
+    const length = modelName && price.model !== DEFAULT_MODEL ? matchLength(price.model, modelName) : 0;
+    if (length > bestLength || (length > 0 && length === bestLength && price.effective_from > best!.effective_from)) {
+      best = price;
+      bestLength = length;
+    }
+  }
+  if (best) return best;
+
+  return effective
+    .filter(price => price.model === DEFAULT_MODEL)
+    .reduce<ModelPrice | null>((latest, price) => (!latest || price.effective_from > latest.effective_from ? price : latest), null);
+}
+
+// Per-1M-token rates of every token class
+function ratesOf(price: ModelPrice | null) {
+  if (!price) return { input: 0, output: 0, reasoning: 0, cache_read: 0, cache_write: 0 };
+  return {
+    input: price.input_per_mtok,
+    output: price.output_per_mtok,
+    reasoning: price.reasoning_per_mtok ?? price.output_per_mtok,
+    cache_read: price.cache_read_per_mtok ?? price.input_per_mtok,
+    cache_write: price.cache_write_per_mtok ?? price.input_per_mtok
+  };
+}
+
+/**
+ * Cost of a set of tokens at a catalogue entry's rates
+ */
+export function priceTokens(price: ModelPrice | null, tokens: TokenCounts): number {
+  const rates = ratesOf(price);
+  return (
+    tokens.input_tokens * rates.input
+    + tokens.output_tokens * rates.output
+    + (tokens.reasoning_tokens || 0) * rates.reasoning
+    + (tokens.cache_read_tokens || 0) * rates.cache_read
+    + (tokens.cache_write_tokens || 0) * rates.cache_write
+  ) / 1000000;
+}
+
+/**
+ * Tag a token metric as real or estimated and price it from the catalogue.
+ * Estimates are costed at catalogue prices whatever the plugin guessed.
+ */
+export function priceTokenMetric(metric: TokenMetric): TokenMetric {
+  const costSource: CostSource = metric.cost_source === 'estimated' || (!metric.cost_source && metric.is_estimate === true)
+    ? 'estimated'
+    : 'real';
+  const tokens: TokenCounts = {
+    input_tokens: metric.input_tokens || 0,
+    output_tokens: metric.output_tokens || 0,
+    reasoning_tokens: metric.reasoning_tokens || 0,
+    cache_read_tokens: metric.cache_read_tokens || 0,
+    cache_write_tokens: metric.cache_write_tokens || 0
+  };
+  const catalogueCost = priceTokens(resolveModelPrice(metric.model_name, metric.timestamp || Date.now()), tokens);
+  const { is_estimate, ...rest } = metric;
+
+  return {
+    ...rest,
+    ...tokens,
+    total_tokens: metric.total_tokens || tokens.input_tokens + tokens.output_tokens + (tokens.reasoning_tokens || 0),
+    cost_source: costSource,
+    catalogue_cost: catalogueCost,
+    estimated_cost: costSource === 'estimated' ? catalogueCost : metric.estimated_cost || 0
+  };
+}
+
+/**
+ * Price all recorded token usage again after the catalogue changed. Prices
+ * only change where an entry starts, so each model is repriced one span
+ * between those times at a time.
+ */
+export function repriceAllTokenMetrics(): number {
+  const prices = getModelPrices();
+  const starts = [...new Set([0, ...prices.map(price => price.effective_from)])].sort((a, b) => a - b);
+
+  const periods = getTokenMetricModels().flatMap(modelName => starts.map((from, index) => ({
+    model_name: modelName,
+    from,
+    to: starts[index + 1] ?? null,
+    rates: ratesOf(resolveModelPrice(modelName, from, prices))
+  })));
+
+  return repriceTokenMetrics(periods);
+}
+
+/**
+ * Seed an empty catalogue with the default prices (in effect since forever)
+ * and price the usage recorded before the catalogue existed
+ */
+export function initPricing(): void {
+  if (getModelPrices().length > 0) return;
+
+  for (const price of DEFAULT_PRICES) {
+    insertModelPrice({ ...price, effective_from: 0 });
+  }
+  repriceAllTokenMetrics();
+}
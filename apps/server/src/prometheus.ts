@@ -0,0 +1,117 @@
+import { getMetricTotals } from './db';
+
+// Prometheus text exposition (format 0.0.4) of the metrics tables.
+// Values are computed from the database on every scrape, so counters drop
+// back when retention prunes old rows - Prometheus treats that as a reset.
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds of the tool duration histogram, in seconds
+const DURATION_BUCKETS_SECONDS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value: string): string {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: Record<string, string>): string {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class MetricWriter {
+  private lines: string[] = [];
+
+  family(name: string, type: 'counter' | 'gauge' | 'histogram', help: string): void {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  }
+
+  sample(name: string, labels: Record<string, string>, value: number): void {
+    this.lines.push(`${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+  }
+
+  toString(): string {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Render all metrics (of one workspace, or of all of them) in the Prometheus text format
+ */
+export function renderPrometheusMetrics(workspaceId?: number): string {
+  const totals = getMetricTotals(DURATION_BUCKETS_SECONDS.map(seconds => seconds * 1000), workspaceId);
+  const out = new MetricWriter();
+
+  // Real and estimated usage overlap for agents that report both, so they are
+  // labelled apart rather than summed (a reconciled total could go down)
+  out.family('opencode_tokens_total', 'counter', 'LLM tokens used, by token type and whether real or estimated');
+  for (const row of totals.tokens) {
+    const labels = { source_app: row.source_app, model: row.model, cost_source: row.cost_source };
+    out.sample('opencode_tokens_total', { ...labels, type: 'input' }, row.input_tokens || 0);
+    out.sample('opencode_tokens_total', { ...labels, type: 'output' }, row.output_tokens || 0);
+    out.sample('opencode_tokens_total', { ...labels, type: 'reasoning' }, row.reasoning_tokens || 0);
+    out.sample('opencode_tokens_total', { ...labels, type: 'cache_read' }, row.cache_read_tokens || 0);
+    out.sample('opencode_tokens_total', { ...labels, type: 'cache_write' }, row.cache_write_tokens || 0);
+  }
+
+  out.family('opencode_cost_usd_total', 'counter', 'LLM cost in US dollars, real (reported or at catalogue prices) or estimated');
+  for (const row of totals.tokens) {
+    out.sample('opencode_cost_usd_total', { source_app: row.source_app, model: row.model, cost_source: row.cost_source }, row.cost || 0);
+  }
+
+  out.family('opencode_tool_calls_total', 'counter', 'Tool executions, by outcome');
+  for (const row of totals.tools) {
+    out.sample('opencode_tool_calls_total', { source_app: row.source_app, tool_name: row.tool_name, status: row.status }, row.count);
+  }
+
+  // Failures and timeouts together; opencode_tool_calls_total has them apart
+  const failures = new Map<string, { source_app: string; tool_name: string; count: number }>();
+  for (const row of totals.tools.filter(row => row.status !== 'success')) {
+    const key = JSON.stringify([row.source_app, row.tool_name]);
+    const entry = failures.get(key) || { source_app: row.source_app, tool_name: row.tool_name, count: 0 };
+    entry.count += row.count;
+    failures.set(key, entry);
+  }
+  out.family('opencode_tool_failures_total', 'counter', 'Tool executions that failed or timed out');
+  for (const { count, ...labels } of failures.values()) {
+    out.sample('opencode_tool_failures_total', labels, count);
+  }
+
+  // Histogram buckets are cumulative; the database hands back per-bucket counts
+  out.family('opencode_tool_duration_seconds', 'histogram', 'Tool execution time');
+  for (const row of totals.tools) {
+    const labels = { source_app: row.source_app, tool_name: row.tool_name, status: row.status };
+    const counts = new Array(DURATION_BUCKETS_SECONDS.length + 1).fill(0);
+    totals.tool_buckets
+      .filter(bucket => bucket.source_app === row.source_app && bucket.tool_name === row.tool_name && bucket.status === row.status)
+      .forEach(bucket => { counts[bucket.bucket] += bucket.count; });
+
+    let cumulative = 0;
+    DURATION_BUCKETS_SECONDS.forEach((bound, index) => {
+      cumulative += counts[index];
+      out.sample('opencode_tool_duration_seconds_bucket', { ...labels, le: String(bound) }, cumulative);
+    });
+    out.sample('opencode_tool_duration_seconds_bucket', { ...labels, le: '+Inf' }, row.count);
+    out.sample('opencode_tool_duration_seconds_sum', labels, row.duration_sum_ms / 1000);
+    out.sample('opencode_tool_duration_seconds_count', labels, row.count);
+  }
+
+  out.family('opencode_findings_total', 'counter', 'Security findings recorded, by severity');
+  for (const row of totals.findings) {
+    out.sample('opencode_findings_total', { source_app: row.source_app, severity: row.severity }, row.count);
+  }
+
+  out.family('opencode_sessions', 'gauge', 'Sessions known to the server, by status');
+  for (const row of totals.sessions) {
+    out.sample('opencode_sessions', { status: row.status }, row.count);
+  }
+
+  out.family('opencode_sessions_running', 'gauge', 'Sessions currently running');
+  out.sample('opencode_sessions_running', {}, totals.sessions.find(row => row.status === 'running')?.count || 0);
+
+  out.family('opencode_events_total', 'counter', 'Hook events received, by event type');
+  for (const row of totals.events) {
+    out.sample('opencode_events_total', { source_app: row.source_app, event_type: row.hook_event_type }, row.count);
+  }
+
+  return out.toString();
+}
@@ -0,0 +1,156 @@
+import { readFileSync } from 'fs';
+import type { HookEvent, RedactionRecord } from './types';
+
+// Masks credentials and PII in events before they are stored or broadcast.
+// The plugin runs the same detectors before sending; this catches whatever
+// other senders (or plugins with redaction turned off) let through.
+
+export interface RedactionRule {
+  name: string;
+  pattern: RegExp;
+}
+
+// Order matters: multi-line and structured secrets go before the generic ones
+export const BUILTIN_DETECTORS: RedactionRule[] = [
+  { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'jwt', pattern: /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{5,}/g },
+  { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe_key', pattern: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { name: 'google_api_key', pattern: /\bAIza[A-Za-z0-9_-]{35}\b/g },
+  { name: 'api_key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'bearer_token', pattern: /(?<=\b(?:Bearer|Basic|Token)\s+)[A-Za-z0-9._~+\/-]{8,}=*/gi },
+  { name: 'url_credentials', pattern: /(?<=[a-z][a-z0-9+.-]*:\/\/[^\/\s:@]+:)[^\/\s@]+(?=@)/gi },
+  {
+    name: 'password',
+    pattern: /(?<=(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key)["']?\s*[:=]\s*["']?|--password[= ])[^\s"'&;,]{4,}/gi
+  },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+const MAX_DEPTH = 20;
+
+interface RedactionConfig {
+  enabled: boolean;
+  rules: RedactionRule[];
+}
+
+const config: RedactionConfig = loadRedactionConfig();
+
+/**
+ * Build the redaction config from REDACTION_CONFIG, a JSON file shaped like
+ * { "enabled": true, "detectors": ["jwt", ...], "rules": [{ "name", "pattern", "flags" }] },
+ * and REDACTION_ENABLED / REDACTION_DETECTORS. All built-in detectors run by default.
+ */
+export function loadRedactionConfig(): RedactionConfig {
+  let file: any = {};
+  const configFile = process.env.REDACTION_CONFIG;
+  if (configFile) {
+    try {
+      file = JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      console.error(`[Redaction] Failed to read ${configFile}:`, error);
+    }
+  }
+
+  const enabled = process.env.REDACTION_ENABLED !== undefined
+    ? !['0', 'false', 'off'].includes(process.env.REDACTION_ENABLED)
+    : file.enabled !== false;
+
+  const detectorNames: string[] | null = process.env.REDACTION_DETECTORS !== undefined
+    ? process.env.REDACTION_DETECTORS.split(',').map(name => name.trim()).filter(Boolean)
+    : Array.isArray(file.detectors) ? file.detectors : null;
+  const unknown = (detectorNames || []).filter(name => !BUILTIN_DETECTORS.some(detector => detector.name === name));
+  if (unknown.length > 0) {
+    console.error(`[Redaction] Unknown detectors ignored: ${unknown.join(', ')}`);
+  }
+
+  const rules = BUILTIN_DETECTORS.filter(detector => !detectorNames || detectorNames.includes(detector.name));
+  for (const rule of Array.isArray(file.rules) ? file.rules : []) {
+    try {
+      const flags = String(rule.flags || '').replace('g', '');
+      rules.push({ name: String(rule.name || 'custom'), pattern: new RegExp(rule.pattern, `${flags}g`) });
+    } catch (error) {
+      console.error(`[Redaction] Invalid rule ${rule?.name}:`, error);
+    }
+  }
+
+  return { enabled, rules };
+}
+
+export function isRedactionEnabled(): boolean {
+  return config.enabled;
+}
+
+// Mask every match in a string. Already-masked values are left alone, so
+// events the plugin redacted come through unchanged.
+function redactString(text: string, found: Map<string, number>): string {
+  let result = text;
+  for (const rule of config.rules) {
+    rule.pattern.lastIndex = 0;
+    result = result.replace(rule.pattern, match => {
+      if (match.startsWith('[REDACTED')) return match;
+      found.set(rule.name, (found.get(rule.name) || 0) + 1);
+      return `[REDACTED:${rule.name}]`;
+    });
+  }
+  return result;
+}
+
+/**
+ * Redact the strings in a value (recursively), recording each field that
+ * had something masked under its path.
+ */
+export function redactValue(value: any, path: string, records: RedactionRecord[], depth: number = 0): any {
+  if (typeof value === 'string') {
+    const found = new Map<string, number>();
+    const redacted = redactString(value, found);
+    if (found.size > 0) {
+      records.push({
+        field: path,
+        detectors: [...found.keys()],
+        count: [...found.values()].reduce((sum, count) => sum + count, 0),
+        by: 'server'
+      });
+    }
+    return redacted;
+  }
+  if (!value || typeof value !== 'object' || depth >= MAX_DEPTH) return value;
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactValue(item, `${path}[${index}]`, records, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, redactValue(item, path ? `${path}.${key}` : key, records, depth + 1)])
+  );
+}
+
+/**
+ * Redact an incoming event's payload, chat, summary and HITL question.
+ * Records from the plugin are kept, and the server's own are appended.
+ */
+export function redactEvent(event: HookEvent): HookEvent {
+  if (!config.enabled) return event;
+
+  const records: RedactionRecord[] = [];
+  const redacted: HookEvent = {
+    ...event,
+    payload: redactValue(event.payload, 'payload', records),
+    chat: event.chat ? redactValue(event.chat, 'chat', records) : event.chat,
+    summary: event.summary ? redactValue(event.summary, 'summary', records) : event.summary,
+    humanInTheLoop: event.humanInTheLoop
+      ? { ...event.humanInTheLoop, question: redactValue(event.humanInTheLoop.question, 'humanInTheLoop.question', records) }
+      : event.humanInTheLoop
+  };
+
+  const existing = Array.isArray(event.redactions) ? event.redactions : [];
+  if (records.length === 0 && existing.length === 0) return event;
+  return { ...redacted, redactions: [...existing, ...records] };
+}
+
+// Redact a metric (e.g. a finding's evidence) without keeping a record
+export function redactMetric<T>(metric: T): T {
+  if (!config.enabled) return metric;
+  return redactValue(metric, '', []);
+}
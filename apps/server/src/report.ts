@@ -0,0 +1,474 @@
+import {
+  getSession,
+  getSessionEvents,
+  getFindings,
+  getFindingSummary,
+  getWSTGCoverage,
+  getWSTGCoverageReport,
+  getTokenSummary
+} from './db';
+import type { Finding, HookEvent, ReportFormat, ReportTimelineEntry, SessionReport } from './types';
+
+// Assessment reports for GET /api/sessions/:id/report. The JSON report is the
+// source for every other format.
+
+const SEVERITY_ORDER: Finding['severity'][] = ['critical', 'high', 'medium', 'low', 'info'];
+const MAX_TIMELINE_ENTRIES = 500;
+const MAX_FINDINGS = 1000;
+
+export const REPORT_FORMATS: Record<ReportFormat, { contentType: string; extension: string }> = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  sarif: { contentType: 'application/sarif+json', extension: 'sarif' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+function truncate(text: string, length: number): string {
+  return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+function describeToolCall(payload: any): string {
+  const input = payload.tool_input || {};
+  const target = input.command || input.file_path || input.url || input.pattern || '';
+  return `${payload.tool_name || 'tool'}${target ? `: ${truncate(String(target), 160)}` : ''}${payload.tool_error ? ' (failed)' : ''}`;
+}
+
+// The agent's actions worth reading back; streaming and bookkeeping events are left out
+function timelineEntry(event: HookEvent): ReportTimelineEntry | null {
+  const payload = event.payload || {};
+  let description: string | null = null;
+
+  switch (event.hook_event_type) {
+    case 'SessionStart': description = 'Session started'; break;
+    case 'UserPromptSubmit': description = `Prompt: ${truncate(String(payload.prompt || ''), 200)}`; break;
+    case 'PostToolUse': description = describeToolCall(payload); break;
+    case 'AgentSpawn': description = `Spawned agent ${payload.agent_name || ''}`.trim(); break;
+    case 'PolicyDecision':
+      if (payload.outcome !== 'allow') description = `Policy ${payload.outcome}: ${payload.tool_name} (${payload.reason || payload.rule_id})`;
+      break;
+    case 'PermissionDecision': description = `Permission ${payload.decision} by ${payload.decided_by}`; break;
+    case 'ScopeViolation':
+      description = `Out of scope (${payload.action === 'block' ? 'blocked' : 'flagged'}): ${payload.tool_name} -> ${(payload.targets || []).join(', ')}`;
+      break;
+    case 'BudgetWarning':
+    case 'BudgetExceeded':
+    case 'BudgetStop':
+      description = event.summary || `${event.hook_event_type}: ${payload.reason || payload.budget_name || ''}`;
+      break;
+    case 'AnomalyDetected': description = `Anomaly (${payload.anomaly_type}): ${event.summary || payload.description}`; break;
+    case 'SessionError': description = `Error: ${truncate(String(payload.error_message || payload.error_type || ''), 200)}`; break;
+    case 'Stop': description = `Stopped (${payload.stop_reason || 'done'})`; break;
+  }
+
+  if (!description) return null;
+  return {
+    timestamp: event.timestamp || 0,
+    source_app: event.source_app,
+    event_type: event.hook_event_type,
+    description
+  };
+}
+
+function formatDuration(ms: number): string {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m ${Math.round((ms % 60000) / 1000)}s`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Gather everything known about a session (in one workspace, or in any) into a
+ * report. Returns null when the session has neither a session record nor events.
+ */
+export function buildSessionReport(sessionId: string, workspaceId?: number): SessionReport | null {
+  const session = getSession(sessionId, workspaceId);
+  const events = getSessionEvents(sessionId, workspaceId);
+  if (!session && events.length === 0) return null;
+
+  const allFindings = getFindings(sessionId, MAX_FINDINGS, { workspace_id: workspaceId });
+  const findings = allFindings
+    .filter(finding => finding.status !== 'false_positive')
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const findingSummary = getFindingSummary(sessionId, workspaceId);
+  const wstg = getWSTGCoverageReport(sessionId, workspaceId);
+  const cost = getTokenSummary(sessionId, workspaceId);
+
+  const timeline = events.map(timelineEntry).filter((entry): entry is ReportTimelineEntry => entry !== null);
+  const agents = [...new Set([...(session?.agents_used || []), ...events.map(event => event.source_app)])];
+  const startedAt = session?.started_at ?? events[0]?.timestamp ?? null;
+  const endedAt = session?.ended_at ?? events[events.length - 1]?.timestamp ?? null;
+
+  const counts = SEVERITY_ORDER
+    .map(severity => [severity, findings.filter(finding => finding.severity === severity).length] as const)
+    .filter(([, count]) => count > 0);
+  const overallRisk = counts[0]?.[0] || 'none';
+
+  const summary = [
+    `${session?.target_url ? `The assessment of ${session.target_url}` : `Session ${sessionId}`} was run by ${agents.join(', ') || 'an unknown agent'}`
+      + (startedAt && endedAt ? ` over ${formatDuration(endedAt - startedAt)}.` : '.'),
+    findings.length > 0
+      ? `It reported ${findings.length} finding${findings.length === 1 ? '' : 's'} (${counts.map(([severity, count]) => `${count} ${severity}`).join(', ')}); the overall risk is ${overallRisk}.`
+      : 'It reported no findings.',
+    wstg.total_tests > 0
+      ? `${wstg.executed} of ${wstg.total_tests - wstg.not_applicable} applicable WSTG tests were executed (${wstg.coverage_percentage.toFixed(0)}% coverage).`
+      : 'No WSTG coverage was recorded.',
+    `The run used ${cost.total_tokens.toLocaleString('en-US')} tokens at an estimated cost of $${cost.total_cost.toFixed(2)}.`
+  ].join(' ');
+
+  return {
+    generated_at: Date.now(),
+    session_id: sessionId,
+    session,
+    started_at: startedAt,
+    ended_at: endedAt,
+    agents,
+    executive_summary: summary,
+    overall_risk: overallRisk,
+    findings,
+    false_positives: allFindings.length - findings.length,
+    finding_summary: findingSummary,
+    wstg,
+    wstg_tests: getWSTGCoverage(sessionId, workspaceId),
+    cost,
+    timeline: timeline.slice(0, MAX_TIMELINE_ENTRIES),
+    timeline_truncated: timeline.length > MAX_TIMELINE_ENTRIES
+  };
+}
+
+function formatTime(timestamp: number | null): string {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-';
+}
+
+function findingsBySeverity(report: SessionReport): [Finding['severity'], Finding[]][] {
+  return SEVERITY_ORDER
+    .map(severity => [severity, report.findings.filter(finding => finding.severity === severity)] as [Finding['severity'], Finding[]])
+    .filter(([, findings]) => findings.length > 0);
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// =====================================================
+// MARKDOWN
+// =====================================================
+
+function mdCell(value: any): string {
+  return String(value ?? '-').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+export function renderReportMarkdown(report: SessionReport): string {
+  const lines: string[] = [];
+  const title = report.session?.client_name || report.session?.target_url || report.session_id;
+
+  lines.push(`# Assessment Report: ${title}`, '');
+  lines.push(`- **Session:** ${report.session_id}`);
+  lines.push(`- **Agents:** ${report.agents.join(', ') || '-'}`);
+  lines.push(`- **Started:** ${formatTime(report.started_at)}`);
+  lines.push(`- **Ended:** ${formatTime(report.ended_at)}`);
+  lines.push(`- **Generated:** ${formatTime(report.generated_at)}`, '');
+
+  lines.push('## Executive Summary', '', report.executive_summary, '');
+  if (report.false_positives > 0) {
+    lines.push(`${report.false_positives} finding(s) triaged as false positives are not included.`, '');
+  }
+
+  lines.push('## Findings', '');
+  if (report.findings.length === 0) lines.push('No findings.', '');
+  for (const [severity, findings] of findingsBySeverity(report)) {
+    lines.push(`### ${capitalize(severity)} (${findings.length})`, '');
+    for (const finding of findings) {
+      lines.push(`#### ${finding.title || finding.vulnerability_type}`, '');
+      lines.push(`| | |`, `|---|---|`);
+      lines.push(`| Type | ${mdCell(finding.vulnerability_type)} |`);
+      lines.push(`| Status | ${mdCell(finding.status || 'new')} |`);
+      lines.push(`| Confidence | ${mdCell(finding.confidence)} |`);
+      lines.push(`| Target | ${mdCell(finding.target_url)} |`);
+      lines.push(`| Location | ${mdCell(finding.location)} |`);
+      lines.push(`| CWE | ${mdCell(finding.cwe)} |`);
+      lines.push(`| WSTG | ${mdCell(finding.wstg_id)} |`);
+      lines.push(`| Tool | ${mdCell(finding.tool_used)} |`);
+      lines.push(`| Occurrences | ${finding.occurrences || 1} |`, '');
+      if (finding.description) lines.push(finding.description, '');
+      if (finding.evidence) lines.push('Evidence:', '', '```', finding.evidence, '```', '');
+      if (finding.notes) lines.push(`> ${finding.notes.replace(/\n/g, '\n> ')}`, '');
+    }
+  }
+
+  lines.push('## WSTG Coverage', '');
+  lines.push(`${report.wstg.executed} executed, ${report.wstg.partial} partial, ${report.wstg.skipped} skipped, ${report.wstg.not_applicable} not applicable (${report.wstg.coverage_percentage.toFixed(1)}%).`, '');
+  if (Object.keys(report.wstg.by_category).length > 0) {
+    lines.push('| Category | Executed | Total | Coverage |', '|---|---|---|---|');
+    for (const [category, row] of Object.entries(report.wstg.by_category)) {
+      lines.push(`| ${mdCell(category)} | ${row.executed} | ${row.total} | ${row.percentage.toFixed(0)}% |`);
+    }
+    lines.push('');
+  }
+  if (report.wstg_tests.length > 0) {
+    lines.push('| Test | Status | Findings | Notes |', '|---|---|---|---|');
+    for (const test of report.wstg_tests) {
+      lines.push(`| ${mdCell(test.wstg_id)}${test.wstg_name ? ` ${mdCell(test.wstg_name)}` : ''} | ${test.status} | ${test.findings_count} | ${mdCell(test.skip_reason || '')} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Timeline', '');
+  if (report.timeline.length === 0) lines.push('No recorded actions.', '');
+  else {
+    lines.push('| Time | Agent | Action |', '|---|---|---|');
+    for (const entry of report.timeline) {
+      lines.push(`| ${formatTime(entry.timestamp)} | ${mdCell(entry.source_app)} | ${mdCell(entry.description)} |`);
+    }
+    lines.push('');
+    if (report.timeline_truncated) lines.push(`Only the first ${report.timeline.length} actions are shown.`, '');
+  }
+
+  lines.push('## Cost', '');
+  lines.push(`Total: ${report.cost.total_tokens.toLocaleString('en-US')} tokens (${report.cost.total_input_tokens.toLocaleString('en-US')} input, ${report.cost.total_output_tokens.toLocaleString('en-US')} output), $${report.cost.total_cost.toFixed(4)}.`, '');
+  if (Object.keys(report.cost.by_model).length > 0) {
+    lines.push('| Model | Tokens | Cost |', '|---|---|---|');
+    for (const [model, usage] of Object.entries(report.cost.by_model)) {
+      lines.push(`| ${mdCell(model)} | ${usage.tokens.toLocaleString('en-US')} | $${usage.cost.toFixed(4)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// =====================================================
+// HTML
+// =====================================================
+
+function escapeHtml(value: any): string {
+  return String(value ?? '-')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const SEVERITY_COLORS: Record<string, string> = {
+  critical: '#dc2626',
+  high: '#f97316',
+  medium: '#eab308',
+  low: '#3b82f6',
+  info: '#6b7280',
+  none: '#22c55e'
+};
+
+function htmlTable(headers: string[], rows: string[][]): string {
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+export function renderReportHtml(report: SessionReport): string {
+  const title = report.session?.client_name || report.session?.target_url || report.session_id;
+  const sections: string[] = [];
+
+  sections.push(`<h1>Assessment Report: ${escapeHtml(title)}</h1>`);
+  sections.push(htmlTable(['Session', 'Agents', 'Started', 'Ended', 'Overall risk'], [[
+    escapeHtml(report.session_id),
+    escapeHtml(report.agents.join(', ')),
+    escapeHtml(formatTime(report.started_at)),
+    escapeHtml(formatTime(report.ended_at)),
+    `<span class="badge" style="background:${SEVERITY_COLORS[report.overall_risk]}">${escapeHtml(report.overall_risk)}</span>`
+  ]]));
+
+  sections.push(`<h2>Executive Summary</h2><p>${escapeHtml(report.executive_summary)}</p>`);
+  if (report.false_positives > 0) {
+    sections.push(`<p class="muted">${report.false_positives} finding(s) triaged as false positives are not included.</p>`);
+  }
+
+  sections.push('<h2>Findings</h2>');
+  if (report.findings.length === 0) sections.push('<p>No findings.</p>');
+  for (const [severity, findings] of findingsBySeverity(report)) {
+    sections.push(`<h3><span class="badge" style="background:${SEVERITY_COLORS[severity]}">${capitalize(severity)}</span> ${findings.length}</h3>`);
+    for (const finding of findings) {
+      sections.push(`<div class="finding"><h4>${escapeHtml(finding.title || finding.vulnerability_type)}</h4>`
+        + htmlTable(['Type', 'Status', 'Target', 'Location', 'CWE', 'WSTG', 'Tool', 'Seen'], [[
+          escapeHtml(finding.vulnerability_type),
+          escapeHtml(finding.status || 'new'),
+          escapeHtml(finding.target_url),
+          escapeHtml(finding.location),
+          escapeHtml(finding.cwe),
+          escapeHtml(finding.wstg_id),
+          escapeHtml(finding.tool_used),
+          `${finding.occurrences || 1}×`
+        ]])
+        + (finding.description ? `<p>${escapeHtml(finding.description)}</p>` : '')
+        + (finding.evidence ? `<pre>${escapeHtml(finding.evidence)}</pre>` : '')
+        + (finding.notes ? `<blockquote>${escapeHtml(finding.notes)}</blockquote>` : '')
+        + '</div>');
+    }
+  }
+
+  sections.push('<h2>WSTG Coverage</h2>');
+  sections.push(`<p>${report.wstg.executed} executed, ${report.wstg.partial} partial, ${report.wstg.skipped} skipped, ${report.wstg.not_applicable} not applicable (${report.wstg.coverage_percentage.toFixed(1)}%).</p>`);
+  if (Object.keys(report.wstg.by_category).length > 0) {
+    sections.push(htmlTable(['Category', 'Executed', 'Total', 'Coverage'], Object.entries(report.wstg.by_category).map(([category, row]) => [
+      escapeHtml(category), String(row.executed), String(row.total), `${row.percentage.toFixed(0)}%`
+    ])));
+  }
+  if (report.wstg_tests.length > 0) {
+    sections.push(htmlTable(['Test', 'Status', 'Findings', 'Notes'], report.wstg_tests.map(test => [
+      escapeHtml(`${test.wstg_id}${test.wstg_name ? ` ${test.wstg_name}` : ''}`),
+      escapeHtml(test.status),
+      String(test.findings_count),
+      escapeHtml(test.skip_reason || '')
+    ])));
+  }
+
+  sections.push('<h2>Timeline</h2>');
+  sections.push(report.timeline.length === 0
+    ? '<p>No recorded actions.</p>'
+    : htmlTable(['Time', 'Agent', 'Action'], report.timeline.map(entry => [
+      escapeHtml(formatTime(entry.timestamp)), escapeHtml(entry.source_app), escapeHtml(entry.description)
+    ])));
+  if (report.timeline_truncated) sections.push(`<p class="muted">Only the first ${report.timeline.length} actions are shown.</p>`);
+
+  sections.push('<h2>Cost</h2>');
+  sections.push(`<p>${report.cost.total_tokens.toLocaleString('en-US')} tokens, $${report.cost.total_cost.toFixed(4)}.</p>`);
+  if (Object.keys(report.cost.by_model).length > 0) {
+    sections.push(htmlTable(['Model', 'Tokens', 'Cost'], Object.entries(report.cost.by_model).map(([model, usage]) => [
+      escapeHtml(model), usage.tokens.toLocaleString('en-US'), `$${usage.cost.toFixed(4)}`
+    ])));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Assessment Report: ${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; font-size: 0.875rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; word-break: break-all; font-size: 0.8rem; }
+  blockquote { border-left: 3px solid #d1d5db; margin: 0.5rem 0; padding-left: 0.75rem; color: #4b5563; }
+  .badge { color: #fff; padding: 0.1rem 0.5rem; border-radius: 9999px; font-size: 0.8rem; text-transform: uppercase; }
+  .finding { border-bottom: 1px solid #e5e7eb; margin-bottom: 1rem; }
+  .muted { color: #6b7280; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+<p class="muted">Generated ${escapeHtml(formatTime(report.generated_at))}</p>
+</body>
+</html>
+`;
+}
+
+// =====================================================
+// SARIF
+// =====================================================
+
+const SARIF_LEVELS: Record<string, string> = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+// CVSS-style scores code-scanning tools use to bucket security results
+const SECURITY_SEVERITY: Record<string, string> = {
+  critical: '9.5',
+  high: '8.0',
+  medium: '5.5',
+  low: '3.0',
+  info: '0.0'
+};
+
+function sarifRuleId(finding: Finding): string {
+  return finding.cwe ? `${finding.cwe}/${finding.vulnerability_type}` : finding.vulnerability_type;
+}
+
+function sarifLocation(finding: Finding): any {
+  // Source locations look like "path/to/file.js:42"
+  const sourceMatch = finding.location?.match(/^([^\s:]+\.[\w]+):(\d+)$/);
+  if (sourceMatch) {
+    return {
+      physicalLocation: {
+        artifactLocation: { uri: sourceMatch[1] },
+        region: { startLine: parseInt(sourceMatch[2] || '1') }
+      }
+    };
+  }
+
+  const uri = finding.target_url || finding.location;
+  return uri
+    ? { physicalLocation: { artifactLocation: { uri } }, ...(finding.location ? { message: { text: finding.location } } : {}) }
+    : null;
+}
+
+export function renderReportSarif(report: SessionReport): string {
+  const rules = new Map<string, any>();
+  for (const finding of report.findings) {
+    const id = sarifRuleId(finding);
+    if (rules.has(id)) continue;
+    rules.set(id, {
+      id,
+      name: finding.vulnerability_type,
+      shortDescription: { text: finding.vulnerability_type },
+      properties: {
+        tags: ['security', ...(finding.cwe ? [`external/cwe/${finding.cwe.toLowerCase()}`] : [])],
+        'security-severity': SECURITY_SEVERITY[finding.severity],
+        ...(finding.wstg_id ? { wstg_id: finding.wstg_id } : {})
+      }
+    });
+  }
+
+  const results = report.findings.map(finding => {
+    const location = sarifLocation(finding);
+    return {
+      ruleId: sarifRuleId(finding),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: [finding.title || finding.vulnerability_type, finding.evidence].filter(Boolean).join('\n\n') },
+      ...(location ? { locations: [location] } : {}),
+      ...(finding.fingerprint ? { partialFingerprints: { 'findingFingerprint/v1': finding.fingerprint } } : {}),
+      properties: {
+        severity: finding.severity,
+        confidence: finding.confidence,
+        status: finding.status || 'new',
+        occurrences: finding.occurrences || 1,
+        ...(finding.tool_used ? { tool: finding.tool_used } : {}),
+        ...(finding.target_url ? { target: finding.target_url } : {})
+      }
+    };
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'opencode-observability',
+          informationUri: 'https://github.com/disler/claude-code-hooks-multi-agent-observability',
+          rules: [...rules.values()]
+        }
+      },
+      automationDetails: { id: `session/${report.session_id}` },
+      invocations: [{
+        executionSuccessful: report.session?.status !== 'failed',
+        ...(report.started_at ? { startTimeUtc: new Date(report.started_at).toISOString() } : {}),
+        ...(report.ended_at ? { endTimeUtc: new Date(report.ended_at).toISOString() } : {})
+      }],
+      results
+    }]
+  }, null, 2);
+}
+
+/**
+ * Render a report in one of REPORT_FORMATS
+ */
+export function renderReport(report: SessionReport, format: ReportFormat): string {
+  switch (format) {
+    case 'md': return renderReportMarkdown(report);
+    case 'html': return renderReportHtml(report);
+    case 'sarif': return renderReportSarif(report);
+    default: return JSON.stringify(report, null, 2);
+  }
+}
@@ -0,0 +1,191 @@
+import { mkdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import {
+  DB_FILE,
+  getTableRowCounts,
+  countExpiredRows,
+  getSessionsWithExpiredRows,
+  getExpiredRows,
+  deleteExpiredRows,
+  vacuumDatabase
+} from './db';
+import type { RetentionTable, RetentionPolicy, RetentionRunResult, DatabaseStats } from './types';
+
+const RETENTION_TABLES: RetentionTable[] = ['events', 'token_metrics', 'tool_metrics', 'findings', 'wstg_coverage', 'sessions'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let policy: RetentionPolicy = loadRetentionPolicy();
+let lastRun: RetentionRunResult | null = null;
+let retentionTimer: ReturnType<typeof setInterval> | null = null;
+let running = false;
+
+/**
+ * Build the retention policy from RETENTION_CONFIG (a JSON file shaped like
+ * RetentionPolicy) and per-table overrides such as RETENTION_EVENTS_DAYS=14.
+ * Anything not configured is kept forever.
+ */
+export function loadRetentionPolicy(): RetentionPolicy {
+  const loaded: RetentionPolicy = {
+    max_age_days: {},
+    archive_dir: null,
+    interval_minutes: 60
+  };
+
+  const configFile = process.env.RETENTION_CONFIG;
+  if (configFile) {
+    try {
+      const config = JSON.parse(readFileSync(configFile, 'utf8'));
+      Object.assign(loaded.max_age_days, config.max_age_days || {});
+      if (config.archive_dir !== undefined) loaded.archive_dir = config.archive_dir;
+      if (config.interval_minutes) loaded.interval_minutes = config.interval_minutes;
+    } catch (error) {
+      console.error(`[Retention] Failed to read ${configFile}:`, error);
+    }
+  }
+
+  for (const table of RETENTION_TABLES) {
+    const days = process.env[`RETENTION_${table.toUpperCase()}_DAYS`];
+    if (days !== undefined) {
+      loaded.max_age_days[table] = days === '' ? null : parseFloat(days);
+    }
+  }
+  if (process.env.RETENTION_ARCHIVE_DIR) loaded.archive_dir = process.env.RETENTION_ARCHIVE_DIR;
+  if (process.env.RETENTION_INTERVAL_MINUTES) loaded.interval_minutes = parseFloat(process.env.RETENTION_INTERVAL_MINUTES);
+
+  return loaded;
+}
+
+export function getRetentionPolicy(): RetentionPolicy {
+  return policy;
+}
+
+function fileSize(path: string): number {
+  try {
+    return statSync(path).size;
+  } catch {
+    return 0;
+  }
+}
+
+export function getDatabaseStats(): DatabaseStats {
+  return {
+    file_size_bytes: fileSize(DB_FILE),
+    wal_size_bytes: fileSize(`${DB_FILE}-wal`),
+    row_counts: getTableRowCounts(),
+    retention: policy,
+    last_prune: lastRun
+  };
+}
+
+/**
+ * Write one session's expired rows to <archive_dir>/<session>-<run>.json.gz
+ */
+async function archiveSession(
+  sessionId: string,
+  cutoffs: Partial<Record<RetentionTable, number>>,
+  archiveDir: string,
+  runStartedAt: number
+): Promise<string> {
+  const archive: Record<string, any> = { session_id: sessionId, archived_at: runStartedAt };
+  for (const [table, cutoff] of Object.entries(cutoffs) as [RetentionTable, number][]) {
+    archive[table] = getExpiredRows(table, cutoff, sessionId);
+  }
+
+  const safeName = sessionId.replace(/[^a-zA-Z0-9._-]/g, '_');
+  const file = join(archiveDir, `${safeName}-${runStartedAt}.json.gz`);
+  await Bun.write(file, Bun.gzipSync(JSON.stringify(archive)));
+  return file;
+}
+
+/**
+ * Enforce the retention policy once. With an archive_dir configured, expired
+ * rows are archived per session and only deleted once their archive is written.
+ */
+export async function runRetention(dryRun: boolean = false): Promise<RetentionRunResult> {
+  if (running) {
+    throw new Error('A prune is already running');
+  }
+
+  const startedAt = Date.now();
+  const result: RetentionRunResult = {
+    dry_run: dryRun,
+    started_at: startedAt,
+    finished_at: startedAt,
+    cutoffs: {},
+    deleted: {},
+    archive_files: []
+  };
+
+  for (const table of RETENTION_TABLES) {
+    const days = policy.max_age_days[table];
+    if (days !== undefined && days !== null && days >= 0) {
+      result.cutoffs[table] = startedAt - days * DAY_MS;
+    }
+  }
+
+  running = true;
+
+  try {
+    const expiring = Object.entries(result.cutoffs) as [RetentionTable, number][];
+
+    if (dryRun) {
+      for (const [table, cutoff] of expiring) {
+        result.deleted[table] = countExpiredRows(table, cutoff);
+      }
+      return result;
+    }
+
+    if (policy.archive_dir) {
+      mkdirSync(policy.archive_dir, { recursive: true });
+
+      const sessionIds = new Set<string>();
+      for (const [table, cutoff] of expiring) {
+        getSessionsWithExpiredRows(table, cutoff).forEach(id => sessionIds.add(id));
+      }
+
+      for (const sessionId of sessionIds) {
+        result.archive_files.push(await archiveSession(sessionId, result.cutoffs, policy.archive_dir, startedAt));
+        for (const [table, cutoff] of expiring) {
+          result.deleted[table] = (result.deleted[table] || 0) + deleteExpiredRows(table, cutoff, sessionId);
+        }
+      }
+    } else {
+      for (const [table, cutoff] of expiring) {
+        result.deleted[table] = deleteExpiredRows(table, cutoff);
+      }
+    }
+
+    result.finished_at = Date.now();
+    lastRun = result;
+
+    const total = Object.values(result.deleted).reduce((sum, count) => sum + (count || 0), 0);
+    if (total > 0) {
+      console.log(`[Retention] Pruned ${total} rows`, result.deleted);
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+export function vacuum(): { before_bytes: number; after_bytes: number } {
+  const before = fileSize(DB_FILE) + fileSize(`${DB_FILE}-wal`);
+  vacuumDatabase();
+  return { before_bytes: before, after_bytes: fileSize(DB_FILE) + fileSize(`${DB_FILE}-wal`) };
+}
+
+/**
+ * Start the background job (no-op when no table has a retention rule)
+ */
+export function startRetentionJob(): void {
+  const hasRules = Object.values(policy.max_age_days).some(days => days !== undefined && days !== null);
+  if (!hasRules || retentionTimer) return;
+
+  const enforce = () => {
+    runRetention().catch(error => console.error('[Retention] Prune failed:', error));
+  };
+
+  console.log(`[Retention] Enforcing retention every ${policy.interval_minutes} minutes`, policy.max_age_days);
+  setTimeout(enforce, 5000);
+  retentionTimer = setInterval(enforce, policy.interval_minutes * 60 * 1000);
+}
@@ -125,7 +125,7 @@ function sanitizeTheme(theme: any): Partial<Theme> {
 }
 
 // Theme management functions
-export async function createTheme(themeData: any): Promise<ApiResponse<Theme>> {
+export async function createTheme(themeData: any, workspaceId?: number): Promise<ApiResponse<Theme>> {
   try {
     const sanitized = sanitizeTheme(themeData);
     const errors = validateTheme(sanitized);
@@ -166,7 +166,8 @@ export async function createTheme(themeData: any): Promise<ApiResponse<Theme>> {
       tags: sanitized.tags || [],
       downloadCount: 0,
       rating: 0,
-      ratingCount: 0
+      ratingCount: 0,
+      workspace_id: workspaceId
     };
     
     const savedTheme = insertTheme(theme);
@@ -374,7 +375,7 @@ export async function exportThemeById(id: string): Promise<ApiResponse<any>> {
   }
 }
 
-export async function importTheme(importData: any, authorId?: string): Promise<ApiResponse<Theme>> {
+export async function importTheme(importData: any, authorId?: string, workspaceId?: number): Promise<ApiResponse<Theme>> {
   try {
     if (!importData.theme) {
       return {
@@ -390,7 +391,7 @@ export async function importTheme(importData: any, authorId?: string): Promise<A
       isPublic: false // Imported themes are private by default
     };
     
-    return await createTheme(themeData);
+    return await createTheme(themeData, workspaceId);
   } catch (error) {
     console.error('Error importing theme:', error);
     return {
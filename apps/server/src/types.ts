@@ -35,16 +35,77 @@ export interface HookEvent {
   summary?: string;
   timestamp?: number;
   model_name?: string;
+  event_id?: string; // Client-generated ID, used to deduplicate retried deliveries
+  framework?: string; // Agent framework the event came from (see IngestFormat)
+  schema_version?: number; // Version of the canonical event schema it was normalized to
+  redactions?: RedactionRecord[]; // Fields that had secrets or PII masked
+  workspace_id?: number;
 
   // NEW: Optional HITL data
   humanInTheLoop?: HumanInTheLoop;
   humanInTheLoopStatus?: HumanInTheLoopStatus;
 }
 
+// A field of an event that had secrets or PII masked, and by which detectors
+export interface RedactionRecord {
+  field: string; // Path into the event, e.g. "payload.tool_input.command"
+  detectors: string[];
+  count: number; // Number of values masked in the field
+  by?: 'plugin' | 'server';
+}
+
 export interface FilterOptions {
   source_apps: string[];
   session_ids: string[];
   hook_event_types: string[];
+  frameworks: string[];
+}
+
+// Historical event search (GET /events)
+export interface EventQuery {
+  source_app?: string; // Comma-separated values match any
+  session_id?: string;
+  hook_event_type?: string;
+  model_name?: string;
+  framework?: string;
+  since?: number; // Inclusive, epoch ms
+  until?: number; // Inclusive, epoch ms
+  q?: string; // Case-insensitive substring match against the payload
+  cursor?: string; // "<timestamp>:<id>" of the last event on the previous page
+  limit?: number;
+  order?: 'asc' | 'desc';
+  workspace_id?: number; // Unset = every workspace
+}
+
+// Full-text search over event payloads (GET /events/search)
+export interface EventSearchQuery {
+  q: string;
+  syntax?: 'plain' | 'fts'; // 'fts' passes q through as raw FTS5 query syntax
+  source_app?: string;
+  session_id?: string;
+  hook_event_type?: string;
+  since?: number;
+  until?: number;
+  limit?: number;
+  offset?: number;
+  workspace_id?: number;
+}
+
+export interface EventSearchResult {
+  id: number;
+  source_app: string;
+  session_id: string;
+  hook_event_type: string;
+  timestamp: number;
+  model_name?: string;
+  tool_name?: string;
+  rank: number; // bm25 score, lower is better
+  snippet: string; // HTML-escaped, matches wrapped in <mark>
+}
+
+export interface EventPage {
+  events: HookEvent[]; // In the requested order
+  next_cursor: string | null; // null when there are no more pages
 }
 
 // Theme-related interfaces for server-side storage and API
@@ -90,6 +151,7 @@ export interface Theme {
   downloadCount?: number;
   rating?: number;
   ratingCount?: number;
+  workspace_id?: number;
 }
 
 export interface ThemeSearchQuery {
@@ -97,6 +159,7 @@ export interface ThemeSearchQuery {
   tags?: string[];
   authorId?: string;
   isPublic?: boolean;
+  workspace_id?: number; // The workspace's own themes plus public ones
   sortBy?: 'name' | 'created' | 'updated' | 'downloads' | 'rating';
   sortOrder?: 'asc' | 'desc';
   limit?: number;
@@ -141,35 +204,52 @@ export interface ApiResponse<T = any> {
 // METRICS TYPES - For Wardenn Security Assessment Tracking
 // =====================================================
 
-// Cost per 1M tokens (update as pricing changes)
-export const MODEL_COSTS: Record<string, { input: number; output: number }> = {
-  'claude-opus-4': { input: 15.00, output: 75.00 },
-  'claude-sonnet-4': { input: 3.00, output: 15.00 },
-  'claude-haiku-3.5': { input: 0.80, output: 4.00 },
-  'claude-sonnet-3.5': { input: 3.00, output: 15.00 },
-  'gpt-4o': { input: 2.50, output: 10.00 },
-  'gpt-4o-mini': { input: 0.15, output: 0.60 },
-};
-
 // Token usage tracking
 export interface TokenMetric {
   id?: number;
   session_id: string;
   source_app: string;
+  workspace_id?: number;
+  agent_id?: string; // Subagent that used the tokens (see SessionAgent); none = the session's own agent
   model_name?: string;
   input_tokens: number;
   output_tokens: number;
-  total_tokens: number;
-  estimated_cost: number;
+  reasoning_tokens?: number;
+  cache_read_tokens?: number;
+  cache_write_tokens?: number;
+  total_tokens: number; // input + output + reasoning
+  estimated_cost: number; // Cost reported by the provider ('real'), or priced from the catalogue ('estimated')
+  cost_source?: CostSource;
+  catalogue_cost?: number; // The same tokens priced from the model price catalogue
+  is_estimate?: boolean; // Older plugins: same as cost_source 'estimated'
   timestamp: number;
 }
 
+// 'real' tokens and cost come from the provider; 'estimated' ones are guessed
+// by the plugin from the size of tool inputs and outputs
+export type CostSource = 'real' | 'estimated';
+
+// Sessions with real usage are costed from it alone; their estimates only
+// measure how far off estimation is
+export interface CostReconciliation {
+  reconciled_cost: number; // Real cost, plus estimates of sessions without any
+  real_cost: number; // Provider-reported cost (catalogue-priced when the provider reported none)
+  estimated_cost: number;
+  estimated_only_sessions: number;
+  estimation_error_pct: number | null; // Estimates vs real cost, over sessions that have both
+  catalogue_error_pct: number | null; // Catalogue prices vs provider-reported cost
+}
+
 export interface TokenSummary {
   session_id?: string;
   total_input_tokens: number;
   total_output_tokens: number;
+  total_reasoning_tokens: number;
+  total_cache_read_tokens: number;
+  total_cache_write_tokens: number;
   total_tokens: number;
   total_cost: number;
+  reconciliation: CostReconciliation;
   by_model: Record<string, { tokens: number; cost: number }>;
   by_agent: Record<string, { tokens: number; cost: number }>;
 }
@@ -179,6 +259,8 @@ export interface ToolMetric {
   id?: number;
   session_id: string;
   source_app: string;
+  workspace_id?: number;
+  agent_id?: string;
   tool_name: string;
   tool_type?: 'mcp' | 'bash' | 'builtin' | 'other';
   status: 'success' | 'failure' | 'timeout';
@@ -201,10 +283,14 @@ export interface ToolEffectivenessReport {
 }
 
 // Security findings tracking
+export type FindingStatus = 'new' | 'confirmed' | 'false_positive' | 'fixed' | 'accepted_risk';
+
 export interface Finding {
   id?: number;
   session_id: string;
   source_app: string;
+  workspace_id?: number;
+  agent_id?: string; // Agent that reported this occurrence
   finding_id: string;
   vulnerability_type: string;
   severity: 'critical' | 'high' | 'medium' | 'low' | 'info';
@@ -215,15 +301,45 @@ export interface Finding {
   location?: string;
   title?: string;
   description?: string;
+  evidence?: string;
+  cwe?: string;
+  timestamp: number; // First seen
+  // Lifecycle - one finding per fingerprint, however often it is reported
+  fingerprint?: string;
+  status?: FindingStatus;
+  notes?: string;
+  evidence_event_id?: string; // Client event_id of the tool call that first reported it
+  output_excerpt?: string;
+  occurrences?: number;
+  last_seen?: number;
+  updated_at?: number;
+}
+
+// One report of a finding (a tool call in some session)
+export interface FindingOccurrence {
+  id?: number;
+  finding_id: number;
+  session_id: string;
+  source_app: string;
+  report_id: string; // The plugin's finding_id for this report
+  agent_id?: string | null;
+  evidence_event_id?: string;
   timestamp: number;
 }
 
+export interface FindingUpdate {
+  status?: FindingStatus;
+  notes?: string;
+  severity?: Finding['severity'];
+}
+
 export interface FindingSummary {
   total_findings: number;
   by_severity: Record<string, number>;
   by_type: Record<string, number>;
   by_agent: Record<string, number>;
   by_confidence: Record<string, number>;
+  by_status: Record<string, number>;
 }
 
 // WSTG coverage tracking
@@ -231,6 +347,7 @@ export interface WSTGCoverage {
   id?: number;
   session_id: string;
   source_app: string;
+  workspace_id?: number;
   wstg_id: string;
   wstg_name?: string;
   status: 'executed' | 'skipped' | 'partial' | 'not_applicable';
@@ -239,16 +356,41 @@ export interface WSTGCoverage {
   timestamp: number;
 }
 
+// Coverage is measured against the full WSTG catalogue (see wstg.ts)
 export interface WSTGCoverageReport {
   total_tests: number;
-  executed: number;
+  executed: number; // Includes tests with findings
   skipped: number;
   partial: number;
   not_applicable: number;
+  not_touched: number;
+  with_findings: number;
   coverage_percentage: number;
   by_category: Record<string, { executed: number; total: number; percentage: number }>;
 }
 
+export interface WSTGTest {
+  id: string;
+  name: string;
+  category: string;
+}
+
+export type WSTGTestState = 'finding' | WSTGCoverage['status'] | 'not_touched';
+
+export interface WSTGMatrixTest extends WSTGTest {
+  states: Record<string, WSTGTestState>; // By session ID
+  skip_reasons: Record<string, string>;
+  rollup: WSTGTestState; // Furthest state across the sessions
+}
+
+// Category-by-test coverage for several sessions (GET /api/wstg/matrix)
+export interface WSTGMatrix {
+  version: string;
+  sessions: { session_id: string; client_name?: string; started_at?: number; coverage_percentage: number }[];
+  categories: { id: string; name: string; tests: WSTGMatrixTest[] }[];
+  rollup: WSTGCoverageReport;
+}
+
 // Session summary
 export interface SessionSummary {
   id?: number;
@@ -265,6 +407,80 @@ export interface SessionSummary {
   total_tool_calls: number;
   agents_used: string[];
   wstg_coverage_pct: number;
+  engagement_id?: number | null;
+  workspace_id?: number;
+}
+
+// Session comparison (GET /api/sessions/compare) - every session against the first one
+export interface SessionComparisonMetrics {
+  total_tokens: number;
+  total_cost: number;
+  duration_ms: number | null; // null while a session has no end
+  tool_calls: number;
+  tool_failures: number;
+  findings: number; // False positives excluded
+  wstg_coverage_pct: number;
+  errors: number; // SessionError events
+}
+
+export interface ComparedFinding {
+  fingerprint: string;
+  title: string;
+  severity: Finding['severity'];
+  vulnerability_type: string;
+  target_url?: string;
+  location?: string;
+}
+
+export interface SessionComparisonEntry {
+  session_id: string;
+  session: SessionSummary;
+  metrics: SessionComparisonMetrics;
+  delta: SessionComparisonMetrics | null; // This session minus the baseline; null for the baseline
+  errors_by_type: Record<string, number>;
+  findings_by_severity: Record<string, number>;
+  findings_gained: ComparedFinding[]; // Not reported in the baseline
+  findings_lost: ComparedFinding[]; // Reported in the baseline only
+  wstg_gained: string[]; // WSTG tests executed here but not in the baseline
+  wstg_lost: string[];
+}
+
+export interface SessionComparison {
+  baseline: string;
+  sessions: SessionComparisonEntry[];
+  tool_mix: {
+    tool_name: string;
+    by_session: Record<string, { calls: number; failures: number; avg_duration_ms: number; vulnerabilities_found: number }>;
+  }[];
+}
+
+// Assessment report (GET /api/sessions/:id/report)
+export type ReportFormat = 'md' | 'html' | 'sarif' | 'json';
+
+export interface ReportTimelineEntry {
+  timestamp: number;
+  source_app: string;
+  event_type: string;
+  description: string;
+}
+
+export interface SessionReport {
+  generated_at: number;
+  session_id: string;
+  session: SessionSummary | null;
+  started_at: number | null;
+  ended_at: number | null;
+  agents: string[];
+  executive_summary: string;
+  overall_risk: Finding['severity'] | 'none';
+  findings: Finding[]; // Excludes false positives
+  false_positives: number;
+  finding_summary: FindingSummary;
+  wstg: WSTGCoverageReport;
+  wstg_tests: WSTGCoverage[];
+  cost: TokenSummary;
+  timeline: ReportTimelineEntry[];
+  timeline_truncated: boolean;
 }
 
 // Metrics dashboard summary
@@ -279,4 +495,397 @@ export interface MetricsDashboard {
   findings: FindingSummary;
   tools: ToolEffectivenessReport[];
   wstg: WSTGCoverageReport;
-}
\ No newline at end of file
+}
+
+// Aggregates behind the Prometheus /metrics endpoint
+export interface MetricTotals {
+  tokens: {
+    source_app: string;
+    model: string;
+    cost_source: CostSource;
+    input_tokens: number;
+    output_tokens: number;
+    reasoning_tokens: number;
+    cache_read_tokens: number;
+    cache_write_tokens: number;
+    cost: number;
+  }[];
+  tools: { source_app: string; tool_name: string; status: string; count: number; duration_sum_ms: number }[];
+  // Tool calls per duration bucket (index into the requested bounds; bounds.length = above the last bound)
+  tool_buckets: { source_app: string; tool_name: string; status: string; bucket: number; count: number }[];
+  findings: { source_app: string; severity: string; count: number }[];
+  sessions: { status: string; count: number }[];
+  events: { source_app: string; hook_event_type: string; count: number }[];
+}
+
+// =====================================================
+// AGENT HIERARCHY TYPES - Who spawned whom within a session
+// =====================================================
+
+export const ROOT_AGENT_ID = 'root';
+
+// An agent that ran in a session. The session's own agent is ROOT_AGENT_ID;
+// subagents are identified by the plugin (by their OpenCode child session)
+export interface SessionAgent {
+  session_id: string;
+  agent_id: string;
+  parent_agent_id: string | null;
+  agent_name: string;
+  source?: string | null; // How it was started, e.g. 'task'
+  spawned_by_call_id?: string | null; // The parent's tool call that started it
+  description?: string | null;
+  started_at: number;
+  ended_at?: number | null;
+  workspace_id?: number;
+}
+
+// An agent with what it did, and the agents it spawned
+export interface AgentNode extends SessionAgent {
+  tool_calls: number;
+  tool_failures: number;
+  tools: Record<string, number>; // Calls per tool
+  total_tokens: number;
+  cost: number;
+  findings: number;
+  children: AgentNode[];
+}
+
+// =====================================================
+// PRICING TYPES - Model price catalogue
+// =====================================================
+
+// Prices per 1M tokens, in effect from effective_from until the model's next
+// entry. Reasoning tokens default to the output price and cache reads and
+// writes to the input price.
+export interface ModelPrice {
+  id?: number;
+  model: string; // Model name, or a prefix of it ending in '*'; 'default' prices unknown models
+  input_per_mtok: number;
+  output_per_mtok: number;
+  reasoning_per_mtok: number | null;
+  cache_read_per_mtok: number | null;
+  cache_write_per_mtok: number | null;
+  effective_from: number;
+  note?: string | null;
+  created_at?: number;
+  updated_at?: number;
+}
+
+export interface ModelPriceVersion extends ModelPrice {
+  version: number; // 1 for the model's first entry
+  effective_to: number | null;
+}
+
+export interface TokenCounts {
+  input_tokens: number;
+  output_tokens: number;
+  reasoning_tokens?: number;
+  cache_read_tokens?: number;
+  cache_write_tokens?: number;
+}
+
+// =====================================================
+// BUDGET TYPES - Cost and token limits with threshold alerts
+// =====================================================
+
+export type BudgetScope = 'session' | 'source_app' | 'global';
+export type BudgetPeriod = 'total' | 'daily'; // daily budgets reset at midnight UTC
+
+export interface Budget {
+  id?: number;
+  name: string;
+  scope: BudgetScope;
+  scope_value?: string | null; // Session id / source app the budget is limited to; null = each one separately
+  period: BudgetPeriod;
+  max_cost_usd?: number | null;
+  max_tokens?: number | null;
+  thresholds: number[]; // Percentages of the limit that raise an alert, e.g. [50, 80, 100]
+  webhook_url?: string | null; // Overrides BUDGET_WEBHOOK_URL for this budget
+  enabled: boolean;
+  enforce: boolean; // At 100% the plugin blocks further tool calls (or aborts the run)
+  workspace_id?: number; // Only usage in this workspace counts
+  created_at?: number;
+  updated_at?: number;
+}
+
+export interface BudgetAlert {
+  budget_id: number;
+  scope_key: string; // The session / source app the usage was measured for ('*' for global)
+  period_key: string; // 'total' or the UTC day, e.g. '2025-01-31'
+  metric: 'cost' | 'tokens';
+  threshold: number;
+  usage: number;
+  limit: number;
+  triggered_at: number;
+}
+
+export interface BudgetUsage {
+  budget: Budget;
+  scope_key: string;
+  period_key: string;
+  cost_usd: number;
+  tokens: number;
+  cost_pct: number | null; // null when the budget has no limit of that kind
+  tokens_pct: number | null;
+}
+
+// =====================================================
+// ANOMALY TYPES - Stuck or looping agents
+// =====================================================
+
+export type AnomalyType = 'repeated_tool_call' | 'error_rate' | 'retry_storm' | 'stalled' | 'token_spike';
+
+export interface AnomalyConfig {
+  enabled: boolean;
+  repeat_threshold: number; // Identical tool calls among the last repeat_window calls
+  repeat_window: number;
+  error_rate_threshold: number; // Fraction of failed results among the last error_window
+  error_window: number;
+  error_min_results: number;
+  retry_threshold: number; // Retries within retry_window_minutes
+  retry_window_minutes: number;
+  stall_minutes: number; // No tool results or model responses for this long
+  token_spike_factor: number; // A step using this many times the session's average so far
+  token_spike_min_tokens: number;
+}
+
+// An event an anomaly was detected from
+export interface AnomalyEvidence {
+  id: number; // Stored event id
+  event_id?: string; // Client-generated id, as findings' evidence_event_id
+  hook_event_type: string;
+  timestamp: number;
+}
+
+// Payload of an AnomalyDetected event
+export interface AnomalyPayload {
+  anomaly_type: AnomalyType;
+  severity: 'warning' | 'critical';
+  agent_id?: string;
+  description: string;
+  evidence: AnomalyEvidence[];
+  [key: string]: any; // Measurements specific to the anomaly type
+}
+
+// =====================================================
+// WEBHOOK TYPES - Outbound notifications (generic JSON, Slack, Teams, Discord)
+// =====================================================
+
+export type WebhookFormat = 'json' | 'slack' | 'teams' | 'discord';
+
+// Finding is a new finding, HITLRequest an event waiting for a human; the
+// rest are the event types of the same name
+export type WebhookTrigger =
+  | 'Stop'
+  | 'SessionError'
+  | 'Finding'
+  | 'HITLRequest'
+  | 'BudgetWarning'
+  | 'BudgetExceeded'
+  | 'BudgetStop'
+  | 'AnomalyDetected'
+  | 'ScopeViolation';
+
+export interface Webhook {
+  id?: number;
+  name: string;
+  url: string;
+  format: WebhookFormat;
+  triggers: WebhookTrigger[];
+  min_severity: Finding['severity']; // Findings below this are not sent
+  source_app?: string | null; // Only this source app's events (null = any)
+  secret?: string | null; // Signs deliveries; never returned by the API
+  has_secret?: boolean;
+  enabled: boolean;
+  workspace_id?: number | null; // null = every workspace
+  created_at?: number;
+  updated_at?: number;
+}
+
+export type WebhookDeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+export interface WebhookDelivery {
+  id?: number;
+  webhook_id: number;
+  trigger: WebhookTrigger;
+  session_id?: string | null;
+  source_id?: number | null; // The event (or, for Finding, the finding) that was sent
+  body: string; // Exactly what is POSTed
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  next_attempt_at?: number | null;
+  response_status?: number | null;
+  error?: string | null;
+  created_at: number;
+  delivered_at?: number | null;
+}
+
+// =====================================================
+// INGEST TYPES - Native event formats of other agent frameworks
+// =====================================================
+
+export type IngestFormat = 'opencode' | 'claude-code' | 'otlp';
+
+// What part of an agent's run a canonical event type describes
+export type EventKind = 'session' | 'message' | 'tool_call' | 'finding' | 'agent' | 'other';
+
+export interface CanonicalEventType {
+  kind: EventKind;
+  description: string;
+  payload: string[]; // Payload fields; a trailing '?' marks optional ones
+}
+
+// The canonical events an adapter made of a request body, plus the
+// sessions, metrics and findings they imply
+export interface NormalizedBatch {
+  events: HookEvent[];
+  sessions: (Partial<SessionSummary> & { session_id: string; source_app: string })[];
+  tokens: TokenMetric[];
+  tools: (ToolMetric & { event_id?: string })[]; // event_id of the event it came from, to skip redelivered ones
+  findings: Finding[];
+  errors: string[]; // Input items that could not be read, and why
+}
+
+export interface IngestResult {
+  format: IngestFormat;
+  schema_version: number;
+  accepted: number;
+  duplicates: number;
+  rejected: number;
+  sessions: number;
+  tokens: number;
+  tools: number;
+  findings: number;
+  errors: string[];
+}
+
+// =====================================================
+// POLICY TYPES - Tool-call rules evaluated by the plugin
+// =====================================================
+
+export type PolicyAction = 'allow' | 'deny' | 'ask';
+
+export interface PolicyRule {
+  id?: string;
+  tool?: string | string[]; // Tool name(s); omitted = any tool
+  match?: Record<string, string>; // Argument name -> regex, e.g. { command: 'rm\\s+-rf' }
+  hosts?: 'outside_scope' | 'inside_scope';
+  paths?: 'outside_worktree' | 'inside_worktree';
+  action: PolicyAction;
+  reason?: string;
+}
+
+export interface PolicyDocument {
+  default: PolicyAction;
+  scope?: { hosts?: string[]; cidrs?: string[] } | null;
+  rules: PolicyRule[];
+  updated_at?: number;
+}
+
+// =====================================================
+// ENGAGEMENT TYPES - Authorised scope of an assessment
+// =====================================================
+
+export type ScopeEnforcement = 'flag' | 'block';
+
+export interface Engagement {
+  id?: number;
+  name: string;
+  client_name?: string | null;
+  target_url?: string | null; // Primary target, copied to linked sessions that have none
+  hosts: string[]; // "example.com", "*.example.com" or IPv4 addresses
+  cidrs: string[];
+  url_patterns: string[]; // Globs matched against full URLs, e.g. "https://app.example.com/api/*"
+  starts_at?: number | null; // Testing window; any target access outside it is out of scope
+  ends_at?: number | null;
+  enforcement: ScopeEnforcement; // What the plugin does on out-of-scope access
+  workspace_id?: number;
+  created_at?: number;
+  updated_at?: number;
+}
+
+// =====================================================
+// WORKSPACE TYPES - Separate tenants (clients or teams)
+// =====================================================
+
+export interface Workspace {
+  id?: number;
+  slug: string; // Used to select the workspace, e.g. ?workspace=acme
+  name: string;
+  created_at?: number;
+}
+
+// A workspace with what it holds, for the cross-workspace admin view
+export interface WorkspaceSummary extends Workspace {
+  events: number;
+  sessions: number;
+  findings: number;
+  total_cost: number;
+  last_event_at: number | null;
+}
+
+// The workspaces a request reads from and writes to
+export interface WorkspaceScope {
+  workspaceId?: number; // Reads are filtered on it; undefined = every workspace
+  writeWorkspaceId: number; // Where ingested data is stored
+}
+
+// =====================================================
+// AUTH TYPES - Dashboard users and ingest API keys
+// =====================================================
+
+export type UserRole = 'viewer' | 'analyst' | 'admin'; // Each role can do everything the previous one can
+
+export interface User {
+  id?: number;
+  username: string;
+  role: UserRole;
+  workspace_id?: number | null; // null = every workspace
+  created_at?: number;
+  last_login_at?: number | null;
+}
+
+export interface ApiKey {
+  id?: number;
+  name: string;
+  source_app: string; // Events may only be posted for this source_app ('*' = any)
+  workspace_id?: number; // Where everything posted with the key is stored
+  key_prefix: string; // First characters of the key, to tell keys apart
+  created_at?: number;
+  last_used_at?: number | null;
+}
+
+// Who a request was made by
+export type Principal =
+  | { kind: 'anonymous' } // Authentication is disabled
+  | { kind: 'user'; user: User }
+  | { kind: 'ingest'; key: ApiKey };
+
+// =====================================================
+// RETENTION TYPES - Pruning and archival of events.db
+// =====================================================
+
+export type RetentionTable = 'events' | 'token_metrics' | 'tool_metrics' | 'findings' | 'wstg_coverage' | 'sessions';
+
+export interface RetentionPolicy {
+  max_age_days: Partial<Record<RetentionTable, number | null>>; // Missing or null = keep forever
+  archive_dir: string | null; // When set, expired rows are written here (gzipped, per session) before deletion
+  interval_minutes: number; // How often the background job enforces the policy
+}
+
+export interface RetentionRunResult {
+  dry_run: boolean;
+  started_at: number;
+  finished_at: number;
+  cutoffs: Partial<Record<RetentionTable, number>>; // Rows older than these timestamps expire
+  deleted: Partial<Record<RetentionTable, number>>; // Rows deleted (or that would be, on a dry run)
+  archive_files: string[];
+}
+
+export interface DatabaseStats {
+  file_size_bytes: number;
+  wal_size_bytes: number;
+  row_counts: Record<string, number>;
+  retention: RetentionPolicy;
+  last_prune: RetentionRunResult | null;
+}
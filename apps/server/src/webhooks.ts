@@ -0,0 +1,431 @@
+import { createHmac } from 'crypto';
+import {
+  DEFAULT_WORKSPACE_ID,
+  getDueWebhookDeliveries,
+  getWebhook,
+  getWebhooksForWorkspace,
+  insertWebhookDelivery,
+  pruneWebhookDeliveries,
+  updateWebhookDelivery
+} from './db';
+import type { Finding, HookEvent, Webhook, WebhookDelivery, WebhookFormat, WebhookTrigger } from './types';
+
+// Outbound notifications. Matching events are rendered into the webhook's
+// format and queued as deliveries, which a background job POSTs with retries.
+// Every delivery is kept in a log for a while.
+
+export const WEBHOOK_FORMATS: WebhookFormat[] = ['json', 'slack', 'teams', 'discord'];
+export const WEBHOOK_TRIGGERS: WebhookTrigger[] = [
+  'Stop',
+  'SessionError',
+  'Finding',
+  'HITLRequest',
+  'BudgetWarning',
+  'BudgetExceeded',
+  'BudgetStop',
+  'AnomalyDetected',
+  'ScopeViolation'
+];
+const SEVERITIES: Finding['severity'][] = ['critical', 'high', 'medium', 'low', 'info'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 20;
+const LOG_RETENTION_MS = parseFloat(process.env.WEBHOOK_LOG_DAYS || '30') * 24 * 60 * 60 * 1000;
+const DASHBOARD_URL = (process.env.DASHBOARD_URL || '').replace(/\/$/, '');
+
+const COLORS: Record<string, string> = {
+  critical: '#dc2626',
+  high: '#ea580c',
+  medium: '#f59e0b',
+  warning: '#f59e0b',
+  low: '#3b82f6',
+  info: '#6b7280',
+  success: '#16a34a'
+};
+
+// What a webhook is told, before it is rendered into the webhook's format
+export interface WebhookNotification {
+  trigger: WebhookTrigger | 'Test';
+  title: string;
+  text: string;
+  severity: string;
+  session_id?: string;
+  source_app?: string;
+  workspace_id?: number;
+  timestamp: number;
+  link?: string;
+  source_id?: number;
+  data: Record<string, any>;
+}
+
+let pollTimer: ReturnType<typeof setInterval> | null = null;
+let processing = false;
+let lastPrune = 0;
+
+/**
+ * Validate a webhook from the API and fill in defaults. A missing secret
+ * keeps the current one; null or '' removes it.
+ * Returns the webhook, or the list of problems with it.
+ */
+export function parseWebhook(input: any): { webhook?: Webhook; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Webhook must be an object'] };
+  }
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (typeof input.url !== 'string' || !/^https?:\/\/\S+$/.test(input.url)) {
+    errors.push('url must be an http(s) URL');
+  }
+  if (input.format !== undefined && !WEBHOOK_FORMATS.includes(input.format)) {
+    errors.push(`format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (!Array.isArray(input.triggers) || input.triggers.length === 0 || input.triggers.some((t: any) => !WEBHOOK_TRIGGERS.includes(t))) {
+    errors.push(`triggers must be a list of ${WEBHOOK_TRIGGERS.join(', ')}`);
+  }
+  if (input.min_severity !== undefined && !SEVERITIES.includes(input.min_severity)) {
+    errors.push(`min_severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (input.secret !== undefined && input.secret !== null && typeof input.secret !== 'string') {
+    errors.push('secret must be a string');
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    webhook: {
+      name: input.name,
+      url: input.url,
+      format: input.format || 'json',
+      triggers: [...new Set<WebhookTrigger>(input.triggers)],
+      min_severity: input.min_severity || 'high',
+      source_app: input.source_app || null,
+      secret: input.secret,
+      enabled: input.enabled !== false
+    }
+  };
+}
+
+// A webhook as the API returns it, without its secret
+export function publicWebhook(webhook: Webhook): Webhook {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function dashboardLink(sessionId?: string, eventId?: number): string | undefined {
+  if (!DASHBOARD_URL || !sessionId) return undefined;
+  return `${DASHBOARD_URL}/#/replay/${encodeURIComponent(sessionId)}${eventId ? `?event=${eventId}` : ''}`;
+}
+
+// The notification for a stored event, or null when no trigger covers it
+function eventNotification(event: HookEvent): WebhookNotification | null {
+  const payload = event.payload || {};
+  const base = {
+    session_id: event.session_id,
+    source_app: event.source_app,
+    workspace_id: event.workspace_id,
+    timestamp: event.timestamp || Date.now(),
+    link: dashboardLink(event.session_id, event.id),
+    source_id: event.id,
+    data: { hook_event_type: event.hook_event_type, payload }
+  };
+
+  if (event.humanInTheLoop && event.humanInTheLoopStatus?.status === 'pending') {
+    return {
+      ...base,
+      trigger: 'HITLRequest',
+      title: `${event.source_app} is waiting for a human`,
+      text: event.humanInTheLoop.question,
+      severity: 'high',
+      data: { ...base.data, humanInTheLoop: event.humanInTheLoop }
+    };
+  }
+
+  switch (event.hook_event_type) {
+    case 'Stop':
+      return {
+        ...base,
+        trigger: 'Stop',
+        title: `${event.source_app} session finished`,
+        text: `Session ${event.session_id} stopped (${payload.stop_reason || 'done'})`,
+        severity: 'success'
+      };
+    case 'SessionError':
+      return {
+        ...base,
+        trigger: 'SessionError',
+        title: `${event.source_app} session error`,
+        text: `${payload.error_type || 'Error'}: ${String(payload.error_message || '').slice(0, 1000)}`,
+        severity: 'high'
+      };
+    case 'BudgetWarning':
+    case 'BudgetExceeded':
+    case 'BudgetStop':
+      return {
+        ...base,
+        trigger: event.hook_event_type,
+        title: `${event.source_app}: ${event.hook_event_type === 'BudgetWarning' ? 'budget warning' : 'budget exceeded'}`,
+        text: event.summary || payload.reason || payload.budget_name || '',
+        severity: event.hook_event_type === 'BudgetWarning' ? 'warning' : 'critical'
+      };
+    case 'AnomalyDetected':
+      return {
+        ...base,
+        trigger: 'AnomalyDetected',
+        title: `${event.source_app} looks stuck (${String(payload.anomaly_type || '').replace(/_/g, ' ')})`,
+        text: event.summary || payload.description || '',
+        severity: payload.severity || 'warning'
+      };
+    case 'ScopeViolation':
+      return {
+        ...base,
+        trigger: 'ScopeViolation',
+        title: `${event.source_app} went out of scope`,
+        text: `${payload.tool_name} ${payload.action === 'block' ? 'was blocked from' : 'touched'} ${(payload.targets || []).join(', ')}`,
+        severity: payload.action === 'block' ? 'high' : 'critical' // Flagged means it went ahead
+      };
+  }
+  return null;
+}
+
+function findingNotification(finding: Finding): WebhookNotification {
+  return {
+    trigger: 'Finding',
+    title: `[${finding.severity.toUpperCase()}] ${finding.title || finding.vulnerability_type}`,
+    text: [finding.vulnerability_type, finding.target_url, finding.location].filter(Boolean).join(' - '),
+    severity: finding.severity,
+    session_id: finding.session_id,
+    source_app: finding.source_app,
+    workspace_id: finding.workspace_id,
+    timestamp: finding.timestamp || Date.now(),
+    link: dashboardLink(finding.session_id),
+    source_id: finding.id,
+    data: { finding }
+  };
+}
+
+/**
+ * Render a notification into the body a webhook of the given format expects
+ */
+export function renderWebhookBody(format: WebhookFormat, notification: WebhookNotification): Record<string, any> {
+  const color = COLORS[notification.severity] || COLORS.info!;
+
+  switch (format) {
+    case 'slack':
+      return {
+        text: `*${notification.title}*\n${notification.text}${notification.link ? `\n<${notification.link}|Open in dashboard>` : ''}`,
+        attachments: [{
+          color,
+          fields: [
+            { title: 'Source', value: notification.source_app || '-', short: true },
+            { title: 'Session', value: notification.session_id || '-', short: true }
+          ]
+        }]
+      };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: color.slice(1),
+        summary: notification.title,
+        title: notification.title,
+        text: notification.text,
+        sections: [{
+          facts: [
+            { name: 'Source', value: notification.source_app || '-' },
+            { name: 'Session', value: notification.session_id || '-' }
+          ]
+        }],
+        potentialAction: notification.link
+          ? [{ '@type': 'OpenUri', name: 'Open in dashboard', targets: [{ os: 'default', uri: notification.link }] }]
+          : []
+      };
+    case 'discord':
+      return {
+        embeds: [{
+          title: notification.title.slice(0, 256),
+          description: notification.text.slice(0, 4096),
+          url: notification.link,
+          color: parseInt(color.slice(1), 16),
+          timestamp: new Date(notification.timestamp).toISOString(),
+          fields: [
+            { name: 'Source', value: notification.source_app || '-', inline: true },
+            { name: 'Session', value: notification.session_id || '-', inline: true }
+          ]
+        }]
+      };
+    default:
+      return notification;
+  }
+}
+
+function matches(webhook: Webhook, notification: WebhookNotification): boolean {
+  if (notification.trigger !== 'Test' && !webhook.triggers.includes(notification.trigger)) return false;
+  if (webhook.source_app && webhook.source_app !== notification.source_app) return false;
+  if (notification.trigger === 'Finding') {
+    return SEVERITIES.indexOf(notification.severity as Finding['severity']) <= SEVERITIES.indexOf(webhook.min_severity);
+  }
+  return true;
+}
+
+// Queue a notification for one webhook
+function enqueue(webhook: Webhook, notification: WebhookNotification): WebhookDelivery {
+  const now = Date.now();
+  return insertWebhookDelivery({
+    webhook_id: webhook.id!,
+    trigger: notification.trigger as WebhookTrigger,
+    session_id: notification.session_id,
+    source_id: notification.source_id,
+    body: JSON.stringify(renderWebhookBody(webhook.format, notification)),
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now
+  });
+}
+
+function dispatch(notification: WebhookNotification): void {
+  const webhooks = getWebhooksForWorkspace(notification.workspace_id ?? DEFAULT_WORKSPACE_ID)
+    .filter(webhook => matches(webhook, notification));
+  if (webhooks.length === 0) return;
+
+  webhooks.forEach(webhook => enqueue(webhook, notification));
+  setTimeout(processDueDeliveries, 0);
+}
+
+/**
+ * Queue deliveries for a newly stored event, to every webhook it triggers
+ */
+export function notifyWebhooks(event: HookEvent): void {
+  const notification = eventNotification(event);
+  if (notification) dispatch(notification);
+}
+
+/**
+ * Queue deliveries for a newly reported finding (repeat occurrences are not sent)
+ */
+export function notifyFinding(finding: Finding): void {
+  dispatch(findingNotification(finding));
+}
+
+/**
+ * Queue a test message for a webhook, whatever its triggers
+ */
+export function sendTestWebhook(webhook: Webhook): WebhookDelivery {
+  const delivery = enqueue(webhook, {
+    trigger: 'Test',
+    title: 'Test notification',
+    text: `Webhook "${webhook.name}" is set up correctly`,
+    severity: 'info',
+    timestamp: Date.now(),
+    data: {}
+  });
+  setTimeout(processDueDeliveries, 0);
+  return delivery;
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret, as sent in
+ * X-Webhook-Signature (receivers should also reject stale timestamps)
+ */
+export function signWebhookBody(secret: string, timestamp: number, body: string): string {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function attempt(delivery: WebhookDelivery): Promise<void> {
+  const attempts = delivery.attempts + 1;
+  const webhook = getWebhook(delivery.webhook_id);
+  if (!webhook || !webhook.enabled) {
+    updateWebhookDelivery(delivery.id!, { status: 'failed', attempts: delivery.attempts, error: 'Webhook deleted or disabled' });
+    return;
+  }
+
+  const timestamp = Date.now();
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'multi-agent-observability-webhooks',
+    'X-Webhook-Id': String(delivery.id),
+    'X-Webhook-Trigger': delivery.trigger,
+    'X-Webhook-Timestamp': String(timestamp)
+  };
+  if (webhook.secret) {
+    headers['X-Webhook-Signature'] = signWebhookBody(webhook.secret, timestamp, delivery.body);
+  }
+
+  let responseStatus: number | null = null;
+  let error: string | null = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`;
+  } catch (err) {
+    error = err instanceof Error ? err.message : String(err);
+  }
+
+  if (!error) {
+    updateWebhookDelivery(delivery.id!, { status: 'delivered', attempts, response_status: responseStatus, delivered_at: Date.now() });
+    return;
+  }
+
+  // Client errors other than timeouts and rate limits won't go away by retrying
+  const permanent = responseStatus !== null && responseStatus >= 400 && responseStatus < 500 && ![408, 429].includes(responseStatus);
+  const giveUp = permanent || attempts >= MAX_ATTEMPTS;
+  if (giveUp) {
+    console.error(`[Webhook] Delivery ${delivery.id} to ${webhook.name} failed after ${attempts} attempts: ${error}`);
+  }
+  updateWebhookDelivery(delivery.id!, {
+    status: giveUp ? 'failed' : 'pending',
+    attempts,
+    next_attempt_at: giveUp ? null : Date.now() + RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)]!,
+    response_status: responseStatus,
+    error
+  });
+}
+
+/**
+ * Make every delivery attempt that is due. Attempts run one after another;
+ * a call while another is running returns straight away.
+ */
+export async function processDueDeliveries(): Promise<void> {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let due: WebhookDelivery[];
+    do {
+      due = getDueWebhookDeliveries(Date.now(), BATCH_SIZE);
+      for (const delivery of due) {
+        await attempt(delivery);
+      }
+    } while (due.length === BATCH_SIZE);
+
+    if (Date.now() - lastPrune > 60 * 60 * 1000) {
+      lastPrune = Date.now();
+      pruneWebhookDeliveries(Date.now() - LOG_RETENTION_MS);
+    }
+  } catch (error) {
+    console.error('[Webhook] Delivery failed:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start retrying due deliveries in the background, including those left
+ * pending by a previous run of the server
+ */
+export function startWebhookJob(): void {
+  if (pollTimer) return;
+  pollTimer = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+}
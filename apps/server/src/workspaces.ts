@@ -0,0 +1,96 @@
+import { DEFAULT_WORKSPACE_ID, getWorkspace, getWorkspaceBySlug } from './db';
+import type { Principal, Workspace, WorkspaceScope } from './types';
+
+// Every event, metric, finding, session, theme, budget and engagement belongs
+// to a workspace. Ingest keys and workspace-bound users only ever see their
+// own; users without a workspace (and everyone when auth is off) pick one with
+// the X-Workspace header or ?workspace=, and see all of them when they don't.
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Routes that act on every workspace at once, closed to workspace-bound callers
+const CROSS_WORKSPACE_ROUTES: { method: string; path: RegExp }[] = [
+  { method: '*', path: /^\/api\/admin\// },
+  { method: '*', path: /^\/api\/auth\/(users|keys)(\/.*)?$/ },
+  { method: 'WRITE', path: /^\/api\/workspaces(\/.*)?$/ },
+  // Shared configuration
+  { method: 'WRITE', path: /^\/api\/policies(\/.*)?$/ }
+];
+
+function isCrossWorkspaceRoute(method: string, pathname: string): boolean {
+  return CROSS_WORKSPACE_ROUTES.some(route =>
+    (route.method === '*' || (route.method === 'WRITE' && method !== 'GET')) && route.path.test(pathname)
+  );
+}
+
+// Look a workspace up by slug or numeric id
+export function resolveWorkspace(ref: string | number | null | undefined): Workspace | null {
+  if (ref === null || ref === undefined || ref === '') return null;
+  if (typeof ref === 'number' || /^\d+$/.test(ref)) return getWorkspace(Number(ref));
+  return getWorkspaceBySlug(ref);
+}
+
+// The workspace a principal is confined to, or null when it may use all of them
+export function boundWorkspaceId(principal: Principal): number | null {
+  if (principal.kind === 'ingest') return principal.key.workspace_id ?? DEFAULT_WORKSPACE_ID;
+  if (principal.kind === 'user') return principal.user.workspace_id ?? null;
+  return null;
+}
+
+/**
+ * Work out which workspace a request reads from and writes to.
+ * Returns the scope, or the status and message to refuse the request with.
+ */
+export function resolveWorkspaceScope(
+  principal: Principal,
+  req: Request,
+  url: URL
+): { scope?: WorkspaceScope; status?: number; error?: string } {
+  const requested = req.headers.get('X-Workspace') || url.searchParams.get('workspace');
+  const workspace = resolveWorkspace(requested);
+  if (requested && !workspace) {
+    return { status: 404, error: `Workspace not found: ${requested}` };
+  }
+
+  const bound = boundWorkspaceId(principal);
+  if (bound === null) {
+    return { scope: { workspaceId: workspace?.id, writeWorkspaceId: workspace?.id ?? DEFAULT_WORKSPACE_ID } };
+  }
+
+  if (workspace && workspace.id !== bound) {
+    return { status: 403, error: `No access to workspace ${workspace.slug}` };
+  }
+  if (isCrossWorkspaceRoute(req.method, url.pathname)) {
+    return { status: 403, error: 'Requires access to every workspace' };
+  }
+  return { scope: { workspaceId: bound, writeWorkspaceId: bound } };
+}
+
+// Whether a record stored in a workspace is visible within a scope
+export function inScope(scope: WorkspaceScope, workspaceId: number | undefined): boolean {
+  return scope.workspaceId === undefined || (workspaceId ?? DEFAULT_WORKSPACE_ID) === scope.workspaceId;
+}
+
+/**
+ * Validate a workspace from the API. The slug can't change once created.
+ * Returns the fields to store, or the list of problems with them.
+ */
+export function parseWorkspace(input: any, isNew: boolean): { workspace?: Workspace; errors: string[] } {
+  const errors: string[] = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Workspace must be an object'] };
+  }
+  if (isNew && (typeof input.slug !== 'string' || !SLUG_PATTERN.test(input.slug) || /^\d+$/.test(input.slug))) {
+    errors.push('slug is required and may only contain lowercase letters, digits and -, and not only digits');
+  }
+  if ((!isNew || input.name !== undefined) && (typeof input.name !== 'string' || !input.name.trim())) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    workspace: { slug: isNew ? input.slug : '', name: (input.name ?? input.slug).trim() },
+    errors
+  };
+}
@@ -0,0 +1,222 @@
+import type { WSTGCoverage, WSTGCoverageReport, WSTGTest, WSTGTestState } from './types';
+
+// OWASP Web Security Testing Guide v4.2 test catalogue. Coverage is measured
+// against every test here, not just the ones an agent happened to record.
+
+export const WSTG_VERSION = '4.2';
+
+export const WSTG_CATEGORIES: Record<string, string> = {
+  INFO: 'Information Gathering',
+  CONF: 'Configuration and Deployment Management Testing',
+  IDNT: 'Identity Management Testing',
+  ATHN: 'Authentication Testing',
+  ATHZ: 'Authorization Testing',
+  SESS: 'Session Management Testing',
+  INPV: 'Input Validation Testing',
+  ERRH: 'Testing for Error Handling',
+  CRYP: 'Testing for Weak Cryptography',
+  BUSL: 'Business Logic Testing',
+  CLNT: 'Client-side Testing',
+  APIT: 'API Testing'
+};
+
+const TEST_NAMES: Record<string, string[]> = {
+  INFO: [
+    'Conduct Search Engine Discovery Reconnaissance for Information Leakage',
+    'Fingerprint Web Server',
+    'Review Webserver Metafiles for Information Leakage',
+    'Enumerate Applications on Webserver',
+    'Review Webpage Content for Information Leakage',
+    'Identify Application Entry Points',
+    'Map Execution Paths Through Application',
+    'Fingerprint Web Application Framework',
+    'Fingerprint Web Application',
+    'Map Application Architecture'
+  ],
+  CONF: [
+    'Test Network Infrastructure Configuration',
+    'Test Application Platform Configuration',
+    'Test File Extensions Handling for Sensitive Information',
+    'Review Old Backup and Unreferenced Files for Sensitive Information',
+    'Enumerate Infrastructure and Application Admin Interfaces',
+    'Test HTTP Methods',
+    'Test HTTP Strict Transport Security',
+    'Test RIA Cross Domain Policy',
+    'Test File Permission',
+    'Test for Subdomain Takeover',
+    'Test Cloud Storage'
+  ],
+  IDNT: [
+    'Test Role Definitions',
+    'Test User Registration Process',
+    'Test Account Provisioning Process',
+    'Testing for Account Enumeration and Guessable User Account',
+    'Testing for Weak or Unenforced Username Policy'
+  ],
+  ATHN: [
+    'Testing for Credentials Transported over an Encrypted Channel',
+    'Testing for Default Credentials',
+    'Testing for Weak Lock Out Mechanism',
+    'Testing for Bypassing Authentication Schema',
+    'Testing for Vulnerable Remember Password',
+    'Testing for Browser Cache Weaknesses',
+    'Testing for Weak Password Policy',
+    'Testing for Weak Security Question Answer',
+    'Testing for Weak Password Change or Reset Functionalities',
+    'Testing for Weaker Authentication in Alternative Channel'
+  ],
+  ATHZ: [
+    'Testing Directory Traversal File Include',
+    'Testing for Bypassing Authorization Schema',
+    'Testing for Privilege Escalation',
+    'Testing for Insecure Direct Object References'
+  ],
+  SESS: [
+    'Testing for Session Management Schema',
+    'Testing for Cookies Attributes',
+    'Testing for Session Fixation',
+    'Testing for Exposed Session Variables',
+    'Testing for Cross Site Request Forgery',
+    'Testing for Logout Functionality',
+    'Testing Session Timeout',
+    'Testing for Session Puzzling',
+    'Testing for Session Hijacking'
+  ],
+  INPV: [
+    'Testing for Reflected Cross Site Scripting',
+    'Testing for Stored Cross Site Scripting',
+    'Testing for HTTP Verb Tampering',
+    'Testing for HTTP Parameter Pollution',
+    'Testing for SQL Injection',
+    'Testing for LDAP Injection',
+    'Testing for XML Injection',
+    'Testing for SSI Injection',
+    'Testing for XPath Injection',
+    'Testing for IMAP SMTP Injection',
+    'Testing for Code Injection',
+    'Testing for Command Injection',
+    'Testing for Format String Injection',
+    'Testing for Incubated Vulnerability',
+    'Testing for HTTP Splitting Smuggling',
+    'Testing for HTTP Incoming Requests',
+    'Testing for Host Header Injection',
+    'Testing for Server-side Template Injection',
+    'Testing for Server-Side Request Forgery'
+  ],
+  ERRH: [
+    'Testing for Improper Error Handling',
+    'Testing for Stack Traces'
+  ],
+  CRYP: [
+    'Testing for Weak Transport Layer Security',
+    'Testing for Padding Oracle',
+    'Testing for Sensitive Information Sent via Unencrypted Channels',
+    'Testing for Weak Encryption'
+  ],
+  BUSL: [
+    'Test Business Logic Data Validation',
+    'Test Ability to Forge Requests',
+    'Test Integrity Checks',
+    'Test for Process Timing',
+    'Test Number of Times a Function Can Be Used Limits',
+    'Testing for the Circumvention of Work Flows',
+    'Test Defenses Against Application Misuse',
+    'Test Upload of Unexpected File Types',
+    'Test Upload of Malicious Files'
+  ],
+  CLNT: [
+    'Testing for DOM-Based Cross Site Scripting',
+    'Testing for JavaScript Execution',
+    'Testing for HTML Injection',
+    'Testing for Client-side URL Redirect',
+    'Testing for CSS Injection',
+    'Testing for Client-side Resource Manipulation',
+    'Testing Cross Origin Resource Sharing',
+    'Testing for Cross Site Flashing',
+    'Testing for Clickjacking',
+    'Testing WebSockets',
+    'Testing Web Messaging',
+    'Testing Browser Storage',
+    'Testing for Cross Site Script Inclusion'
+  ],
+  APIT: [
+    'Testing GraphQL'
+  ]
+};
+
+export const WSTG_CATALOGUE: WSTGTest[] = Object.entries(TEST_NAMES).flatMap(([category, names]) =>
+  names.map((name, index) => ({
+    id: `WSTG-${category}-${String(index + 1).padStart(2, '0')}`,
+    name,
+    category
+  }))
+);
+
+const TESTS_BY_ID = new Map(WSTG_CATALOGUE.map(test => [test.id, test]));
+
+export function getWSTGTest(id: string): WSTGTest | undefined {
+  return TESTS_BY_ID.get(id.toUpperCase());
+}
+
+// When a test was recorded more than once (several sessions), the furthest it got wins
+const STATE_PRECEDENCE: WSTGTestState[] = ['finding', 'executed', 'partial', 'skipped', 'not_applicable', 'not_touched'];
+
+export function strongerState(a: WSTGTestState, b: WSTGTestState): WSTGTestState {
+  return STATE_PRECEDENCE.indexOf(a) <= STATE_PRECEDENCE.indexOf(b) ? a : b;
+}
+
+/**
+ * State of every catalogue test given the recorded coverage rows and the
+ * tests findings were reported against. Unrecorded tests are not_touched.
+ */
+export function resolveTestStates(
+  coverage: Pick<WSTGCoverage, 'wstg_id' | 'status'>[],
+  findingTests: string[] = []
+): Map<string, WSTGTestState> {
+  const states = new Map<string, WSTGTestState>(WSTG_CATALOGUE.map(test => [test.id, 'not_touched']));
+
+  for (const row of coverage) {
+    const current = states.get(row.wstg_id);
+    if (current) states.set(row.wstg_id, strongerState(current, row.status));
+  }
+  for (const id of findingTests) {
+    if (states.has(id)) states.set(id, 'finding');
+  }
+
+  return states;
+}
+
+/**
+ * Coverage figures for a set of test states. Tests with findings count as
+ * executed; not applicable tests are left out of the percentage.
+ */
+export function summarizeCoverage(states: Map<string, WSTGTestState>): WSTGCoverageReport {
+  const count = (state: WSTGTestState) => [...states.values()].filter(value => value === state).length;
+  const withFindings = count('finding');
+  const executed = count('executed') + withFindings;
+  const notApplicable = count('not_applicable');
+
+  const by_category: WSTGCoverageReport['by_category'] = {};
+  for (const category of Object.keys(WSTG_CATEGORIES)) {
+    const tests = WSTG_CATALOGUE.filter(test => test.category === category);
+    const done = tests.filter(test => ['executed', 'finding'].includes(states.get(test.id) || '')).length;
+    by_category[category] = {
+      executed: done,
+      total: tests.length,
+      percentage: tests.length > 0 ? (done / tests.length) * 100 : 0
+    };
+  }
+
+  const applicableTests = WSTG_CATALOGUE.length - notApplicable;
+  return {
+    total_tests: WSTG_CATALOGUE.length,
+    executed,
+    skipped: count('skipped'),
+    partial: count('partial'),
+    not_applicable: notApplicable,
+    not_touched: count('not_touched'),
+    with_findings: withFindings,
+    coverage_percentage: applicableTests > 0 ? (executed / applicableTests) * 100 : 0,
+    by_category
+  };
+}